@@ -15,6 +15,10 @@ const { PORT, FRONTEND_URL, NODE_ENV } = require('./src/config/constants');
 const { testConnection } = require('./src/config/database');
 const marketsRoutes = require('./src/routes/markets.routes');
 const analyticsRoutes = require('./src/routes/analytics.routes');
+const parlaysRoutes = require('./src/routes/parlays.routes');
+const meRoutes = require('./src/routes/me.routes');
+const webhooksRoutes = require('./src/routes/webhooks.routes');
+const webhookService = require('./src/services/webhook.service');
 const { errorHandler, notFoundHandler } = require('./src/middleware/errorHandler.middleware');
 // const { requestTelemetry } = require('./src/middleware/telemetry.middleware');
 // const { refreshConfig, cleanupOldLogs } = require('./src/services/telemetry.service');
@@ -48,7 +52,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 };
 
 app.use(cors(corsOptions));
@@ -77,6 +82,9 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/markets', marketsRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/parlays', parlaysRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/webhooks', webhooksRoutes);
 
 // 404 handler (must be after all routes)
 app.use(notFoundHandler);
@@ -100,6 +108,9 @@ async function startServer() {
     // setInterval(() => refreshConfig(), 60 * 1000);
     // setInterval(() => cleanupOldLogs(), 6 * 60 * 60 * 1000);
 
+    // Retry webhook deliveries that failed or were interrupted
+    webhookService.startDeliveryWorker();
+
     // Start listening
     app.listen(PORT, () => {
       console.log('');
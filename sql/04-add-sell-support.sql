@@ -0,0 +1,16 @@
+-- =============================================================
+-- 04: Sell / cash-out support
+-- Lets users sell shares back into the CPMM pool before resolution
+-- =============================================================
+
+-- Distinguish buys from sells in the bets table
+ALTER TABLE bets
+  ADD COLUMN IF NOT EXISTS side TEXT NOT NULL DEFAULT 'buy'
+    CHECK (side IN ('buy', 'sell')),
+  ADD COLUMN IF NOT EXISTS shares NUMERIC;
+
+-- Track profit/loss locked in by partial or full sales
+ALTER TABLE positions
+  ADD COLUMN IF NOT EXISTS realized_pnl NUMERIC NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_bets_market_side ON bets (market_id, side);
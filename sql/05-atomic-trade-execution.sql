@@ -0,0 +1,149 @@
+-- =============================================================
+-- 05: Atomic, race-free trade execution
+--
+-- Every trade (buy, sell, odds bet) commits through execute_trade() in a
+-- single database transaction: market pools, bet row, balance, position,
+-- transaction log and price history either all commit or none do.
+--
+-- Concurrency is optimistic: the API reads the market (including its
+-- version), prices the trade in Node and passes the version it priced
+-- against. If another trade committed first the version no longer matches,
+-- the function raises MARKET_CONFLICT and the API re-reads and retries.
+-- =============================================================
+
+ALTER TABLE markets
+  ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION execute_trade(
+  p_market_id UUID,
+  p_expected_version INTEGER,
+  p_market JSONB,            -- market columns to update (pools, prices, volume)
+  p_bet JSONB,               -- bets columns to insert
+  p_user_id UUID,
+  p_balance_delta NUMERIC,   -- negative for stakes, positive for proceeds
+  p_position JSONB,          -- { outcome, shares_delta, invested_delta, proceeds, price }
+  p_transaction_type TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_columns TEXT;
+  v_market markets%ROWTYPE;
+  v_bet bets%ROWTYPE;
+  v_position positions%ROWTYPE;
+  v_balance NUMERIC;
+  v_outcome TEXT := p_position->>'outcome';
+  v_shares_delta NUMERIC := COALESCE((p_position->>'shares_delta')::NUMERIC, 0);
+  v_invested_delta NUMERIC := COALESCE((p_position->>'invested_delta')::NUMERIC, 0);
+  v_price NUMERIC := COALESCE((p_position->>'price')::NUMERIC, 0);
+  v_cost_basis NUMERIC := 0;
+  v_realized_pnl NUMERIC := 0;
+BEGIN
+  -- 1. Market pools and prices, only if nobody traded since we priced
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+  FROM jsonb_object_keys(p_market) AS key;
+
+  EXECUTE format(
+    'UPDATE markets
+        SET (%1$s, version, last_price_update) =
+            (SELECT %1$s, $2 + 1, now() FROM jsonb_populate_record(NULL::markets, $1))
+      WHERE id = $3 AND version = $2
+      RETURNING *',
+    v_columns
+  ) INTO v_market USING p_market, p_expected_version, p_market_id;
+
+  IF v_market.id IS NULL THEN
+    RAISE EXCEPTION 'MARKET_CONFLICT';
+  END IF;
+
+  -- 2. Balance (never below zero)
+  UPDATE profiles
+     SET balance = balance + p_balance_delta
+   WHERE id = p_user_id
+     AND balance + p_balance_delta >= 0
+  RETURNING balance INTO v_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INSUFFICIENT_BALANCE';
+  END IF;
+
+  -- 3. Position
+  SELECT * INTO v_position
+    FROM positions
+   WHERE user_id = p_user_id
+     AND market_id = p_market_id
+     AND outcome = v_outcome
+   FOR UPDATE;
+
+  IF v_shares_delta < 0 THEN
+    -- Sale: release cost basis in proportion to the shares sold
+    IF v_position.id IS NULL OR v_position.shares + v_shares_delta < -0.000001 THEN
+      RAISE EXCEPTION 'INSUFFICIENT_SHARES';
+    END IF;
+
+    v_cost_basis := v_position.total_invested * (-v_shares_delta / v_position.shares);
+    v_realized_pnl := COALESCE((p_position->>'proceeds')::NUMERIC, 0) - v_cost_basis;
+
+    UPDATE positions
+       SET shares = GREATEST(shares + v_shares_delta, 0),
+           total_invested = GREATEST(total_invested - v_cost_basis, 0),
+           realized_pnl = realized_pnl + v_realized_pnl,
+           current_value = GREATEST(shares + v_shares_delta, 0) * v_price
+     WHERE id = v_position.id
+    RETURNING * INTO v_position;
+  ELSIF v_position.id IS NULL THEN
+    INSERT INTO positions (
+      user_id, market_id, outcome, shares, avg_price, total_invested, current_value
+    ) VALUES (
+      p_user_id, p_market_id, v_outcome, v_shares_delta,
+      v_invested_delta / NULLIF(v_shares_delta, 0),
+      v_invested_delta, v_shares_delta * v_price
+    )
+    RETURNING * INTO v_position;
+  ELSE
+    UPDATE positions
+       SET shares = shares + v_shares_delta,
+           total_invested = total_invested + v_invested_delta,
+           avg_price = (total_invested + v_invested_delta) / NULLIF(shares + v_shares_delta, 0),
+           current_value = (shares + v_shares_delta) * v_price
+     WHERE id = v_position.id
+    RETURNING * INTO v_position;
+  END IF;
+
+  -- 4. Bet record (only the supplied columns, so table defaults still apply)
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+  FROM jsonb_object_keys(p_bet) AS key;
+
+  EXECUTE format(
+    'INSERT INTO bets (%1$s)
+     SELECT %1$s FROM jsonb_populate_record(NULL::bets, $1)
+     RETURNING *',
+    v_columns
+  ) INTO v_bet USING p_bet;
+
+  -- 5. Transaction log
+  INSERT INTO transactions (user_id, type, amount, balance_after, reference_id)
+  VALUES (p_user_id, p_transaction_type, ABS(p_balance_delta), v_balance, v_bet.id);
+
+  -- 6. Price history
+  INSERT INTO price_history (
+    market_id, yes_price, no_price, yes_pool, no_pool, total_volume, bet_id
+  ) VALUES (
+    p_market_id, v_market.yes_price, v_market.no_price,
+    v_market.yes_pool, v_market.no_pool, v_market.total_volume, v_bet.id
+  );
+
+  RETURN jsonb_build_object(
+    'bet', to_jsonb(v_bet),
+    'balance', v_balance,
+    'position', to_jsonb(v_position),
+    'cost_basis', v_cost_basis,
+    'realized_pnl', v_realized_pnl,
+    'market_version', v_market.version
+  );
+END;
+$$;
+
+-- Only the API (service role) may execute trades
+REVOKE ALL ON FUNCTION execute_trade(UUID, INTEGER, JSONB, JSONB, UUID, NUMERIC, JSONB, TEXT)
+  FROM PUBLIC, anon, authenticated;
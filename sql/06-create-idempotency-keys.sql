@@ -0,0 +1,24 @@
+-- =============================================================
+-- 06: Idempotency keys
+-- Stores the first response for each Idempotency-Key so retried
+-- state-changing requests are replayed instead of re-executed
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  scope TEXT NOT NULL,            -- user ID, or 'anonymous' for public routes
+  key TEXT NOT NULL,              -- client-supplied Idempotency-Key header
+  request_hash TEXT NOT NULL,     -- SHA-256 of method, path and body
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER,            -- NULL while the first request is in flight
+  response JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  completed_at TIMESTAMPTZ,
+  PRIMARY KEY (scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at
+  ON idempotency_keys (created_at);
+
+-- Only the API (service role) reads or writes idempotency keys
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
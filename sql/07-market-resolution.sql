@@ -0,0 +1,64 @@
+-- =============================================================
+-- 07: Market resolution and payout settlement
+-- Records the winning outcome and settles each position exactly once
+-- =============================================================
+
+ALTER TABLE markets
+  ADD COLUMN IF NOT EXISTS resolved_outcome TEXT,
+  ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS resolved_by UUID;
+
+ALTER TABLE positions
+  ADD COLUMN IF NOT EXISTS payout NUMERIC,
+  ADD COLUMN IF NOT EXISTS settled_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_positions_market_unsettled
+  ON positions (market_id) WHERE settled_at IS NULL;
+
+-- Settle one position: mark it settled, credit the payout and log it.
+-- Positions already settled are skipped, so re-running a resolution after a
+-- partial failure never pays twice.
+CREATE OR REPLACE FUNCTION settle_position(
+  p_position_id UUID,
+  p_payout NUMERIC,
+  p_transaction_type TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_position positions%ROWTYPE;
+  v_balance NUMERIC;
+BEGIN
+  UPDATE positions
+     SET settled_at = now(),
+         payout = p_payout,
+         current_value = p_payout
+   WHERE id = p_position_id
+     AND settled_at IS NULL
+  RETURNING * INTO v_position;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('settled', false);
+  END IF;
+
+  IF p_payout > 0 THEN
+    UPDATE profiles
+       SET balance = balance + p_payout
+     WHERE id = v_position.user_id
+    RETURNING balance INTO v_balance;
+
+    INSERT INTO transactions (user_id, type, amount, balance_after, reference_id)
+    VALUES (v_position.user_id, p_transaction_type, p_payout, v_balance, v_position.id);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'settled', true,
+    'user_id', v_position.user_id,
+    'payout', p_payout,
+    'balance', v_balance
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION settle_position(UUID, NUMERIC, TEXT)
+  FROM PUBLIC, anon, authenticated;
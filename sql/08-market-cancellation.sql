@@ -0,0 +1,91 @@
+-- =============================================================
+-- 08: Market cancellation with refunds
+-- Voids a market and refunds each bettor's stake exactly once
+-- =============================================================
+
+ALTER TABLE markets
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancelled_by UUID,
+  ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+-- Refund one user's bets on a market: cancel the bets, credit the refund,
+-- zero the positions and log it, in one transaction.
+--
+-- Refund = net stakes paid on buys - net proceeds received from sells.
+-- With p_include_fees the buy fees are returned too, leaving the user exactly
+-- where they started; fees on sells were already withheld from the proceeds.
+-- Only bets still open are refunded, so re-running a cancellation after a
+-- partial failure never refunds twice.
+CREATE OR REPLACE FUNCTION refund_user_bets(
+  p_market_id UUID,
+  p_user_id UUID,
+  p_include_fees BOOLEAN,
+  p_transaction_type TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_bets_cancelled INTEGER;
+  v_refund NUMERIC;
+  v_fees NUMERIC;
+  v_balance NUMERIC;
+BEGIN
+  WITH cancelled AS (
+    UPDATE bets
+       SET status = 'cancelled'
+     WHERE market_id = p_market_id
+       AND user_id = p_user_id
+       AND status IN ('pending', 'matched')
+    RETURNING side, amount, COALESCE(house_fee, 0) AS house_fee
+  )
+  SELECT COUNT(*),
+         COALESCE(SUM(CASE WHEN side = 'sell'
+                           THEN -(amount - house_fee)
+                           ELSE amount - house_fee END), 0),
+         COALESCE(SUM(CASE WHEN side = 'sell' THEN 0 ELSE house_fee END), 0)
+    INTO v_bets_cancelled, v_refund, v_fees
+    FROM cancelled;
+
+  IF v_bets_cancelled = 0 THEN
+    RETURN jsonb_build_object('refunded', false);
+  END IF;
+
+  IF p_include_fees THEN
+    v_refund := v_refund + v_fees;
+  ELSE
+    v_fees := 0;
+  END IF;
+
+  -- Users who sold at a profit keep it; nothing is clawed back
+  v_refund := GREATEST(v_refund, 0);
+
+  UPDATE positions
+     SET shares = 0,
+         current_value = 0,
+         payout = 0,
+         settled_at = now()
+   WHERE market_id = p_market_id
+     AND user_id = p_user_id;
+
+  IF v_refund > 0 THEN
+    UPDATE profiles
+       SET balance = balance + v_refund
+     WHERE id = p_user_id
+    RETURNING balance INTO v_balance;
+
+    INSERT INTO transactions (user_id, type, amount, balance_after, reference_id)
+    VALUES (p_user_id, p_transaction_type, v_refund, v_balance, p_market_id);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'refunded', true,
+    'bets_cancelled', v_bets_cancelled,
+    'refund', v_refund,
+    'fees_refunded', v_fees,
+    'balance', v_balance
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION refund_user_bets(UUID, UUID, BOOLEAN, TEXT)
+  FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,147 @@
+-- =============================================================
+-- 09: Liquidity provider deposits, withdrawals and LP shares
+--
+-- LP shares are minted in proportion to the pool value a deposit adds
+-- (value = 2 * yes_pool * no_pool / (yes_pool + no_pool), which equals the
+-- per-side size of a symmetric pool). The house owns the initial shares.
+--
+-- Fees are tracked with a per-share accumulator: every trade adds its LP
+-- portion of the house fee divided by lp_total_shares to lp_fee_per_share,
+-- and each LP is owed shares * lp_fee_per_share - fee_debt.
+-- =============================================================
+
+ALTER TABLE markets
+  ADD COLUMN IF NOT EXISTS lp_total_shares NUMERIC,
+  ADD COLUMN IF NOT EXISTS lp_fee_per_share NUMERIC NOT NULL DEFAULT 0;
+
+-- Existing pools are owned entirely by the house
+UPDATE markets
+   SET lp_total_shares = 2 * yes_pool * no_pool / (yes_pool + no_pool)
+ WHERE pool_initialized
+   AND lp_total_shares IS NULL
+   AND yes_pool + no_pool > 0;
+
+CREATE TABLE IF NOT EXISTS liquidity_positions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  market_id UUID NOT NULL REFERENCES markets(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  shares NUMERIC NOT NULL DEFAULT 0 CHECK (shares >= 0),
+  fee_debt NUMERIC NOT NULL DEFAULT 0,
+  fees_earned NUMERIC NOT NULL DEFAULT 0,
+  total_deposited NUMERIC NOT NULL DEFAULT 0,
+  total_withdrawn NUMERIC NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (market_id, user_id)
+);
+
+ALTER TABLE liquidity_positions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own liquidity positions" ON liquidity_positions;
+CREATE POLICY "Users can view own liquidity positions"
+  ON liquidity_positions FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Apply a deposit or withdrawal atomically: market pools and LP totals,
+-- the LP position, accrued fees and balance either all commit or none do.
+-- Uses the same optimistic market version check as execute_trade().
+CREATE OR REPLACE FUNCTION execute_liquidity_change(
+  p_market_id UUID,
+  p_expected_version INTEGER,
+  p_market JSONB,              -- market columns to update (pools, k, LP totals)
+  p_user_id UUID,
+  p_balance_delta NUMERIC,     -- negative for deposits, positive for withdrawals
+  p_shares_delta NUMERIC,      -- LP shares minted (+) or burned (-)
+  p_transaction_type TEXT,
+  p_fee_transaction_type TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_columns TEXT;
+  v_market markets%ROWTYPE;
+  v_position liquidity_positions%ROWTYPE;
+  v_fees NUMERIC;
+  v_balance NUMERIC;
+BEGIN
+  -- 1. Market pools, only if nobody traded since we priced
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+  FROM jsonb_object_keys(p_market) AS key;
+
+  EXECUTE format(
+    'UPDATE markets
+        SET (%1$s, version, last_price_update) =
+            (SELECT %1$s, $2 + 1, now() FROM jsonb_populate_record(NULL::markets, $1))
+      WHERE id = $3 AND version = $2
+      RETURNING *',
+    v_columns
+  ) INTO v_market USING p_market, p_expected_version, p_market_id;
+
+  IF v_market.id IS NULL THEN
+    RAISE EXCEPTION 'MARKET_CONFLICT';
+  END IF;
+
+  -- 2. LP position
+  INSERT INTO liquidity_positions (market_id, user_id)
+  VALUES (p_market_id, p_user_id)
+  ON CONFLICT (market_id, user_id) DO NOTHING;
+
+  SELECT * INTO v_position
+    FROM liquidity_positions
+   WHERE market_id = p_market_id
+     AND user_id = p_user_id
+   FOR UPDATE;
+
+  IF v_position.shares + p_shares_delta < -0.000001 THEN
+    RAISE EXCEPTION 'INSUFFICIENT_LP_SHARES';
+  END IF;
+
+  -- Fees accrued on the shares held so far
+  v_fees := GREATEST(v_position.shares * v_market.lp_fee_per_share - v_position.fee_debt, 0);
+
+  UPDATE liquidity_positions
+     SET shares = GREATEST(shares + p_shares_delta, 0),
+         fee_debt = GREATEST(shares + p_shares_delta, 0) * v_market.lp_fee_per_share,
+         fees_earned = fees_earned + v_fees,
+         total_deposited = total_deposited + GREATEST(-p_balance_delta, 0),
+         total_withdrawn = total_withdrawn + GREATEST(p_balance_delta, 0),
+         updated_at = now()
+   WHERE id = v_position.id
+  RETURNING * INTO v_position;
+
+  -- 3. Balance (never below zero)
+  UPDATE profiles
+     SET balance = balance + p_balance_delta
+   WHERE id = p_user_id
+     AND balance + p_balance_delta >= 0
+  RETURNING balance INTO v_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INSUFFICIENT_BALANCE';
+  END IF;
+
+  INSERT INTO transactions (user_id, type, amount, balance_after, reference_id)
+  VALUES (p_user_id, p_transaction_type, ABS(p_balance_delta), v_balance, v_position.id);
+
+  -- 4. Accrued fees
+  IF v_fees > 0 THEN
+    UPDATE profiles
+       SET balance = balance + v_fees
+     WHERE id = p_user_id
+    RETURNING balance INTO v_balance;
+
+    INSERT INTO transactions (user_id, type, amount, balance_after, reference_id)
+    VALUES (p_user_id, p_fee_transaction_type, v_fees, v_balance, v_position.id);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'position', to_jsonb(v_position),
+    'fees_paid', v_fees,
+    'balance', v_balance,
+    'market_version', v_market.version
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION execute_liquidity_change(UUID, INTEGER, JSONB, UUID, NUMERIC, NUMERIC, TEXT, TEXT)
+  FROM PUBLIC, anon, authenticated;
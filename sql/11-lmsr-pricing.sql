@@ -0,0 +1,26 @@
+-- =============================================================
+-- 11: LMSR pricing engine
+--
+-- Yes/no markets can trade under a logarithmic market scoring rule instead
+-- of the CPMM. An LMSR market stores the YES and NO shares outstanding and
+-- the liquidity parameter b; the house can lose at most b * ln(2) on it.
+-- Its yes_pool, no_pool and liquidity_constant are unused (NULL), while
+-- yes_price and no_price are kept current for both engines.
+-- =============================================================
+
+ALTER TABLE markets
+  ADD COLUMN IF NOT EXISTS pricing_model TEXT NOT NULL DEFAULT 'cpmm'
+    CHECK (pricing_model IN ('cpmm', 'lmsr')),
+  ADD COLUMN IF NOT EXISTS lmsr_b NUMERIC CHECK (lmsr_b > 0),
+  ADD COLUMN IF NOT EXISTS lmsr_yes_shares NUMERIC,
+  ADD COLUMN IF NOT EXISTS lmsr_no_shares NUMERIC;
+
+ALTER TABLE markets
+  ALTER COLUMN liquidity_constant DROP NOT NULL;
+
+-- LMSR is only offered on yes/no markets
+ALTER TABLE markets
+  DROP CONSTRAINT IF EXISTS markets_lmsr_binary_only;
+ALTER TABLE markets
+  ADD CONSTRAINT markets_lmsr_binary_only
+    CHECK (pricing_model = 'cpmm' OR market_type = 'binary');
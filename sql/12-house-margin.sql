@@ -0,0 +1,15 @@
+-- =============================================================
+-- 12: Per-market house margin
+--
+-- markets.house_margin overrides the category default (CATEGORY_MARGINS)
+-- and the global HOUSE_MARGIN for one market; NULL means no override.
+-- Stake-size tiers still apply on top of it. Each bet stores the margin it
+-- was actually charged, so fees can be audited after the schedule changes.
+-- =============================================================
+
+ALTER TABLE markets
+  ADD COLUMN IF NOT EXISTS house_margin NUMERIC
+    CHECK (house_margin BETWEEN 0.001 AND 0.10);
+
+ALTER TABLE bets
+  ADD COLUMN IF NOT EXISTS house_margin NUMERIC;
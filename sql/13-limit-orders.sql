@@ -0,0 +1,192 @@
+-- =============================================================
+-- 13: Limit orders
+--
+-- A limit order buys an outcome once its price falls to limit_price or
+-- below. The full stake is reserved from the user's balance when the order
+-- is placed; fills spend the reservation through execute_trade() and
+-- cancellation returns whatever is left unfilled.
+--
+-- Each fill buys only as much as keeps the price at or below the limit, so
+-- an order can fill across several trades (status 'partially_filled').
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS orders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  market_id UUID NOT NULL REFERENCES markets(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  outcome TEXT NOT NULL,
+  limit_price NUMERIC NOT NULL CHECK (limit_price > 0 AND limit_price < 1),
+  amount NUMERIC NOT NULL CHECK (amount > 0),
+  filled_amount NUMERIC NOT NULL DEFAULT 0 CHECK (filled_amount >= 0),
+  shares_filled NUMERIC NOT NULL DEFAULT 0 CHECK (shares_filled >= 0),
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'partially_filled', 'filled', 'cancelled')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  cancelled_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_market_status ON orders (market_id, status);
+CREATE INDEX IF NOT EXISTS idx_orders_user ON orders (user_id, created_at DESC);
+
+ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own orders" ON orders;
+CREATE POLICY "Users can view own orders"
+  ON orders FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Bets record the order they filled
+ALTER TABLE bets
+  ADD COLUMN IF NOT EXISTS order_id UUID REFERENCES orders(id);
+
+-- Place an order: reserve the stake and insert the order atomically
+CREATE OR REPLACE FUNCTION place_limit_order(
+  p_order JSONB,             -- { market_id, user_id, outcome, limit_price, amount }
+  p_transaction_type TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_balance NUMERIC;
+BEGIN
+  UPDATE profiles
+     SET balance = balance - (p_order->>'amount')::NUMERIC
+   WHERE id = (p_order->>'user_id')::UUID
+     AND balance >= (p_order->>'amount')::NUMERIC
+  RETURNING balance INTO v_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INSUFFICIENT_BALANCE';
+  END IF;
+
+  INSERT INTO orders (market_id, user_id, outcome, limit_price, amount)
+  VALUES (
+    (p_order->>'market_id')::UUID,
+    (p_order->>'user_id')::UUID,
+    p_order->>'outcome',
+    (p_order->>'limit_price')::NUMERIC,
+    (p_order->>'amount')::NUMERIC
+  )
+  RETURNING * INTO v_order;
+
+  INSERT INTO transactions (user_id, type, amount, balance_after, reference_id)
+  VALUES (v_order.user_id, p_transaction_type, v_order.amount, v_balance, v_order.id);
+
+  RETURN jsonb_build_object('order', to_jsonb(v_order), 'balance', v_balance);
+END;
+$$;
+
+-- Cancel an order and return the unfilled reservation
+-- p_user_id restricts the cancel to the order's owner; NULL for admin voids
+CREATE OR REPLACE FUNCTION cancel_limit_order(
+  p_order_id UUID,
+  p_user_id UUID,
+  p_transaction_type TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_refund NUMERIC;
+  v_balance NUMERIC;
+BEGIN
+  SELECT * INTO v_order
+    FROM orders
+   WHERE id = p_order_id
+     AND (p_user_id IS NULL OR user_id = p_user_id)
+   FOR UPDATE;
+
+  IF v_order.id IS NULL THEN
+    RAISE EXCEPTION 'ORDER_NOT_FOUND';
+  END IF;
+
+  IF v_order.status NOT IN ('open', 'partially_filled') THEN
+    RAISE EXCEPTION 'ORDER_NOT_OPEN';
+  END IF;
+
+  v_refund := GREATEST(v_order.amount - v_order.filled_amount, 0);
+
+  UPDATE orders
+     SET status = 'cancelled',
+         cancelled_at = now(),
+         updated_at = now()
+   WHERE id = p_order_id
+  RETURNING * INTO v_order;
+
+  UPDATE profiles
+     SET balance = balance + v_refund
+   WHERE id = v_order.user_id
+  RETURNING balance INTO v_balance;
+
+  IF v_refund > 0 THEN
+    INSERT INTO transactions (user_id, type, amount, balance_after, reference_id)
+    VALUES (v_order.user_id, p_transaction_type, v_refund, v_balance, v_order.id);
+  END IF;
+
+  RETURN jsonb_build_object('order', to_jsonb(v_order), 'refund', v_refund, 'balance', v_balance);
+END;
+$$;
+
+-- Fill (part of) an order: release that much of the reservation and spend
+-- it through execute_trade(), so the fill commits exactly like a bet
+CREATE OR REPLACE FUNCTION fill_limit_order(
+  p_order_id UUID,
+  p_fill_amount NUMERIC,
+  p_market_id UUID,
+  p_expected_version INTEGER,
+  p_market JSONB,
+  p_bet JSONB,
+  p_user_id UUID,
+  p_balance_delta NUMERIC,
+  p_position JSONB,
+  p_transaction_type TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order orders%ROWTYPE;
+  v_result JSONB;
+BEGIN
+  SELECT * INTO v_order
+    FROM orders
+   WHERE id = p_order_id
+     AND user_id = p_user_id
+     AND market_id = p_market_id
+   FOR UPDATE;
+
+  IF v_order.id IS NULL
+     OR v_order.status NOT IN ('open', 'partially_filled')
+     OR v_order.amount - v_order.filled_amount < p_fill_amount - 0.000001 THEN
+    RAISE EXCEPTION 'ORDER_NOT_OPEN';
+  END IF;
+
+  UPDATE profiles
+     SET balance = balance + p_fill_amount
+   WHERE id = p_user_id;
+
+  v_result := execute_trade(
+    p_market_id, p_expected_version, p_market, p_bet,
+    p_user_id, p_balance_delta, p_position, p_transaction_type
+  );
+
+  UPDATE orders
+     SET filled_amount = LEAST(filled_amount + p_fill_amount, amount),
+         shares_filled = shares_filled + (p_position->>'shares_delta')::NUMERIC,
+         status = CASE
+           WHEN amount - (filled_amount + p_fill_amount) < 0.000001 THEN 'filled'
+           ELSE 'partially_filled'
+         END,
+         updated_at = now()
+   WHERE id = p_order_id
+  RETURNING * INTO v_order;
+
+  RETURN v_result || jsonb_build_object('order', to_jsonb(v_order));
+END;
+$$;
+
+REVOKE ALL ON FUNCTION place_limit_order(JSONB, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION cancel_limit_order(UUID, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION fill_limit_order(UUID, NUMERIC, UUID, INTEGER, JSONB, JSONB, UUID, NUMERIC, JSONB, TEXT)
+  FROM PUBLIC, anon, authenticated;
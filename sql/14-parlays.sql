@@ -0,0 +1,183 @@
+-- =============================================================
+-- 14: Parlays (accumulators)
+--
+-- A parlay combines odds-multiplier bets on several markets into one stake.
+-- Each leg locks in its odds when placed; the combined odds are their
+-- product. Parlays are held by the house and do not move market pools.
+--
+-- Legs are marked won/lost when their market resolves and void when it is
+-- cancelled. settle_parlay() then settles the parlay:
+--   - any leg lost            -> lost, nothing paid
+--   - legs still open         -> left open
+--   - every leg void          -> void, stake (after fee) returned
+--   - otherwise               -> won, stake after fee × product of won legs' odds
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS parlays (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  stake NUMERIC NOT NULL CHECK (stake > 0),
+  stake_after_fee NUMERIC NOT NULL CHECK (stake_after_fee > 0),
+  house_fee NUMERIC NOT NULL DEFAULT 0,
+  house_margin NUMERIC,
+  combined_odds NUMERIC NOT NULL CHECK (combined_odds >= 1),
+  potential_payout NUMERIC NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'won', 'lost', 'void')),
+  settled_odds NUMERIC,
+  payout NUMERIC,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  settled_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS parlay_legs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  parlay_id UUID NOT NULL REFERENCES parlays(id) ON DELETE CASCADE,
+  market_id UUID NOT NULL REFERENCES markets(id) ON DELETE CASCADE,
+  outcome TEXT NOT NULL,
+  probability NUMERIC NOT NULL,
+  odds NUMERIC NOT NULL CHECK (odds >= 1),
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'won', 'lost', 'void')),
+  settled_at TIMESTAMPTZ,
+  UNIQUE (parlay_id, market_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_parlays_user ON parlays (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_parlay_legs_market ON parlay_legs (market_id, status);
+
+ALTER TABLE parlays ENABLE ROW LEVEL SECURITY;
+ALTER TABLE parlay_legs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own parlays" ON parlays;
+CREATE POLICY "Users can view own parlays"
+  ON parlays FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can view own parlay legs" ON parlay_legs;
+CREATE POLICY "Users can view own parlay legs"
+  ON parlay_legs FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM parlays WHERE parlays.id = parlay_id AND parlays.user_id = auth.uid()
+  ));
+
+-- Take the stake and record the parlay with its legs atomically
+CREATE OR REPLACE FUNCTION place_parlay(
+  p_parlay JSONB,            -- parlays columns to insert
+  p_legs JSONB,              -- [{ market_id, outcome, probability, odds }, ...]
+  p_transaction_type TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_columns TEXT;
+  v_parlay parlays%ROWTYPE;
+  v_balance NUMERIC;
+BEGIN
+  UPDATE profiles
+     SET balance = balance - (p_parlay->>'stake')::NUMERIC
+   WHERE id = (p_parlay->>'user_id')::UUID
+     AND balance >= (p_parlay->>'stake')::NUMERIC
+  RETURNING balance INTO v_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INSUFFICIENT_BALANCE';
+  END IF;
+
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+  FROM jsonb_object_keys(p_parlay) AS key;
+
+  EXECUTE format(
+    'INSERT INTO parlays (%1$s)
+     SELECT %1$s FROM jsonb_populate_record(NULL::parlays, $1)
+     RETURNING *',
+    v_columns
+  ) INTO v_parlay USING p_parlay;
+
+  INSERT INTO parlay_legs (parlay_id, market_id, outcome, probability, odds)
+  SELECT v_parlay.id, leg.market_id, leg.outcome, leg.probability, leg.odds
+    FROM jsonb_to_recordset(p_legs)
+      AS leg(market_id UUID, outcome TEXT, probability NUMERIC, odds NUMERIC);
+
+  INSERT INTO transactions (user_id, type, amount, balance_after, reference_id)
+  VALUES (v_parlay.user_id, p_transaction_type, v_parlay.stake, v_balance, v_parlay.id);
+
+  RETURN jsonb_build_object(
+    'parlay', to_jsonb(v_parlay),
+    'legs', (SELECT jsonb_agg(to_jsonb(l)) FROM parlay_legs l WHERE l.parlay_id = v_parlay.id),
+    'balance', v_balance
+  );
+END;
+$$;
+
+-- Settle a parlay once its legs decide it; a no-op while it is still open
+-- or if it was already settled, so re-running is safe
+CREATE OR REPLACE FUNCTION settle_parlay(
+  p_parlay_id UUID,
+  p_transaction_type TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_parlay parlays%ROWTYPE;
+  v_leg parlay_legs%ROWTYPE;
+  v_open INTEGER := 0;
+  v_lost INTEGER := 0;
+  v_won INTEGER := 0;
+  v_odds NUMERIC := 1;
+  v_status TEXT;
+  v_payout NUMERIC := 0;
+  v_balance NUMERIC;
+BEGIN
+  SELECT * INTO v_parlay FROM parlays WHERE id = p_parlay_id FOR UPDATE;
+
+  IF v_parlay.id IS NULL OR v_parlay.status <> 'open' THEN
+    RETURN jsonb_build_object('settled', false);
+  END IF;
+
+  FOR v_leg IN SELECT * FROM parlay_legs WHERE parlay_id = p_parlay_id LOOP
+    IF v_leg.status = 'open' THEN
+      v_open := v_open + 1;
+    ELSIF v_leg.status = 'lost' THEN
+      v_lost := v_lost + 1;
+    ELSIF v_leg.status = 'won' THEN
+      v_won := v_won + 1;
+      v_odds := v_odds * v_leg.odds;
+    END IF;
+  END LOOP;
+
+  IF v_lost > 0 THEN
+    v_status := 'lost';
+  ELSIF v_open > 0 THEN
+    RETURN jsonb_build_object('settled', false);
+  ELSIF v_won = 0 THEN
+    v_status := 'void';
+    v_payout := v_parlay.stake_after_fee;
+  ELSE
+    v_status := 'won';
+    v_payout := v_parlay.stake_after_fee * v_odds;
+  END IF;
+
+  UPDATE parlays
+     SET status = v_status,
+         settled_odds = CASE WHEN v_status = 'lost' THEN 0 ELSE v_odds END,
+         payout = v_payout,
+         settled_at = now()
+   WHERE id = p_parlay_id;
+
+  IF v_payout > 0 THEN
+    UPDATE profiles
+       SET balance = balance + v_payout
+     WHERE id = v_parlay.user_id
+    RETURNING balance INTO v_balance;
+
+    INSERT INTO transactions (user_id, type, amount, balance_after, reference_id)
+    VALUES (v_parlay.user_id, p_transaction_type, v_payout, v_balance, p_parlay_id);
+  END IF;
+
+  RETURN jsonb_build_object('settled', true, 'status', v_status, 'payout', v_payout);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION place_parlay(JSONB, JSONB, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION settle_parlay(UUID, TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,209 @@
+-- =============================================================
+-- 15: Fixed-odds liability
+--
+-- Odds-multiplier bets (/bet-odds) promise payout = stake after fee × odds
+-- at the time of the bet. They are held by the house rather than the pool:
+-- the stake still trades through the pool so prices move, but no position
+-- is created. Instead each bet is flagged bet_type = 'fixed_odds' and the
+-- promised payout is added to the market's liability for that outcome:
+--
+--   fixed_odds_liability = { "<outcome>": { bets, stake, payout, shares } }
+--
+-- where shares are the tokens the bets drew from the pool. The column is
+-- written with the pool update in execute_trade(), so it commits with the bet.
+-- When the market resolves, settle_fixed_odds_bet() pays each winning bet
+-- its promised payout (potential_return). Cancelled markets refund these
+-- bets through refund_user_bets() like any other.
+--
+-- Fixed-odds bets placed before this migration kept their payout as
+-- position shares and are still settled through their positions.
+-- =============================================================
+
+ALTER TABLE markets
+  ADD COLUMN IF NOT EXISTS fixed_odds_liability JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE bets
+  ADD COLUMN IF NOT EXISTS bet_type TEXT NOT NULL DEFAULT 'shares'
+    CHECK (bet_type IN ('shares', 'fixed_odds'));
+
+CREATE INDEX IF NOT EXISTS idx_bets_market_fixed_odds
+  ON bets (market_id) WHERE bet_type = 'fixed_odds' AND status = 'matched';
+
+-- Same as 10-categorical-markets.sql, except the position step is skipped
+-- when p_position is null
+
+CREATE OR REPLACE FUNCTION execute_trade(
+  p_market_id UUID,
+  p_expected_version INTEGER,
+  p_market JSONB,            -- market columns to update (pools, prices, volume)
+  p_bet JSONB,               -- bets columns to insert
+  p_user_id UUID,
+  p_balance_delta NUMERIC,   -- negative for stakes, positive for proceeds
+  p_position JSONB,          -- { outcome, shares_delta, invested_delta, proceeds, price }, or null
+  p_transaction_type TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_columns TEXT;
+  v_market markets%ROWTYPE;
+  v_bet bets%ROWTYPE;
+  v_position positions%ROWTYPE;
+  v_balance NUMERIC;
+  v_outcome TEXT := p_position->>'outcome';
+  v_shares_delta NUMERIC := COALESCE((p_position->>'shares_delta')::NUMERIC, 0);
+  v_invested_delta NUMERIC := COALESCE((p_position->>'invested_delta')::NUMERIC, 0);
+  v_price NUMERIC := COALESCE((p_position->>'price')::NUMERIC, 0);
+  v_cost_basis NUMERIC := 0;
+  v_realized_pnl NUMERIC := 0;
+BEGIN
+  -- 1. Market pools and prices, only if nobody traded since we priced
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+  FROM jsonb_object_keys(p_market) AS key;
+
+  EXECUTE format(
+    'UPDATE markets
+        SET (%1$s, version, last_price_update) =
+            (SELECT %1$s, $2 + 1, now() FROM jsonb_populate_record(NULL::markets, $1))
+      WHERE id = $3 AND version = $2
+      RETURNING *',
+    v_columns
+  ) INTO v_market USING p_market, p_expected_version, p_market_id;
+
+  IF v_market.id IS NULL THEN
+    RAISE EXCEPTION 'MARKET_CONFLICT';
+  END IF;
+
+  -- 2. Balance (never below zero)
+  UPDATE profiles
+     SET balance = balance + p_balance_delta
+   WHERE id = p_user_id
+     AND balance + p_balance_delta >= 0
+  RETURNING balance INTO v_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INSUFFICIENT_BALANCE';
+  END IF;
+
+  -- 3. Position (fixed-odds bets are held by the house and have none)
+  IF COALESCE(jsonb_typeof(p_position), 'null') <> 'null' THEN
+    SELECT * INTO v_position
+      FROM positions
+     WHERE user_id = p_user_id
+       AND market_id = p_market_id
+       AND outcome = v_outcome
+     FOR UPDATE;
+
+    IF v_shares_delta < 0 THEN
+      -- Sale: release cost basis in proportion to the shares sold
+      IF v_position.id IS NULL OR v_position.shares + v_shares_delta < -0.000001 THEN
+        RAISE EXCEPTION 'INSUFFICIENT_SHARES';
+      END IF;
+
+      v_cost_basis := v_position.total_invested * (-v_shares_delta / v_position.shares);
+      v_realized_pnl := COALESCE((p_position->>'proceeds')::NUMERIC, 0) - v_cost_basis;
+
+      UPDATE positions
+         SET shares = GREATEST(shares + v_shares_delta, 0),
+             total_invested = GREATEST(total_invested - v_cost_basis, 0),
+             realized_pnl = realized_pnl + v_realized_pnl,
+             current_value = GREATEST(shares + v_shares_delta, 0) * v_price
+       WHERE id = v_position.id
+      RETURNING * INTO v_position;
+    ELSIF v_position.id IS NULL THEN
+      INSERT INTO positions (
+        user_id, market_id, outcome, shares, avg_price, total_invested, current_value
+      ) VALUES (
+        p_user_id, p_market_id, v_outcome, v_shares_delta,
+        v_invested_delta / NULLIF(v_shares_delta, 0),
+        v_invested_delta, v_shares_delta * v_price
+      )
+      RETURNING * INTO v_position;
+    ELSE
+      UPDATE positions
+         SET shares = shares + v_shares_delta,
+             total_invested = total_invested + v_invested_delta,
+             avg_price = (total_invested + v_invested_delta) / NULLIF(shares + v_shares_delta, 0),
+             current_value = (shares + v_shares_delta) * v_price
+       WHERE id = v_position.id
+      RETURNING * INTO v_position;
+    END IF;
+  END IF;
+
+  -- 4. Bet record (only the supplied columns, so table defaults still apply)
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+  FROM jsonb_object_keys(p_bet) AS key;
+
+  EXECUTE format(
+    'INSERT INTO bets (%1$s)
+     SELECT %1$s FROM jsonb_populate_record(NULL::bets, $1)
+     RETURNING *',
+    v_columns
+  ) INTO v_bet USING p_bet;
+
+  -- 5. Transaction log
+  INSERT INTO transactions (user_id, type, amount, balance_after, reference_id)
+  VALUES (p_user_id, p_transaction_type, ABS(p_balance_delta), v_balance, v_bet.id);
+
+  -- 6. Price history
+  INSERT INTO price_history (
+    market_id, yes_price, no_price, yes_pool, no_pool, outcome_prices, total_volume, bet_id
+  ) VALUES (
+    p_market_id, v_market.yes_price, v_market.no_price,
+    v_market.yes_pool, v_market.no_pool, v_market.outcomes,
+    v_market.total_volume, v_bet.id
+  );
+
+  RETURN jsonb_build_object(
+    'bet', to_jsonb(v_bet),
+    'balance', v_balance,
+    'position', to_jsonb(v_position),
+    'cost_basis', v_cost_basis,
+    'realized_pnl', v_realized_pnl,
+    'market_version', v_market.version
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION execute_trade(UUID, INTEGER, JSONB, JSONB, UUID, NUMERIC, JSONB, TEXT)
+  FROM PUBLIC, anon, authenticated;
+
+-- Settle one fixed-odds bet: mark it settled, credit the payout and log it.
+-- Bets already settled are skipped, so re-running a resolution never pays twice.
+CREATE OR REPLACE FUNCTION settle_fixed_odds_bet(
+  p_bet_id UUID,
+  p_payout NUMERIC,
+  p_transaction_type TEXT
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_bet bets%ROWTYPE;
+  v_balance NUMERIC;
+BEGIN
+  UPDATE bets
+     SET status = 'settled'
+   WHERE id = p_bet_id
+     AND bet_type = 'fixed_odds'
+     AND status = 'matched'
+  RETURNING * INTO v_bet;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('settled', false);
+  END IF;
+
+  IF p_payout > 0 THEN
+    UPDATE profiles
+       SET balance = balance + p_payout
+     WHERE id = v_bet.user_id
+    RETURNING balance INTO v_balance;
+
+    INSERT INTO transactions (user_id, type, amount, balance_after, reference_id)
+    VALUES (v_bet.user_id, p_transaction_type, p_payout, v_balance, v_bet.id);
+  END IF;
+
+  RETURN jsonb_build_object('settled', true, 'payout', p_payout);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION settle_fixed_odds_bet(UUID, NUMERIC, TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,22 @@
+-- =============================================================
+-- 16: House risk limits
+--
+-- Per-market overrides for the limits checked before every bet; NULL uses
+-- the defaults (MAX_OUTCOME_LIABILITY, MAX_POOL_UTILIZATION):
+--
+--   max_liability        - most the house may lose on any one outcome's
+--                          fixed-odds bets (payouts promised less stakes)
+--   max_pool_utilization - largest share of an outcome's pool one bet may draw
+--
+-- A bet that would take liability past max_liability is refused and the
+-- market is suspended (status = 'suspended') with the time and reason
+-- recorded, until an admin resumes it (POST /api/markets/:id/resume).
+-- =============================================================
+
+ALTER TABLE markets
+  ADD COLUMN IF NOT EXISTS max_liability NUMERIC
+    CHECK (max_liability > 0),
+  ADD COLUMN IF NOT EXISTS max_pool_utilization NUMERIC
+    CHECK (max_pool_utilization > 0 AND max_pool_utilization <= 1),
+  ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
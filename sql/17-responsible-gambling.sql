@@ -0,0 +1,42 @@
+-- =============================================================
+-- 17: Responsible gambling limits
+--
+-- Limits a user sets on their own betting, one row per user. NULL means no
+-- limit. Stake and loss limits apply over rolling windows (daily = 24 hours,
+-- weekly = 7 days, monthly = 30 days); max_bet_limit caps any single stake.
+--
+-- Lowering a limit applies at once. Raising or removing one is held in
+-- pending_changes until LIMIT_INCREASE_DELAY_HOURS have passed:
+--
+--   pending_changes = { "<limit>": { "value": <number|null>, "effectiveAt": "<iso>" } }
+--
+-- and applies from effectiveAt. No bets are accepted before cool_off_until
+-- or self_excluded_until; neither can be brought forward once set.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS user_limits (
+  user_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+  daily_stake_limit NUMERIC CHECK (daily_stake_limit > 0),
+  weekly_stake_limit NUMERIC CHECK (weekly_stake_limit > 0),
+  monthly_stake_limit NUMERIC CHECK (monthly_stake_limit > 0),
+  daily_loss_limit NUMERIC CHECK (daily_loss_limit > 0),
+  weekly_loss_limit NUMERIC CHECK (weekly_loss_limit > 0),
+  monthly_loss_limit NUMERIC CHECK (monthly_loss_limit > 0),
+  max_bet_limit NUMERIC CHECK (max_bet_limit > 0),
+  pending_changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+  cool_off_until TIMESTAMPTZ,
+  self_excluded_until TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Stake and loss windows are read per user by time
+CREATE INDEX IF NOT EXISTS idx_bets_user_created ON bets (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_transactions_user_created ON transactions (user_id, created_at DESC);
+
+ALTER TABLE user_limits ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own limits" ON user_limits;
+CREATE POLICY "Users can view own limits"
+  ON user_limits FOR SELECT
+  USING (auth.uid() = user_id);
@@ -0,0 +1,16 @@
+-- =============================================================
+-- 18: Price history reads through the API
+--
+-- GET /api/markets/:id/history reads price_history by market and time
+-- range (raw points, the latest point before the range, OHLC candles), so
+-- index it that way.
+--
+-- Charts now read history through the API with the service role, so the
+-- browser's anon key no longer needs the table. Run this after the
+-- frontend has moved to /history.
+-- =============================================================
+
+CREATE INDEX IF NOT EXISTS idx_price_history_market_time
+  ON price_history(market_id, created_at);
+
+REVOKE SELECT ON price_history FROM anon;
@@ -0,0 +1,63 @@
+-- =============================================================
+-- 19: Outbound webhooks
+--
+-- A subscription is a URL, the events it wants and optional filters:
+-- market_ids (NULL = every market) and price_thresholds (NULL = the API's
+-- defaults) for price.threshold_crossed. Its secret signs every payload.
+--
+-- Each event queues one delivery per matching subscription. The API
+-- claims an attempt by bumping attempts (guarded on the value it read),
+-- sends it, and records the response:
+--   - 2xx                              -> delivered
+--   - failed, attempts left            -> pending, retried at next_attempt_at
+--   - failed, out of attempts          -> dead (the dead-letter list)
+-- An admin can re-queue a dead delivery with a fresh set of attempts.
+--
+-- Only the API (service role) reads these tables: secrets never reach the
+-- browser, so RLS is on with no policies.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL CHECK (cardinality(events) > 0),
+  market_ids UUID[],
+  price_thresholds NUMERIC[],
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'delivered', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_attempt_at TIMESTAMPTZ,
+  response_status INTEGER,
+  last_error TEXT,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- The retry worker's poll
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+  ON webhook_deliveries (next_attempt_at)
+  WHERE status = 'pending';
+
+-- Delivery logs and the dead-letter list
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+  ON webhook_deliveries (subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status
+  ON webhook_deliveries (status, created_at DESC);
+
+ALTER TABLE webhook_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,120 @@
+-- =============================================================
+-- 20: Parlay liability
+--
+-- A parlay's potential payout is owed if every leg wins, so it counts
+-- against each market outcome it still has an open leg on. The exposure on
+-- an outcome is the potential payout of every open parlay with an open leg
+-- on it:
+--
+--   get_parlay_exposure(market_ids)
+--     = { "<market_id>": { "<outcome>": { parlays, stake, payout } } }
+--
+-- place_parlay() now takes the limit (MAX_PARLAY_LIABILITY). It locks the
+-- leg markets, so parlays on the same markets are placed one at a time, and
+-- refuses the parlay if its payout would take the exposure on any leg's
+-- outcome past the limit.
+-- =============================================================
+
+CREATE OR REPLACE FUNCTION get_parlay_exposure(
+  p_market_ids UUID[]
+) RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(jsonb_object_agg(market_id, outcomes), '{}'::jsonb)
+    FROM (
+      SELECT market_id, jsonb_object_agg(outcome, jsonb_build_object(
+               'parlays', parlays,
+               'stake', stake,
+               'payout', payout
+             )) AS outcomes
+        FROM (
+          SELECT l.market_id, l.outcome,
+                 count(*) AS parlays,
+                 sum(p.stake) AS stake,
+                 sum(p.potential_payout) AS payout
+            FROM parlay_legs l
+            JOIN parlays p ON p.id = l.parlay_id
+           WHERE l.market_id = ANY(p_market_ids)
+             AND l.status = 'open'
+             AND p.status = 'open'
+           GROUP BY l.market_id, l.outcome
+        ) AS exposure
+       GROUP BY market_id
+    ) AS markets;
+$$;
+
+DROP FUNCTION IF EXISTS place_parlay(JSONB, JSONB, TEXT);
+
+-- Same as 14-parlays.sql, after checking the exposure on each leg
+CREATE OR REPLACE FUNCTION place_parlay(
+  p_parlay JSONB,            -- parlays columns to insert
+  p_legs JSONB,              -- [{ market_id, outcome, probability, odds }, ...]
+  p_transaction_type TEXT,
+  p_max_liability NUMERIC    -- most owed on one outcome by open parlays
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_columns TEXT;
+  v_parlay parlays%ROWTYPE;
+  v_balance NUMERIC;
+  v_market_ids UUID[];
+  v_exposure JSONB;
+  v_leg RECORD;
+BEGIN
+  SELECT array_agg(leg.market_id) INTO v_market_ids
+    FROM jsonb_to_recordset(p_legs) AS leg(market_id UUID);
+
+  PERFORM 1 FROM markets WHERE id = ANY(v_market_ids) ORDER BY id FOR UPDATE;
+
+  v_exposure := get_parlay_exposure(v_market_ids);
+
+  FOR v_leg IN
+    SELECT leg.market_id, leg.outcome
+      FROM jsonb_to_recordset(p_legs) AS leg(market_id UUID, outcome TEXT)
+  LOOP
+    IF COALESCE((v_exposure #>> ARRAY[v_leg.market_id::TEXT, v_leg.outcome, 'payout'])::NUMERIC, 0)
+       + (p_parlay->>'potential_payout')::NUMERIC > p_max_liability THEN
+      RAISE EXCEPTION 'RISK_LIMIT_EXCEEDED';
+    END IF;
+  END LOOP;
+
+  UPDATE profiles
+     SET balance = balance - (p_parlay->>'stake')::NUMERIC
+   WHERE id = (p_parlay->>'user_id')::UUID
+     AND balance >= (p_parlay->>'stake')::NUMERIC
+  RETURNING balance INTO v_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INSUFFICIENT_BALANCE';
+  END IF;
+
+  SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+  FROM jsonb_object_keys(p_parlay) AS key;
+
+  EXECUTE format(
+    'INSERT INTO parlays (%1$s)
+     SELECT %1$s FROM jsonb_populate_record(NULL::parlays, $1)
+     RETURNING *',
+    v_columns
+  ) INTO v_parlay USING p_parlay;
+
+  INSERT INTO parlay_legs (parlay_id, market_id, outcome, probability, odds)
+  SELECT v_parlay.id, leg.market_id, leg.outcome, leg.probability, leg.odds
+    FROM jsonb_to_recordset(p_legs)
+      AS leg(market_id UUID, outcome TEXT, probability NUMERIC, odds NUMERIC);
+
+  INSERT INTO transactions (user_id, type, amount, balance_after, reference_id)
+  VALUES (v_parlay.user_id, p_transaction_type, v_parlay.stake, v_balance, v_parlay.id);
+
+  RETURN jsonb_build_object(
+    'parlay', to_jsonb(v_parlay),
+    'legs', (SELECT jsonb_agg(to_jsonb(l)) FROM parlay_legs l WHERE l.parlay_id = v_parlay.id),
+    'balance', v_balance
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION get_parlay_exposure(UUID[]) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION place_parlay(JSONB, JSONB, TEXT, NUMERIC) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,21 @@
+-- =============================================================
+-- 21: Redeemed quotes
+-- Firm quotes are signed tokens that any API instance can verify
+-- (see QuoteService). A quote is claimed here as its trade commits,
+-- so it can be executed only once, on any instance. Rows past
+-- expires_at can be deleted at any time: an expired quote is refused
+-- before it is claimed.
+-- =============================================================
+
+CREATE TABLE IF NOT EXISTS redeemed_quotes (
+  quote_id UUID PRIMARY KEY,         -- id inside the signed quote
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  redeemed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_redeemed_quotes_expires_at
+  ON redeemed_quotes (expires_at);
+
+-- Only the API (service role) reads or writes redeemed quotes
+ALTER TABLE redeemed_quotes ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,68 @@
+-- =============================================================
+-- 22: Price candles
+--
+-- GET /api/markets/:id/history builds its OHLC candles from per-interval
+-- aggregates computed here, so the API never reads the whole history.
+-- Intervals are aligned to the Unix epoch (UTC boundaries), one entry per
+-- interval with at least one price point:
+--
+--   get_price_candles(market_id, from, to, interval_seconds, outcome)
+--     = [{ bucket, open, high, low, close, open_volume, close_volume }, ...]
+--
+-- bucket is the interval start in epoch seconds; open/close are the first
+-- and last prices in it and open_volume/close_volume the market's running
+-- volume at those points. Filling intervals without trades is left to the API.
+-- =============================================================
+
+CREATE OR REPLACE FUNCTION get_price_candles(
+  p_market_id UUID,
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,               -- exclusive
+  p_interval_seconds INTEGER,
+  p_outcome TEXT
+) RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+  WITH points AS (
+    SELECT floor(extract(epoch FROM h.created_at) / p_interval_seconds)::BIGINT
+             * p_interval_seconds AS bucket,
+           h.created_at,
+           h.id,
+           COALESCE(
+             (SELECT (entry->>'price')::NUMERIC
+                FROM jsonb_array_elements(h.outcome_prices) AS entry
+               WHERE entry->>'key' = p_outcome
+               LIMIT 1),
+             CASE p_outcome WHEN 'yes' THEN h.yes_price WHEN 'no' THEN h.no_price END
+           ) AS price,
+           COALESCE(h.total_volume, 0) AS total_volume
+      FROM price_history h
+     WHERE h.market_id = p_market_id
+       AND h.created_at >= p_from
+       AND h.created_at < p_to
+  )
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+           'bucket', bucket,
+           'open', open,
+           'high', high,
+           'low', low,
+           'close', close,
+           'open_volume', open_volume,
+           'close_volume', close_volume
+         ) ORDER BY bucket), '[]'::jsonb)
+    FROM (
+      SELECT bucket,
+             (array_agg(price ORDER BY created_at, id))[1] AS open,
+             max(price) AS high,
+             min(price) AS low,
+             (array_agg(price ORDER BY created_at DESC, id DESC))[1] AS close,
+             (array_agg(total_volume ORDER BY created_at, id))[1] AS open_volume,
+             (array_agg(total_volume ORDER BY created_at DESC, id DESC))[1] AS close_volume
+        FROM points
+       GROUP BY bucket
+    ) AS buckets;
+$$;
+
+REVOKE ALL ON FUNCTION get_price_candles(UUID, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, TEXT)
+  FROM PUBLIC, anon, authenticated;
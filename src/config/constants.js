@@ -4,29 +4,138 @@
 
 require('dotenv').config();
 
+/**
+ * Parse a JSON environment variable, falling back on a missing or bad value
+ */
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`${name} is not valid JSON. Using default`);
+    return fallback;
+  }
+}
+
 module.exports = {
   // Server configuration
   PORT: process.env.PORT || 3001,
   NODE_ENV: process.env.NODE_ENV || 'development',
 
+  // Supabase app_metadata.role granting admin routes
+  ADMIN_ROLE: 'admin',
+
   // CORS configuration
   FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:8000',
 
   // AMM configuration
   HOUSE_MARGIN: parseFloat(process.env.HOUSE_MARGIN) || 0.02,
+  // Margin per market category, used when a market has no house_margin of its own
+  CATEGORY_MARGINS: parseJsonEnv('CATEGORY_MARGINS', {
+    promo: 0.005,
+    novelty: 0.05
+  }),
+  // Stake-size discounts: stakes of at least minStake pay margin × multiplier
+  MARGIN_TIERS: parseJsonEnv('MARGIN_TIERS', [
+    { minStake: 1000, multiplier: 0.75 }
+  ]),
   DEFAULT_POOL_SIZE: parseFloat(process.env.DEFAULT_POOL_SIZE) || 1000,
+  // Portion of the house fee paid to liquidity providers (0 disables)
+  LP_FEE_SHARE: process.env.LP_FEE_SHARE !== undefined
+    ? parseFloat(process.env.LP_FEE_SHARE)
+    : 0.5,
 
   // Slippage warning thresholds
+  // The critical threshold is also the default max slippage for bets that
+  // send no explicit limit (minTokensOut / maxEffectivePrice / maxSlippage)
   SLIPPAGE_WARNING_THRESHOLD: 0.05, // 5%
   SLIPPAGE_CRITICAL_THRESHOLD: 0.10, // 10%
 
+  // Market depth (GET /depth)
+  DEPTH_LADDER_STAKES: [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000],
+  DEPTH_MAX_STEPS: 25, // Most stakes a custom ladder may ask for
+  DEPTH_PRICE_MOVES: [0.01, 0.05, 0.10], // Price moves to report the stake needed for
+
+  // Price history candles (GET /history), interval name → milliseconds
+  HISTORY_INTERVALS: {
+    '1m': 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+  },
+  HISTORY_DEFAULT_INTERVAL: '1h',
+  HISTORY_MAX_CANDLES: 1440, // Most candles one request may span (a day of 1m)
+  // Raw points per history response; below the API's max-rows (PostgREST
+  // default 1000) so one more row can be read to tell whether any were left out
+  HISTORY_MAX_POINTS: 500,
+
+  // Live market stream (GET /stream, Server-Sent Events)
+  STREAM_HEARTBEAT_SECONDS: parseInt(process.env.STREAM_HEARTBEAT_SECONDS, 10) || 15,
+  STREAM_RETRY_MS: 3000, // Reconnect delay suggested to clients
+  STREAM_REPLAY_BUFFER_SIZE: 1000, // Recent events kept for resuming clients
+  STREAM_MAX_MARKETS: 50, // Most markets one connection may subscribe to
+
+  // Outbound webhooks
+  WEBHOOK_TIMEOUT_MS: 5000, // How long a subscriber has to respond
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  WEBHOOK_RETRY_BASE_SECONDS: 30, // Retry n waits 30s × 2^(n-1): 30s, 1m, 2m, 4m, 8m
+  WEBHOOK_POLL_SECONDS: 10, // How often due retries are picked up
+  WEBHOOK_BATCH_SIZE: 50, // Most deliveries attempted per poll
+  WEBHOOK_DEFAULT_PRICE_THRESHOLDS: [0.25, 0.5, 0.75],
+  WEBHOOK_DELIVERY_LOG_LIMIT: 100, // Deliveries returned by the delivery log
+
+  // Firm quote settings
+  QUOTE_TTL_SECONDS: parseInt(process.env.QUOTE_TTL_SECONDS, 10) || 15,
+  QUOTE_PRICE_TOLERANCE: 0.01, // 1% adverse move allowed before requote
+
+  // Attempts to commit a trade when another trade on the same market wins the race
+  MAX_TRADE_RETRIES: 3,
+
+  // Idempotency-Key retention; older keys are treated as unused
+  IDEMPOTENCY_KEY_TTL_HOURS: 24,
+
   // Pool utilization limits
-  MAX_POOL_UTILIZATION: 0.95, // 95%
+  // Most of an outcome's pool one bet may draw (markets.max_pool_utilization overrides)
+  MAX_POOL_UTILIZATION: parseFloat(process.env.MAX_POOL_UTILIZATION) || 0.95, // 95%
+
+  // House liability limits on fixed-odds bets
+  // Most the house may stand to lose if one outcome wins (markets.max_liability overrides);
+  // a bet that would exceed it is refused; a market whose liability reaches it is suspended
+  MAX_OUTCOME_LIABILITY: parseFloat(process.env.MAX_OUTCOME_LIABILITY) || 10000,
+  // Quotes cap stakes at this share of the liability limit (the soft limit)
+  SOFT_LIABILITY_RATIO: 0.8,
 
   // Bet amount limits
   MIN_BET_AMOUNT: 1.00,
   MAX_BET_AMOUNT: 10000.00,
 
+  // Most resting limit orders a user can hold on one market
+  MAX_OPEN_ORDERS_PER_MARKET: 20,
+
+  // Parlay (accumulator) limits
+  MIN_PARLAY_LEGS: 2,
+  MAX_PARLAY_LEGS: 10,
+  MAX_PARLAY_ODDS: 1000, // Highest combined odds multiplier accepted
+  // Most open parlays may stand to pay out on one market outcome
+  MAX_PARLAY_LIABILITY: parseFloat(process.env.MAX_PARLAY_LIABILITY) || 25000,
+
+  // Responsible gambling
+  // Raising or removing a user's own limit only takes effect after this delay;
+  // lowering one applies at once
+  LIMIT_INCREASE_DELAY_HOURS: parseFloat(process.env.LIMIT_INCREASE_DELAY_HOURS) || 24,
+  COOL_OFF_MIN_DAYS: 1,
+  COOL_OFF_MAX_DAYS: 42,
+  SELF_EXCLUSION_MIN_DAYS: 180,
+  SELF_EXCLUSION_MAX_DAYS: 1825,
+  // Rolling windows for stake and loss limits
+  LIMIT_PERIODS: {
+    daily: 1,
+    weekly: 7,
+    monthly: 30
+  },
+
   // Error codes
   ERROR_CODES: {
     MARKET_NOT_FOUND: 'MARKET_NOT_FOUND',
@@ -35,6 +144,30 @@ module.exports = {
     INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
     INVALID_AMOUNT: 'INVALID_AMOUNT',
     POOL_EXHAUSTED: 'POOL_EXHAUSTED',
+    POSITION_NOT_FOUND: 'POSITION_NOT_FOUND',
+    INSUFFICIENT_SHARES: 'INSUFFICIENT_SHARES',
+    SLIPPAGE_EXCEEDED: 'SLIPPAGE_EXCEEDED',
+    QUOTE_EXPIRED: 'QUOTE_EXPIRED',
+    QUOTE_STALE: 'QUOTE_STALE',
+    QUOTE_INVALID: 'QUOTE_INVALID',
+    MARKET_CONFLICT: 'MARKET_CONFLICT',
+    IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+    IDEMPOTENCY_IN_PROGRESS: 'IDEMPOTENCY_IN_PROGRESS',
+    IDEMPOTENCY_OUTCOME_UNKNOWN: 'IDEMPOTENCY_OUTCOME_UNKNOWN',
+    MARKET_ALREADY_RESOLVED: 'MARKET_ALREADY_RESOLVED',
+    INSUFFICIENT_LP_SHARES: 'INSUFFICIENT_LP_SHARES',
+    POOL_LOCKED: 'POOL_LOCKED',
+    ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+    ORDER_NOT_OPEN: 'ORDER_NOT_OPEN',
+    PARLAY_NOT_FOUND: 'PARLAY_NOT_FOUND',
+    WEBHOOK_NOT_FOUND: 'WEBHOOK_NOT_FOUND',
+    WEBHOOK_DELIVERY_NOT_FOUND: 'WEBHOOK_DELIVERY_NOT_FOUND',
+    RISK_LIMIT_EXCEEDED: 'RISK_LIMIT_EXCEEDED',
+    SELF_EXCLUDED: 'SELF_EXCLUDED',
+    COOL_OFF_ACTIVE: 'COOL_OFF_ACTIVE',
+    BET_SIZE_LIMIT_EXCEEDED: 'BET_SIZE_LIMIT_EXCEEDED',
+    STAKE_LIMIT_EXCEEDED: 'STAKE_LIMIT_EXCEEDED',
+    LOSS_LIMIT_EXCEEDED: 'LOSS_LIMIT_EXCEEDED',
     UNAUTHORIZED: 'UNAUTHORIZED',
     FORBIDDEN: 'FORBIDDEN',
     VALIDATION_ERROR: 'VALIDATION_ERROR',
@@ -44,6 +177,7 @@ module.exports = {
   // Market statuses
   MARKET_STATUS: {
     ACTIVE: 'active',
+    SUSPENDED: 'suspended',
     CLOSED: 'closed',
     RESOLVED: 'resolved',
     CANCELLED: 'cancelled'
@@ -57,9 +191,118 @@ module.exports = {
     SETTLED: 'settled'
   },
 
+  // Position states reported by the portfolio endpoints
+  POSITION_STATUS: {
+    OPEN: 'open', // Shares held in an unsettled market
+    SOLD: 'sold', // Every share sold back before settlement
+    WON: 'won',
+    LOST: 'lost',
+    VOID: 'void' // Market cancelled; stakes refunded
+  },
+
+  // Limit order statuses
+  ORDER_STATUS: {
+    OPEN: 'open',
+    PARTIALLY_FILLED: 'partially_filled',
+    FILLED: 'filled',
+    CANCELLED: 'cancelled'
+  },
+
+  // Parlay and parlay leg statuses
+  PARLAY_STATUS: {
+    OPEN: 'open',
+    WON: 'won',
+    LOST: 'lost',
+    VOID: 'void'
+  },
+
   // Outcomes
   OUTCOMES: {
     YES: 'yes',
     NO: 'no'
+  },
+
+  // Market types (YES/NO vs N named outcomes)
+  MARKET_TYPES: {
+    BINARY: 'binary',
+    CATEGORICAL: 'categorical'
+  },
+
+  // Most outcomes a categorical market can list
+  MAX_OUTCOMES: 20,
+
+  // Pricing engines a binary market can trade under
+  PRICING_MODELS: {
+    CPMM: 'cpmm',
+    LMSR: 'lmsr'
+  },
+
+  // Bet sides (buying into or selling out of a position)
+  BET_SIDES: {
+    BUY: 'buy',
+    SELL: 'sell'
+  },
+
+  // Bet types (pool shares vs fixed-odds bets held by the house)
+  BET_TYPES: {
+    SHARES: 'shares',
+    FIXED_ODDS: 'fixed_odds'
+  },
+
+  // Quote types (share price quotes vs odds multiplier quotes)
+  QUOTE_TYPES: {
+    BET: 'bet',
+    ODDS: 'odds'
+  },
+
+  // Events a webhook subscription can receive
+  WEBHOOK_EVENTS: {
+    BET_PLACED: 'bet.placed',
+    BET_SOLD: 'bet.sold',
+    PRICE_THRESHOLD_CROSSED: 'price.threshold_crossed',
+    MARKET_SUSPENDED: 'market.suspended',
+    MARKET_RESUMED: 'market.resumed',
+    MARKET_CLOSED: 'market.closed',
+    MARKET_RESOLVED: 'market.resolved',
+    MARKET_CANCELLED: 'market.cancelled'
+  },
+
+  // Webhook delivery states ('dead' deliveries form the dead-letter list)
+  WEBHOOK_DELIVERY_STATUS: {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    DEAD: 'dead'
+  },
+
+  // Market stream event types
+  STREAM_EVENT_TYPES: {
+    SNAPSHOT: 'snapshot',
+    UPDATE: 'update'
+  },
+
+  // Display formats for odds (?format= on the odds endpoints)
+  ODDS_FORMATS: {
+    DECIMAL: 'decimal',
+    AMERICAN: 'american',
+    FRACTIONAL: 'fractional',
+    HONG_KONG: 'hongkong',
+    MALAY: 'malay',
+    INDONESIAN: 'indonesian',
+    PROBABILITY: 'probability'
+  },
+
+  // Transaction types recorded in the transactions table
+  TRANSACTION_TYPES: {
+    BET: 'bet',
+    SELL: 'sell',
+    PAYOUT: 'payout',
+    REFUND: 'refund',
+    LP_DEPOSIT: 'lp_deposit',
+    LP_WITHDRAWAL: 'lp_withdrawal',
+    LP_FEES: 'lp_fees',
+    ORDER_RESERVE: 'order_reserve',
+    ORDER_RELEASE: 'order_release',
+    PARLAY: 'parlay',
+    PARLAY_PAYOUT: 'parlay_payout'
   }
 };
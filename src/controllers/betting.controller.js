@@ -7,6 +7,16 @@
 const bettingService = require('../services/betting.service');
 const { ERROR_CODES } = require('../config/constants');
 
+/**
+ * Parse an optional numeric body field
+ * Missing fields stay undefined so the service can apply defaults
+ */
+function parseOptionalNumber(value) {
+  return value === undefined || value === null || value === ''
+    ? undefined
+    : parseFloat(value);
+}
+
 class BettingController {
   /**
    * POST /api/markets/:id/bet
@@ -16,16 +26,19 @@ class BettingController {
   async placeBet(req, res) {
     try {
       const { id } = req.params;
-      const { outcome, amount } = req.body;
+      const {
+        outcome, amount, shares, quoteId,
+        minTokensOut, maxEffectivePrice, maxSlippage
+      } = req.body;
       const userId = req.user.id; // Set by auth middleware
 
-      // Validate input
-      if (!outcome || !amount) {
+      // Validate input (a quote carries its own outcome and size)
+      if (!quoteId && (!outcome || (!amount && !shares))) {
         return res.status(400).json({
           success: false,
           error: {
             code: ERROR_CODES.VALIDATION_ERROR,
-            message: 'Outcome and amount are required'
+            message: 'Outcome and either amount or shares are required'
           }
         });
       }
@@ -34,7 +47,14 @@ class BettingController {
         marketId: id,
         userId,
         outcome,
-        betAmount: parseFloat(amount)
+        betAmount: amount ? parseFloat(amount) : undefined,
+        shares: shares ? parseFloat(shares) : undefined,
+        limits: {
+          minTokensOut: parseOptionalNumber(minTokensOut),
+          maxEffectivePrice: parseOptionalNumber(maxEffectivePrice),
+          maxSlippage: parseOptionalNumber(maxSlippage)
+        },
+        quoteId
       });
 
       res.json(result);
@@ -102,6 +122,60 @@ class BettingController {
         });
       }
 
+      if (
+        error.code === ERROR_CODES.SLIPPAGE_EXCEEDED ||
+        error.code === ERROR_CODES.QUOTE_EXPIRED ||
+        error.code === ERROR_CODES.QUOTE_STALE ||
+        error.code === ERROR_CODES.QUOTE_INVALID
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+
+      if (
+        error.code === ERROR_CODES.SELF_EXCLUDED ||
+        error.code === ERROR_CODES.COOL_OFF_ACTIVE
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+
+      if (
+        error.code === ERROR_CODES.POOL_EXHAUSTED ||
+        error.code === ERROR_CODES.RISK_LIMIT_EXCEEDED ||
+        error.code === ERROR_CODES.BET_SIZE_LIMIT_EXCEEDED ||
+        error.code === ERROR_CODES.STAKE_LIMIT_EXCEEDED ||
+        error.code === ERROR_CODES.LOSS_LIMIT_EXCEEDED
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+
+      if (error.code === ERROR_CODES.MARKET_CONFLICT) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.MARKET_CONFLICT,
+            message: error.message
+          }
+        });
+      }
+
       // Generic error
       res.status(500).json({
         success: false,
@@ -112,6 +186,71 @@ class BettingController {
       });
     }
   }
+
+  /**
+   * POST /api/markets/:id/sell
+   * Sell shares from a position back into the pool
+   * Requires authentication
+   */
+  async sellShares(req, res) {
+    try {
+      const { id } = req.params;
+      const { outcome, shares, minProceeds } = req.body;
+      const userId = req.user.id;
+
+      if (!outcome || !shares) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.VALIDATION_ERROR,
+            message: 'Outcome and shares are required'
+          }
+        });
+      }
+
+      const result = await bettingService.sellShares({
+        marketId: id,
+        userId,
+        outcome,
+        shares: parseFloat(shares),
+        minProceeds: parseOptionalNumber(minProceeds)
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error selling shares:', error);
+
+      const errorMap = {
+        [ERROR_CODES.MARKET_NOT_FOUND]: 404,
+        [ERROR_CODES.POSITION_NOT_FOUND]: 404,
+        [ERROR_CODES.POOL_NOT_INITIALIZED]: 400,
+        [ERROR_CODES.MARKET_NOT_ACTIVE]: 400,
+        [ERROR_CODES.INSUFFICIENT_SHARES]: 400,
+        [ERROR_CODES.VALIDATION_ERROR]: 400,
+        [ERROR_CODES.INVALID_AMOUNT]: 400,
+        [ERROR_CODES.SLIPPAGE_EXCEEDED]: 400,
+        [ERROR_CODES.MARKET_CONFLICT]: 409
+      };
+
+      if (error.code && errorMap[error.code]) {
+        return res.status(errorMap[error.code]).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.INTERNAL_ERROR,
+          message: 'Failed to sell shares: ' + error.message
+        }
+      });
+    }
+  }
 }
 
 module.exports = new BettingController();
@@ -0,0 +1,130 @@
+/**
+ * Liquidity Controller
+ *
+ * Handles HTTP requests for liquidity provider deposits and withdrawals
+ */
+
+const liquidityProviderService = require('../services/liquidityProvider.service');
+const { ERROR_CODES } = require('../config/constants');
+
+/**
+ * Send a mapped error response, or a 500 if the error is unexpected
+ */
+function sendError(res, error, action) {
+  const errorMap = {
+    [ERROR_CODES.MARKET_NOT_FOUND]: 404,
+    [ERROR_CODES.POOL_NOT_INITIALIZED]: 400,
+    [ERROR_CODES.MARKET_NOT_ACTIVE]: 400,
+    [ERROR_CODES.INSUFFICIENT_BALANCE]: 400,
+    [ERROR_CODES.INSUFFICIENT_LP_SHARES]: 400,
+    [ERROR_CODES.INVALID_AMOUNT]: 400,
+    [ERROR_CODES.VALIDATION_ERROR]: 400,
+    [ERROR_CODES.MARKET_CONFLICT]: 409
+  };
+
+  if (error.code && errorMap[error.code]) {
+    return res.status(errorMap[error.code]).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: ERROR_CODES.INTERNAL_ERROR,
+      message: `Failed to ${action}: ${error.message}`
+    }
+  });
+}
+
+class LiquidityController {
+  /**
+   * GET /api/markets/:id/liquidity
+   * Get pool liquidity, plus the caller's LP position if authenticated
+   */
+  async getLiquidity(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user ? req.user.id : null;
+
+      const result = await liquidityProviderService.getLiquidity(id, userId);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching liquidity:', error);
+      sendError(res, error, 'fetch liquidity');
+    }
+  }
+
+  /**
+   * POST /api/markets/:id/liquidity/add
+   * Deposit liquidity at the current price
+   * Requires authentication
+   */
+  async addLiquidity(req, res) {
+    try {
+      const { id } = req.params;
+      const { amount } = req.body;
+
+      if (!amount) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.VALIDATION_ERROR,
+            message: 'Amount is required'
+          }
+        });
+      }
+
+      const result = await liquidityProviderService.addLiquidity({
+        marketId: id,
+        userId: req.user.id,
+        amount: parseFloat(amount)
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error adding liquidity:', error);
+      sendError(res, error, 'add liquidity');
+    }
+  }
+
+  /**
+   * POST /api/markets/:id/liquidity/remove
+   * Withdraw liquidity at the current price
+   * Requires authentication
+   */
+  async removeLiquidity(req, res) {
+    try {
+      const { id } = req.params;
+      const { shares } = req.body;
+
+      if (!shares) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.VALIDATION_ERROR,
+            message: 'Shares is required'
+          }
+        });
+      }
+
+      const result = await liquidityProviderService.removeLiquidity({
+        marketId: id,
+        userId: req.user.id,
+        shares: parseFloat(shares)
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error removing liquidity:', error);
+      sendError(res, error, 'remove liquidity');
+    }
+  }
+}
+
+module.exports = new LiquidityController();
@@ -7,6 +7,16 @@
 const bettingService = require('../services/betting.service');
 const { ERROR_CODES } = require('../config/constants');
 
+/**
+ * Parse an optional numeric body field
+ * Missing fields stay undefined so the service can apply defaults
+ */
+function parseOptionalNumber(value) {
+  return value === undefined || value === null || value === ''
+    ? undefined
+    : parseFloat(value);
+}
+
 class OddsController {
   /**
    * GET /api/markets/:id/odds
@@ -52,22 +62,69 @@ class OddsController {
     }
   }
 
+  /**
+   * GET /api/markets/:id/depth
+   * Get the stake ladder and price-impact curve for every outcome
+   * Optional ?amounts=10,50,100 replaces the default ladder
+   */
+  async getMarketDepth(req, res) {
+    try {
+      const { id } = req.params;
+      const { amounts } = req.query;
+
+      const result = await bettingService.getMarketDepth({
+        marketId: id,
+        amounts: amounts ? String(amounts).split(',').map(parseFloat) : undefined
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error getting market depth:', error);
+
+      if (error.code) {
+        const statusCode = error.code === ERROR_CODES.MARKET_NOT_FOUND ? 404 : 400;
+        return res.status(statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.INTERNAL_ERROR,
+          message: 'Failed to fetch market depth'
+        }
+      });
+    }
+  }
+
   /**
    * POST /api/markets/:id/quote
    * Get a quote for a bet without executing
+   * targetPrice, targetPayout or targetSlippage quote the stake that meets them
    */
   async getBetQuote(req, res) {
     try {
       const { id } = req.params;
-      const { outcome, amount } = req.body;
+      const { outcome, amount, shares } = req.body;
+      const targets = {
+        targetPrice: parseOptionalNumber(req.body.targetPrice),
+        targetPayout: parseOptionalNumber(req.body.targetPayout),
+        targetSlippage: parseOptionalNumber(req.body.targetSlippage)
+      };
+      const hasTarget = Object.values(targets).some(value => value !== undefined);
 
       // Validate input
-      if (!outcome || !amount) {
+      if (!outcome || (!amount && !shares && !hasTarget)) {
         return res.status(400).json({
           success: false,
           error: {
             code: ERROR_CODES.VALIDATION_ERROR,
-            message: 'Outcome and amount are required'
+            message: 'Outcome and one of amount, shares, targetPrice, targetPayout or targetSlippage are required'
           }
         });
       }
@@ -75,7 +132,10 @@ class OddsController {
       const result = await bettingService.getBetQuote({
         marketId: id,
         outcome,
-        amount: parseFloat(amount)
+        amount: amount ? parseFloat(amount) : undefined,
+        shares: shares ? parseFloat(shares) : undefined,
+        ...targets,
+        userId: req.user ? req.user.id : undefined
       });
 
       res.json(result);
@@ -92,11 +152,14 @@ class OddsController {
         });
       }
 
-      if (error.code === ERROR_CODES.VALIDATION_ERROR) {
+      if (
+        error.code === ERROR_CODES.VALIDATION_ERROR ||
+        error.code === ERROR_CODES.INVALID_AMOUNT
+      ) {
         return res.status(400).json({
           success: false,
           error: {
-            code: ERROR_CODES.VALIDATION_ERROR,
+            code: error.code,
             message: error.message
           }
         });
@@ -111,6 +174,56 @@ class OddsController {
       });
     }
   }
+
+  /**
+   * POST /api/markets/:id/quote-sell
+   * Get a quote for selling shares without executing
+   */
+  async getSellQuote(req, res) {
+    try {
+      const { id } = req.params;
+      const { outcome, shares } = req.body;
+
+      if (!outcome || !shares) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.VALIDATION_ERROR,
+            message: 'Outcome and shares are required'
+          }
+        });
+      }
+
+      const result = await bettingService.getSellQuote({
+        marketId: id,
+        outcome,
+        shares: parseFloat(shares)
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error getting sell quote:', error);
+
+      if (error.code) {
+        const statusCode = error.code === ERROR_CODES.MARKET_NOT_FOUND ? 404 : 400;
+        return res.status(statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.INTERNAL_ERROR,
+          message: 'Failed to generate sell quote'
+        }
+      });
+    }
+  }
 }
 
 module.exports = new OddsController();
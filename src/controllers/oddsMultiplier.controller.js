@@ -7,6 +7,16 @@
 const bettingService = require('../services/betting.service');
 const { ERROR_CODES } = require('../config/constants');
 
+/**
+ * Parse an optional numeric body field
+ * Missing fields stay undefined so the service can apply defaults
+ */
+function parseOptionalNumber(value) {
+  return value === undefined || value === null || value === ''
+    ? undefined
+    : parseFloat(value);
+}
+
 class OddsMultiplierController {
   /**
    * GET /api/markets/:id/odds-multiplier
@@ -16,7 +26,7 @@ class OddsMultiplierController {
     try {
       const { id } = req.params;
 
-      const result = await bettingService.getMarketOddsMultiplier(id);
+      const result = await bettingService.getMarketOddsMultiplier(id, req.query.format || undefined);
 
       res.json(result);
     } catch (error) {
@@ -32,11 +42,11 @@ class OddsMultiplierController {
         });
       }
 
-      if (error.code === ERROR_CODES.POOL_NOT_INITIALIZED) {
+      if (error.code === ERROR_CODES.POOL_NOT_INITIALIZED || error.code === ERROR_CODES.VALIDATION_ERROR) {
         return res.status(400).json({
           success: false,
           error: {
-            code: ERROR_CODES.POOL_NOT_INITIALIZED,
+            code: error.code,
             message: error.message
           }
         });
@@ -60,13 +70,19 @@ class OddsMultiplierController {
     try {
       const { id } = req.params;
       const { outcome, amount } = req.body;
+      const targets = {
+        targetPrice: parseOptionalNumber(req.body.targetPrice),
+        targetPayout: parseOptionalNumber(req.body.targetPayout),
+        targetSlippage: parseOptionalNumber(req.body.targetSlippage)
+      };
+      const hasTarget = Object.values(targets).some(value => value !== undefined);
 
-      if (!outcome || !amount) {
+      if (!outcome || (!amount && !hasTarget)) {
         return res.status(400).json({
           success: false,
           error: {
             code: ERROR_CODES.VALIDATION_ERROR,
-            message: 'Outcome and amount are required'
+            message: 'Outcome and one of amount, targetPrice, targetPayout or targetSlippage are required'
           }
         });
       }
@@ -74,7 +90,10 @@ class OddsMultiplierController {
       const result = await bettingService.getBetQuoteWithOdds({
         marketId: id,
         outcome,
-        amount: parseFloat(amount)
+        amount: amount ? parseFloat(amount) : undefined,
+        ...targets,
+        format: req.query.format || undefined,
+        userId: req.user ? req.user.id : undefined
       });
 
       res.json(result);
@@ -110,10 +129,11 @@ class OddsMultiplierController {
   async placeBetWithOdds(req, res) {
     try {
       const { id } = req.params;
-      const { outcome, amount } = req.body;
+      const { outcome, amount, minOdds, quoteId } = req.body;
       const userId = req.user.id;
 
-      if (!outcome || !amount) {
+      // A quote carries its own outcome and stake
+      if (!quoteId && (!outcome || !amount)) {
         return res.status(400).json({
           success: false,
           error: {
@@ -127,7 +147,9 @@ class OddsMultiplierController {
         marketId: id,
         userId,
         outcome,
-        betAmount: parseFloat(amount)
+        betAmount: amount ? parseFloat(amount) : undefined,
+        minOdds: parseOptionalNumber(minOdds),
+        quoteId
       });
 
       res.json(result);
@@ -141,7 +163,19 @@ class OddsMultiplierController {
         [ERROR_CODES.MARKET_NOT_ACTIVE]: 400,
         [ERROR_CODES.INSUFFICIENT_BALANCE]: 400,
         [ERROR_CODES.VALIDATION_ERROR]: 400,
-        [ERROR_CODES.INVALID_AMOUNT]: 400
+        [ERROR_CODES.INVALID_AMOUNT]: 400,
+        [ERROR_CODES.SLIPPAGE_EXCEEDED]: 400,
+        [ERROR_CODES.QUOTE_EXPIRED]: 400,
+        [ERROR_CODES.QUOTE_STALE]: 400,
+        [ERROR_CODES.QUOTE_INVALID]: 400,
+        [ERROR_CODES.POOL_EXHAUSTED]: 400,
+        [ERROR_CODES.RISK_LIMIT_EXCEEDED]: 400,
+        [ERROR_CODES.BET_SIZE_LIMIT_EXCEEDED]: 400,
+        [ERROR_CODES.STAKE_LIMIT_EXCEEDED]: 400,
+        [ERROR_CODES.LOSS_LIMIT_EXCEEDED]: 400,
+        [ERROR_CODES.SELF_EXCLUDED]: 403,
+        [ERROR_CODES.COOL_OFF_ACTIVE]: 403,
+        [ERROR_CODES.MARKET_CONFLICT]: 409
       };
 
       if (error.code && errorMap[error.code]) {
@@ -163,6 +197,41 @@ class OddsMultiplierController {
       });
     }
   }
+
+  /**
+   * GET /api/markets/:id/liability
+   * Get the house's fixed-odds liability per outcome
+   * Requires admin role
+   */
+  async getMarketLiability(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await bettingService.getMarketLiability(id);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error getting market liability:', error);
+
+      if (error.code === ERROR_CODES.MARKET_NOT_FOUND) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.MARKET_NOT_FOUND,
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.INTERNAL_ERROR,
+          message: 'Failed to fetch market liability'
+        }
+      });
+    }
+  }
 }
 
 module.exports = new OddsMultiplierController();
@@ -0,0 +1,131 @@
+/**
+ * Order Controller
+ *
+ * Handles HTTP requests for limit orders
+ */
+
+const orderService = require('../services/order.service');
+const { ERROR_CODES } = require('../config/constants');
+
+/**
+ * Send a mapped error response, or a 500 if the error is unexpected
+ */
+function sendError(res, error, action) {
+  const errorMap = {
+    [ERROR_CODES.MARKET_NOT_FOUND]: 404,
+    [ERROR_CODES.ORDER_NOT_FOUND]: 404,
+    [ERROR_CODES.POOL_NOT_INITIALIZED]: 400,
+    [ERROR_CODES.MARKET_NOT_ACTIVE]: 400,
+    [ERROR_CODES.INSUFFICIENT_BALANCE]: 400,
+    [ERROR_CODES.INVALID_AMOUNT]: 400,
+    [ERROR_CODES.VALIDATION_ERROR]: 400,
+    [ERROR_CODES.BET_SIZE_LIMIT_EXCEEDED]: 400,
+    [ERROR_CODES.STAKE_LIMIT_EXCEEDED]: 400,
+    [ERROR_CODES.LOSS_LIMIT_EXCEEDED]: 400,
+    [ERROR_CODES.SELF_EXCLUDED]: 403,
+    [ERROR_CODES.COOL_OFF_ACTIVE]: 403,
+    [ERROR_CODES.ORDER_NOT_OPEN]: 409
+  };
+
+  if (error.code && errorMap[error.code]) {
+    return res.status(errorMap[error.code]).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: ERROR_CODES.INTERNAL_ERROR,
+      message: `Failed to ${action}: ${error.message}`
+    }
+  });
+}
+
+class OrderController {
+  /**
+   * POST /api/markets/:id/orders
+   * Place a limit order; the stake is reserved until it fills or is cancelled
+   * Requires authentication
+   */
+  async placeOrder(req, res) {
+    try {
+      const { id } = req.params;
+      const { outcome, amount, limitPrice } = req.body;
+
+      if (!outcome || !amount || limitPrice === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.VALIDATION_ERROR,
+            message: 'Outcome, amount and limitPrice are required'
+          }
+        });
+      }
+
+      const result = await orderService.placeOrder({
+        marketId: id,
+        userId: req.user.id,
+        outcome,
+        amount: parseFloat(amount),
+        limitPrice: parseFloat(limitPrice)
+      });
+
+      res.status(201).json(result);
+    } catch (error) {
+      console.error('Error placing order:', error);
+      sendError(res, error, 'place order');
+    }
+  }
+
+  /**
+   * GET /api/markets/:id/orders
+   * List the caller's orders on a market, optionally filtered by ?status=
+   * Requires authentication
+   */
+  async getOrders(req, res) {
+    try {
+      const { id } = req.params;
+      const { status } = req.query;
+
+      const result = await orderService.getOrders({
+        marketId: id,
+        userId: req.user.id,
+        status: status || undefined
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching orders:', error);
+      sendError(res, error, 'fetch orders');
+    }
+  }
+
+  /**
+   * DELETE /api/markets/:id/orders/:orderId
+   * Cancel an open order and release its unfilled stake
+   * Requires authentication
+   */
+  async cancelOrder(req, res) {
+    try {
+      const { id, orderId } = req.params;
+
+      const result = await orderService.cancelOrder({
+        marketId: id,
+        orderId,
+        userId: req.user.id
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error cancelling order:', error);
+      sendError(res, error, 'cancel order');
+    }
+  }
+}
+
+module.exports = new OrderController();
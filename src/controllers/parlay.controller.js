@@ -0,0 +1,169 @@
+/**
+ * Parlay Controller
+ *
+ * Handles HTTP requests for parlay (accumulator) bets
+ */
+
+const parlayService = require('../services/parlay.service');
+const { ERROR_CODES } = require('../config/constants');
+
+/**
+ * Send a mapped error response, or a 500 if the error is unexpected
+ */
+function sendError(res, error, action) {
+  const errorMap = {
+    [ERROR_CODES.MARKET_NOT_FOUND]: 404,
+    [ERROR_CODES.PARLAY_NOT_FOUND]: 404,
+    [ERROR_CODES.POOL_NOT_INITIALIZED]: 400,
+    [ERROR_CODES.MARKET_NOT_ACTIVE]: 400,
+    [ERROR_CODES.INSUFFICIENT_BALANCE]: 400,
+    [ERROR_CODES.INVALID_AMOUNT]: 400,
+    [ERROR_CODES.VALIDATION_ERROR]: 400,
+    [ERROR_CODES.BET_SIZE_LIMIT_EXCEEDED]: 400,
+    [ERROR_CODES.STAKE_LIMIT_EXCEEDED]: 400,
+    [ERROR_CODES.LOSS_LIMIT_EXCEEDED]: 400,
+    [ERROR_CODES.SELF_EXCLUDED]: 403,
+    [ERROR_CODES.COOL_OFF_ACTIVE]: 403,
+    [ERROR_CODES.SLIPPAGE_EXCEEDED]: 400,
+    [ERROR_CODES.RISK_LIMIT_EXCEEDED]: 400
+  };
+
+  if (error.code && errorMap[error.code]) {
+    return res.status(errorMap[error.code]).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: ERROR_CODES.INTERNAL_ERROR,
+      message: `Failed to ${action}: ${error.message}`
+    }
+  });
+}
+
+/**
+ * Parse an optional numeric body field
+ * Missing fields stay undefined so the service can apply defaults
+ */
+function parseOptionalNumber(value) {
+  return value === undefined || value === null || value === ''
+    ? undefined
+    : parseFloat(value);
+}
+
+/**
+ * Reject a request without legs or a stake
+ */
+function requireSlip(req, res) {
+  const { legs, stake } = req.body;
+
+  if (!Array.isArray(legs) || !stake) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.VALIDATION_ERROR,
+        message: 'legs (an array of { marketId, outcome }) and stake are required'
+      }
+    });
+    return false;
+  }
+
+  return true;
+}
+
+class ParlayController {
+  /**
+   * POST /api/parlays/quote
+   * Quote a parlay: per-leg odds, combined odds and payout
+   */
+  async getParlayQuote(req, res) {
+    try {
+      if (!requireSlip(req, res)) {
+        return;
+      }
+
+      const result = await parlayService.getParlayQuote({
+        legs: req.body.legs,
+        stake: parseFloat(req.body.stake)
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error quoting parlay:', error);
+      sendError(res, error, 'quote parlay');
+    }
+  }
+
+  /**
+   * POST /api/parlays
+   * Place a parlay at the current odds
+   * Requires authentication
+   */
+  async placeParlay(req, res) {
+    try {
+      if (!requireSlip(req, res)) {
+        return;
+      }
+
+      const { legs, stake, minCombinedOdds } = req.body;
+
+      const result = await parlayService.placeParlay({
+        userId: req.user.id,
+        legs,
+        stake: parseFloat(stake),
+        minCombinedOdds: parseOptionalNumber(minCombinedOdds)
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error placing parlay:', error);
+      sendError(res, error, 'place parlay');
+    }
+  }
+
+  /**
+   * GET /api/parlays
+   * List the caller's parlays, optionally filtered by ?status=
+   * Requires authentication
+   */
+  async getParlays(req, res) {
+    try {
+      const result = await parlayService.getParlays({
+        userId: req.user.id,
+        status: req.query.status || undefined
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching parlays:', error);
+      sendError(res, error, 'fetch parlays');
+    }
+  }
+
+  /**
+   * GET /api/parlays/:id
+   * Get one of the caller's parlays with its legs
+   * Requires authentication
+   */
+  async getParlay(req, res) {
+    try {
+      const result = await parlayService.getParlay({
+        parlayId: req.params.id,
+        userId: req.user.id
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching parlay:', error);
+      sendError(res, error, 'fetch parlay');
+    }
+  }
+}
+
+module.exports = new ParlayController();
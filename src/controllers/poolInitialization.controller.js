@@ -0,0 +1,89 @@
+/**
+ * Pool Initialization Controller
+ *
+ * Handles admin requests for seeding market liquidity pools
+ */
+
+const poolInitializationService = require('../services/poolInitialization.service');
+const { ERROR_CODES } = require('../config/constants');
+
+/**
+ * Parse an optional numeric body field
+ * Missing fields stay undefined so the service can apply defaults
+ */
+function parseOptionalNumber(value) {
+  return value === undefined || value === null || value === ''
+    ? undefined
+    : parseFloat(value);
+}
+
+class PoolInitializationController {
+  /**
+   * POST /api/markets/:id/initialize-pool
+   * Initialize a market's pool from a size or a target probability
+   * Passing outcomes makes the market categorical (one pool per outcome);
+   * pricingModel 'lmsr' prices a yes/no market with the LMSR engine
+   * Requires admin authentication
+   */
+  async initializePool(req, res) {
+    try {
+      const { id } = req.params;
+      const {
+        poolSize,
+        targetYesPrice,
+        outcomes,
+        targetPrices,
+        pricingModel,
+        liquidityParameter,
+        maxHouseLoss,
+        expectedDailyVolume,
+        expectedMaxBet
+      } = req.body;
+
+      const result = await poolInitializationService.initializePool({
+        marketId: id,
+        poolSize: parseOptionalNumber(poolSize),
+        targetYesPrice: parseOptionalNumber(targetYesPrice),
+        outcomes: outcomes === null ? undefined : outcomes,
+        targetPrices: targetPrices === null ? undefined : targetPrices,
+        pricingModel: pricingModel || undefined,
+        liquidityParameter: parseOptionalNumber(liquidityParameter),
+        maxHouseLoss: parseOptionalNumber(maxHouseLoss),
+        expectedDailyVolume: parseOptionalNumber(expectedDailyVolume),
+        expectedMaxBet: parseOptionalNumber(expectedMaxBet)
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error initializing pool:', error);
+
+      const errorMap = {
+        [ERROR_CODES.MARKET_NOT_FOUND]: 404,
+        [ERROR_CODES.MARKET_NOT_ACTIVE]: 400,
+        [ERROR_CODES.VALIDATION_ERROR]: 400,
+        [ERROR_CODES.POOL_LOCKED]: 409,
+        [ERROR_CODES.MARKET_CONFLICT]: 409
+      };
+
+      if (error.code && errorMap[error.code]) {
+        return res.status(errorMap[error.code]).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.INTERNAL_ERROR,
+          message: 'Failed to initialize pool: ' + error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new PoolInitializationController();
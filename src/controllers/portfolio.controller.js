@@ -0,0 +1,69 @@
+/**
+ * Portfolio Controller
+ *
+ * Handles requests for the caller's positions and portfolio valuation
+ */
+
+const portfolioService = require('../services/portfolio.service');
+const { ERROR_CODES } = require('../config/constants');
+
+/**
+ * Send a mapped error response, or a 500 if the error is unexpected
+ */
+function sendError(res, error, action) {
+  if (error.code === ERROR_CODES.VALIDATION_ERROR) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: ERROR_CODES.INTERNAL_ERROR,
+      message: `Failed to ${action}: ${error.message}`
+    }
+  });
+}
+
+class PortfolioController {
+  /**
+   * GET /api/me/positions
+   * List the caller's positions with live valuations (optional ?status=)
+   * Requires authentication
+   */
+  async getPositions(req, res) {
+    try {
+      const result = await portfolioService.getPositions(req.user.id, {
+        status: req.query.status || undefined
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching positions:', error);
+      sendError(res, error, 'fetch positions');
+    }
+  }
+
+  /**
+   * GET /api/me/portfolio
+   * Get the caller's portfolio totals, open positions and open fixed-odds bets
+   * Requires authentication
+   */
+  async getPortfolio(req, res) {
+    try {
+      const result = await portfolioService.getPortfolio(req.user.id);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching portfolio:', error);
+      sendError(res, error, 'fetch portfolio');
+    }
+  }
+}
+
+module.exports = new PortfolioController();
@@ -0,0 +1,58 @@
+/**
+ * Price History Controller
+ *
+ * Handles requests for a market's price points and OHLC candles
+ */
+
+const priceHistoryService = require('../services/priceHistory.service');
+const { ERROR_CODES } = require('../config/constants');
+
+class PriceHistoryController {
+  /**
+   * GET /api/markets/:id/history
+   * Get raw price points and OHLC candles
+   * Optional ?interval=1m|1h|1d, ?from=, ?to= (ISO 8601) and ?outcome=
+   */
+  async getMarketHistory(req, res) {
+    try {
+      const { interval, from, to, outcome } = req.query;
+
+      const result = await priceHistoryService.getMarketHistory({
+        marketId: req.params.id,
+        interval: interval || undefined,
+        from: from || undefined,
+        to: to || undefined,
+        outcome: outcome || undefined
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error getting price history:', error);
+
+      const errorMap = {
+        [ERROR_CODES.MARKET_NOT_FOUND]: 404,
+        [ERROR_CODES.VALIDATION_ERROR]: 400
+      };
+
+      if (error.code && errorMap[error.code]) {
+        return res.status(errorMap[error.code]).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.INTERNAL_ERROR,
+          message: 'Failed to fetch price history'
+        }
+      });
+    }
+  }
+}
+
+module.exports = new PriceHistoryController();
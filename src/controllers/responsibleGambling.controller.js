@@ -0,0 +1,99 @@
+/**
+ * Responsible Gambling Controller
+ *
+ * Handles HTTP requests for the limits users set on their own betting
+ */
+
+const responsibleGamblingService = require('../services/responsibleGambling.service');
+const { ERROR_CODES } = require('../config/constants');
+
+/**
+ * Send a mapped error response, or a 500 if the error is unexpected
+ */
+function sendError(res, error, action) {
+  if (error.code === ERROR_CODES.VALIDATION_ERROR) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: ERROR_CODES.INTERNAL_ERROR,
+      message: `Failed to ${action}: ${error.message}`
+    }
+  });
+}
+
+class ResponsibleGamblingController {
+  /**
+   * GET /api/me/limits
+   * Get the caller's limits, pending increases, exclusions and usage
+   * Requires authentication
+   */
+  async getLimits(req, res) {
+    try {
+      const result = await responsibleGamblingService.getLimits(req.user.id);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching limits:', error);
+      sendError(res, error, 'fetch limits');
+    }
+  }
+
+  /**
+   * PUT /api/me/limits
+   * Set some of the caller's limits; increases apply after a delay
+   * Requires authentication
+   */
+  async setLimits(req, res) {
+    try {
+      const result = await responsibleGamblingService.setLimits(req.user.id, req.body);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error setting limits:', error);
+      sendError(res, error, 'set limits');
+    }
+  }
+
+  /**
+   * POST /api/me/cool-off
+   * Stop the caller betting for a number of days
+   * Requires authentication
+   */
+  async startCoolOff(req, res) {
+    try {
+      const result = await responsibleGamblingService.startCoolOff(req.user.id, req.body.days);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error starting cool-off:', error);
+      sendError(res, error, 'start cool-off');
+    }
+  }
+
+  /**
+   * POST /api/me/self-exclusion
+   * Exclude the caller from betting for a number of days; cannot be undone
+   * Requires authentication
+   */
+  async selfExclude(req, res) {
+    try {
+      const result = await responsibleGamblingService.selfExclude(req.user.id, req.body.days);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error self-excluding:', error);
+      sendError(res, error, 'self-exclude');
+    }
+  }
+}
+
+module.exports = new ResponsibleGamblingController();
@@ -0,0 +1,51 @@
+/**
+ * Risk Controller
+ *
+ * Handles admin requests for markets suspended by house risk limits
+ */
+
+const riskLimitService = require('../services/riskLimit.service');
+const { ERROR_CODES } = require('../config/constants');
+
+class RiskController {
+  /**
+   * POST /api/markets/:id/resume
+   * Resume a suspended market
+   * Requires admin authentication
+   */
+  async resumeMarket(req, res) {
+    try {
+      const result = await riskLimitService.resumeMarket(req.params.id);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error resuming market:', error);
+
+      const errorMap = {
+        [ERROR_CODES.MARKET_NOT_FOUND]: 404,
+        [ERROR_CODES.VALIDATION_ERROR]: 400,
+        [ERROR_CODES.MARKET_CONFLICT]: 409
+      };
+
+      if (error.code && errorMap[error.code]) {
+        return res.status(errorMap[error.code]).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.INTERNAL_ERROR,
+          message: 'Failed to resume market: ' + error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new RiskController();
@@ -0,0 +1,166 @@
+/**
+ * Settlement Controller
+ *
+ * Handles admin requests for closing, settling and cancelling markets
+ */
+
+const settlementService = require('../services/settlement.service');
+const { ERROR_CODES } = require('../config/constants');
+
+class SettlementController {
+  /**
+   * POST /api/markets/:id/close
+   * Close a market to trading ahead of resolution
+   * Requires admin authentication
+   */
+  async closeMarket(req, res) {
+    try {
+      const result = await settlementService.closeMarket(req.params.id);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error closing market:', error);
+
+      const errorMap = {
+        [ERROR_CODES.MARKET_NOT_FOUND]: 404,
+        [ERROR_CODES.MARKET_NOT_ACTIVE]: 400,
+        [ERROR_CODES.MARKET_CONFLICT]: 409
+      };
+
+      if (error.code && errorMap[error.code]) {
+        return res.status(errorMap[error.code]).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.INTERNAL_ERROR,
+          message: 'Failed to close market: ' + error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * POST /api/markets/:id/resolve
+   * Resolve a market and pay out winning positions
+   * Requires admin authentication
+   */
+  async resolveMarket(req, res) {
+    try {
+      const { id } = req.params;
+      const { outcome } = req.body;
+
+      if (!outcome) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.VALIDATION_ERROR,
+            message: 'Outcome is required'
+          }
+        });
+      }
+
+      const result = await settlementService.resolveMarket({
+        marketId: id,
+        outcome,
+        resolvedBy: req.user.id
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error resolving market:', error);
+
+      const errorMap = {
+        [ERROR_CODES.MARKET_NOT_FOUND]: 404,
+        [ERROR_CODES.MARKET_NOT_ACTIVE]: 400,
+        [ERROR_CODES.VALIDATION_ERROR]: 400,
+        [ERROR_CODES.MARKET_ALREADY_RESOLVED]: 409,
+        [ERROR_CODES.MARKET_CONFLICT]: 409
+      };
+
+      if (error.code && errorMap[error.code]) {
+        return res.status(errorMap[error.code]).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.INTERNAL_ERROR,
+          message: 'Failed to resolve market: ' + error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * POST /api/markets/:id/cancel
+   * Cancel (void) a market and refund every bettor
+   * Requires admin authentication
+   */
+  async cancelMarket(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason, includeFees = false } = req.body;
+
+      if (typeof includeFees !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.VALIDATION_ERROR,
+            message: 'includeFees must be a boolean'
+          }
+        });
+      }
+
+      const result = await settlementService.cancelMarket({
+        marketId: id,
+        cancelledBy: req.user.id,
+        reason,
+        includeFees
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error cancelling market:', error);
+
+      const errorMap = {
+        [ERROR_CODES.MARKET_NOT_FOUND]: 404,
+        [ERROR_CODES.MARKET_ALREADY_RESOLVED]: 409,
+        [ERROR_CODES.MARKET_CONFLICT]: 409
+      };
+
+      if (error.code && errorMap[error.code]) {
+        return res.status(errorMap[error.code]).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.INTERNAL_ERROR,
+          message: 'Failed to cancel market: ' + error.message
+        }
+      });
+    }
+  }
+}
+
+module.exports = new SettlementController();
@@ -0,0 +1,200 @@
+/**
+ * Stream Controller
+ *
+ * Streams live market updates to clients over Server-Sent Events
+ */
+
+const bettingService = require('../services/betting.service');
+const marketStream = require('../services/marketStream.service');
+const {
+  ERROR_CODES,
+  STREAM_EVENT_TYPES,
+  STREAM_HEARTBEAT_SECONDS,
+  STREAM_RETRY_MS,
+  STREAM_MAX_MARKETS
+} = require('../config/constants');
+
+/**
+ * Markets a request subscribes to: the :id route param, or ?markets=a,b,c
+ */
+function parseMarketIds(req) {
+  const ids = req.params.id
+    ? [req.params.id]
+    : String(req.query.markets || '').split(',').map(id => id.trim()).filter(Boolean);
+
+  return [...new Set(ids)];
+}
+
+/**
+ * Sequence number a reconnecting client last saw: the Last-Event-ID header
+ * EventSource sends on reconnect, or ?lastEventId= for clients that cannot
+ * set headers. Null for a fresh connection.
+ */
+function parseLastEventId(req) {
+  const value = req.get('Last-Event-ID') || req.query.lastEventId;
+  const sequence = parseInt(value, 10);
+
+  return Number.isInteger(sequence) && sequence >= 0 ? sequence : null;
+}
+
+/**
+ * Open an event stream on a response
+ *
+ * Back-pressure: while the socket's buffer is full (res.write returned
+ * false) events are held until it drains. Every event carries a market's
+ * full state, so only the latest held event per market is kept; a slow
+ * client skips intermediate updates instead of growing the queue.
+ *
+ * @returns {object} { send(event), comment(text) }
+ */
+function openEventStream(res) {
+  const held = new Map();
+  let congested = false;
+
+  const write = (chunk) => {
+    if (!res.write(chunk)) {
+      congested = true;
+      res.once('drain', flush);
+    }
+  };
+
+  const send = (event) => {
+    if (congested) {
+      held.set(event.marketId, event);
+      return;
+    }
+
+    write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  function flush() {
+    congested = false;
+
+    const events = [...held.values()].sort((a, b) => a.id - b.id);
+    held.clear();
+    events.forEach(send);
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  return {
+    send,
+    // Heartbeats are skipped while congested: the client is not idle
+    comment: (text) => {
+      if (!congested) {
+        write(`: ${text}\n\n`);
+      }
+    }
+  };
+}
+
+class StreamController {
+  /**
+   * GET /api/markets/stream?markets=id1,id2
+   * GET /api/markets/:id/stream
+   * Stream price, pool, odds and volume updates as Server-Sent Events
+   */
+  async streamMarkets(req, res) {
+    const marketIds = parseMarketIds(req);
+
+    if (marketIds.length === 0 || marketIds.length > STREAM_MAX_MARKETS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.VALIDATION_ERROR,
+          message: `Between 1 and ${STREAM_MAX_MARKETS} markets are required`
+        }
+      });
+    }
+
+    // Subscribe before reading the markets so nothing published meanwhile
+    // is lost; events are held until the client has caught up
+    const pending = [];
+    let caughtUp = false;
+    let stream = null;
+    let heartbeat = null;
+    const sequenceAtRead = marketStream.getSequence();
+    const unsubscribe = marketStream.subscribe(marketIds, (event) => {
+      if (caughtUp) {
+        stream.send(event);
+      } else {
+        pending.push(event);
+      }
+    });
+
+    // Also ends the subscription if the request fails below
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    let markets;
+    try {
+      markets = await Promise.all(marketIds.map(id => bettingService.getMarket(id)));
+    } catch (error) {
+      console.error('Error opening market stream:', error);
+
+      if (error.code === ERROR_CODES.MARKET_NOT_FOUND) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.MARKET_NOT_FOUND,
+            message: error.message
+          }
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: ERROR_CODES.INTERNAL_ERROR,
+          message: 'Failed to open market stream'
+        }
+      });
+    }
+
+    // The client went away while the markets were read
+    if (res.destroyed) {
+      return;
+    }
+
+    stream = openEventStream(res);
+
+    // Resume from the buffer if it still covers the gap, else start over
+    // from a snapshot of each market
+    const lastEventId = parseLastEventId(req);
+    const replay = lastEventId !== null
+      ? marketStream.getEventsSince(lastEventId, marketIds)
+      : { complete: false, events: [] };
+    let sentUpTo;
+
+    if (replay.complete) {
+      replay.events.forEach(stream.send);
+      sentUpTo = replay.events.length > 0
+        ? replay.events[replay.events.length - 1].id
+        : lastEventId;
+    } else {
+      markets.forEach(market => stream.send({
+        id: sequenceAtRead,
+        marketId: market.id,
+        type: STREAM_EVENT_TYPES.SNAPSHOT,
+        data: bettingService.getMarketSnapshot(market)
+      }));
+      sentUpTo = sequenceAtRead;
+    }
+
+    pending.filter(event => event.id > sentUpTo).forEach(stream.send);
+    caughtUp = true;
+
+    heartbeat = setInterval(() => stream.comment('heartbeat'), STREAM_HEARTBEAT_SECONDS * 1000);
+  }
+}
+
+module.exports = new StreamController();
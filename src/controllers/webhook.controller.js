@@ -0,0 +1,189 @@
+/**
+ * Webhook Controller
+ *
+ * Handles admin requests for webhook subscriptions and their deliveries
+ */
+
+const webhookService = require('../services/webhook.service');
+const { ERROR_CODES } = require('../config/constants');
+
+/**
+ * Send a mapped error response, or a 500 if the error is unexpected
+ */
+function sendError(res, error, action) {
+  const errorMap = {
+    [ERROR_CODES.WEBHOOK_NOT_FOUND]: 404,
+    [ERROR_CODES.WEBHOOK_DELIVERY_NOT_FOUND]: 404,
+    [ERROR_CODES.VALIDATION_ERROR]: 400
+  };
+
+  if (error.code && errorMap[error.code]) {
+    return res.status(errorMap[error.code]).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: ERROR_CODES.INTERNAL_ERROR,
+      message: `Failed to ${action}: ${error.message}`
+    }
+  });
+}
+
+class WebhookController {
+  /**
+   * POST /api/webhooks
+   * Create a subscription; the response carries its signing secret
+   * Requires admin authentication
+   */
+  async createSubscription(req, res) {
+    try {
+      const { url, events, marketIds, priceThresholds, description } = req.body;
+
+      const result = await webhookService.createSubscription({
+        url,
+        events,
+        marketIds,
+        priceThresholds,
+        description,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json(result);
+    } catch (error) {
+      console.error('Error creating webhook subscription:', error);
+      sendError(res, error, 'create webhook subscription');
+    }
+  }
+
+  /**
+   * GET /api/webhooks
+   * List subscriptions
+   * Requires admin authentication
+   */
+  async listSubscriptions(req, res) {
+    try {
+      const result = await webhookService.listSubscriptions();
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching webhook subscriptions:', error);
+      sendError(res, error, 'fetch webhook subscriptions');
+    }
+  }
+
+  /**
+   * GET /api/webhooks/:id
+   * Get one subscription
+   * Requires admin authentication
+   */
+  async getSubscription(req, res) {
+    try {
+      const result = await webhookService.getSubscription(req.params.id);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching webhook subscription:', error);
+      sendError(res, error, 'fetch webhook subscription');
+    }
+  }
+
+  /**
+   * PUT /api/webhooks/:id
+   * Change a subscription's URL, events, filters, description or active flag
+   * Requires admin authentication
+   */
+  async updateSubscription(req, res) {
+    try {
+      const { url, events, marketIds, priceThresholds, description, active } = req.body;
+
+      const result = await webhookService.updateSubscription(req.params.id, {
+        url,
+        events,
+        marketIds,
+        priceThresholds,
+        description,
+        active
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error updating webhook subscription:', error);
+      sendError(res, error, 'update webhook subscription');
+    }
+  }
+
+  /**
+   * DELETE /api/webhooks/:id
+   * Delete a subscription and its delivery log
+   * Requires admin authentication
+   */
+  async deleteSubscription(req, res) {
+    try {
+      const result = await webhookService.deleteSubscription(req.params.id);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error deleting webhook subscription:', error);
+      sendError(res, error, 'delete webhook subscription');
+    }
+  }
+
+  /**
+   * GET /api/webhooks/:id/deliveries
+   * A subscription's delivery log, optionally filtered by ?status=
+   * Requires admin authentication
+   */
+  async getDeliveries(req, res) {
+    try {
+      const result = await webhookService.getDeliveries(req.params.id, {
+        status: req.query.status || undefined
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      sendError(res, error, 'fetch webhook deliveries');
+    }
+  }
+
+  /**
+   * GET /api/webhooks/dead-letters
+   * Deliveries that ran out of attempts, across all subscriptions
+   * Requires admin authentication
+   */
+  async getDeadLetters(req, res) {
+    try {
+      const result = await webhookService.getDeadLetters();
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching webhook dead letters:', error);
+      sendError(res, error, 'fetch webhook dead letters');
+    }
+  }
+
+  /**
+   * POST /api/webhooks/deliveries/:deliveryId/retry
+   * Re-queue a dead delivery
+   * Requires admin authentication
+   */
+  async retryDelivery(req, res) {
+    try {
+      const result = await webhookService.retryDelivery(req.params.deliveryId);
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error retrying webhook delivery:', error);
+      sendError(res, error, 'retry webhook delivery');
+    }
+  }
+}
+
+module.exports = new WebhookController();
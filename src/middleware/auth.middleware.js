@@ -5,7 +5,7 @@
  */
 
 const { supabase } = require('../config/database');
-const { ERROR_CODES } = require('../config/constants');
+const { ERROR_CODES, ADMIN_ROLE } = require('../config/constants');
 
 /**
  * Verify JWT token from Authorization header
@@ -58,27 +58,52 @@ async function authenticateUser(req, res, next) {
 }
 
 /**
- * Optional authentication - doesn't fail if no token provided
- * Useful for endpoints that work with or without auth
+ * Require an admin user
+ * Must run after authenticateUser. The role lives in app_metadata, which
+ * only the service role can set, so users cannot grant it to themselves.
  */
-async function optionalAuth(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
+function requireAdmin(req, res, next) {
+  const role = req.user && req.user.app_metadata && req.user.app_metadata.role;
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      req.user = null;
-      return next();
-    }
+  if (role !== ADMIN_ROLE) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.FORBIDDEN,
+        message: 'Admin access required'
+      }
+    });
+  }
 
-    const token = authHeader.substring(7);
-    const { data, error } = await supabase.auth.getUser(token);
+  next();
+}
 
-    if (error || !data.user) {
-      req.user = null;
-    } else {
-      req.user = data.user;
-    }
+/**
+ * Resolve the user from the Authorization header without failing
+ *
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>} Supabase user, or null if missing/invalid
+ */
+async function resolveUser(req) {
+  const authHeader = req.headers.authorization;
 
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const { data, error } = await supabase.auth.getUser(token);
+
+  return error || !data.user ? null : data.user;
+}
+
+/**
+ * Optional authentication - doesn't fail if no token provided
+ * Useful for endpoints that work with or without auth
+ */
+async function optionalAuth(req, res, next) {
+  try {
+    req.user = await resolveUser(req);
     next();
   } catch (error) {
     console.error('Optional auth error:', error);
@@ -89,5 +114,7 @@ async function optionalAuth(req, res, next) {
 
 module.exports = {
   authenticateUser,
-  optionalAuth
+  requireAdmin,
+  optionalAuth,
+  resolveUser
 };
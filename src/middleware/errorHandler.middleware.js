@@ -21,17 +21,43 @@ function errorHandler(err, req, res, next) {
   // Map error codes to HTTP status codes
   if (errorCode === ERROR_CODES.UNAUTHORIZED) {
     statusCode = 401;
-  } else if (errorCode === ERROR_CODES.FORBIDDEN) {
+  } else if (
+    errorCode === ERROR_CODES.FORBIDDEN ||
+    errorCode === ERROR_CODES.SELF_EXCLUDED ||
+    errorCode === ERROR_CODES.COOL_OFF_ACTIVE
+  ) {
     statusCode = 403;
-  } else if (errorCode === ERROR_CODES.MARKET_NOT_FOUND) {
+  } else if (
+    errorCode === ERROR_CODES.MARKET_NOT_FOUND ||
+    errorCode === ERROR_CODES.POSITION_NOT_FOUND
+  ) {
     statusCode = 404;
+  } else if (
+    errorCode === ERROR_CODES.MARKET_CONFLICT ||
+    errorCode === ERROR_CODES.MARKET_ALREADY_RESOLVED ||
+    errorCode === ERROR_CODES.POOL_LOCKED ||
+    errorCode === ERROR_CODES.IDEMPOTENCY_IN_PROGRESS
+  ) {
+    statusCode = 409;
+  } else if (errorCode === ERROR_CODES.IDEMPOTENCY_KEY_REUSED) {
+    statusCode = 422;
   } else if (
     errorCode === ERROR_CODES.VALIDATION_ERROR ||
     errorCode === ERROR_CODES.INVALID_AMOUNT ||
     errorCode === ERROR_CODES.POOL_NOT_INITIALIZED ||
     errorCode === ERROR_CODES.MARKET_NOT_ACTIVE ||
     errorCode === ERROR_CODES.INSUFFICIENT_BALANCE ||
-    errorCode === ERROR_CODES.POOL_EXHAUSTED
+    errorCode === ERROR_CODES.POOL_EXHAUSTED ||
+    errorCode === ERROR_CODES.RISK_LIMIT_EXCEEDED ||
+    errorCode === ERROR_CODES.BET_SIZE_LIMIT_EXCEEDED ||
+    errorCode === ERROR_CODES.STAKE_LIMIT_EXCEEDED ||
+    errorCode === ERROR_CODES.LOSS_LIMIT_EXCEEDED ||
+    errorCode === ERROR_CODES.INSUFFICIENT_SHARES ||
+    errorCode === ERROR_CODES.INSUFFICIENT_LP_SHARES ||
+    errorCode === ERROR_CODES.SLIPPAGE_EXCEEDED ||
+    errorCode === ERROR_CODES.QUOTE_EXPIRED ||
+    errorCode === ERROR_CODES.QUOTE_STALE ||
+    errorCode === ERROR_CODES.QUOTE_INVALID
   ) {
     statusCode = 400;
   }
@@ -0,0 +1,240 @@
+/**
+ * Idempotency Middleware
+ *
+ * Honors the Idempotency-Key header on state-changing requests.
+ * The first request with a key is executed and its response stored;
+ * retries with the same key and body replay that response instead of
+ * executing again. Reusing a key with a different body or query string is
+ * rejected.
+ * Responses that mean nothing took effect (timeouts, conflicts, rate limits)
+ * are not stored: the key is released so the retry executes. A server error
+ * may come after the change was committed, so its key is kept and a retry
+ * is refused rather than risk applying the change twice.
+ *
+ * Keys are scoped per user, so two users can never collide.
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../config/database');
+const { resolveUser } = require('./auth.middleware');
+const { ERROR_CODES, IDEMPOTENCY_KEY_TTL_HOURS } = require('../config/constants');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_KEY_LENGTH = 255;
+
+// Postgres unique violation
+const UNIQUE_VIOLATION = '23505';
+
+// Statuses raised before anything is committed that invite a retry
+// (timeouts, market conflicts, rate limits)
+const RETRYABLE_STATUS_CODES = [408, 409, 429];
+
+/**
+ * Sort the query string so the order of its parameters does not matter
+ */
+function sortedQuery(query = {}) {
+  return Object.keys(query).sort().map(name => [name, query[name]]);
+}
+
+/**
+ * Hash the parts of a request that must match for a replay
+ */
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([req.method, req.baseUrl + req.path, sortedQuery(req.query), req.body || {}]))
+    .digest('hex');
+}
+
+/**
+ * Claim a key for this request
+ * Returns null if claimed, or the existing record if the key is taken
+ */
+async function claimKey(record) {
+  const { error } = await supabase.from('idempotency_keys').insert(record);
+
+  if (!error) {
+    return null;
+  }
+
+  if (error.code !== UNIQUE_VIOLATION) {
+    throw error;
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('idempotency_keys')
+    .select('*')
+    .eq('scope', record.scope)
+    .eq('key', record.key)
+    .single();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+
+  // Expired keys are released and claimed again
+  const ageMs = Date.now() - new Date(existing.created_at).getTime();
+  if (ageMs > IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000) {
+    await releaseKey(record.scope, record.key);
+    return claimKey(record);
+  }
+
+  return existing;
+}
+
+/**
+ * Release a key so the request can be retried
+ */
+async function releaseKey(scope, key) {
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .delete()
+    .eq('scope', scope)
+    .eq('key', key);
+
+  if (error) {
+    console.error('Failed to release idempotency key:', error);
+  }
+}
+
+/**
+ * Whether a response should be retried rather than replayed
+ */
+function isRetryable(statusCode) {
+  return RETRYABLE_STATUS_CODES.includes(statusCode);
+}
+
+/**
+ * Whether a stored response leaves it unknown if the request took effect
+ */
+function isOutcomeUnknown(statusCode) {
+  return statusCode >= 500;
+}
+
+/**
+ * Store the response for replay
+ * Retryable responses release the key instead, since nothing was committed
+ */
+async function storeResponse(scope, key, statusCode, body) {
+  if (isRetryable(statusCode)) {
+    return releaseKey(scope, key);
+  }
+
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .update({
+      status_code: statusCode,
+      response: body,
+      completed_at: new Date().toISOString()
+    })
+    .eq('scope', scope)
+    .eq('key', key);
+
+  if (error) {
+    console.error('Failed to store idempotent response:', error);
+  }
+}
+
+/**
+ * Idempotency-Key middleware
+ * Mount on a router to cover all of its mutating routes
+ */
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+
+  if (!MUTATING_METHODS.includes(req.method) || !key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: ERROR_CODES.VALIDATION_ERROR,
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      }
+    });
+  }
+
+  try {
+    const user = await resolveUser(req);
+    const scope = user ? user.id : 'anonymous';
+    const requestHash = hashRequest(req);
+
+    const existing = await claimKey({
+      scope,
+      key,
+      request_hash: requestHash,
+      method: req.method,
+      path: req.baseUrl + req.path
+    });
+
+    if (existing) {
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.IDEMPOTENCY_KEY_REUSED,
+            message: 'Idempotency-Key was already used with a different request'
+          }
+        });
+      }
+
+      if (existing.status_code === null) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.IDEMPOTENCY_IN_PROGRESS,
+            message: 'A request with this Idempotency-Key is still being processed'
+          }
+        });
+      }
+
+      if (isOutcomeUnknown(existing.status_code)) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: ERROR_CODES.IDEMPOTENCY_OUTCOME_UNKNOWN,
+            message: 'The request with this Idempotency-Key failed and may have taken effect; check before retrying with a new key'
+          }
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.status_code).json(existing.response);
+    }
+
+    // Capture the response once the route handler sends it
+    let captured = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      captured = true;
+      storeResponse(scope, key, res.statusCode, body)
+        .catch(error => console.error('Failed to store idempotent response:', error));
+      return originalJson(body);
+    };
+
+    // A response sent other than as JSON cannot be replayed; release the key
+    // rather than leave it in progress until it expires, unless it was a
+    // server error that may have come after a commit
+    res.on('finish', () => {
+      if (captured) {
+        return;
+      }
+
+      const settle = isOutcomeUnknown(res.statusCode)
+        ? storeResponse(scope, key, res.statusCode, null)
+        : releaseKey(scope, key);
+
+      settle.catch(error => console.error('Failed to settle idempotency key:', error));
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  idempotency
+};
@@ -30,9 +30,17 @@ router.get('/markets', async (req, res, next) => {
     // Calculate total volume
     const totalVolume = markets.reduce((sum, m) => sum + (m.total_volume || 0), 0);
 
-    // Calculate average prices
-    const avgYesPrice = markets.reduce((sum, m) => sum + m.yes_price, 0) / markets.length;
-    const avgNoPrice = markets.reduce((sum, m) => sum + m.no_price, 0) / markets.length;
+    // Calculate average prices (yes/no markets, CPMM or LMSR)
+    const pricedMarkets = markets.filter(m => m.yes_price !== null && m.yes_price !== undefined);
+    const avgYesPrice = pricedMarkets.reduce((sum, m) => sum + m.yes_price, 0) / pricedMarkets.length;
+    const avgNoPrice = pricedMarkets.reduce((sum, m) => sum + m.no_price, 0) / pricedMarkets.length;
+
+    // Count markets per pricing engine
+    const pricingModels = markets.reduce((counts, m) => {
+      const model = m.pricing_model || 'cpmm';
+      counts[model] = (counts[model] || 0) + 1;
+      return counts;
+    }, {});
 
     // Get total bettors
     const totalBettors = markets.reduce((sum, m) => sum + (m.bettor_count || 0), 0);
@@ -44,6 +52,7 @@ router.get('/markets', async (req, res, next) => {
       category: m.category,
       volume: m.total_volume,
       bettorCount: m.bettor_count,
+      pricingModel: m.pricing_model || 'cpmm',
       yesPrice: m.yes_price,
       noPrice: m.no_price
     }));
@@ -59,7 +68,8 @@ router.get('/markets', async (req, res, next) => {
           totalVolume,
           avgYesPrice,
           avgNoPrice,
-          totalBettors
+          totalBettors,
+          pricingModels
         },
         topMarkets: topByVolume,
         timestamp: new Date().toISOString()
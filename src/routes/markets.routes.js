@@ -9,21 +9,64 @@ const router = express.Router();
 const oddsController = require('../controllers/odds.controller');
 const bettingController = require('../controllers/betting.controller');
 const oddsMultiplierController = require('../controllers/oddsMultiplier.controller');
-const { authenticateUser } = require('../middleware/auth.middleware');
+const settlementController = require('../controllers/settlement.controller');
+const liquidityController = require('../controllers/liquidity.controller');
+const orderController = require('../controllers/order.controller');
+const riskController = require('../controllers/risk.controller');
+const priceHistoryController = require('../controllers/priceHistory.controller');
+const streamController = require('../controllers/stream.controller');
+const poolInitializationController = require('../controllers/poolInitialization.controller');
+const { authenticateUser, requireAdmin, optionalAuth } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
+
+// Idempotency-Key support for every state-changing route below
+router.use(idempotency);
 
 // Public routes (no authentication required)
 
+/**
+ * GET /api/markets/stream?markets=id1,id2
+ * Live updates for several markets as Server-Sent Events
+ */
+router.get('/stream', streamController.streamMarkets);
+
+/**
+ * GET /api/markets/:id/stream
+ * Live price, pool, odds and volume updates as Server-Sent Events
+ * Resumes after Last-Event-ID (or ?lastEventId=) on reconnect
+ */
+router.get('/:id/stream', streamController.streamMarkets);
+
 /**
  * GET /api/markets/:id/odds
  * Get current odds for a market
  */
 router.get('/:id/odds', oddsController.getMarketOdds);
 
+/**
+ * GET /api/markets/:id/depth
+ * Stake ladder and stake needed to move each outcome's price
+ */
+router.get('/:id/depth', oddsController.getMarketDepth);
+
+/**
+ * GET /api/markets/:id/history
+ * Raw price points and OHLC candles (?interval=1m|1h|1d, ?from=, ?to=, ?outcome=)
+ */
+router.get('/:id/history', priceHistoryController.getMarketHistory);
+
 /**
  * POST /api/markets/:id/quote
  * Get a quote for a bet without executing it
+ * With a Bearer token, only that user can execute the quote
+ */
+router.post('/:id/quote', optionalAuth, oddsController.getBetQuote);
+
+/**
+ * POST /api/markets/:id/quote-sell
+ * Get a quote for selling shares back to the pool without executing it
  */
-router.post('/:id/quote', oddsController.getBetQuote);
+router.post('/:id/quote-sell', oddsController.getSellQuote);
 
 // Protected routes (authentication required)
 
@@ -34,12 +77,21 @@ router.post('/:id/quote', oddsController.getBetQuote);
  */
 router.post('/:id/bet', authenticateUser, bettingController.placeBet);
 
+/**
+ * POST /api/markets/:id/sell
+ * Sell shares from a position back into the pool (cash out)
+ * Requires: Bearer token in Authorization header
+ */
+router.post('/:id/sell', authenticateUser, bettingController.sellShares);
+
 // Odds-based betting routes (sports betting style)
 
 /**
  * GET /api/markets/:id/odds-multiplier
  * Get current odds as multipliers (1.85x, 10.5x, etc.)
  * Returns traditional betting odds instead of share prices
+ * Optional ?format= (decimal, american, fractional, hongkong, malay,
+ * indonesian, probability) for the formatted odds
  */
 router.get('/:id/odds-multiplier', oddsMultiplierController.getMarketOddsMultiplier);
 
@@ -47,8 +99,10 @@ router.get('/:id/odds-multiplier', oddsMultiplierController.getMarketOddsMultipl
  * POST /api/markets/:id/quote-odds
  * Get bet quote with odds multiplier format
  * Shows payout and profit instead of shares
+ * Optional ?format= for the formatted odds, as for /odds-multiplier
+ * With a Bearer token, only that user can execute the quote
  */
-router.post('/:id/quote-odds', oddsMultiplierController.getBetQuoteWithOdds);
+router.post('/:id/quote-odds', optionalAuth, oddsMultiplierController.getBetQuoteWithOdds);
 
 /**
  * POST /api/markets/:id/bet-odds
@@ -57,4 +111,98 @@ router.post('/:id/quote-odds', oddsMultiplierController.getBetQuoteWithOdds);
  */
 router.post('/:id/bet-odds', authenticateUser, oddsMultiplierController.placeBetWithOdds);
 
+// Limit order routes
+
+/**
+ * POST /api/markets/:id/orders
+ * Place a limit order that fills once the outcome's price reaches limitPrice
+ * The stake is reserved from the balance until filled or cancelled
+ * Requires: Bearer token in Authorization header
+ */
+router.post('/:id/orders', authenticateUser, orderController.placeOrder);
+
+/**
+ * GET /api/markets/:id/orders
+ * List the caller's orders on a market (optional ?status=)
+ * Requires: Bearer token in Authorization header
+ */
+router.get('/:id/orders', authenticateUser, orderController.getOrders);
+
+/**
+ * DELETE /api/markets/:id/orders/:orderId
+ * Cancel an open order and release its unfilled stake
+ * Requires: Bearer token in Authorization header
+ */
+router.delete('/:id/orders/:orderId', authenticateUser, orderController.cancelOrder);
+
+// Liquidity provider routes
+
+/**
+ * GET /api/markets/:id/liquidity
+ * Get pool liquidity and LP share totals
+ * Includes the caller's LP position when a Bearer token is sent
+ */
+router.get('/:id/liquidity', optionalAuth, liquidityController.getLiquidity);
+
+/**
+ * POST /api/markets/:id/liquidity/add
+ * Deposit liquidity at the current price and receive LP shares
+ * Requires: Bearer token in Authorization header
+ */
+router.post('/:id/liquidity/add', authenticateUser, liquidityController.addLiquidity);
+
+/**
+ * POST /api/markets/:id/liquidity/remove
+ * Burn LP shares and withdraw liquidity at the current price
+ * Requires: Bearer token in Authorization header
+ */
+router.post('/:id/liquidity/remove', authenticateUser, liquidityController.removeLiquidity);
+
+// Admin routes (authentication and admin role required)
+
+/**
+ * POST /api/markets/:id/initialize-pool
+ * Seed the market's pool from a size or target starting probability
+ * Refused once the market has bets or LP deposits
+ * Requires: Bearer token of a user with app_metadata.role = 'admin'
+ */
+router.post('/:id/initialize-pool', authenticateUser, requireAdmin, poolInitializationController.initializePool);
+
+/**
+ * POST /api/markets/:id/close
+ * Stop trading on a market ahead of resolution
+ * Requires: Bearer token of a user with app_metadata.role = 'admin'
+ */
+router.post('/:id/close', authenticateUser, requireAdmin, settlementController.closeMarket);
+
+/**
+ * POST /api/markets/:id/resolve
+ * Resolve a market and pay out winning positions
+ * Re-running with the same outcome settles any positions left unsettled
+ * Requires: Bearer token of a user with app_metadata.role = 'admin'
+ */
+router.post('/:id/resolve', authenticateUser, requireAdmin, settlementController.resolveMarket);
+
+/**
+ * POST /api/markets/:id/cancel
+ * Void a market and refund every bettor's stake
+ * Re-running refunds any users left unrefunded
+ * Requires: Bearer token of a user with app_metadata.role = 'admin'
+ */
+router.post('/:id/cancel', authenticateUser, requireAdmin, settlementController.cancelMarket);
+
+/**
+ * GET /api/markets/:id/liability
+ * Fixed-odds liability per outcome: stakes, promised payouts, worst case
+ * Requires: Bearer token of a user with app_metadata.role = 'admin'
+ */
+router.get('/:id/liability', authenticateUser, requireAdmin, oddsMultiplierController.getMarketLiability);
+
+/**
+ * POST /api/markets/:id/resume
+ * Reopen a market suspended by its risk limits
+ * Requires: Bearer token of a user with app_metadata.role = 'admin'
+ */
+router.post('/:id/resume', authenticateUser, requireAdmin, riskController.resumeMarket);
+
 module.exports = router;
@@ -0,0 +1,63 @@
+/**
+ * Me Routes
+ *
+ * Defines API routes for the authenticated user's own account: betting
+ * limits, positions and portfolio
+ */
+
+const express = require('express');
+const router = express.Router();
+const responsibleGamblingController = require('../controllers/responsibleGambling.controller');
+const portfolioController = require('../controllers/portfolio.controller');
+const { authenticateUser } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
+
+// Every route below acts on the caller's own account
+router.use(authenticateUser);
+
+// Idempotency-Key support for every state-changing route below
+router.use(idempotency);
+
+/**
+ * GET /api/me/limits
+ * The caller's betting limits, pending increases, exclusions and usage
+ * Requires: Bearer token in Authorization header
+ */
+router.get('/limits', responsibleGamblingController.getLimits);
+
+/**
+ * PUT /api/me/limits
+ * Set stake, loss and bet-size limits (increases apply after a delay)
+ * Requires: Bearer token in Authorization header
+ */
+router.put('/limits', responsibleGamblingController.setLimits);
+
+/**
+ * POST /api/me/cool-off
+ * Take a break from betting for a number of days
+ * Requires: Bearer token in Authorization header
+ */
+router.post('/cool-off', responsibleGamblingController.startCoolOff);
+
+/**
+ * POST /api/me/self-exclusion
+ * Self-exclude from betting for a number of days
+ * Requires: Bearer token in Authorization header
+ */
+router.post('/self-exclusion', responsibleGamblingController.selfExclude);
+
+/**
+ * GET /api/me/positions
+ * The caller's positions valued at live prices (optional ?status=open|closed|all)
+ * Requires: Bearer token in Authorization header
+ */
+router.get('/positions', portfolioController.getPositions);
+
+/**
+ * GET /api/me/portfolio
+ * The caller's portfolio totals, open positions and open fixed-odds bets
+ * Requires: Bearer token in Authorization header
+ */
+router.get('/portfolio', portfolioController.getPortfolio);
+
+module.exports = router;
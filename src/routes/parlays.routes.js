@@ -0,0 +1,43 @@
+/**
+ * Parlays Routes
+ *
+ * Defines API routes for parlay (accumulator) bets across markets
+ */
+
+const express = require('express');
+const router = express.Router();
+const parlayController = require('../controllers/parlay.controller');
+const { authenticateUser } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
+
+// Idempotency-Key support for every state-changing route below
+router.use(idempotency);
+
+/**
+ * POST /api/parlays/quote
+ * Quote a parlay: per-leg odds, combined odds and payout
+ */
+router.post('/quote', parlayController.getParlayQuote);
+
+/**
+ * POST /api/parlays
+ * Place a parlay over several markets at the current odds
+ * Requires: Bearer token in Authorization header
+ */
+router.post('/', authenticateUser, parlayController.placeParlay);
+
+/**
+ * GET /api/parlays
+ * List the caller's parlays (optional ?status=)
+ * Requires: Bearer token in Authorization header
+ */
+router.get('/', authenticateUser, parlayController.getParlays);
+
+/**
+ * GET /api/parlays/:id
+ * Get one of the caller's parlays with its legs
+ * Requires: Bearer token in Authorization header
+ */
+router.get('/:id', authenticateUser, parlayController.getParlay);
+
+module.exports = router;
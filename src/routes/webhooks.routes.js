@@ -0,0 +1,76 @@
+/**
+ * Webhooks Routes
+ *
+ * Defines admin API routes for outbound webhook subscriptions, their
+ * delivery logs and the dead-letter list
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhook.controller');
+const { authenticateUser, requireAdmin } = require('../middleware/auth.middleware');
+const { idempotency } = require('../middleware/idempotency.middleware');
+
+// Every route below is admin-only
+router.use(authenticateUser, requireAdmin);
+
+// Idempotency-Key support for every state-changing route below
+router.use(idempotency);
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to events; the response carries the signing secret
+ * Requires: Bearer token in Authorization header (admin)
+ */
+router.post('/', webhookController.createSubscription);
+
+/**
+ * GET /api/webhooks
+ * List subscriptions
+ * Requires: Bearer token in Authorization header (admin)
+ */
+router.get('/', webhookController.listSubscriptions);
+
+/**
+ * GET /api/webhooks/dead-letters
+ * Deliveries that ran out of attempts
+ * Requires: Bearer token in Authorization header (admin)
+ */
+router.get('/dead-letters', webhookController.getDeadLetters);
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/retry
+ * Re-queue a dead delivery
+ * Requires: Bearer token in Authorization header (admin)
+ */
+router.post('/deliveries/:deliveryId/retry', webhookController.retryDelivery);
+
+/**
+ * GET /api/webhooks/:id
+ * Get one subscription
+ * Requires: Bearer token in Authorization header (admin)
+ */
+router.get('/:id', webhookController.getSubscription);
+
+/**
+ * PUT /api/webhooks/:id
+ * Change a subscription (url, events, marketIds, priceThresholds, description, active)
+ * Requires: Bearer token in Authorization header (admin)
+ */
+router.put('/:id', webhookController.updateSubscription);
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a subscription and its delivery log
+ * Requires: Bearer token in Authorization header (admin)
+ */
+router.delete('/:id', webhookController.deleteSubscription);
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * A subscription's delivery log (optional ?status=pending|delivered|dead)
+ * Requires: Bearer token in Authorization header (admin)
+ */
+router.get('/:id/deliveries', webhookController.getDeliveries);
+
+module.exports = router;
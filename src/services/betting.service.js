@@ -4,7 +4,7 @@
  * Core service that orchestrates the entire bet placement flow.
  * Handles:
  * - Market state validation
- * - User balance checking
+ * - User balance and self-set limit checking
  * - House margin application
  * - CPMM odds calculation
  * - Pool updates
@@ -12,224 +12,223 @@
  * - Position management
  * - Transaction logging
  * - Price history tracking
+ *
+ * Trades are priced in Node against a market snapshot and committed in one
+ * database transaction (execute_trade), retried if the market changed.
+ *
+ * Binary markets price with OddsCalculationService (CPMM) or, when their
+ * pricing_model is 'lmsr', LmsrCalculationService; categorical (N-outcome)
+ * markets with CategoricalCalculationService. See the POOL MODEL section.
  */
 
 const { supabase } = require('../config/database');
 const oddsCalculation = require('./oddsCalculation.service');
+const categoricalCalculation = require('./categoricalCalculation.service');
+const lmsrCalculation = require('./lmsrCalculation.service');
 const houseMargin = require('./houseMargin.service');
 const liquidityPool = require('./liquidityPool.service');
+const riskLimit = require('./riskLimit.service');
+const responsibleGambling = require('./responsibleGambling.service');
 const oddsConverter = require('./oddsConverter.service');
-const { ERROR_CODES, MARKET_STATUS, BET_STATUS, OUTCOMES } = require('../config/constants');
+const quoteService = require('./quote.service');
+const marketStream = require('./marketStream.service');
+const webhookService = require('./webhook.service');
+const {
+  ERROR_CODES,
+  MARKET_STATUS,
+  BET_STATUS,
+  OUTCOMES,
+  MARKET_TYPES,
+  PRICING_MODELS,
+  BET_SIDES,
+  BET_TYPES,
+  TRANSACTION_TYPES,
+  QUOTE_TYPES,
+  ODDS_FORMATS,
+  STREAM_EVENT_TYPES,
+  WEBHOOK_EVENTS,
+  MAX_TRADE_RETRIES,
+  SLIPPAGE_WARNING_THRESHOLD,
+  SLIPPAGE_CRITICAL_THRESHOLD,
+  MIN_BET_AMOUNT,
+  MAX_BET_AMOUNT,
+  DEPTH_LADDER_STAKES,
+  DEPTH_MAX_STEPS,
+  DEPTH_PRICE_MOVES
+} = require('../config/constants');
+
+// Bisection steps when solving for the stake that reaches a price move
+const STAKE_SEARCH_ITERATIONS = 50;
 
 class BettingService {
   /**
    * Place a bet and update market odds
    * This is the main entry point for bet placement
    *
+   * The user either spends an exact amount (betAmount) or buys an exact
+   * number of shares (shares), in which case the gross cost is solved for.
+   *
    * @param {object} params - Bet parameters
    * @param {string} params.marketId - Market UUID
    * @param {string} params.userId - User UUID
-   * @param {string} params.outcome - 'yes' or 'no'
-   * @param {number} params.betAmount - Gross bet amount
+   * @param {string} params.outcome - 'yes' or 'no', or an outcome key for categorical markets
+   * @param {number} [params.betAmount] - Gross bet amount
+   * @param {number} [params.shares] - Exact number of shares to buy
+   * @param {object} [params.limits] - Slippage protection
+   * @param {number} [params.limits.minTokensOut] - Reject if fewer tokens
+   * @param {number} [params.limits.maxEffectivePrice] - Reject if effective price is higher
+   * @param {number} [params.limits.maxSlippage] - Reject if slippage is higher
+   * @param {string} [params.quoteId] - Firm quote to execute; fixes outcome and size
    * @returns {Promise<object>} Bet result with updated prices
    */
-  async placeBet({ marketId, userId, outcome, betAmount }) {
-    // Validate inputs
-    this.validateBetInputs(marketId, userId, outcome, betAmount);
+  async placeBet({ marketId, userId, outcome, betAmount, shares, limits = {}, quoteId }) {
+    // A firm quote fixes the outcome and size the user was shown
+    let quote = null;
+    if (quoteId) {
+      quote = quoteService.getQuote(quoteId, { type: QUOTE_TYPES.BET, marketId, outcome, userId });
+      outcome = quote.outcome;
+      betAmount = quote.shares ? undefined : quote.amount;
+      shares = quote.shares || undefined;
+    }
 
-    // 1. Get current market state
-    const market = await this.getMarket(marketId);
-    this.validateMarketState(market);
+    // Validate inputs
+    this.validateBetInputs(marketId, userId, outcome, betAmount, shares);
+    this.validateSlippageLimits(limits);
 
-    // 2. Get user profile and validate balance
     const profile = await this.getUserProfile(userId);
-    this.validateUserBalance(profile, betAmount);
-
-    // 3. Apply house margin (2% fee)
-    const { netAmount, houseFee } = houseMargin.applyMargin(betAmount);
-
-    // 4. Get current pools and calculate prices before bet
-    const yesPoolBefore = parseFloat(market.yes_pool);
-    const noPoolBefore = parseFloat(market.no_pool);
-    const k = parseFloat(market.liquidity_constant);
+    const bettingState = await responsibleGambling.getBettingState(userId);
 
-    // Validate pool state
-    liquidityPool.validatePoolState(yesPoolBefore, noPoolBefore, k);
+    // Price and commit against a market snapshot; retried if another trade
+    // commits on the same market first
+    return this.withMarketRetry(marketId, async (market) => {
+      // 1. Validate market state and outcome
+      this.validateMarketState(market);
+      this.validateOutcome(market, outcome);
 
-    const priceBeforeBet = outcome === OUTCOMES.YES
-      ? oddsCalculation.calculateYesPrice(yesPoolBefore, noPoolBefore)
-      : oddsCalculation.calculateNoPrice(yesPoolBefore, noPoolBefore);
+      // 2. Validate pool state
+      this.validatePoolState(market);
 
-    // 5. Calculate tokens received using CPMM
-    let tokensReceived, yesPoolAfter, noPoolAfter;
+      // 3. Apply house margin and calculate tokens using CPMM
+      const { grossAmount, netAmount, houseFee, margin, simulation } = this.priceBuy({
+        market,
+        outcome,
+        betAmount,
+        shares
+      });
 
-    if (outcome === OUTCOMES.YES) {
-      // Buying YES: add to NO pool, receive from YES pool
-      tokensReceived = oddsCalculation.calculateTokensReceived(
-        netAmount,
-        noPoolBefore,
-        yesPoolBefore,
-        k
-      );
-      yesPoolAfter = yesPoolBefore - tokensReceived;
-      noPoolAfter = noPoolBefore + netAmount;
-    } else {
-      // Buying NO: add to YES pool, receive from NO pool
-      tokensReceived = oddsCalculation.calculateTokensReceived(
-        netAmount,
-        yesPoolBefore,
-        noPoolBefore,
-        k
-      );
-      noPoolAfter = noPoolBefore - tokensReceived;
-      yesPoolAfter = yesPoolBefore + netAmount;
-    }
+      // 4. Validate the user's own limits and balance against the gross cost
+      // (balance re-checked atomically on commit)
+      responsibleGambling.validateBet(bettingState, grossAmount);
+      this.validateUserBalance(profile, grossAmount);
 
-    // 6. Calculate effective price and slippage
-    const effectivePrice = oddsCalculation.calculateEffectivePrice(netAmount, tokensReceived);
-    const slippage = oddsCalculation.calculateSlippage(priceBeforeBet, effectivePrice);
+      // 5. Reject if the pool has moved beyond what the user accepted
+      if (quote) {
+        this.enforceQuoteTerms(quote, simulation, grossAmount);
+      } else {
+        this.enforceSlippageLimits(simulation, limits);
+      }
 
-    // 7. Calculate new prices
-    const newYesPrice = oddsCalculation.calculateYesPrice(yesPoolAfter, noPoolAfter);
-    const newNoPrice = oddsCalculation.calculateNoPrice(yesPoolAfter, noPoolAfter);
+      // 6. Enforce house risk limits
+      await this.enforceRiskLimits(market, outcome, { simulation });
 
-    // 8. Verify constant product is maintained
-    const newK = yesPoolAfter * noPoolAfter;
-    if (Math.abs(newK - k) > 0.01) {
-      throw new Error('Liquidity constant violated - calculation error');
-    }
+      // 7. Verify constant product is maintained
+      this.verifyInvariant(market, simulation.newK);
 
-    // 9. Execute database transaction
-    try {
-      const result = await this.executeTransaction({
-        marketId,
+      // 8. Execute database transaction, claiming the quote as it commits
+      return this.commitQuoted(quote, () => this.executeTransaction({
+        market,
         userId,
         outcome,
-        betAmount,
+        betAmount: grossAmount,
         netAmount,
         houseFee,
-        tokensReceived,
-        effectivePrice,
-        slippage,
-        priceBeforeBet,
-        yesPoolBefore,
-        noPoolBefore,
-        yesPoolAfter,
-        noPoolAfter,
-        newYesPrice,
-        newNoPrice,
-        market,
-        profile
-      });
+        margin,
+        simulation
+      }));
+    });
+  }
 
-      return result;
-    } catch (error) {
-      console.error('Bet placement failed:', error);
-      throw new Error(`Bet processing failed: ${error.message}`);
+  /**
+   * Price a buy against the pool
+   * Spending a fixed amount deducts the margin first; buying a fixed
+   * share count solves for the net cost and grosses the margin on top.
+   * The margin is resolved for the market and the gross stake.
+   *
+   * @private
+   */
+  priceBuy({ market, outcome, betAmount, shares }) {
+    if (shares) {
+      this.validateSharesAvailable(market, outcome, shares);
+
+      const simulation = this.simulateBuy(market, outcome, { tokensDesired: shares });
+      const { grossAmount, netAmount, houseFee, margin } =
+        houseMargin.grossUpForMarket(market, simulation.betAmount);
+
+      return { grossAmount, netAmount, houseFee, margin, simulation };
     }
+
+    const margin = houseMargin.resolveMargin(market, betAmount);
+    const { netAmount, houseFee } = houseMargin.applyMargin(betAmount, margin.margin);
+    const simulation = this.simulateBuy(market, outcome, { betAmount: netAmount });
+
+    return { grossAmount: betAmount, netAmount, houseFee, margin, simulation };
   }
 
   /**
    * Execute the database transaction for bet placement
    * Updates: market, bet, user balance, position, transaction, price_history
+   * With an order, the stake comes out of that limit order's reservation.
    *
    * @private
    */
   async executeTransaction(params) {
     const {
-      marketId, userId, outcome, betAmount, netAmount, houseFee,
-      tokensReceived, effectivePrice, slippage, priceBeforeBet,
-      yesPoolBefore, noPoolBefore, yesPoolAfter, noPoolAfter,
-      newYesPrice, newNoPrice, market, profile
+      market, userId, outcome, betAmount, netAmount, houseFee, margin, simulation, order = null
     } = params;
+    const marketId = market.id;
 
-    // Update market pools and prices
-    const { error: updateError } = await supabase
-      .from('markets')
-      .update({
-        yes_pool: yesPoolAfter,
-        no_pool: noPoolAfter,
-        yes_price: newYesPrice,
-        no_price: newNoPrice,
-        total_volume: parseFloat(market.total_volume || 0) + betAmount,
-        last_price_update: new Date().toISOString()
-      })
-      .eq('id', marketId);
-
-    if (updateError) {
-      throw updateError;
-    }
-
-    // Create bet record
-    const { data: bet, error: betError } = await supabase
-      .from('bets')
-      .insert({
+    const {
+      tokensReceived,
+      effectivePrice,
+      slippage,
+      priceBeforeBet,
+      priceAfterBet
+    } = simulation;
+
+    const { bet, balance } = await this.commitTrade({
+      market,
+      userId,
+      marketUpdate: {
+        ...this.buildPoolUpdate(market, simulation),
+        total_volume: parseFloat(market.total_volume || 0) + betAmount
+      },
+      bet: {
         market_id: marketId,
         user_id: userId,
         outcome,
+        side: BET_SIDES.BUY,
+        shares: tokensReceived,
         amount: betAmount,
         price: priceBeforeBet,
         potential_return: tokensReceived,
         status: BET_STATUS.MATCHED,
-        yes_pool_before: yesPoolBefore,
-        no_pool_before: noPoolBefore,
-        yes_pool_after: yesPoolAfter,
-        no_pool_after: noPoolAfter,
+        ...this.buildPoolSnapshot(market, simulation),
         effective_price: effectivePrice,
         slippage,
-        house_fee: houseFee
-      })
-      .select()
-      .single();
-
-    if (betError) {
-      throw betError;
-    }
-
-    // Update user balance
-    const newBalance = parseFloat(profile.balance) - betAmount;
-    const { error: balanceError } = await supabase
-      .from('profiles')
-      .update({ balance: newBalance })
-      .eq('id', userId);
-
-    if (balanceError) {
-      throw balanceError;
-    }
-
-    // Update or create position
-    await this.updatePosition(
-      userId,
-      marketId,
-      outcome,
-      netAmount,
-      tokensReceived,
-      effectivePrice
-    );
-
-    // Log transaction
-    await supabase
-      .from('transactions')
-      .insert({
-        user_id: userId,
-        type: 'bet',
-        amount: betAmount,
-        balance_after: newBalance,
-        reference_id: bet.id
-      });
-
-    // Record price history
-    await supabase
-      .from('price_history')
-      .insert({
-        market_id: marketId,
-        yes_price: newYesPrice,
-        no_price: newNoPrice,
-        yes_pool: yesPoolAfter,
-        no_pool: noPoolAfter,
-        total_volume: parseFloat(market.total_volume || 0) + betAmount,
-        bet_id: bet.id
-      });
+        house_fee: houseFee,
+        house_margin: margin.margin,
+        ...(order && { order_id: order.id })
+      },
+      balanceDelta: -betAmount,
+      position: {
+        outcome,
+        shares_delta: tokensReceived,
+        invested_delta: netAmount,
+        price: priceAfterBet
+      },
+      transactionType: TRANSACTION_TYPES.BET,
+      order
+    });
 
     // Return complete result
     return {
@@ -241,18 +240,13 @@ class BettingService {
         grossAmount: betAmount,
         netAmount,
         houseFee,
+        houseMargin: margin.margin,
         tokensReceived,
         effectivePrice,
         slippage,
         priceBeforeBet,
-        newPrices: {
-          yesPrice: newYesPrice,
-          noPrice: newNoPrice
-        },
-        newPools: {
-          yesPool: yesPoolAfter,
-          noPool: noPoolAfter
-        },
+        newBalance: parseFloat(balance),
+        ...this.formatPoolChange(market, simulation),
         potentialPayout: tokensReceived,
         potentialProfit: tokensReceived - betAmount,
         createdAt: bet.created_at
@@ -261,51 +255,255 @@ class BettingService {
   }
 
   /**
-   * Update user position for a market
-   * Creates new position or updates existing one
+   * Run a trade against a fresh market snapshot, retrying on conflict
+   * The attempt prices the trade and commits it with commitTrade; if another
+   * trade committed on the market first, the snapshot is re-read and the
+   * trade re-priced.
    *
    * @private
    */
-  async updatePosition(userId, marketId, outcome, amount, shares, avgPrice) {
-    const { data: existing } = await supabase
-      .from('positions')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('market_id', marketId)
-      .eq('outcome', outcome)
-      .single();
+  async withMarketRetry(marketId, attempt) {
+    for (let attemptNumber = 1; ; attemptNumber++) {
+      const market = await this.getMarket(marketId);
+
+      try {
+        return await attempt(market);
+      } catch (error) {
+        if (error.code !== ERROR_CODES.MARKET_CONFLICT || attemptNumber >= MAX_TRADE_RETRIES) {
+          throw error;
+        }
 
-    if (existing) {
-      // Update existing position
-      const newShares = parseFloat(existing.shares) + shares;
-      const newTotalInvested = parseFloat(existing.total_invested) + amount;
-      const newAvgPrice = newTotalInvested / newShares;
-
-      await supabase
-        .from('positions')
-        .update({
-          shares: newShares,
-          total_invested: newTotalInvested,
-          avg_price: newAvgPrice,
-          current_value: newShares * avgPrice
-        })
-        .eq('id', existing.id);
-    } else {
-      // Create new position
-      await supabase
-        .from('positions')
-        .insert({
-          user_id: userId,
-          market_id: marketId,
-          outcome,
-          shares,
-          avg_price: avgPrice,
-          total_invested: amount,
-          current_value: amount
-        });
+        // Back off briefly with jitter so competing trades interleave
+        const delay = attemptNumber * 20 + Math.random() * 20;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Commit a trade priced against a firm quote (or any trade, if quote is null)
+   * The quote is claimed as the trade commits; if another trade committed on
+   * the market first it is released, so the retry can still execute it.
+   *
+   * @private
+   */
+  async commitQuoted(quote, commit) {
+    if (!quote) {
+      return commit();
+    }
+
+    await quoteService.claimQuote(quote);
+
+    try {
+      return await commit();
+    } catch (error) {
+      if (error.code === ERROR_CODES.MARKET_CONFLICT) {
+        await quoteService.releaseQuote(quote);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Commit a priced trade atomically via the execute_trade database function
+   * Market pools, bet, balance, position, transaction and price history
+   * either all commit or none do. See sql/05-atomic-trade-execution.sql.
+   * The LP share of the house fee is accrued with the market update.
+   * Limit order fills go through fill_limit_order, which wraps execute_trade
+   * (sql/13-limit-orders.sql); any other trade re-evaluates resting orders.
+   * The market's new state is published to stream subscribers.
+   *
+   * @private
+   * @param {object} params
+   * @param {object} params.market - Market snapshot the trade was priced against
+   * @param {string} params.userId - User UUID
+   * @param {object} params.marketUpdate - Market columns to update
+   * @param {object} params.bet - Bet columns to insert
+   * @param {number} params.balanceDelta - Signed balance change
+   * @param {object|null} params.position - Position change (null for fixed-odds bets)
+   * @param {string} params.transactionType - Transaction type to log
+   * @param {object} [params.order] - Limit order being filled
+   * @returns {Promise<object>} { bet, balance, position, cost_basis, realized_pnl }
+   * @throws {Error} MARKET_CONFLICT, INSUFFICIENT_BALANCE, INSUFFICIENT_SHARES or ORDER_NOT_OPEN
+   */
+  async commitTrade({ market, userId, marketUpdate, bet, balanceDelta, position, transactionType, order = null }) {
+    const pricesBefore = this.getPriceMap(market);
+
+    const { data, error } = await supabase.rpc(order ? 'fill_limit_order' : 'execute_trade', {
+      ...(order && { p_order_id: order.id, p_fill_amount: -balanceDelta }),
+      p_market_id: market.id,
+      p_expected_version: market.version || 0,
+      p_market: {
+        ...marketUpdate,
+        ...liquidityPool.accrueLpFees(market, bet.house_fee)
+      },
+      p_bet: bet,
+      p_user_id: userId,
+      p_balance_delta: balanceDelta,
+      p_position: position,
+      p_transaction_type: transactionType
+    });
+
+    if (error) {
+      // The function raises our error codes as exception messages
+      const knownCodes = [
+        ERROR_CODES.MARKET_CONFLICT,
+        ERROR_CODES.INSUFFICIENT_BALANCE,
+        ERROR_CODES.INSUFFICIENT_SHARES,
+        ERROR_CODES.ORDER_NOT_OPEN
+      ];
+      const code = knownCodes.find(knownCode => error.message === knownCode);
+
+      if (code) {
+        const messages = {
+          [ERROR_CODES.MARKET_CONFLICT]: 'Market is busy, please try again',
+          [ERROR_CODES.INSUFFICIENT_BALANCE]: 'Insufficient balance',
+          [ERROR_CODES.INSUFFICIENT_SHARES]: 'Insufficient shares',
+          [ERROR_CODES.ORDER_NOT_OPEN]: 'Order is no longer open'
+        };
+        const err = new Error(messages[code]);
+        err.code = code;
+        throw err;
+      }
+
+      console.error('Trade commit failed:', error);
+      throw new Error(`Trade processing failed: ${error.message}`);
+    }
+
+    const marketAfter = {
+      ...market,
+      ...marketUpdate,
+      version: data.market_version,
+      last_price_update: new Date().toISOString()
+    };
+
+    this.publishMarketUpdate(marketAfter);
+    this.emitTradeWebhooks(pricesBefore, marketAfter, data.bet);
+
+    // Fills are matched by the order service's own loop
+    if (!order) {
+      this.scheduleOrderMatching(market.id);
+    }
+
+    return data;
+  }
+
+  /**
+   * Re-evaluate resting limit orders after a trade moved the pool
+   * Runs in the background so the trade's response is not held up
+   *
+   * @private
+   */
+  scheduleOrderMatching(marketId) {
+    // Required here: the order service depends on this one
+    const orderService = require('./order.service');
+
+    setImmediate(() => {
+      orderService.matchOrders(marketId).catch((error) => {
+        console.error(`Order matching failed for market ${marketId}:`, error);
+      });
+    });
+  }
+
+  /**
+   * Publish a market's state to stream subscribers after a trade commits
+   * Best effort: the trade has already committed, so a failure is only logged
+   *
+   * @private
+   */
+  publishMarketUpdate(marketAfter) {
+    try {
+      marketStream.publish(
+        marketAfter.id,
+        STREAM_EVENT_TYPES.UPDATE,
+        this.getMarketSnapshot(marketAfter)
+      );
+    } catch (error) {
+      console.error(`Publishing update failed for market ${marketAfter.id}:`, error);
+    }
+  }
+
+  /**
+   * Emit bet.placed or bet.sold for a committed trade, and
+   * price.threshold_crossed for any threshold its price move crossed
+   * Best effort, like publishMarketUpdate
+   *
+   * @private
+   */
+  emitTradeWebhooks(pricesBefore, marketAfter, bet) {
+    try {
+      webhookService.emit(
+        bet.side === BET_SIDES.SELL ? WEBHOOK_EVENTS.BET_SOLD : WEBHOOK_EVENTS.BET_PLACED,
+        marketAfter.id,
+        {
+          betId: bet.id,
+          marketId: marketAfter.id,
+          userId: bet.user_id,
+          outcome: bet.outcome,
+          side: bet.side,
+          betType: bet.bet_type || BET_TYPES.SHARES,
+          amount: parseFloat(bet.amount),
+          shares: parseFloat(bet.shares),
+          price: parseFloat(bet.price),
+          potentialReturn: parseFloat(bet.potential_return),
+          houseFee: parseFloat(bet.house_fee || 0),
+          orderId: bet.order_id || null,
+          createdAt: bet.created_at || null
+        }
+      );
+      webhookService.emitPriceCrossings(marketAfter.id, pricesBefore, this.getPriceMap(marketAfter));
+    } catch (error) {
+      console.error(`Emitting webhooks failed for market ${marketAfter.id}:`, error);
     }
   }
 
+  /**
+   * Each outcome's current price keyed by outcome
+   *
+   * @private
+   */
+  getPriceMap(market) {
+    return Object.fromEntries(
+      this.getOutcomePrices(market).map(({ outcome, price }) => [outcome, price])
+    );
+  }
+
+  /**
+   * Live state of a market as streamed to subscribers: each outcome's price,
+   * pool and odds multiplier (at the market's base margin, shaded by
+   * liability as /odds-multiplier shows them), volume and status
+   *
+   * @param {object} market - Market row
+   * @returns {object} Market snapshot
+   */
+  getMarketSnapshot(market) {
+    const { margin } = houseMargin.resolveMargin(market);
+    const outcomes = market.pool_initialized
+      ? this.getOutcomePrices(market).map(({ outcome, label, price, pool }) => ({
+        outcome,
+        label,
+        price,
+        pool,
+        odds: oddsConverter.applyMarginToOdds(
+          oddsConverter.probabilityToOdds(this.getFixedOddsProbability(market, outcome)),
+          margin
+        )
+      }))
+      : [];
+
+    return {
+      marketId: market.id,
+      status: market.status,
+      marketType: market.market_type || MARKET_TYPES.BINARY,
+      pricingModel: this.getPricingModel(market),
+      outcomes,
+      totalVolume: parseFloat(market.total_volume || 0),
+      houseMargin: margin,
+      version: market.version || 0,
+      lastUpdate: market.last_price_update || null
+    };
+  }
+
   /**
    * Get current odds for a market
    *
@@ -319,6 +517,57 @@ class BettingService {
       throw new Error(ERROR_CODES.POOL_NOT_INITIALIZED);
     }
 
+    // Prices are shown at the market's base margin; stake tiers apply per bet
+    const { margin } = houseMargin.resolveMargin(market);
+    const marginSchedule = houseMargin.getMarginSettings(market).market.schedule;
+
+    if (this.isCategorical(market)) {
+      return {
+        success: true,
+        data: {
+          marketId,
+          marketType: MARKET_TYPES.CATEGORICAL,
+          outcomes: this.getOutcomePrices(market).map(({ outcome, label, price, pool }) => ({
+            outcome,
+            label,
+            price,
+            pool,
+            priceWithMargin: houseMargin.applyMarginToPrices(price, margin)
+          })),
+          liquidityConstant: parseFloat(market.liquidity_constant),
+          houseMargin: margin,
+          marginSchedule,
+          lastUpdate: market.last_price_update
+        }
+      };
+    }
+
+    if (this.isLmsr(market)) {
+      const { yesPrice, noPrice } = this.getBinaryPrices(market);
+      const b = parseFloat(market.lmsr_b);
+
+      return {
+        success: true,
+        data: {
+          marketId,
+          pricingModel: PRICING_MODELS.LMSR,
+          yesPrice,
+          noPrice,
+          yesShares: parseFloat(market.lmsr_yes_shares),
+          noShares: parseFloat(market.lmsr_no_shares),
+          liquidityParameter: b,
+          maxHouseLoss: lmsrCalculation.calculateMaxLoss(b),
+          pricesWithMargin: {
+            yes: houseMargin.applyMarginToPrices(yesPrice, margin),
+            no: houseMargin.applyMarginToPrices(noPrice, margin)
+          },
+          houseMargin: margin,
+          marginSchedule,
+          lastUpdate: market.last_price_update
+        }
+      };
+    }
+
     const yesPool = parseFloat(market.yes_pool);
     const noPool = parseFloat(market.no_pool);
     const k = parseFloat(market.liquidity_constant);
@@ -327,13 +576,14 @@ class BettingService {
     const baseOdds = oddsCalculation.getMarketOdds(yesPool, noPool, k);
 
     // Apply house margin to prices
-    const yesPrices = houseMargin.applyMarginToPrices(baseOdds.yesPrice);
-    const noPrices = houseMargin.applyMarginToPrices(baseOdds.noPrice);
+    const yesPrices = houseMargin.applyMarginToPrices(baseOdds.yesPrice, margin);
+    const noPrices = houseMargin.applyMarginToPrices(baseOdds.noPrice, margin);
 
     return {
       success: true,
       data: {
         marketId,
+        pricingModel: PRICING_MODELS.CPMM,
         yesPrice: baseOdds.yesPrice,
         noPrice: baseOdds.noPrice,
         yesPool,
@@ -344,6 +594,95 @@ class BettingService {
           yes: yesPrices,
           no: noPrices
         },
+        houseMargin: margin,
+        marginSchedule,
+        lastUpdate: market.last_price_update
+      }
+    };
+  }
+
+  /**
+   * Market depth: how stakes of increasing size would fill on each outcome
+   *
+   * For every outcome, a ladder of gross stakes with the tokens received,
+   * effective price, slippage and price after the bet, and the stake needed
+   * to move the price by each of DEPTH_PRICE_MOVES. Everything is simulated
+   * from a single read of the market, with the house margin each stake
+   * would pay.
+   *
+   * @param {object} params
+   * @param {string} params.marketId - Market UUID
+   * @param {number[]} [params.amounts] - Gross stakes for the ladder (default DEPTH_LADDER_STAKES)
+   * @returns {Promise<object>} Depth per outcome
+   */
+  async getMarketDepth({ marketId, amounts = DEPTH_LADDER_STAKES }) {
+    const stakes = this.validateDepthAmounts(amounts);
+
+    const market = await this.getMarket(marketId);
+
+    if (!market.pool_initialized) {
+      const err = new Error('Market pool not initialized');
+      err.code = ERROR_CODES.POOL_NOT_INITIALIZED;
+      throw err;
+    }
+
+    const outcomes = this.getOutcomePrices(market).map(({ outcome, label, price }) => {
+      const ladder = [];
+
+      for (const stake of stakes) {
+        const priced = this.tryPriceBuy(market, outcome, stake);
+
+        // Larger stakes would exhaust the pool too
+        if (!priced) {
+          break;
+        }
+
+        const { simulation } = priced;
+        ladder.push({
+          stake,
+          netAmount: priced.netAmount,
+          houseFee: priced.houseFee,
+          tokensReceived: simulation.tokensReceived,
+          effectivePrice: simulation.effectivePrice,
+          slippage: simulation.slippage,
+          priceImpact: simulation.priceImpact,
+          priceAfterBet: simulation.priceAfterBet
+        });
+      }
+
+      // Largest stake that keeps slippage within the warning threshold
+      const slippageStake = this.findLargestStakeWithin(
+        stake => this.tryPriceBuy(market, outcome, stake),
+        ({ simulation }) => simulation.slippage <= SLIPPAGE_WARNING_THRESHOLD
+      );
+
+      return {
+        outcome,
+        label,
+        price,
+        ladder,
+        stakeToMovePrice: DEPTH_PRICE_MOVES.map(move => ({
+          move,
+          stake: this.findStakeReaching(
+            stake => this.tryPriceBuy(market, outcome, stake),
+            ({ simulation }) => simulation.priceImpact >= move
+          )
+        })),
+        maxStakeBeforeSlippage: {
+          slippage: SLIPPAGE_WARNING_THRESHOLD,
+          stake: slippageStake
+        },
+        maxStake: this.getMaxStake(market, outcome)
+      };
+    });
+
+    return {
+      success: true,
+      data: {
+        marketId,
+        marketType: market.market_type || MARKET_TYPES.BINARY,
+        pricingModel: market.pricing_model || PRICING_MODELS.CPMM,
+        outcomes,
         lastUpdate: market.last_price_update
       }
     };
@@ -354,63 +693,317 @@ class BettingService {
    *
    * @param {object} params - Quote parameters
    * @param {string} params.marketId - Market UUID
-   * @param {string} params.outcome - 'yes' or 'no'
-   * @param {number} params.amount - Bet amount
+   * @param {string} params.outcome - Outcome to buy
+   * @param {number} [params.amount] - Bet amount
+   * @param {number} [params.shares] - Exact number of shares to buy
+   * @param {number} [params.targetPrice] - Quote the stake that moves the price to this
+   * @param {number} [params.targetPayout] - Quote the shares that pay this if the outcome wins
+   * @param {number} [params.targetSlippage] - Quote the largest stake with at most this slippage
+   * @param {string} [params.userId] - Authenticated caller; only they can execute the quote
    * @returns {Promise<object>} Estimated bet results
    */
-  async getBetQuote({ marketId, outcome, amount }) {
+  async getBetQuote({ marketId, outcome, amount, shares, targetPrice, targetPayout, targetSlippage, userId }) {
+    const target = this.getQuoteTarget({ amount, shares, targetPrice, targetPayout, targetSlippage });
+    if (!target) {
+      this.validateQuoteInputs(outcome, amount, shares);
+    }
+
     const market = await this.getMarket(marketId);
     this.validateMarketState(market);
+    this.validateOutcome(market, outcome);
 
-    // Apply house margin
-    const { netAmount, houseFee } = houseMargin.applyMargin(amount);
-
-    // Get current pools
-    const yesPool = parseFloat(market.yes_pool);
-    const noPool = parseFloat(market.no_pool);
-    const k = parseFloat(market.liquidity_constant);
+    // Reverse quote: solve for the stake (or shares) that meets the target
+    if (target) {
+      ({ amount, shares } = this.solveQuoteStake(market, outcome, target, QUOTE_TYPES.BET));
+    }
 
-    // Simulate the bet
-    const simulation = oddsCalculation.simulateBet({
+    // Apply house margin and simulate the bet
+    const { grossAmount, netAmount, houseFee, margin, simulation } = this.priceBuy({
+      market,
       outcome,
-      betAmount: netAmount,
-      yesPool,
-      noPool,
-      k
+      betAmount: amount,
+      shares
     });
 
+    // Largest stake the risk limits allow
+    const maxStake = this.getMaxStake(market, outcome);
+
     // Determine warning level based on slippage
     let warning = null;
-    if (simulation.slippage > 0.10) {
+    if (maxStake !== null && grossAmount > maxStake) {
+      warning = `Stake exceeds the maximum of ${maxStake.toFixed(2)} for this outcome.`;
+    } else if (simulation.slippage > SLIPPAGE_CRITICAL_THRESHOLD) {
       warning = 'Critical slippage detected. Consider reducing bet size significantly.';
-    } else if (simulation.slippage > 0.05) {
+    } else if (simulation.slippage > SLIPPAGE_WARNING_THRESHOLD) {
       warning = 'High slippage detected. Consider reducing bet size.';
     }
 
+    // Sign the terms so the caller can execute them on /bet
+    const quote = userId && quoteService.issueQuote({
+      userId,
+      type: QUOTE_TYPES.BET,
+      marketId,
+      outcome,
+      amount: grossAmount,
+      shares: shares || null,
+      ...this.getQuotePools(market),
+      price: simulation.priceBeforeBet,
+      tokens: simulation.tokensReceived
+    });
+
     return {
       success: true,
       data: {
+        ...quote,
         outcome,
-        grossAmount: amount,
+        grossAmount,
         netAmount,
         houseFee,
+        houseMargin: margin.margin,
+        marginSource: margin.source,
         estimatedTokens: simulation.tokensReceived,
         estimatedEffectivePrice: simulation.effectivePrice,
         estimatedSlippage: simulation.slippage,
         currentPrice: simulation.priceBeforeBet,
         priceImpact: simulation.priceImpact,
-        newEstimatedPrice: outcome === OUTCOMES.YES ? simulation.newYesPrice : simulation.newNoPrice,
+        newEstimatedPrice: simulation.priceAfterBet,
+        maxStake,
+        ...(target && { solvedFor: target }),
         warning
       }
     };
   }
 
   /**
-   * Get market by ID
-   * @private
+   * Get a quote for selling shares back to the pool without executing it
+   *
+   * @param {object} params - Quote parameters
+   * @param {string} params.marketId - Market UUID
+   * @param {string} params.outcome - Outcome to sell
+   * @param {number} params.shares - Number of shares to sell
+   * @returns {Promise<object>} Estimated sale results
    */
-  async getMarket(marketId) {
-    const { data: market, error } = await supabase
+  async getSellQuote({ marketId, outcome, shares }) {
+    this.validateSellInputs(marketId, outcome, shares);
+
+    const market = await this.getMarket(marketId);
+    this.validateMarketState(market);
+    this.validateOutcome(market, outcome);
+
+    // Simulate the sale
+    const simulation = this.simulateSale(market, outcome, shares);
+
+    // House margin is taken from the proceeds
+    const margin = houseMargin.resolveMargin(market, simulation.proceeds);
+    const { netAmount, houseFee } = houseMargin.applyMargin(simulation.proceeds, margin.margin);
+
+    let warning = null;
+    if (simulation.slippage > SLIPPAGE_CRITICAL_THRESHOLD) {
+      warning = 'Critical slippage detected. Consider selling fewer shares.';
+    } else if (simulation.slippage > SLIPPAGE_WARNING_THRESHOLD) {
+      warning = 'High slippage detected. Consider selling fewer shares.';
+    }
+
+    return {
+      success: true,
+      data: {
+        outcome,
+        sharesSold: shares,
+        grossProceeds: simulation.proceeds,
+        netProceeds: netAmount,
+        houseFee,
+        houseMargin: margin.margin,
+        marginSource: margin.source,
+        estimatedEffectivePrice: simulation.effectivePrice,
+        estimatedSlippage: simulation.slippage,
+        currentPrice: simulation.priceBeforeSale,
+        priceImpact: simulation.priceImpact,
+        newEstimatedPrice: simulation.priceAfterSale,
+        warning
+      }
+    };
+  }
+
+  /**
+   * Sell shares from a user's position back into the pool
+   * Credits the proceeds (after house margin) to the user's balance
+   *
+   * @param {object} params - Sale parameters
+   * @param {string} params.marketId - Market UUID
+   * @param {string} params.userId - User UUID
+   * @param {string} params.outcome - Outcome to sell
+   * @param {number} params.shares - Number of shares to sell
+   * @param {number} [params.minProceeds] - Reject if net proceeds are lower
+   * @returns {Promise<object>} Sale result with updated prices
+   */
+  async sellShares({ marketId, userId, outcome, shares, minProceeds }) {
+    // Validate inputs
+    this.validateSellInputs(marketId, outcome, shares);
+    this.validateSlippageLimits({ minProceeds });
+
+    if (!userId) {
+      const err = new Error('Market ID and User ID are required');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    // Validate share count up front (re-checked atomically on commit)
+    const position = await this.getUserPosition(userId, marketId, outcome);
+    this.validatePositionShares(position, shares);
+
+    return this.withMarketRetry(marketId, async (market) => {
+      // 1. Validate market state and outcome
+      this.validateMarketState(market);
+      this.validateOutcome(market, outcome);
+
+      // 2. Validate pool state
+      this.validatePoolState(market);
+
+      // 3. Price the sale against the pool
+      const simulation = this.simulateSale(market, outcome, shares);
+
+      // 4. Apply house margin to the proceeds
+      const margin = houseMargin.resolveMargin(market, simulation.proceeds);
+      const { netAmount, houseFee } = houseMargin.applyMargin(simulation.proceeds, margin.margin);
+
+      if (minProceeds !== undefined && netAmount < minProceeds) {
+        const err = new Error(
+          `Price moved: proceeds ${netAmount.toFixed(2)} below minimum ${minProceeds}`
+        );
+        err.code = ERROR_CODES.SLIPPAGE_EXCEEDED;
+        throw err;
+      }
+
+      // 5. Verify constant product is maintained
+      this.verifyInvariant(market, simulation.newK);
+
+      // 6. Execute database transaction
+      return this.executeSellTransaction({
+        userId,
+        outcome,
+        shares,
+        grossProceeds: simulation.proceeds,
+        netProceeds: netAmount,
+        houseFee,
+        margin,
+        simulation,
+        market
+      });
+    });
+  }
+
+  /**
+   * Execute the database transaction for a sale
+   * Updates: market, bet, user balance, position, transaction, price_history
+   *
+   * @private
+   */
+  async executeSellTransaction(params) {
+    const {
+      userId, outcome, shares, grossProceeds, netProceeds, houseFee, margin,
+      simulation, market
+    } = params;
+    const marketId = market.id;
+
+    const {
+      effectivePrice,
+      slippage,
+      priceBeforeSale,
+      priceAfterSale
+    } = simulation;
+
+    // Cost basis is released in proportion to the shares sold
+    const {
+      bet,
+      balance,
+      position,
+      cost_basis: costBasis,
+      realized_pnl: realizedPnl
+    } = await this.commitTrade({
+      market,
+      userId,
+      marketUpdate: {
+        ...this.buildPoolUpdate(market, simulation),
+        total_volume: parseFloat(market.total_volume || 0) + grossProceeds
+      },
+      bet: {
+        market_id: marketId,
+        user_id: userId,
+        outcome,
+        side: BET_SIDES.SELL,
+        shares,
+        amount: grossProceeds,
+        price: priceBeforeSale,
+        potential_return: 0,
+        status: BET_STATUS.MATCHED,
+        ...this.buildPoolSnapshot(market, simulation),
+        effective_price: effectivePrice,
+        slippage,
+        house_fee: houseFee,
+        house_margin: margin.margin
+      },
+      balanceDelta: netProceeds,
+      position: {
+        outcome,
+        shares_delta: -shares,
+        proceeds: netProceeds,
+        price: priceAfterSale
+      },
+      transactionType: TRANSACTION_TYPES.SELL
+    });
+
+    return {
+      success: true,
+      data: {
+        betId: bet.id,
+        marketId,
+        outcome,
+        sharesSold: shares,
+        grossProceeds,
+        netProceeds,
+        houseFee,
+        houseMargin: margin.margin,
+        effectivePrice,
+        slippage,
+        priceBeforeSale,
+        costBasis: parseFloat(costBasis),
+        realizedPnl: parseFloat(realizedPnl),
+        remainingShares: parseFloat(position.shares),
+        newBalance: parseFloat(balance),
+        ...this.formatPoolChange(market, simulation),
+        createdAt: bet.created_at
+      }
+    };
+  }
+
+  /**
+   * Get a user's position for one outcome of a market
+   * @private
+   */
+  async getUserPosition(userId, marketId, outcome) {
+    const { data: position, error } = await supabase
+      .from('positions')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('market_id', marketId)
+      .eq('outcome', outcome)
+      .maybeSingle();
+
+    if (error || !position) {
+      const err = new Error('No position found for this outcome');
+      err.code = ERROR_CODES.POSITION_NOT_FOUND;
+      throw err;
+    }
+
+    return position;
+  }
+
+  /**
+   * Get market by ID
+   * @private
+   */
+  async getMarket(marketId) {
+    const { data: market, error } = await supabase
       .from('markets')
       .select('*')
       .eq('id', marketId)
@@ -426,77 +1019,819 @@ class BettingService {
   }
 
   /**
-   * Get user profile by ID
+   * Get user profile by ID
+   * @private
+   */
+  async getUserProfile(userId) {
+    const { data: profile, error } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', userId)
+      .single();
+
+    if (error || !profile) {
+      throw new Error('User profile not found');
+    }
+
+    return profile;
+  }
+
+  /**
+   * Validate bet inputs
+   * Exactly one of betAmount or shares must be provided
+   * @private
+   */
+  validateBetInputs(marketId, userId, outcome, betAmount, shares) {
+    if (!marketId || !userId) {
+      const err = new Error('Market ID and User ID are required');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    this.validateQuoteInputs(outcome, betAmount, shares);
+  }
+
+  /**
+   * Validate outcome and size shared by quotes and bets
+   * @private
+   */
+  validateQuoteInputs(outcome, betAmount, shares) {
+    if (!outcome) {
+      const err = new Error('Outcome is required');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    if (betAmount !== undefined && shares !== undefined) {
+      const err = new Error('Provide either amount or shares, not both');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    if (shares !== undefined) {
+      if (!shares || shares <= 0) {
+        const err = new Error('Shares must be positive');
+        err.code = ERROR_CODES.INVALID_AMOUNT;
+        throw err;
+      }
+      return;
+    }
+
+    if (!betAmount || betAmount <= 0) {
+      const err = new Error('Bet amount must be positive');
+      err.code = ERROR_CODES.INVALID_AMOUNT;
+      throw err;
+    }
+  }
+
+  /**
+   * Validate a requested odds display format
+   * @private
+   */
+  validateOddsFormat(format) {
+    if (!oddsConverter.isSupportedFormat(format)) {
+      const err = new Error(
+        `format must be one of: ${Object.values(ODDS_FORMATS).join(', ')}`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+  }
+
+  /**
+   * Validate and sort the stakes asked for in a depth ladder
+   * @private
+   * @returns {number[]} Stakes in ascending order
+   */
+  validateDepthAmounts(amounts) {
+    if (!Array.isArray(amounts) || amounts.length === 0 || amounts.length > DEPTH_MAX_STEPS) {
+      const err = new Error(`Between 1 and ${DEPTH_MAX_STEPS} amounts are required`);
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    if (amounts.some(amount => !(amount >= MIN_BET_AMOUNT && amount <= MAX_BET_AMOUNT))) {
+      const err = new Error(`Amounts must be between ${MIN_BET_AMOUNT} and ${MAX_BET_AMOUNT}`);
+      err.code = ERROR_CODES.INVALID_AMOUNT;
+      throw err;
+    }
+
+    return [...new Set(amounts)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Price a gross stake, or null if it is too large for the pool
+   * @private
+   */
+  tryPriceBuy(market, outcome, betAmount) {
+    try {
+      return this.priceBuy({ market, outcome, betAmount });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Smallest gross stake (up to MAX_BET_AMOUNT) at which a condition is
+   * reached; it must only become true as stakes grow
+   * @private
+   * @param {function} priceStake - Gross stake -> priced bet, or null if too large for the pool
+   * @param {function} reached - Priced bet -> boolean
+   * @returns {number|null} Stake, or null if MAX_BET_AMOUNT does not reach it
+   */
+  findStakeReaching(priceStake, reached) {
+    const bounds = this.bisectStake(priceStake, reached);
+
+    return bounds ? bounds.reached : null;
+  }
+
+  /**
+   * Largest gross stake (up to MAX_BET_AMOUNT) that still satisfies a
+   * condition; it must only become false as stakes grow
+   * @private
+   * @param {function} priceStake - Gross stake -> priced bet, or null if too large for the pool
+   * @param {function} within - Priced bet -> boolean
+   * @returns {number} Stake (0 if no stake satisfies it)
+   */
+  findLargestStakeWithin(priceStake, within) {
+    const bounds = this.bisectStake(priceStake, priced => !within(priced));
+
+    return bounds ? bounds.below : MAX_BET_AMOUNT;
+  }
+
+  /**
+   * Bisect gross stakes for the point a condition is first reached
+   * A stake too large for the pool counts as reaching it.
+   * @private
+   * @returns {object|null} { below, reached } stakes either side, or null if MAX_BET_AMOUNT does not reach it
+   */
+  bisectStake(priceStake, reached) {
+    const reaches = (stake) => {
+      const priced = priceStake(stake);
+      return !priced || reached(priced);
+    };
+
+    if (!reaches(MAX_BET_AMOUNT)) {
+      return null;
+    }
+
+    let low = 0;
+    let high = MAX_BET_AMOUNT;
+
+    for (let i = 0; i < STAKE_SEARCH_ITERATIONS; i++) {
+      const mid = (low + high) / 2;
+
+      if (reaches(mid)) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+
+    return { below: low, reached: high };
+  }
+
+  /**
+   * Read the reverse-quote target from quote parameters
+   * At most one target, and not alongside an amount or shares.
+   * @private
+   * @returns {object|null} { targetPrice } | { targetPayout } | { targetSlippage }, or null
+   */
+  getQuoteTarget({ amount, shares, targetPrice, targetPayout, targetSlippage }) {
+    const targets = Object.entries({ targetPrice, targetPayout, targetSlippage })
+      .filter(([, value]) => value !== undefined);
+
+    if (targets.length === 0) {
+      return null;
+    }
+
+    if (targets.length > 1 || amount !== undefined || shares !== undefined) {
+      const err = new Error('Provide one of amount, shares, targetPrice, targetPayout or targetSlippage');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    const [[type, value]] = targets;
+
+    if (
+      !Number.isFinite(value) || value <= 0 ||
+      (type !== 'targetPayout' && value >= 1)
+    ) {
+      const err = new Error(
+        type === 'targetPayout'
+          ? 'targetPayout must be positive'
+          : `${type} must be between 0 and 1`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    return { [type]: value };
+  }
+
+  /**
+   * Solve a reverse quote for the stake to quote
+   *
+   * - targetPrice: stake that moves the outcome's pool price up to it
+   * - targetPayout: stake that pays it if the outcome wins. In share mode
+   *   that is an exact share count (each share pays 1.00); for odds bets,
+   *   the stake whose stake after fee × odds reaches it
+   * - targetSlippage: largest stake whose slippage stays within it. For odds
+   *   bets, slippage is the drop in odds the bet causes (oddsChange)
+   *
+   * Stakes are gross, so each includes the house margin it would pay.
+   *
+   * @private
+   * @param {object} market - Market row
+   * @param {string} outcome - Outcome key
+   * @param {object} target - From getQuoteTarget()
+   * @param {string} type - QUOTE_TYPES.BET (shares) or QUOTE_TYPES.ODDS
+   * @returns {object} { amount } or, for a share-mode payout, { shares }
+   */
+  solveQuoteStake(market, outcome, target, type) {
+    const priceStake = type === QUOTE_TYPES.ODDS
+      ? stake => this.tryPriceOddsBet(market, outcome, stake)
+      : stake => this.tryPriceBuy(market, outcome, stake);
+
+    let amount;
+
+    if (target.targetPrice !== undefined) {
+      const currentPrice = this.getOutcomePrice(market, outcome);
+
+      if (target.targetPrice <= currentPrice) {
+        const err = new Error(
+          `targetPrice must be above the current price of ${currentPrice.toFixed(4)}`
+        );
+        err.code = ERROR_CODES.VALIDATION_ERROR;
+        throw err;
+      }
+
+      amount = this.findStakeReaching(
+        priceStake,
+        ({ simulation }) => simulation.priceAfterBet >= target.targetPrice
+      );
+    } else if (target.targetPayout !== undefined) {
+      if (type !== QUOTE_TYPES.ODDS) {
+        return { shares: target.targetPayout };
+      }
+
+      amount = this.findStakeReaching(
+        priceStake,
+        priced => priced.payout.payout >= target.targetPayout
+      );
+    } else {
+      amount = this.findLargestStakeWithin(
+        priceStake,
+        priced => (type === QUOTE_TYPES.ODDS ? priced.oddsChange : priced.simulation.slippage) <=
+          target.targetSlippage
+      );
+    }
+
+    if (amount === null) {
+      const err = new Error(`Target needs a stake above the maximum bet of ${MAX_BET_AMOUNT}`);
+      err.code = ERROR_CODES.INVALID_AMOUNT;
+      throw err;
+    }
+
+    if (!(amount > 0)) {
+      const err = new Error('No stake meets the target');
+      err.code = ERROR_CODES.INVALID_AMOUNT;
+      throw err;
+    }
+
+    return { amount };
+  }
+
+  /**
+   * Validate optional price limits sent with a trade (slippage limits,
+   * minimum sale proceeds, minimum odds)
+   * @private
+   */
+  validateSlippageLimits(limits) {
+    const invalid = Object.entries(limits)
+      .filter(([, value]) => value !== undefined)
+      .find(([, value]) => !Number.isFinite(value) || value < 0);
+
+    if (invalid) {
+      const err = new Error(`${invalid[0]} must be a non-negative number`);
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+  }
+
+  /**
+   * Reject a simulated buy that is worse than the user accepted
+   * Falls back to SLIPPAGE_CRITICAL_THRESHOLD when no limit is sent
+   * @private
+   */
+  enforceSlippageLimits(simulation, { minTokensOut, maxEffectivePrice, maxSlippage }) {
+    const hasLimit = [minTokensOut, maxEffectivePrice, maxSlippage]
+      .some(value => value !== undefined);
+    const slippageLimit = hasLimit ? maxSlippage : SLIPPAGE_CRITICAL_THRESHOLD;
+
+    let message = null;
+
+    if (minTokensOut !== undefined && simulation.tokensReceived < minTokensOut) {
+      message = `tokens ${simulation.tokensReceived.toFixed(4)} below minimum ${minTokensOut}`;
+    } else if (maxEffectivePrice !== undefined && simulation.effectivePrice > maxEffectivePrice) {
+      message = `effective price ${simulation.effectivePrice.toFixed(4)} above maximum ${maxEffectivePrice}`;
+    } else if (slippageLimit !== undefined && simulation.slippage > slippageLimit) {
+      message = `slippage ${(simulation.slippage * 100).toFixed(2)}% above maximum ${(slippageLimit * 100).toFixed(2)}%`;
+    }
+
+    if (message) {
+      const err = new Error(`Price moved: ${message}`);
+      err.code = ERROR_CODES.SLIPPAGE_EXCEEDED;
+      throw err;
+    }
+  }
+
+  /**
+   * Reject a simulated buy that has moved past its firm quote
+   * Share count quotes compare cost; amount quotes compare tokens
+   * @private
+   */
+  enforceQuoteTerms(quote, simulation, grossAmount) {
+    if (!quoteService.isWithinTolerance(quote.price, simulation.priceBeforeBet, 'max')) {
+      throw quoteService.staleQuoteError(
+        `price ${simulation.priceBeforeBet.toFixed(4)} vs quoted ${quote.price.toFixed(4)}`
+      );
+    }
+
+    if (quote.shares) {
+      if (!quoteService.isWithinTolerance(quote.amount, grossAmount, 'max')) {
+        throw quoteService.staleQuoteError(
+          `cost ${grossAmount.toFixed(2)} vs quoted ${quote.amount.toFixed(2)}`
+        );
+      }
+    } else if (!quoteService.isWithinTolerance(quote.tokens, simulation.tokensReceived, 'min')) {
+      throw quoteService.staleQuoteError(
+        `tokens ${simulation.tokensReceived.toFixed(4)} vs quoted ${quote.tokens.toFixed(4)}`
+      );
+    }
+  }
+
+  /**
+   * Validate sell inputs
+   * @private
+   */
+  validateSellInputs(marketId, outcome, shares) {
+    if (!marketId) {
+      const err = new Error('Market ID is required');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    if (!outcome) {
+      const err = new Error('Outcome is required');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    if (!shares || shares <= 0) {
+      const err = new Error('Shares to sell must be positive');
+      err.code = ERROR_CODES.INVALID_AMOUNT;
+      throw err;
+    }
+  }
+
+  /**
+   * Validate user holds enough shares to sell
+   * @private
+   */
+  validatePositionShares(position, shares) {
+    if (parseFloat(position.shares) < shares) {
+      const err = new Error(
+        `Insufficient shares: ${position.shares} < ${shares}`
+      );
+      err.code = ERROR_CODES.INSUFFICIENT_SHARES;
+      throw err;
+    }
+  }
+
+  /**
+   * Validate market state
+   * @private
+   */
+  validateMarketState(market) {
+    if (!market.pool_initialized) {
+      const err = new Error('Market pool not initialized');
+      err.code = ERROR_CODES.POOL_NOT_INITIALIZED;
+      throw err;
+    }
+
+    if (market.status === MARKET_STATUS.SUSPENDED) {
+      const err = new Error(`Market is suspended: ${market.suspension_reason || 'risk limit'}`);
+      err.code = ERROR_CODES.MARKET_NOT_ACTIVE;
+      throw err;
+    }
+
+    if (market.status !== MARKET_STATUS.ACTIVE) {
+      const err = new Error('Market is not active');
+      err.code = ERROR_CODES.MARKET_NOT_ACTIVE;
+      throw err;
+    }
+  }
+
+  /**
+   * Validate the outcome exists in this market
+   * Binary markets take 'yes'/'no'; categorical markets take an outcome key
+   */
+  validateOutcome(market, outcome) {
+    const outcomes = this.isCategorical(market)
+      ? (market.outcomes || []).map(entry => entry.key)
+      : [OUTCOMES.YES, OUTCOMES.NO];
+
+    if (!outcomes.includes(outcome)) {
+      const err = new Error(
+        `Outcome must be one of: ${outcomes.map(key => `"${key}"`).join(', ')}`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+  }
+
+  /**
+   * Validate user balance
+   * @private
+   */
+  validateUserBalance(profile, betAmount) {
+    if (parseFloat(profile.balance) < betAmount) {
+      const err = new Error(
+        `Insufficient balance: ${profile.balance} < ${betAmount}`
+      );
+      err.code = ERROR_CODES.INSUFFICIENT_BALANCE;
+      throw err;
+    }
+  }
+
+  /**
+   * =================================================================
+   * POOL MODEL
+   * =================================================================
+   *
+   * Binary CPMM markets keep their pools in yes_pool/no_pool; binary LMSR
+   * markets keep the shares outstanding in lmsr_yes_shares/lmsr_no_shares
+   * with liquidity parameter lmsr_b; categorical markets keep one
+   * { key, label, pool, price } entry per outcome in the outcomes column.
+   * These helpers hide the difference from the trading flows above.
+   */
+
+  /**
+   * Whether a market has N named outcomes rather than YES/NO
+   */
+  isCategorical(market) {
+    return market.market_type === MARKET_TYPES.CATEGORICAL;
+  }
+
+  /**
+   * Pricing model a market trades under ('cpmm' unless set)
+   */
+  getPricingModel(market) {
+    return market.pricing_model || PRICING_MODELS.CPMM;
+  }
+
+  /**
+   * Whether a market is priced by the LMSR engine
+   */
+  isLmsr(market) {
+    return this.getPricingModel(market) === PRICING_MODELS.LMSR;
+  }
+
+  /**
+   * Current YES and NO prices of a binary market
+   * @private
+   */
+  getBinaryPrices(market) {
+    if (this.isLmsr(market)) {
+      const { yesShares, noShares, b } = this.getLmsrState(market);
+      const yesPrice = lmsrCalculation.calculateYesPrice(yesShares, noShares, b);
+
+      return { yesPrice, noPrice: 1 - yesPrice };
+    }
+
+    const yesPool = parseFloat(market.yes_pool);
+    const noPool = parseFloat(market.no_pool);
+
+    return {
+      yesPrice: oddsCalculation.calculateYesPrice(yesPool, noPool),
+      noPrice: oddsCalculation.calculateNoPrice(yesPool, noPool)
+    };
+  }
+
+  /**
+   * Current price, pool and label of every outcome
+   *
+   * @param {object} market - Market row
+   * @returns {Array<object>} [{ outcome, label, price, pool }]
+   */
+  getOutcomePrices(market) {
+    if (this.isCategorical(market)) {
+      const pools = this.getCategoricalPools(market);
+      const prices = categoricalCalculation.calculatePrices(pools);
+
+      return market.outcomes.map((entry, i) => ({
+        outcome: entry.key,
+        label: entry.label,
+        price: prices[i],
+        pool: pools[i]
+      }));
+    }
+
+    // LMSR markets have no pools
+    const lmsr = this.isLmsr(market);
+    const { yesPrice, noPrice } = this.getBinaryPrices(market);
+
+    return [
+      {
+        outcome: OUTCOMES.YES,
+        label: 'Yes',
+        price: yesPrice,
+        pool: lmsr ? null : parseFloat(market.yes_pool)
+      },
+      {
+        outcome: OUTCOMES.NO,
+        label: 'No',
+        price: noPrice,
+        pool: lmsr ? null : parseFloat(market.no_pool)
+      }
+    ];
+  }
+
+  /**
+   * Current price of one outcome
+   */
+  getOutcomePrice(market, outcome) {
+    return this.getOutcomePrices(market).find(entry => entry.outcome === outcome).price;
+  }
+
+  /**
+   * Reject a share count the outcome's pool cannot supply
+   * LMSR markets have no pool, so any count can be bought
+   * @private
+   */
+  validateSharesAvailable(market, outcome, shares) {
+    const { pool } = this.getOutcomePrices(market).find(entry => entry.outcome === outcome);
+
+    if (pool !== null && shares >= pool) {
+      const err = new Error(
+        `Cannot buy ${shares} shares: the ${outcome} pool holds ${pool.toFixed(2)}`
+      );
+      err.code = ERROR_CODES.INVALID_AMOUNT;
+      throw err;
+    }
+  }
+
+  /**
+   * Validate the market's pools against its liquidity constant
+   * @private
+   */
+  validatePoolState(market) {
+    const k = parseFloat(market.liquidity_constant);
+
+    if (this.isCategorical(market)) {
+      return categoricalCalculation.validatePoolState(this.getCategoricalPools(market), k);
+    }
+
+    if (this.isLmsr(market)) {
+      const { yesShares, noShares, b } = this.getLmsrState(market);
+      return lmsrCalculation.validateState(yesShares, noShares, b);
+    }
+
+    return liquidityPool.validatePoolState(
+      parseFloat(market.yes_pool),
+      parseFloat(market.no_pool),
+      k
+    );
+  }
+
+  /**
+   * Verify a trade kept the constant product
+   * Categorical k grows with every outcome, so drift is checked relatively;
+   * LMSR has no constant to keep
+   * @private
+   */
+  verifyInvariant(market, newK) {
+    if (this.isLmsr(market)) {
+      return;
+    }
+
+    const k = parseFloat(market.liquidity_constant);
+    const violated = this.isCategorical(market)
+      ? Math.abs(newK - k) / k > 1e-6
+      : Math.abs(newK - k) > 0.01;
+
+    if (violated) {
+      throw new Error('Liquidity constant violated - calculation error');
+    }
+  }
+
+  /**
+   * Simulate buying an outcome, by net amount or by share count
+   * @private
+   */
+  simulateBuy(market, outcome, { betAmount, tokensDesired }) {
+    const k = parseFloat(market.liquidity_constant);
+
+    if (this.isCategorical(market)) {
+      const params = {
+        index: this.getOutcomeIndex(market, outcome),
+        pools: this.getCategoricalPools(market),
+        k
+      };
+
+      return tokensDesired
+        ? categoricalCalculation.simulateBetForTokens({ ...params, tokensDesired })
+        : categoricalCalculation.simulateBet({ ...params, betAmount });
+    }
+
+    if (this.isLmsr(market)) {
+      const params = { outcome, ...this.getLmsrState(market) };
+
+      return tokensDesired
+        ? lmsrCalculation.simulateBetForTokens({ ...params, tokensDesired })
+        : lmsrCalculation.simulateBet({ ...params, betAmount });
+    }
+
+    const params = {
+      outcome,
+      yesPool: parseFloat(market.yes_pool),
+      noPool: parseFloat(market.no_pool),
+      k
+    };
+
+    return tokensDesired
+      ? oddsCalculation.simulateBetForTokens({ ...params, tokensDesired })
+      : oddsCalculation.simulateBet({ ...params, betAmount });
+  }
+
+  /**
+   * Simulate selling shares of an outcome back to the pool
+   * @private
+   */
+  simulateSale(market, outcome, tokensSold) {
+    const k = parseFloat(market.liquidity_constant);
+
+    if (this.isCategorical(market)) {
+      return categoricalCalculation.simulateSell({
+        index: this.getOutcomeIndex(market, outcome),
+        tokensSold,
+        pools: this.getCategoricalPools(market),
+        k
+      });
+    }
+
+    if (this.isLmsr(market)) {
+      return lmsrCalculation.simulateSell({
+        outcome,
+        tokensSold,
+        ...this.getLmsrState(market)
+      });
+    }
+
+    return oddsCalculation.simulateSell({
+      outcome,
+      tokensSold,
+      yesPool: parseFloat(market.yes_pool),
+      noPool: parseFloat(market.no_pool),
+      k
+    });
+  }
+
+  /**
+   * Market columns holding the pools after a trade
+   * @private
+   */
+  buildPoolUpdate(market, simulation) {
+    if (this.isCategorical(market)) {
+      return {
+        outcomes: market.outcomes.map((entry, i) => ({
+          ...entry,
+          pool: simulation.newPools[i],
+          price: simulation.newPrices[i]
+        }))
+      };
+    }
+
+    if (this.isLmsr(market)) {
+      return {
+        lmsr_yes_shares: simulation.newYesShares,
+        lmsr_no_shares: simulation.newNoShares,
+        yes_price: simulation.newYesPrice,
+        no_price: simulation.newNoPrice
+      };
+    }
+
+    return {
+      yes_pool: simulation.newYesPool,
+      no_pool: simulation.newNoPool,
+      yes_price: simulation.newYesPrice,
+      no_price: simulation.newNoPrice
+    };
+  }
+
+  /**
+   * Pool snapshot stored on the bet row
+   * Only binary CPMM markets have yes/no pools
+   * @private
+   */
+  buildPoolSnapshot(market, simulation) {
+    if (this.isCategorical(market) || this.isLmsr(market)) {
+      return {};
+    }
+
+    return {
+      yes_pool_before: parseFloat(market.yes_pool),
+      no_pool_before: parseFloat(market.no_pool),
+      yes_pool_after: simulation.newYesPool,
+      no_pool_after: simulation.newNoPool
+    };
+  }
+
+  /**
+   * Prices and pools after a trade, for API responses
+   * @private
+   */
+  formatPoolChange(market, simulation) {
+    if (this.isCategorical(market)) {
+      const newPrices = {};
+      const newPools = {};
+
+      market.outcomes.forEach((entry, i) => {
+        newPrices[entry.key] = simulation.newPrices[i];
+        newPools[entry.key] = simulation.newPools[i];
+      });
+
+      return { newPrices, newPools };
+    }
+
+    if (this.isLmsr(market)) {
+      return {
+        newPrices: {
+          yesPrice: simulation.newYesPrice,
+          noPrice: simulation.newNoPrice
+        },
+        newShares: {
+          yesShares: simulation.newYesShares,
+          noShares: simulation.newNoShares
+        }
+      };
+    }
+
+    return {
+      newPrices: {
+        yesPrice: simulation.newYesPrice,
+        noPrice: simulation.newNoPrice
+      },
+      newPools: {
+        yesPool: simulation.newYesPool,
+        noPool: simulation.newNoPool
+      }
+    };
+  }
+
+  /**
+   * Pool snapshot recorded on quotes
+   * Categorical and LMSR markets have no yes/no pools to record
    * @private
    */
-  async getUserProfile(userId) {
-    const { data: profile, error } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('id', userId)
-      .single();
-
-    if (error || !profile) {
-      throw new Error('User profile not found');
+  getQuotePools(market) {
+    if (this.isCategorical(market) || this.isLmsr(market)) {
+      return { yesPool: null, noPool: null };
     }
 
-    return profile;
+    return {
+      yesPool: parseFloat(market.yes_pool),
+      noPool: parseFloat(market.no_pool)
+    };
   }
 
   /**
-   * Validate bet inputs
+   * Pools of a categorical market in outcome order
    * @private
    */
-  validateBetInputs(marketId, userId, outcome, betAmount) {
-    if (!marketId || !userId) {
-      const err = new Error('Market ID and User ID are required');
-      err.code = ERROR_CODES.VALIDATION_ERROR;
-      throw err;
-    }
-
-    if (![OUTCOMES.YES, OUTCOMES.NO].includes(outcome)) {
-      const err = new Error('Outcome must be "yes" or "no"');
-      err.code = ERROR_CODES.VALIDATION_ERROR;
-      throw err;
-    }
-
-    if (!betAmount || betAmount <= 0) {
-      const err = new Error('Bet amount must be positive');
-      err.code = ERROR_CODES.INVALID_AMOUNT;
-      throw err;
-    }
+  getCategoricalPools(market) {
+    return market.outcomes.map(entry => parseFloat(entry.pool));
   }
 
   /**
-   * Validate market state
+   * Shares outstanding and liquidity parameter of an LMSR market
    * @private
    */
-  validateMarketState(market) {
-    if (!market.pool_initialized) {
-      const err = new Error('Market pool not initialized');
-      err.code = ERROR_CODES.POOL_NOT_INITIALIZED;
-      throw err;
-    }
-
-    if (market.status !== MARKET_STATUS.ACTIVE) {
-      const err = new Error('Market is not active');
-      err.code = ERROR_CODES.MARKET_NOT_ACTIVE;
-      throw err;
-    }
+  getLmsrState(market) {
+    return {
+      yesShares: parseFloat(market.lmsr_yes_shares),
+      noShares: parseFloat(market.lmsr_no_shares),
+      b: parseFloat(market.lmsr_b)
+    };
   }
 
   /**
-   * Validate user balance
+   * Position of an outcome key in a categorical market
    * @private
    */
-  validateUserBalance(profile, betAmount) {
-    if (parseFloat(profile.balance) < betAmount) {
-      const err = new Error(
-        `Insufficient balance: ${profile.balance} < ${betAmount}`
-      );
-      err.code = ERROR_CODES.INSUFFICIENT_BALANCE;
-      throw err;
-    }
+  getOutcomeIndex(market, outcome) {
+    return market.outcomes.findIndex(entry => entry.key === outcome);
   }
 
   /**
@@ -512,30 +1847,65 @@ class BettingService {
   /**
    * Get current odds for a market (sports betting style)
    *
+   * Odds are always decimal numbers; the *Formatted fields use the
+   * requested display format.
+   *
    * @param {string} marketId - Market UUID
+   * @param {string} [format] - Display format (ODDS_FORMATS, default decimal)
    * @returns {Promise<object>} Current odds as multipliers
    */
-  async getMarketOddsMultiplier(marketId) {
+  async getMarketOddsMultiplier(marketId, format = ODDS_FORMATS.DECIMAL) {
+    this.validateOddsFormat(format);
+
     const market = await this.getMarket(marketId);
 
     if (!market.pool_initialized) {
       throw new Error(ERROR_CODES.POOL_NOT_INITIALIZED);
     }
 
-    const yesPool = parseFloat(market.yes_pool);
-    const noPool = parseFloat(market.no_pool);
+    const { margin } = houseMargin.resolveMargin(market);
+
+    if (this.isCategorical(market)) {
+      return {
+        success: true,
+        data: {
+          marketId,
+          marketType: MARKET_TYPES.CATEGORICAL,
+          oddsFormat: format,
+          outcomes: this.getOutcomePrices(market).map(({ outcome, label, pool }) => {
+            const probability = this.getFixedOddsProbability(market, outcome);
+            const odds = oddsConverter.applyMarginToOdds(
+              oddsConverter.probabilityToOdds(probability),
+              margin
+            );
+
+            return {
+              outcome,
+              label,
+              odds,
+              oddsFormatted: oddsConverter.formatOdds(odds, format),
+              probability,
+              category: oddsConverter.getOddsCategory(odds),
+              pool
+            };
+          }),
+          lastUpdate: market.last_price_update
+        }
+      };
+    }
 
-    // Get probabilities from CPMM
-    const yesProbability = oddsCalculation.calculateYesPrice(yesPool, noPool);
-    const noProbability = oddsCalculation.calculateNoPrice(yesPool, noPool);
+    // Get probabilities from the market's pricing model, shaded by liability
+    const [yes, no] = this.getOutcomePrices(market);
+    const yesProbability = this.getFixedOddsProbability(market, OUTCOMES.YES);
+    const noProbability = this.getFixedOddsProbability(market, OUTCOMES.NO);
 
     // Convert to odds multipliers
     const yesOdds = oddsConverter.probabilityToOdds(yesProbability);
     const noOdds = oddsConverter.probabilityToOdds(noProbability);
 
     // Apply house margin (makes odds slightly less favorable)
-    const yesOddsWithMargin = oddsConverter.applyMarginToOdds(yesOdds, houseMargin.HOUSE_MARGIN);
-    const noOddsWithMargin = oddsConverter.applyMarginToOdds(noOdds, houseMargin.HOUSE_MARGIN);
+    const yesOddsWithMargin = oddsConverter.applyMarginToOdds(yesOdds, margin);
+    const noOddsWithMargin = oddsConverter.applyMarginToOdds(noOdds, margin);
 
     return {
       success: true,
@@ -543,15 +1913,17 @@ class BettingService {
         marketId,
         yesOdds: yesOddsWithMargin,
         noOdds: noOddsWithMargin,
-        yesOddsFormatted: oddsConverter.formatOdds(yesOddsWithMargin),
-        noOddsFormatted: oddsConverter.formatOdds(noOddsWithMargin),
+        oddsFormat: format,
+        yesOddsFormatted: oddsConverter.formatOdds(yesOddsWithMargin, format),
+        noOddsFormatted: oddsConverter.formatOdds(noOddsWithMargin, format),
         yesProbability,
         noProbability,
         yesCategory: oddsConverter.getOddsCategory(yesOddsWithMargin),
         noCategory: oddsConverter.getOddsCategory(noOddsWithMargin),
+        pricingModel: this.getPricingModel(market),
         pools: {
-          yesPool,
-          noPool
+          yesPool: yes.pool,
+          noPool: no.pool
         },
         lastUpdate: market.last_price_update
       }
@@ -561,212 +1933,293 @@ class BettingService {
   /**
    * Get bet quote with odds multiplier (sports betting style)
    *
+   * Send a reverse-quote target (targetPrice, targetPayout or targetSlippage)
+   * instead of an amount to quote the stake that meets it.
+   *
    * @param {object} params
    * @param {string} params.marketId - Market UUID
-   * @param {string} params.outcome - 'yes' or 'no'
-   * @param {number} params.amount - Bet amount
+   * @param {string} params.outcome - Outcome to back
+   * @param {number} [params.amount] - Bet amount
+   * @param {number} [params.targetPrice] - Quote the stake that moves the price to this
+   * @param {number} [params.targetPayout] - Quote the stake that pays this if the outcome wins
+   * @param {number} [params.targetSlippage] - Quote the largest stake that moves the odds at most this much
+   * @param {string} [params.format] - Display format for the formatted odds (default decimal)
+   * @param {string} [params.userId] - Authenticated caller; only they can execute the quote
    * @returns {Promise<object>} Quote with odds and payout
    */
-  async getBetQuoteWithOdds({ marketId, outcome, amount }) {
+  async getBetQuoteWithOdds({
+    marketId,
+    outcome,
+    amount,
+    userId,
+    targetPrice,
+    targetPayout,
+    targetSlippage,
+    format = ODDS_FORMATS.DECIMAL
+  }) {
+    this.validateOddsFormat(format);
+    const target = this.getQuoteTarget({ amount, targetPrice, targetPayout, targetSlippage });
+    if (!target) {
+      this.validateQuoteInputs(outcome, amount);
+    }
+
     const market = await this.getMarket(marketId);
     this.validateMarketState(market);
+    this.validateOutcome(market, outcome);
 
-    // Get current pools
-    const yesPool = parseFloat(market.yes_pool);
-    const noPool = parseFloat(market.no_pool);
-    const k = parseFloat(market.liquidity_constant);
-
-    // Get current probability (before bet)
-    const currentProbability = outcome === OUTCOMES.YES
-      ? oddsCalculation.calculateYesPrice(yesPool, noPool)
-      : oddsCalculation.calculateNoPrice(yesPool, noPool);
-
-    // Convert to odds
-    let currentOdds = oddsConverter.probabilityToOdds(currentProbability);
-
-    // Apply house margin
-    const { netAmount, houseFee } = houseMargin.applyMargin(amount);
-    currentOdds = oddsConverter.applyMarginToOdds(currentOdds, houseMargin.HOUSE_MARGIN);
-
-    // Calculate payout
-    const payout = oddsConverter.calculatePayout(netAmount, currentOdds);
+    if (target) {
+      ({ amount } = this.solveQuoteStake(market, outcome, target, QUOTE_TYPES.ODDS));
+    }
 
-    // Simulate bet to see new odds
-    const simulation = oddsCalculation.simulateBet({
-      outcome,
-      betAmount: netAmount,
-      yesPool,
-      noPool,
-      k
-    });
+    const {
+      currentProbability,
+      currentOdds,
+      margin,
+      netAmount,
+      houseFee,
+      payout,
+      newOdds,
+      oddsChange: oddsMove
+    } = this.priceOddsBet(market, outcome, amount);
 
-    const newProbability = outcome === OUTCOMES.YES ? simulation.newYesPrice : simulation.newNoPrice;
-    let newOdds = oddsConverter.probabilityToOdds(newProbability);
-    newOdds = oddsConverter.applyMarginToOdds(newOdds, houseMargin.HOUSE_MARGIN);
+    // Largest stake the risk limits allow at these odds
+    const maxStake = this.getMaxStake(market, outcome, currentOdds);
 
     // Determine warning level
-    const oddsChange = ((currentOdds - newOdds) / currentOdds) * 100;
+    const oddsChange = oddsMove * 100;
     let warning = null;
 
-    if (oddsChange > 20) {
+    if (maxStake !== null && amount > maxStake) {
+      warning = `Stake exceeds the maximum of ${maxStake.toFixed(2)} for this outcome.`;
+    } else if (oddsChange > 20) {
       warning = `Critical odds movement: Odds will drop ${oddsChange.toFixed(1)}% after your bet. Consider reducing bet size.`;
     } else if (oddsChange > 10) {
       warning = `High odds movement: Odds will drop ${oddsChange.toFixed(1)}% after your bet.`;
     }
 
+    // Sign the terms so the caller can execute them on /bet-odds
+    const quote = userId && quoteService.issueQuote({
+      userId,
+      type: QUOTE_TYPES.ODDS,
+      marketId,
+      outcome,
+      amount,
+      ...this.getQuotePools(market),
+      price: currentProbability,
+      odds: currentOdds
+    });
+
     return {
       success: true,
       data: {
+        ...quote,
         outcome,
         stake: amount,
         stakeAfterFee: netAmount,
         houseFee,
+        houseMargin: margin.margin,
+        marginSource: margin.source,
         currentOdds,
-        currentOddsFormatted: oddsConverter.formatOdds(currentOdds),
+        oddsFormat: format,
+        currentOddsFormatted: oddsConverter.formatOdds(currentOdds, format),
         potentialPayout: payout.payout,
         potentialProfit: payout.profit,
         roi: payout.roi,
         oddsAfterBet: newOdds,
+        oddsAfterBetFormatted: oddsConverter.formatOdds(newOdds, format),
         oddsChange: oddsChange.toFixed(2) + '%',
         category: oddsConverter.getOddsCategory(currentOdds),
+        maxStake,
+        ...(target && { solvedFor: target }),
         warning
       }
     };
   }
 
+  /**
+   * Price an odds-multiplier stake as /quote-odds shows it: odds from the
+   * shaded probability with the stake's margin, the payout, and the odds
+   * after the bet including the liability it adds
+   * @private
+   * @returns {object} Priced odds bet; oddsChange is the fractional drop in odds
+   */
+  priceOddsBet(market, outcome, amount) {
+    // Get current probability (before bet), shaded by liability
+    const currentProbability = this.getFixedOddsProbability(market, outcome);
+
+    // Apply house margin
+    const margin = houseMargin.resolveMargin(market, amount);
+    const { netAmount, houseFee } = houseMargin.applyMargin(amount, margin.margin);
+    const currentOdds = oddsConverter.applyMarginToOdds(
+      oddsConverter.probabilityToOdds(currentProbability),
+      margin.margin
+    );
+
+    // Calculate payout
+    const payout = oddsConverter.calculatePayout(netAmount, currentOdds);
+
+    // Simulate bet to see new odds, including the liability it adds
+    const simulation = this.simulateBuy(market, outcome, { betAmount: netAmount });
+    const marketAfter = this.projectFixedOddsBet(market, outcome, simulation, {
+      stake: netAmount,
+      payout: payout.payout
+    });
+
+    const newOdds = oddsConverter.applyMarginToOdds(
+      oddsConverter.probabilityToOdds(this.getFixedOddsProbability(marketAfter, outcome)),
+      margin.margin
+    );
+
+    return {
+      currentProbability,
+      currentOdds,
+      margin,
+      netAmount,
+      houseFee,
+      payout,
+      simulation,
+      newOdds,
+      oddsChange: (currentOdds - newOdds) / currentOdds
+    };
+  }
+
+  /**
+   * Price an odds-multiplier stake, or null if it is too large for the pool
+   * @private
+   */
+  tryPriceOddsBet(market, outcome, amount) {
+    try {
+      return this.priceOddsBet(market, outcome, amount);
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Place bet with odds multiplier (sports betting style)
    *
-   * This uses the same CPMM backend but presents results as traditional betting
+   * A fixed-odds bet is held by the house: it pays netAmount × oddsAtBet if
+   * the outcome wins, whatever the pool does afterwards. The stake still
+   * trades through the pool so prices respond to demand, but no position is
+   * created; the promised payout is recorded as liability on the market and
+   * paid when the market resolves (see SettlementService).
    *
    * @param {object} params
    * @param {string} params.marketId - Market UUID
    * @param {string} params.userId - User UUID
-   * @param {string} params.outcome - 'yes' or 'no'
+   * @param {string} params.outcome - Outcome to back
    * @param {number} params.betAmount - Amount to bet
+   * @param {number} [params.minOdds] - Reject if odds at execution are lower
+   * @param {string} [params.quoteId] - Firm quote to execute at its odds
    * @returns {Promise<object>} Bet result with odds and payout
    */
-  async placeBetWithOdds({ marketId, userId, outcome, betAmount }) {
+  async placeBetWithOdds({ marketId, userId, outcome, betAmount, minOdds, quoteId }) {
+    this.validateSlippageLimits({ minOdds });
+
+    // A firm quote fixes the outcome, stake and odds the user was shown
+    let quote = null;
+    if (quoteId) {
+      quote = quoteService.getQuote(quoteId, { type: QUOTE_TYPES.ODDS, marketId, outcome, userId });
+      outcome = quote.outcome;
+      betAmount = quote.amount;
+    }
+
     // Validate inputs
     this.validateBetInputs(marketId, userId, outcome, betAmount);
 
-    // 1. Get market and validate
-    const market = await this.getMarket(marketId);
-    this.validateMarketState(market);
+    // Validate the user's own limits and balance (re-checked atomically on commit)
+    const bettingState = await responsibleGambling.getBettingState(userId);
+    responsibleGambling.validateBet(bettingState, betAmount);
 
-    // 2. Get user profile and validate balance
     const profile = await this.getUserProfile(userId);
     this.validateUserBalance(profile, betAmount);
 
-    // 3. Get current pools
-    const yesPoolBefore = parseFloat(market.yes_pool);
-    const noPoolBefore = parseFloat(market.no_pool);
-    const k = parseFloat(market.liquidity_constant);
+    return this.withMarketRetry(marketId, async (market) => {
+      // 1. Validate market and outcome
+      this.validateMarketState(market);
+      this.validateOutcome(market, outcome);
 
-    // 4. Calculate current probability and odds
-    const currentProbability = outcome === OUTCOMES.YES
-      ? oddsCalculation.calculateYesPrice(yesPoolBefore, noPoolBefore)
-      : oddsCalculation.calculateNoPrice(yesPoolBefore, noPoolBefore);
+      // 2. Validate pool state
+      this.validatePoolState(market);
 
-    let oddsAtBet = oddsConverter.probabilityToOdds(currentProbability);
+      // 3. Calculate current probability (shaded by liability) and odds
+      const currentProbability = this.getFixedOddsProbability(market, outcome);
 
-    // 5. Apply house margin
-    const { netAmount, houseFee } = houseMargin.applyMargin(betAmount);
-    oddsAtBet = oddsConverter.applyMarginToOdds(oddsAtBet, houseMargin.HOUSE_MARGIN);
+      let oddsAtBet = oddsConverter.probabilityToOdds(currentProbability);
 
-    // 6. Calculate payout
-    const { payout, profit } = oddsConverter.calculatePayout(netAmount, oddsAtBet);
+      // 4. Apply house margin
+      const margin = houseMargin.resolveMargin(market, betAmount);
+      const { netAmount, houseFee } = houseMargin.applyMargin(betAmount, margin.margin);
+      oddsAtBet = oddsConverter.applyMarginToOdds(oddsAtBet, margin.margin);
 
-    // 7. Use CPMM to update pools (for dynamic odds)
-    let tokensReceived, yesPoolAfter, noPoolAfter;
+      if (quote) {
+        // Honour the quoted odds unless the market moved against them
+        if (!quoteService.isWithinTolerance(quote.odds, oddsAtBet, 'min')) {
+          throw quoteService.staleQuoteError(
+            `odds ${oddsAtBet.toFixed(2)}x vs quoted ${quote.odds.toFixed(2)}x`
+          );
+        }
+        oddsAtBet = quote.odds;
+      } else if (minOdds !== undefined && oddsAtBet < minOdds) {
+        const err = new Error(
+          `Odds moved: ${oddsAtBet.toFixed(2)}x below minimum ${minOdds}x`
+        );
+        err.code = ERROR_CODES.SLIPPAGE_EXCEEDED;
+        throw err;
+      }
 
-    if (outcome === OUTCOMES.YES) {
-      tokensReceived = oddsCalculation.calculateTokensReceived(netAmount, noPoolBefore, yesPoolBefore, k);
-      yesPoolAfter = yesPoolBefore - tokensReceived;
-      noPoolAfter = noPoolBefore + netAmount;
-    } else {
-      tokensReceived = oddsCalculation.calculateTokensReceived(netAmount, yesPoolBefore, noPoolBefore, k);
-      noPoolAfter = noPoolBefore - tokensReceived;
-      yesPoolAfter = yesPoolBefore + netAmount;
-    }
+      // 5. Calculate payout
+      const { payout, profit } = oddsConverter.calculatePayout(netAmount, oddsAtBet);
 
-    // 8. Calculate new prices/odds
-    const newYesPrice = oddsCalculation.calculateYesPrice(yesPoolAfter, noPoolAfter);
-    const newNoPrice = oddsCalculation.calculateNoPrice(yesPoolAfter, noPoolAfter);
+      // 6. Move the pool with the stake (for dynamic odds)
+      const simulation = this.simulateBuy(market, outcome, { betAmount: netAmount });
+      this.verifyInvariant(market, simulation.newK);
 
-    const newYesOdds = oddsConverter.probabilityToOdds(newYesPrice);
-    const newNoOdds = oddsConverter.probabilityToOdds(newNoPrice);
+      // 7. Enforce house risk limits
+      await this.enforceRiskLimits(market, outcome, { simulation, stake: netAmount, payout });
 
-    // 9. Execute database transaction
-    try {
-      // Update market
-      await supabase
-        .from('markets')
-        .update({
-          yes_pool: yesPoolAfter,
-          no_pool: noPoolAfter,
-          yes_price: newYesPrice,
-          no_price: newNoPrice,
-          total_volume: parseFloat(market.total_volume || 0) + betAmount,
-          last_price_update: new Date().toISOString()
-        })
-        .eq('id', marketId);
-
-      // Create bet record
-      const { data: bet } = await supabase
-        .from('bets')
-        .insert({
+      const marketAfter = this.projectFixedOddsBet(market, outcome, simulation, {
+        stake: netAmount,
+        payout
+      });
+
+      // 8. Execute database transaction, claiming the quote as it commits
+      const { bet, market_version: marketVersion } = await this.commitQuoted(quote, () => this.commitTrade({
+        market,
+        userId,
+        marketUpdate: {
+          ...this.buildPoolUpdate(market, simulation),
+          fixed_odds_liability: marketAfter.fixed_odds_liability,
+          total_volume: parseFloat(market.total_volume || 0) + betAmount
+        },
+        bet: {
           market_id: marketId,
           user_id: userId,
           outcome,
+          side: BET_SIDES.BUY,
+          bet_type: BET_TYPES.FIXED_ODDS,
+          shares: simulation.tokensReceived, // Tokens drawn from the pool
           amount: betAmount,
           price: currentProbability,
-          potential_return: payout, // Store payout instead of tokens
+          potential_return: payout, // Promised payout
           status: BET_STATUS.MATCHED,
-          yes_pool_before: yesPoolBefore,
-          no_pool_before: noPoolBefore,
-          yes_pool_after: yesPoolAfter,
-          no_pool_after: noPoolAfter,
+          ...this.buildPoolSnapshot(market, simulation),
           effective_price: oddsAtBet, // Store odds multiplier
           slippage: 0, // Not applicable for odds-based
-          house_fee: houseFee
-        })
-        .select()
-        .single();
-
-      // Update user balance
-      const newBalance = parseFloat(profile.balance) - betAmount;
-      await supabase
-        .from('profiles')
-        .update({ balance: newBalance })
-        .eq('id', userId);
-
-      // Update position (using payout as "shares")
-      await this.updatePosition(userId, marketId, outcome, netAmount, payout, oddsAtBet);
-
-      // Log transaction
-      await supabase
-        .from('transactions')
-        .insert({
-          user_id: userId,
-          type: 'bet',
-          amount: betAmount,
-          balance_after: newBalance,
-          reference_id: bet.id
-        });
+          house_fee: houseFee,
+          house_margin: margin.margin
+        },
+        balanceDelta: -betAmount,
+        // Held by the house, not the pool: no position to sell
+        position: null,
+        transactionType: TRANSACTION_TYPES.BET
+      }));
 
-      // Record price history
-      await supabase
-        .from('price_history')
-        .insert({
-          market_id: marketId,
-          yes_price: newYesPrice,
-          no_price: newNoPrice,
-          yes_pool: yesPoolAfter,
-          no_pool: noPoolAfter,
-          total_volume: parseFloat(market.total_volume || 0) + betAmount,
-          bet_id: bet.id
-        });
+      // 9. Stop taking bets once the committed liability reaches the hard limit
+      await this.suspendAtLiabilityLimit({ ...marketAfter, version: marketVersion });
+
+      // 10. New odds for every outcome
+      const newOdds = this.formatNewOdds(marketAfter, margin.margin);
 
       // Return odds-based result
       return {
@@ -778,24 +2231,305 @@ class BettingService {
           stake: betAmount,
           stakeAfterFee: netAmount,
           houseFee,
+          houseMargin: margin.margin,
           oddsAtBet,
           oddsFormatted: oddsConverter.formatOdds(oddsAtBet),
           potentialPayout: payout,
           potentialProfit: profit,
-          newOdds: {
-            yesOdds: newYesOdds,
-            noOdds: newNoOdds,
-            yesOddsFormatted: oddsConverter.formatOdds(newYesOdds),
-            noOddsFormatted: oddsConverter.formatOdds(newNoOdds)
-          },
+          newOdds,
           category: oddsConverter.getOddsCategory(oddsAtBet),
           createdAt: bet.created_at
         }
       };
+    });
+  }
+
+  /**
+   * Fixed-odds liability report for a market
+   *
+   * For each outcome: fixed-odds stakes taken, the payout promised if it
+   * wins, and what the house would make or lose on those bets if it did.
+   * Open parlays with an open leg on the outcome are reported alongside:
+   * their stakes span markets, so they are not netted into the result.
+   * Includes the market's risk limits and any suspension.
+   *
+   * @param {string} marketId - Market UUID
+   * @returns {Promise<object>} Liability per outcome and worst case
+   */
+  async getMarketLiability(marketId) {
+    const market = await this.getMarket(marketId);
+    const liability = this.getFixedOddsLiability(market);
+    const parlayExposure = (await riskLimit.getParlayExposure([marketId]))[marketId] || {};
+
+    const totalStake = Object.values(liability).reduce((sum, entry) => sum + entry.stake, 0);
+
+    const outcomes = Object.entries(liability).map(([outcome, entry]) => {
+      const parlays = parlayExposure[outcome] || { parlays: 0, stake: 0, payout: 0 };
+
+      return {
+        outcome,
+        bets: entry.bets,
+        stake: entry.stake,
+        potentialPayout: entry.payout,
+        poolShares: entry.shares,
+        uncoveredLiability: Math.max(entry.payout - entry.shares, 0),
+        houseResultIfWins: totalStake - entry.payout,
+        parlays: {
+          parlays: parlays.parlays,
+          stake: parlays.stake,
+          potentialPayout: parlays.payout
+        }
+      };
+    });
+
+    return {
+      success: true,
+      data: {
+        marketId,
+        status: market.status,
+        settled: [MARKET_STATUS.RESOLVED, MARKET_STATUS.CANCELLED].includes(market.status),
+        suspendedAt: market.suspended_at || null,
+        suspensionReason: market.suspension_reason || null,
+        limits: riskLimit.resolveLimits(market),
+        totalStake,
+        maxLoss: Math.max(0, ...outcomes.map(entry => -entry.houseResultIfWins)),
+        maxParlayPayout: Math.max(0, ...outcomes.map(entry => entry.parlays.potentialPayout)),
+        outcomes
+      }
+    };
+  }
+
+  /**
+   * Largest gross stake the risk limits allow on an outcome
+   * Every bet is capped by pool utilization; fixed-odds bets (odds given)
+   * also by the soft liability limit. LMSR markets have no pools to cap.
+   *
+   * @param {object} market - Market row
+   * @param {string} outcome - Outcome key
+   * @param {number} [odds] - Odds a fixed-odds stake would be taken at
+   * @returns {number|null} Gross stake, or null if nothing caps it
+   */
+  getMaxStake(market, outcome, odds) {
+    const limits = riskLimit.resolveLimits(market);
+    const { pool } = this.getOutcomePrices(market).find(entry => entry.outcome === outcome);
+    let maxNet = Infinity;
+
+    if (pool !== null) {
+      maxNet = this.simulateBuy(market, outcome, {
+        tokensDesired: pool * limits.maxPoolUtilization
+      }).betAmount;
+    }
+
+    if (odds !== undefined) {
+      maxNet = Math.min(maxNet, riskLimit.getMaxFixedOddsStake(
+        this.getFixedOddsLiability(market),
+        outcome,
+        odds,
+        limits.softLiability
+      ));
+    }
+
+    if (!Number.isFinite(maxNet)) {
+      return null;
+    }
+
+    return maxNet > 0 ? houseMargin.grossUpForMarket(market, maxNet).grossAmount : 0;
+  }
+
+  /**
+   * Reject a bet that breaches the market's risk limits
+   * A fixed-odds bet (stake and payout given) is also refused if it would
+   * take the outcome's liability past the hard limit. Refusing a bet leaves
+   * the market open: see suspendAtLiabilityLimit.
+   *
+   * @private
+   */
+  async enforceRiskLimits(market, outcome, { simulation, stake, payout }) {
+    const limits = riskLimit.resolveLimits(market);
+    const { pool } = this.getOutcomePrices(market).find(entry => entry.outcome === outcome);
+
+    if (
+      pool !== null &&
+      !liquidityPool.hasSufficientLiquidity(simulation.tokensReceived, pool, limits.maxPoolUtilization)
+    ) {
+      const err = new Error(
+        `Bet too large: at most ${(limits.maxPoolUtilization * 100).toFixed(0)}% of the outcome's pool can be bought at once`
+      );
+      err.code = ERROR_CODES.POOL_EXHAUSTED;
+      throw err;
+    }
+
+    if (payout === undefined) {
+      return;
+    }
+
+    const { fixed_odds_liability: liabilityAfter } = this.buildLiabilityUpdate(market, outcome, {
+      stake,
+      payout,
+      shares: simulation.tokensReceived
+    });
+    const netLiability = riskLimit.getNetLiability(
+      this.getFixedOddsLiability({ ...market, fixed_odds_liability: liabilityAfter }),
+      outcome
+    );
+
+    if (netLiability > limits.maxLiability) {
+      const err = new Error(
+        `Bet refused: liability on "${outcome}" would reach ${netLiability.toFixed(2)}, ` +
+        `over the limit of ${limits.maxLiability.toFixed(2)}`
+      );
+      err.code = ERROR_CODES.RISK_LIMIT_EXCEEDED;
+      throw err;
+    }
+  }
+
+  /**
+   * Suspend a market whose committed liability on any outcome has reached
+   * the hard limit (a bet took it there, or the limit was lowered below it)
+   * Best effort: the bet has already committed, so a failure is only logged
+   *
+   * @private
+   * @param {object} market - Market as committed, with its new version
+   */
+  async suspendAtLiabilityLimit(market) {
+    const limits = riskLimit.resolveLimits(market);
+    const liability = this.getFixedOddsLiability(market);
+    const outcome = Object.keys(liability).find(
+      key => riskLimit.getNetLiability(liability, key) >= limits.maxLiability
+    );
+
+    if (outcome === undefined) {
+      return;
+    }
+
+    const reason = `Liability on "${outcome}" reached ${riskLimit.getNetLiability(liability, outcome).toFixed(2)}, ` +
+      `the limit of ${limits.maxLiability.toFixed(2)}`;
+
+    try {
+      await riskLimit.suspendMarket(market, reason);
+    } catch (error) {
+      console.error(`Failed to suspend market ${market.id}:`, error);
+    }
+  }
+
+  /**
+   * Probability fixed odds are priced from
+   *
+   * The pool price only reflects the tokens fixed-odds bets drew from the
+   * pool. Where the payouts promised on an outcome exceed those tokens, the
+   * difference is priced as if it had been bought from the pool too, which
+   * shortens the odds on outcomes the house is exposed to.
+   *
+   * @param {object} market - Market row
+   * @param {string} outcome - Outcome key
+   * @returns {number} Probability between 0 and 1
+   */
+  getFixedOddsProbability(market, outcome) {
+    const entry = this.getFixedOddsLiability(market)[outcome];
+    const uncovered = entry ? entry.payout - entry.shares : 0;
+
+    if (!(uncovered > 0)) {
+      return this.getOutcomePrice(market, outcome);
+    }
+
+    try {
+      return this.simulateBuy(market, outcome, { tokensDesired: uncovered }).priceAfterBet;
     } catch (error) {
-      console.error('Odds-based bet placement failed:', error);
-      throw new Error(`Bet processing failed: ${error.message}`);
+      // More than the pool holds: price at the same 0.99 cap as applyMarginToOdds
+      return 0.99;
+    }
+  }
+
+  /**
+   * Fixed-odds liability per outcome, zeroed for outcomes with no bets
+   * @private
+   */
+  getFixedOddsLiability(market) {
+    const stored = market.fixed_odds_liability || {};
+    const outcomes = this.isCategorical(market)
+      ? market.outcomes.map(entry => entry.key)
+      : [OUTCOMES.YES, OUTCOMES.NO];
+
+    return Object.fromEntries(outcomes.map((outcome) => {
+      const entry = stored[outcome] || {};
+
+      return [outcome, {
+        bets: entry.bets || 0,
+        stake: parseFloat(entry.stake || 0),
+        payout: parseFloat(entry.payout || 0),
+        shares: parseFloat(entry.shares || 0)
+      }];
+    }));
+  }
+
+  /**
+   * Market column holding the liability after a fixed-odds bet
+   * @private
+   */
+  buildLiabilityUpdate(market, outcome, { stake, payout, shares }) {
+    const liability = this.getFixedOddsLiability(market);
+    const entry = liability[outcome];
+
+    return {
+      fixed_odds_liability: {
+        ...liability,
+        [outcome]: {
+          bets: entry.bets + 1,
+          stake: entry.stake + stake,
+          payout: entry.payout + payout,
+          shares: entry.shares + shares
+        }
+      }
+    };
+  }
+
+  /**
+   * Market as it would be after a fixed-odds bet
+   * @private
+   */
+  projectFixedOddsBet(market, outcome, simulation, { stake, payout }) {
+    return {
+      ...market,
+      ...this.buildPoolUpdate(market, simulation),
+      ...this.buildLiabilityUpdate(market, outcome, {
+        stake,
+        payout,
+        shares: simulation.tokensReceived
+      })
+    };
+  }
+
+  /**
+   * Odds offered on every outcome after an odds-style bet
+   * @private
+   */
+  formatNewOdds(marketAfter, margin) {
+    const oddsFor = outcome => oddsConverter.applyMarginToOdds(
+      oddsConverter.probabilityToOdds(this.getFixedOddsProbability(marketAfter, outcome)),
+      margin
+    );
+
+    if (this.isCategorical(marketAfter)) {
+      return marketAfter.outcomes.map((entry) => {
+        const odds = oddsFor(entry.key);
+
+        return {
+          outcome: entry.key,
+          odds,
+          oddsFormatted: oddsConverter.formatOdds(odds)
+        };
+      });
     }
+
+    const yesOdds = oddsFor(OUTCOMES.YES);
+    const noOdds = oddsFor(OUTCOMES.NO);
+
+    return {
+      yesOdds,
+      noOdds,
+      yesOddsFormatted: oddsConverter.formatOdds(yesOdds),
+      noOddsFormatted: oddsConverter.formatOdds(noOdds)
+    };
   }
 }
 
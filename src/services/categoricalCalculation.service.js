@@ -0,0 +1,290 @@
+/**
+ * Categorical Calculation Service
+ *
+ * Generalizes the CPMM to markets with N outcomes ("Who wins the election?").
+ *
+ * Core Formula: pool₁ × pool₂ × ... × poolₙ = k (constant)
+ *
+ * Price Formula:
+ *   priceᵢ = (1 / poolᵢ) / Σⱼ (1 / poolⱼ)
+ *   Prices always sum to one. With two outcomes this is exactly the binary
+ *   formula: yesPrice = (1/yes) / (1/yes + 1/no) = noPool / (yesPool + noPool)
+ *
+ * When buying outcome i:
+ *   - User's amount is added to each of the other N-1 pools
+ *   - User receives tokens from pool i
+ *   - Maintains constant product k
+ *   As with binary markets, a small bet's effective price equals priceᵢ
+ *
+ * Pools are passed as arrays in outcome order; outcomes are referred to by index.
+ */
+
+const oddsCalculation = require('./oddsCalculation.service');
+
+// Bisection settings for the share-count and sale solvers
+const SOLVER_ITERATIONS = 200;
+const SOLVER_TOLERANCE = 1e-12;
+
+class CategoricalCalculationService {
+  /**
+   * Calculate current prices for every outcome
+   *
+   * @param {number[]} pools - Token pool per outcome
+   * @returns {number[]} Prices between 0 and 1, summing to 1
+   */
+  calculatePrices(pools) {
+    if (pools.some(pool => !(pool > 0))) {
+      throw new Error('Pool sizes must be positive');
+    }
+
+    const inverses = pools.map(pool => 1 / pool);
+    const total = inverses.reduce((sum, inverse) => sum + inverse, 0);
+
+    return inverses.map(inverse => inverse / total);
+  }
+
+  /**
+   * Calculate the liquidity constant (product of all pools)
+   *
+   * @param {number[]} pools - Token pool per outcome
+   * @returns {number} k
+   */
+  calculateLiquidityConstant(pools) {
+    return pools.reduce((product, pool) => product * pool, 1);
+  }
+
+  /**
+   * Calculate the value of a pool at current prices
+   * value = Σ poolᵢ × priceᵢ = N / Σ (1 / poolᵢ)
+   * Equals the per-outcome size of a symmetric pool
+   *
+   * @param {number[]} pools - Token pool per outcome
+   * @returns {number} Pool value
+   */
+  calculatePoolValue(pools) {
+    return pools.length / pools.reduce((sum, pool) => sum + 1 / pool, 0);
+  }
+
+  /**
+   * Build pools that open at the target prices
+   * poolᵢ ∝ 1 / targetᵢ, scaled so equal targets give poolSize per outcome
+   *
+   * @param {number} poolSize - Pool size per outcome for an even market
+   * @param {number[]} targetPrices - Opening price per outcome (sums to 1)
+   * @returns {number[]} Pools
+   */
+  initializePools(poolSize, targetPrices) {
+    return targetPrices.map(price => (poolSize / targetPrices.length) / price);
+  }
+
+  /**
+   * Simulate a bet on one outcome without executing
+   *
+   * @param {object} params - Simulation parameters
+   * @param {number} params.index - Outcome being bought
+   * @param {number} params.betAmount - Amount after fees
+   * @param {number[]} params.pools - Current pools
+   * @param {number} params.k - Liquidity constant
+   * @returns {object} Simulation results
+   */
+  simulateBet({ index, betAmount, pools, k }) {
+    if (betAmount <= 0) {
+      throw new Error('Bet amount must be positive');
+    }
+
+    const newPools = pools.map((pool, i) => (i === index ? pool : pool + betAmount));
+
+    // Pool i shrinks until the product is back to k
+    const others = this.calculateLiquidityConstant(newPools.filter((_, i) => i !== index));
+    newPools[index] = k / others;
+
+    const tokensReceived = pools[index] - newPools[index];
+
+    if (tokensReceived >= pools[index]) {
+      throw new Error('Bet amount too large - would exhaust liquidity pool');
+    }
+
+    if (tokensReceived <= 0) {
+      throw new Error('Invalid bet amount - no tokens would be received');
+    }
+
+    const { priceBefore, priceAfter, newPrices, newK } = this.comparePools(pools, newPools, index);
+    const effectivePrice = oddsCalculation.calculateEffectivePrice(betAmount, tokensReceived);
+
+    return {
+      tokensReceived,
+      effectivePrice,
+      slippage: oddsCalculation.calculateSlippage(priceBefore, effectivePrice),
+      priceImpact: oddsCalculation.calculatePriceImpact(priceBefore, priceAfter),
+      priceBeforeBet: priceBefore,
+      priceAfterBet: priceAfter,
+      newPrices,
+      newPools,
+      newK
+    };
+  }
+
+  /**
+   * Simulate buying an exact number of tokens without executing
+   * Solves for the cost by bisection, then runs simulateBet
+   *
+   * @param {object} params - Simulation parameters
+   * @param {number} params.index - Outcome being bought
+   * @param {number} params.tokensDesired - Tokens user wants to receive
+   * @param {number[]} params.pools - Current pools
+   * @param {number} params.k - Liquidity constant
+   * @returns {object} Simulation results plus betAmount (net cost)
+   */
+  simulateBetForTokens({ index, tokensDesired, pools, k }) {
+    if (tokensDesired <= 0) {
+      throw new Error('Tokens desired must be positive');
+    }
+
+    if (tokensDesired >= pools[index]) {
+      throw new Error('Cannot purchase more tokens than available in pool');
+    }
+
+    // Other pools must grow until their product reaches k / (poolᵢ - tokens)
+    const target = k / (pools[index] - tokensDesired);
+    const others = pools.filter((_, i) => i !== index);
+    const productAfter = (amount) =>
+      this.calculateLiquidityConstant(others.map(pool => pool + amount));
+
+    let high = tokensDesired;
+    while (productAfter(high) < target) {
+      high *= 2;
+    }
+
+    const betAmount = this.bisect(amount => productAfter(amount) >= target, 0, high);
+    const simulation = this.simulateBet({ index, betAmount, pools, k });
+
+    // Pin the token count to the request; the solver only adds float noise
+    return {
+      ...simulation,
+      betAmount,
+      tokensReceived: tokensDesired
+    };
+  }
+
+  /**
+   * Simulate selling tokens back to the pool without executing
+   * Tokens return to pool i; the proceeds are drawn from each of the other pools
+   *
+   * @param {object} params - Simulation parameters
+   * @param {number} params.index - Outcome being sold
+   * @param {number} params.tokensSold - Tokens being sold
+   * @param {number[]} params.pools - Current pools
+   * @param {number} params.k - Liquidity constant
+   * @returns {object} Simulation results
+   */
+  simulateSell({ index, tokensSold, pools, k }) {
+    if (tokensSold <= 0) {
+      throw new Error('Tokens sold must be positive');
+    }
+
+    // Other pools must shrink until their product falls to k / (poolᵢ + tokens)
+    const target = k / (pools[index] + tokensSold);
+    const others = pools.filter((_, i) => i !== index);
+    const productAfter = (amount) =>
+      this.calculateLiquidityConstant(others.map(pool => pool - amount));
+
+    const proceeds = this.bisect(amount => productAfter(amount) <= target, 0, Math.min(...others));
+
+    if (proceeds <= 0) {
+      throw new Error('Invalid sale - no proceeds would be received');
+    }
+
+    const newPools = pools.map((pool, i) => (i === index ? pool + tokensSold : pool - proceeds));
+
+    const { priceBefore, priceAfter, newPrices, newK } = this.comparePools(pools, newPools, index);
+
+    // Effective price uses the same probability normalisation as buys
+    const effectivePrice = oddsCalculation.calculateEffectivePrice(proceeds, tokensSold);
+
+    return {
+      proceeds,
+      effectivePrice,
+      slippage: oddsCalculation.calculateSlippage(priceBefore, effectivePrice),
+      priceImpact: oddsCalculation.calculatePriceImpact(priceBefore, priceAfter),
+      priceBeforeSale: priceBefore,
+      priceAfterSale: priceAfter,
+      newPrices,
+      newPools,
+      newK
+    };
+  }
+
+  /**
+   * Validate pool state
+   *
+   * @param {number[]} pools - Token pool per outcome
+   * @param {number} k - Expected liquidity constant
+   * @returns {boolean} True if pool state is valid
+   * @throws {Error} If validation fails
+   */
+  validatePoolState(pools, k) {
+    if (pools.length < 2 || pools.some(pool => !(pool > 0))) {
+      throw new Error('Pool sizes must be positive');
+    }
+
+    const percentageDiff = this.calculateInvariantDrift(pools, k) * 100;
+
+    // Same 0.01% tolerance as binary pools
+    if (percentageDiff > 0.01) {
+      throw new Error(
+        `Pool state invalid: product of pools ≠ k (${k}), diff: ${percentageDiff.toFixed(4)}%`
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Relative difference between the pools' product and k
+   * k grows with the number of outcomes, so drift is checked relatively
+   *
+   * @param {number[]} pools - Token pool per outcome
+   * @param {number} k - Expected liquidity constant
+   * @returns {number} |product - k| / k
+   */
+  calculateInvariantDrift(pools, k) {
+    return Math.abs(this.calculateLiquidityConstant(pools) - k) / k;
+  }
+
+  /**
+   * Prices of the traded outcome before and after a trade
+   * @private
+   */
+  comparePools(pools, newPools, index) {
+    const newPrices = this.calculatePrices(newPools);
+
+    return {
+      priceBefore: this.calculatePrices(pools)[index],
+      priceAfter: newPrices[index],
+      newPrices,
+      newK: this.calculateLiquidityConstant(newPools)
+    };
+  }
+
+  /**
+   * Find the smallest x in [low, high] where done(x) holds
+   * done must be monotonic (false then true)
+   * @private
+   */
+  bisect(done, low, high) {
+    for (let i = 0; i < SOLVER_ITERATIONS && high - low > SOLVER_TOLERANCE * high; i++) {
+      const mid = (low + high) / 2;
+
+      if (done(mid)) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+
+    return high;
+  }
+}
+
+// Export singleton instance
+module.exports = new CategoricalCalculationService();
@@ -6,8 +6,24 @@
  *
  * The 2% fee is deducted from the bet amount before calculating tokens received,
  * ensuring the house always collects its margin regardless of bet outcome.
+ *
+ * The margin for a bet is resolved from, in order:
+ * 1. The market's own house_margin
+ * 2. The default for the market's category (CATEGORY_MARGINS)
+ * 3. The global HOUSE_MARGIN
+ * then discounted by the stake-size tier (MARGIN_TIERS) and clamped to
+ * [MIN_MARGIN, MAX_MARGIN].
  */
 
+const { CATEGORY_MARGINS, MARGIN_TIERS } = require('../config/constants');
+
+// Where a resolved margin came from
+const MARGIN_SOURCES = {
+  MARKET: 'market',
+  CATEGORY: 'category',
+  DEFAULT: 'default'
+};
+
 class HouseMarginService {
   constructor() {
     // Load house margin from environment variable, default to 2%
@@ -26,9 +42,99 @@ class HouseMarginService {
       this.HOUSE_MARGIN = 0.02;
     }
 
+    // Category defaults, keyed by lowercase category
+    this.CATEGORY_MARGINS = {};
+    for (const [category, margin] of Object.entries(CATEGORY_MARGINS || {})) {
+      if (typeof margin === 'number' && margin >= this.MIN_MARGIN && margin <= this.MAX_MARGIN) {
+        this.CATEGORY_MARGINS[category.toLowerCase()] = margin;
+      } else {
+        console.warn(`Ignoring margin ${margin} for category "${category}": out of range`);
+      }
+    }
+
+    // Stake tiers, largest threshold first
+    this.MARGIN_TIERS = (Array.isArray(MARGIN_TIERS) ? MARGIN_TIERS : [])
+      .filter((tier) => {
+        const valid = tier &&
+          typeof tier.minStake === 'number' && tier.minStake > 0 &&
+          typeof tier.multiplier === 'number' && tier.multiplier > 0;
+
+        if (!valid) {
+          console.warn(`Ignoring invalid margin tier ${JSON.stringify(tier)}`);
+        }
+        return valid;
+      })
+      .sort((a, b) => b.minStake - a.minStake);
+
     console.log(`House margin initialized at ${(this.HOUSE_MARGIN * 100).toFixed(2)}%`);
   }
 
+  /**
+   * Resolve the margin for a bet on a market
+   *
+   * Example with a "promo" market (0.5%) and a $2,000 stake (0.75× tier):
+   *   baseMargin: 0.005 (source: 'category')
+   *   margin: 0.00375
+   *
+   * @param {object} [market] - Market row (house_margin, category)
+   * @param {number} [stake=0] - Gross stake or proceeds the fee is taken from
+   * @returns {object} { margin, baseMargin, source, tier }
+   */
+  resolveMargin(market = null, stake = 0) {
+    let baseMargin = this.HOUSE_MARGIN;
+    let source = MARGIN_SOURCES.DEFAULT;
+
+    const override = market ? market.house_margin : null;
+    const category = market && market.category ? String(market.category).toLowerCase() : null;
+
+    if (override !== null && override !== undefined) {
+      baseMargin = parseFloat(override);
+      source = MARGIN_SOURCES.MARKET;
+    } else if (category && this.CATEGORY_MARGINS[category] !== undefined) {
+      baseMargin = this.CATEGORY_MARGINS[category];
+      source = MARGIN_SOURCES.CATEGORY;
+    }
+
+    const tier = this.MARGIN_TIERS.find(candidate => stake >= candidate.minStake) || null;
+
+    return {
+      margin: this.clampMargin(baseMargin * (tier ? tier.multiplier : 1)),
+      baseMargin,
+      source,
+      tier: tier ? tier.minStake : null
+    };
+  }
+
+  /**
+   * Gross up a net amount using the market's margin schedule
+   * The tier depends on the gross stake, so the highest tier whose grossed-up
+   * stake still reaches its threshold wins
+   *
+   * @param {object} market - Market row
+   * @param {number} netAmount - Amount that must reach the pool
+   * @returns {object} grossUpAmount result plus the resolved margin
+   */
+  grossUpForMarket(market, netAmount) {
+    for (const tier of [...this.MARGIN_TIERS, null]) {
+      const margin = this.resolveMargin(market, tier ? tier.minStake : 0);
+      const result = this.grossUpAmount(netAmount, margin.margin);
+
+      if (!tier || result.grossAmount >= tier.minStake) {
+        return { ...result, margin };
+      }
+    }
+  }
+
+  /**
+   * Clamp a margin to [MIN_MARGIN, MAX_MARGIN]
+   *
+   * @param {number} margin - Margin as decimal
+   * @returns {number} Clamped margin
+   */
+  clampMargin(margin) {
+    return Math.min(this.MAX_MARGIN, Math.max(this.MIN_MARGIN, margin));
+  }
+
   /**
    * Apply house margin to bet amount
    * Deducts the fee and returns net amount for trading
@@ -39,16 +145,17 @@ class HouseMarginService {
    *   netAmount: $98 (used for calculating tokens)
    *
    * @param {number} betAmount - Gross bet amount
+   * @param {number} [margin] - Margin to apply (default: HOUSE_MARGIN)
    * @returns {object} { grossAmount, netAmount, houseFee, feePercentage }
    * @throws {Error} If bet amount is invalid
    */
-  applyMargin(betAmount) {
+  applyMargin(betAmount, margin = this.HOUSE_MARGIN) {
     if (betAmount <= 0) {
       throw new Error('Bet amount must be positive');
     }
 
     // Calculate fee amount
-    const houseFee = betAmount * this.HOUSE_MARGIN;
+    const houseFee = betAmount * margin;
 
     // Net amount after fee deduction
     const netAmount = betAmount - houseFee;
@@ -57,7 +164,37 @@ class HouseMarginService {
       grossAmount: betAmount,
       netAmount,
       houseFee,
-      feePercentage: this.HOUSE_MARGIN
+      feePercentage: margin
+    };
+  }
+
+  /**
+   * Gross up a net trading amount to include the house margin
+   * Inverse of applyMargin, used when the user targets a share count
+   *
+   * Example with 2% margin and $98 net cost:
+   *   grossAmount: $100 (98 / 0.98)
+   *   houseFee: $2
+   *   netAmount: $98
+   *
+   * @param {number} netAmount - Amount that must reach the pool
+   * @param {number} [margin] - Margin to apply (default: HOUSE_MARGIN)
+   * @returns {object} { grossAmount, netAmount, houseFee, feePercentage }
+   * @throws {Error} If net amount is invalid
+   */
+  grossUpAmount(netAmount, margin = this.HOUSE_MARGIN) {
+    if (netAmount <= 0) {
+      throw new Error('Net amount must be positive');
+    }
+
+    const grossAmount = netAmount / (1 - margin);
+    const houseFee = grossAmount - netAmount;
+
+    return {
+      grossAmount,
+      netAmount,
+      houseFee,
+      feePercentage: margin
     };
   }
 
@@ -72,16 +209,17 @@ class HouseMarginService {
    *   spread: 0.01 (1%)
    *
    * @param {number} basePrice - Pure CPMM price (0-1)
+   * @param {number} [margin] - Margin to apply (default: HOUSE_MARGIN)
    * @returns {object} { basePrice, buyPrice, sellPrice, spread }
    * @throws {Error} If base price is out of range
    */
-  applyMarginToPrices(basePrice) {
+  applyMarginToPrices(basePrice, margin = this.HOUSE_MARGIN) {
     if (basePrice < 0 || basePrice > 1) {
       throw new Error('Base price must be between 0 and 1');
     }
 
     // Split the margin evenly between buy and sell
-    const halfMargin = this.HOUSE_MARGIN / 2;
+    const halfMargin = margin / 2;
 
     // Buy price is slightly higher (user pays more)
     const buyPrice = Math.min(1, basePrice * (1 + halfMargin));
@@ -90,14 +228,14 @@ class HouseMarginService {
     const sellPrice = Math.max(0, basePrice * (1 - halfMargin));
 
     // Total spread is the full margin
-    const spread = basePrice * this.HOUSE_MARGIN;
+    const spread = basePrice * margin;
 
     return {
       basePrice,
       buyPrice,
       sellPrice,
       spread,
-      spreadPercentage: this.HOUSE_MARGIN
+      spreadPercentage: margin
     };
   }
 
@@ -132,17 +270,39 @@ class HouseMarginService {
 
   /**
    * Get current margin settings
+   * With a market, also reports the margin it charges at each stake tier
    *
+   * @param {object} [market] - Market row
    * @returns {object} Margin configuration
    */
-  getMarginSettings() {
-    return {
+  getMarginSettings(market = null) {
+    const settings = {
       marginPercentage: this.HOUSE_MARGIN,
       marginBasisPoints: Math.round(this.HOUSE_MARGIN * 10000),
       displayPercentage: `${(this.HOUSE_MARGIN * 100).toFixed(2)}%`,
       minMargin: this.MIN_MARGIN,
-      maxMargin: this.MAX_MARGIN
+      maxMargin: this.MAX_MARGIN,
+      categoryMargins: { ...this.CATEGORY_MARGINS },
+      tiers: this.MARGIN_TIERS
+        .map(({ minStake, multiplier }) => ({ minStake, multiplier }))
+        .reverse()
     };
+
+    if (market) {
+      const { baseMargin, source } = this.resolveMargin(market);
+      const thresholds = [0, ...settings.tiers.map(tier => tier.minStake)];
+
+      settings.market = {
+        baseMargin,
+        source,
+        schedule: thresholds.map(minStake => ({
+          minStake,
+          margin: this.resolveMargin(market, minStake).margin
+        }))
+      };
+    }
+
+    return settings;
   }
 
   /**
@@ -152,11 +312,12 @@ class HouseMarginService {
    * @param {number} betAmount - Amount bet
    * @param {number} tokensReceived - Tokens received
    * @param {number} basePrice - Market price before bet
+   * @param {number} [margin] - Margin charged (default: HOUSE_MARGIN)
    * @returns {object} Effective margin analysis
    */
-  calculateEffectiveMargin(betAmount, tokensReceived, basePrice) {
+  calculateEffectiveMargin(betAmount, tokensReceived, basePrice, margin = this.HOUSE_MARGIN) {
     // House fee (explicit margin)
-    const houseFee = betAmount * this.HOUSE_MARGIN;
+    const houseFee = betAmount * margin;
 
     // Effective price paid per token
     const effectivePrice = betAmount / tokensReceived;
@@ -172,7 +333,7 @@ class HouseMarginService {
 
     return {
       explicitFee: houseFee,
-      explicitMargin: this.HOUSE_MARGIN,
+      explicitMargin: margin,
       slippageCost: slippage * tokensReceived,
       totalCost,
       effectiveMargin,
@@ -204,11 +365,12 @@ class HouseMarginService {
    *
    * @param {number} betAmount - Bet amount
    * @param {number} houseFee - Calculated fee
+   * @param {number} [margin] - Margin charged (default: HOUSE_MARGIN)
    * @returns {boolean} True if valid
    * @throws {Error} If validation fails
    */
-  validateMargin(betAmount, houseFee) {
-    const expectedFee = betAmount * this.HOUSE_MARGIN;
+  validateMargin(betAmount, houseFee, margin = this.HOUSE_MARGIN) {
+    const expectedFee = betAmount * margin;
     const difference = Math.abs(houseFee - expectedFee);
 
     // Allow tiny floating point differences (0.01 tolerance)
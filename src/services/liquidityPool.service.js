@@ -2,10 +2,12 @@
  * Liquidity Pool Service
  *
  * Manages liquidity pools for prediction markets.
- * Handles pool initialization, validation, and state management.
+ * Handles pool initialization, validation, and state management,
+ * plus LP share accounting for liquidity deposits and withdrawals.
  */
 
 const oddsCalculation = require('./oddsCalculation.service');
+const { LP_FEE_SHARE, MAX_POOL_UTILIZATION, OUTCOMES } = require('../config/constants');
 
 class LiquidityPoolService {
   constructor() {
@@ -18,6 +20,9 @@ class LiquidityPoolService {
     // Maximum pool size to prevent excessive capital lockup
     this.MAX_POOL_SIZE = 100000;
 
+    // Portion of the house fee paid to liquidity providers
+    this.LP_FEE_SHARE = LP_FEE_SHARE;
+
     console.log(`Liquidity pool service initialized with default size: ${this.DEFAULT_POOL_SIZE}`);
   }
 
@@ -147,18 +152,13 @@ class LiquidityPoolService {
   /**
    * Check if pool has sufficient liquidity for a bet
    *
-   * @param {number} betAmount - Amount to bet
+   * @param {number} tokensOut - Tokens the bet draws from the pool (from its simulation)
    * @param {number} outputPool - Pool tokens will be drawn from
-   * @param {number} maxUtilization - Maximum allowed utilization (default: 0.9 = 90%)
+   * @param {number} maxUtilization - Maximum allowed utilization (default: MAX_POOL_UTILIZATION)
    * @returns {boolean} True if sufficient liquidity
    */
-  hasSufficientLiquidity(betAmount, outputPool, maxUtilization = 0.9) {
-    // Estimate tokens that would be received (simplified)
-    // Full calculation would need k, but this is a safety check
-    const estimatedTokens = betAmount * 0.9; // Conservative estimate
-
-    // Check if estimated tokens exceed max utilization
-    const utilization = estimatedTokens / outputPool;
+  hasSufficientLiquidity(tokensOut, outputPool, maxUtilization = MAX_POOL_UTILIZATION) {
+    const utilization = tokensOut / outputPool;
 
     return utilization <= maxUtilization;
   }
@@ -255,6 +255,172 @@ class LiquidityPoolService {
     };
   }
 
+  /**
+   * Calculate the value of a pool at current prices
+   * value = yesPool × yesPrice + noPool × noPrice = 2 × yesPool × noPool / (yesPool + noPool)
+   *
+   * Equals the per-side size of a symmetric pool, so a freshly initialized
+   * 1000/1000 pool is worth 1000 LP shares.
+   *
+   * @param {number} yesPool - YES pool size
+   * @param {number} noPool - NO pool size
+   * @returns {number} Pool value
+   */
+  calculatePoolValue(yesPool, noPool) {
+    return (2 * yesPool * noPool) / (yesPool + noPool);
+  }
+
+  /**
+   * Calculate the value of a pool once its market has resolved
+   * Each token of the winning outcome left in the pool is worth 1 and the
+   * losing outcome's tokens nothing, so the value is the winning pool
+   *
+   * @param {number} yesPool - YES pool size
+   * @param {number} noPool - NO pool size
+   * @param {string} outcome - Winning outcome ('yes' or 'no')
+   * @returns {number} Pool value at settlement
+   */
+  calculateResolvedPoolValue(yesPool, noPool, outcome) {
+    return outcome === OUTCOMES.YES ? yesPool : noPool;
+  }
+
+  /**
+   * Get total LP shares for a market
+   * Markets without LP accounting yet are owned entirely by the house,
+   * with one share per unit of pool value
+   *
+   * @param {object} market - Market row
+   * @returns {number} Total LP shares
+   */
+  getTotalLpShares(market) {
+    if (market.lp_total_shares !== null && market.lp_total_shares !== undefined) {
+      return parseFloat(market.lp_total_shares);
+    }
+
+    return this.calculatePoolValue(parseFloat(market.yes_pool), parseFloat(market.no_pool));
+  }
+
+  /**
+   * Simulate adding liquidity at the current price
+   * Both pools scale by the same factor, so prices are unchanged and
+   * k grows by the factor squared.
+   *
+   * @param {object} params
+   * @param {number} params.amount - Amount deposited
+   * @param {number} params.yesPool - Current YES pool
+   * @param {number} params.noPool - Current NO pool
+   * @param {number} params.totalShares - LP shares outstanding
+   * @returns {object} New pools and shares minted
+   */
+  simulateDeposit({ amount, yesPool, noPool, totalShares }) {
+    const poolValue = this.calculatePoolValue(yesPool, noPool);
+    const scale = 1 + amount / poolValue;
+
+    const newYesPool = yesPool * scale;
+    const newNoPool = noPool * scale;
+
+    return {
+      amount,
+      sharesMinted: totalShares * (amount / poolValue),
+      newTotalShares: totalShares * scale,
+      poolValueBefore: poolValue,
+      poolValueAfter: poolValue * scale,
+      newYesPool,
+      newNoPool,
+      newK: oddsCalculation.calculateLiquidityConstant(newYesPool, newNoPool)
+    };
+  }
+
+  /**
+   * Simulate removing liquidity at the current price
+   * Burning a fraction of the shares removes that fraction of both pools
+   * and pays out that fraction of the pool value.
+   *
+   * @param {object} params
+   * @param {number} params.shares - LP shares burned
+   * @param {number} params.yesPool - Current YES pool
+   * @param {number} params.noPool - Current NO pool
+   * @param {number} params.totalShares - LP shares outstanding
+   * @param {string} [params.resolvedOutcome] - Winning outcome, to value a resolved pool at settlement
+   * @param {number} [params.refund] - Amount to pay instead of the pool share (cancelled markets)
+   * @returns {object} New pools and amount paid out
+   */
+  simulateWithdrawal({ shares, yesPool, noPool, totalShares, resolvedOutcome = null, refund = null }) {
+    const poolValue = resolvedOutcome
+      ? this.calculateResolvedPoolValue(yesPool, noPool, resolvedOutcome)
+      : this.calculatePoolValue(yesPool, noPool);
+    const fraction = shares / totalShares;
+
+    const newYesPool = yesPool * (1 - fraction);
+    const newNoPool = noPool * (1 - fraction);
+
+    return {
+      amount: refund === null ? poolValue * fraction : refund,
+      sharesBurned: shares,
+      newTotalShares: totalShares - shares,
+      poolValueBefore: poolValue,
+      poolValueAfter: poolValue * (1 - fraction),
+      newYesPool,
+      newNoPool,
+      newK: oddsCalculation.calculateLiquidityConstant(newYesPool, newNoPool)
+    };
+  }
+
+  /**
+   * Calculate what an LP gets back for shares in a cancelled market
+   * The pool still holds bettors' stakes, which are refunded to them, so an
+   * LP is repaid what they put in (deposits less withdrawals), in proportion
+   * to the shares burned.
+   *
+   * @param {object} position - liquidity_positions row
+   * @param {number} shares - LP shares burned
+   * @returns {number} Amount to refund
+   */
+  calculateCancellationRefund(position, shares) {
+    const heldShares = parseFloat(position.shares);
+    const contributed = parseFloat(position.total_deposited) - parseFloat(position.total_withdrawn);
+
+    if (!(heldShares > 0) || !(contributed > 0)) {
+      return 0;
+    }
+
+    return contributed * Math.min(shares / heldShares, 1);
+  }
+
+  /**
+   * Calculate the LP fee accumulator after a trade
+   * Returns the market columns to update with the trade
+   *
+   * @param {object} market - Market row the trade was priced against
+   * @param {number} houseFee - House fee charged on the trade
+   * @returns {object} { lp_fee_per_share, lp_total_shares }
+   */
+  accrueLpFees(market, houseFee) {
+    const totalShares = this.getTotalLpShares(market);
+    const feePerShare = parseFloat(market.lp_fee_per_share || 0);
+
+    if (!houseFee || totalShares <= 0) {
+      return {};
+    }
+
+    return {
+      lp_fee_per_share: feePerShare + (houseFee * this.LP_FEE_SHARE) / totalShares,
+      lp_total_shares: totalShares
+    };
+  }
+
+  /**
+   * Calculate fees accrued but not yet paid to an LP position
+   *
+   * @param {object} position - liquidity_positions row
+   * @param {object} market - Market row
+   * @returns {number} Unpaid fees
+   */
+  calculatePendingLpFees(position, market) {
+    const accrued = parseFloat(position.shares) * parseFloat(market.lp_fee_per_share || 0);
+    return Math.max(accrued - parseFloat(position.fee_debt), 0);
+  }
+
   /**
    * Get pool configuration
    *
@@ -264,7 +430,8 @@ class LiquidityPoolService {
     return {
       defaultPoolSize: this.DEFAULT_POOL_SIZE,
       minPoolSize: this.MIN_POOL_SIZE,
-      maxPoolSize: this.MAX_POOL_SIZE
+      maxPoolSize: this.MAX_POOL_SIZE,
+      lpFeeShare: this.LP_FEE_SHARE
     };
   }
 }
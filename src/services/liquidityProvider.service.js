@@ -0,0 +1,348 @@
+/**
+ * Liquidity Provider Service
+ *
+ * Lets users add liquidity to and remove liquidity from market pools.
+ * Handles:
+ * - Deposits at the current price (mints LP shares)
+ * - Withdrawals at the current price (burns LP shares), after the market
+ *   resolves at the value the pool settled at, or after it is cancelled at
+ *   what the LP put in
+ * - Paying LPs their portion of the house fee
+ *
+ * Pool math lives in LiquidityPoolService; changes commit atomically through
+ * the execute_liquidity_change database function, with the same optimistic
+ * market versioning and retry as trades.
+ *
+ * Only binary CPMM markets take LP deposits; categorical pools are
+ * house-funded and LMSR markets have no pool at all.
+ */
+
+const { supabase } = require('../config/database');
+const liquidityPool = require('./liquidityPool.service');
+const categoricalCalculation = require('./categoricalCalculation.service');
+const bettingService = require('./betting.service');
+const { ERROR_CODES, MARKET_STATUS, TRANSACTION_TYPES } = require('../config/constants');
+
+class LiquidityProviderService {
+  /**
+   * Get pool liquidity and, if a user is given, their LP position
+   *
+   * @param {string} marketId - Market UUID
+   * @param {string} [userId] - User UUID
+   * @returns {Promise<object>} Pool liquidity and LP position
+   */
+  async getLiquidity(marketId, userId = null) {
+    const market = await bettingService.getMarket(marketId);
+
+    if (bettingService.isLmsr(market)) {
+      const err = new Error('LMSR markets have no liquidity pool');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    const categorical = bettingService.isCategorical(market);
+    const yesPool = categorical ? null : parseFloat(market.yes_pool);
+    const noPool = categorical ? null : parseFloat(market.no_pool);
+
+    let poolValue;
+    if (categorical) {
+      poolValue = categoricalCalculation.calculatePoolValue(market.outcomes.map(entry => parseFloat(entry.pool)));
+    } else if (market.status === MARKET_STATUS.RESOLVED) {
+      poolValue = liquidityPool.calculateResolvedPoolValue(yesPool, noPool, market.resolved_outcome);
+    } else {
+      poolValue = liquidityPool.calculatePoolValue(yesPool, noPool);
+    }
+    const totalShares = liquidityPool.getTotalLpShares(market);
+    const valuePerShare = totalShares > 0 ? poolValue / totalShares : 0;
+
+    let position = null;
+
+    if (userId) {
+      const lpPosition = await this.getLiquidityPosition(userId, marketId);
+
+      if (lpPosition) {
+        const shares = parseFloat(lpPosition.shares);
+
+        position = {
+          shares,
+          ownership: totalShares > 0 ? shares / totalShares : 0,
+          value: market.status === MARKET_STATUS.CANCELLED
+            ? liquidityPool.calculateCancellationRefund(lpPosition, shares)
+            : shares * valuePerShare,
+          pendingFees: liquidityPool.calculatePendingLpFees(lpPosition, market),
+          feesEarned: parseFloat(lpPosition.fees_earned),
+          totalDeposited: parseFloat(lpPosition.total_deposited),
+          totalWithdrawn: parseFloat(lpPosition.total_withdrawn)
+        };
+      }
+    }
+
+    return {
+      success: true,
+      data: {
+        marketId,
+        yesPool,
+        noPool,
+        liquidityConstant: parseFloat(market.liquidity_constant),
+        poolValue,
+        totalShares,
+        valuePerShare,
+        lpFeeShare: liquidityPool.LP_FEE_SHARE,
+        position
+      }
+    };
+  }
+
+  /**
+   * Add liquidity at the current price
+   * Both pools grow by the same factor, so prices do not move
+   *
+   * @param {object} params
+   * @param {string} params.marketId - Market UUID
+   * @param {string} params.userId - User UUID
+   * @param {number} params.amount - Amount to deposit
+   * @returns {Promise<object>} Deposit result
+   */
+  async addLiquidity({ marketId, userId, amount }) {
+    if (typeof amount !== 'number' || !(amount > 0)) {
+      const err = new Error('Amount must be a positive number');
+      err.code = ERROR_CODES.INVALID_AMOUNT;
+      throw err;
+    }
+
+    const profile = await bettingService.getUserProfile(userId);
+    bettingService.validateUserBalance(profile, amount);
+
+    return bettingService.withMarketRetry(marketId, async (market) => {
+      bettingService.validateMarketState(market);
+      this.ensureLpMarket(market);
+
+      const yesPool = parseFloat(market.yes_pool);
+      const noPool = parseFloat(market.no_pool);
+      const deposit = liquidityPool.simulateDeposit({
+        amount,
+        yesPool,
+        noPool,
+        totalShares: liquidityPool.getTotalLpShares(market)
+      });
+
+      if (deposit.poolValueAfter > liquidityPool.MAX_POOL_SIZE) {
+        const err = new Error(
+          `Deposit would exceed the maximum pool size of ${liquidityPool.MAX_POOL_SIZE}`
+        );
+        err.code = ERROR_CODES.VALIDATION_ERROR;
+        throw err;
+      }
+
+      const result = await this.commitLiquidityChange({
+        market,
+        userId,
+        change: deposit,
+        balanceDelta: -amount,
+        sharesDelta: deposit.sharesMinted,
+        transactionType: TRANSACTION_TYPES.LP_DEPOSIT
+      });
+
+      return this.formatResult(marketId, deposit, result, {
+        amountDeposited: amount,
+        sharesMinted: deposit.sharesMinted
+      });
+    });
+  }
+
+  /**
+   * Reject LP changes on categorical and LMSR markets
+   * @private
+   */
+  ensureLpMarket(market) {
+    if (bettingService.isCategorical(market) || bettingService.isLmsr(market)) {
+      const err = new Error('Liquidity can only be added to or removed from yes/no CPMM markets');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+  }
+
+  /**
+   * Remove liquidity at the current price
+   * Burning shares removes the same fraction of both pools and pays out
+   * that fraction of the pool value
+   *
+   * Once the market is resolved or cancelled the pool stops trading and LPs
+   * can withdraw all of it: a resolved pool is worth its winning outcome's
+   * tokens. A cancelled pool still holds the stakes refunded to bettors, so
+   * LPs get back what they put in rather than a share of it.
+   *
+   * @param {object} params
+   * @param {string} params.marketId - Market UUID
+   * @param {string} params.userId - User UUID
+   * @param {number} params.shares - LP shares to burn
+   * @returns {Promise<object>} Withdrawal result
+   */
+  async removeLiquidity({ marketId, userId, shares }) {
+    if (typeof shares !== 'number' || !(shares > 0)) {
+      const err = new Error('Shares must be a positive number');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    const lpPosition = await this.getLiquidityPosition(userId, marketId);
+    const heldShares = lpPosition ? parseFloat(lpPosition.shares) : 0;
+
+    if (shares > heldShares + 1e-6) {
+      const err = new Error(`Insufficient LP shares: ${heldShares} < ${shares}`);
+      err.code = ERROR_CODES.INSUFFICIENT_LP_SHARES;
+      throw err;
+    }
+
+    return bettingService.withMarketRetry(marketId, async (market) => {
+      const settled = this.isSettled(market);
+      if (!settled) {
+        bettingService.validateMarketState(market);
+      }
+      this.ensureLpMarket(market);
+
+      const yesPool = parseFloat(market.yes_pool);
+      const noPool = parseFloat(market.no_pool);
+      const sharesBurned = Math.min(shares, heldShares);
+      const withdrawal = liquidityPool.simulateWithdrawal({
+        shares: sharesBurned,
+        yesPool,
+        noPool,
+        totalShares: liquidityPool.getTotalLpShares(market),
+        resolvedOutcome: market.status === MARKET_STATUS.RESOLVED ? market.resolved_outcome : null,
+        refund: market.status === MARKET_STATUS.CANCELLED
+          ? liquidityPool.calculateCancellationRefund(lpPosition, sharesBurned)
+          : null
+      });
+
+      // A settled pool no longer trades, so the minimum size no longer applies
+      if (
+        !settled &&
+        (withdrawal.newYesPool < liquidityPool.MIN_POOL_SIZE ||
+          withdrawal.newNoPool < liquidityPool.MIN_POOL_SIZE)
+      ) {
+        const err = new Error(
+          `Withdrawal would leave a pool below the minimum size of ${liquidityPool.MIN_POOL_SIZE}`
+        );
+        err.code = ERROR_CODES.VALIDATION_ERROR;
+        throw err;
+      }
+
+      const result = await this.commitLiquidityChange({
+        market,
+        userId,
+        change: withdrawal,
+        balanceDelta: withdrawal.amount,
+        sharesDelta: -withdrawal.sharesBurned,
+        transactionType: TRANSACTION_TYPES.LP_WITHDRAWAL
+      });
+
+      return this.formatResult(marketId, withdrawal, result, {
+        sharesBurned: withdrawal.sharesBurned,
+        amountWithdrawn: withdrawal.amount
+      });
+    });
+  }
+
+  /**
+   * Whether the market is resolved or cancelled, so its pool no longer trades
+   * Suspended and closed markets await a decision and stay locked
+   * @private
+   */
+  isSettled(market) {
+    return market.status === MARKET_STATUS.RESOLVED || market.status === MARKET_STATUS.CANCELLED;
+  }
+
+  /**
+   * Commit a liquidity change via the execute_liquidity_change database function
+   * See sql/09-liquidity-providers.sql
+   *
+   * @private
+   * @throws {Error} MARKET_CONFLICT, INSUFFICIENT_BALANCE or INSUFFICIENT_LP_SHARES
+   */
+  async commitLiquidityChange({ market, userId, change, balanceDelta, sharesDelta, transactionType }) {
+    const { data, error } = await supabase.rpc('execute_liquidity_change', {
+      p_market_id: market.id,
+      p_expected_version: market.version || 0,
+      p_market: {
+        yes_pool: change.newYesPool,
+        no_pool: change.newNoPool,
+        liquidity_constant: change.newK,
+        lp_total_shares: change.newTotalShares
+      },
+      p_user_id: userId,
+      p_balance_delta: balanceDelta,
+      p_shares_delta: sharesDelta,
+      p_transaction_type: transactionType,
+      p_fee_transaction_type: TRANSACTION_TYPES.LP_FEES
+    });
+
+    if (error) {
+      // The function raises our error codes as exception messages
+      const messages = {
+        [ERROR_CODES.MARKET_CONFLICT]: 'Market is busy, please try again',
+        [ERROR_CODES.INSUFFICIENT_BALANCE]: 'Insufficient balance',
+        [ERROR_CODES.INSUFFICIENT_LP_SHARES]: 'Insufficient LP shares'
+      };
+
+      if (messages[error.message]) {
+        const err = new Error(messages[error.message]);
+        err.code = error.message;
+        throw err;
+      }
+
+      console.error('Liquidity change failed:', error);
+      throw new Error(`Liquidity change failed: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Build the deposit/withdrawal response
+   * @private
+   */
+  formatResult(marketId, change, result, amounts) {
+    const { position, fees_paid: feesPaid, balance } = result;
+
+    return {
+      success: true,
+      data: {
+        marketId,
+        ...amounts,
+        lpShares: parseFloat(position.shares),
+        totalShares: change.newTotalShares,
+        feesPaid: parseFloat(feesPaid),
+        newBalance: parseFloat(balance),
+        newPools: {
+          yesPool: change.newYesPool,
+          noPool: change.newNoPool
+        },
+        liquidityConstant: change.newK,
+        poolValue: change.poolValueAfter
+      }
+    };
+  }
+
+  /**
+   * Get a user's LP position in a market
+   * @private
+   */
+  async getLiquidityPosition(userId, marketId) {
+    const { data: position, error } = await supabase
+      .from('liquidity_positions')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('market_id', marketId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return position;
+  }
+}
+
+// Export singleton instance
+module.exports = new LiquidityProviderService();
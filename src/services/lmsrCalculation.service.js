@@ -0,0 +1,318 @@
+/**
+ * LMSR Calculation Service
+ *
+ * Logarithmic Market Scoring Rule (Hanson) for binary markets.
+ * Same interface as OddsCalculationService, but the market state is the
+ * number of YES and NO shares outstanding rather than token pools.
+ *
+ * Cost Function:
+ *   C(qYes, qNo) = b × ln(e^(qYes/b) + e^(qNo/b))
+ *
+ * Price Formula:
+ *   yesPrice = e^(qYes/b) / (e^(qYes/b) + e^(qNo/b))
+ *   noPrice = 1 - yesPrice
+ *
+ * Buying x YES shares costs C(qYes + x, qNo) - C(qYes, qNo).
+ * The liquidity parameter b sets how far prices move per share; the house
+ * can never lose more than b × ln(2) on a market, however it trades.
+ */
+
+const oddsCalculation = require('./oddsCalculation.service');
+
+class LmsrCalculationService {
+  /**
+   * Calculate current YES price
+   *
+   * @param {number} yesShares - YES shares outstanding
+   * @param {number} noShares - NO shares outstanding
+   * @param {number} b - Liquidity parameter
+   * @returns {number} Price between 0 and 1
+   */
+  calculateYesPrice(yesShares, noShares, b) {
+    if (!(b > 0)) {
+      throw new Error('Liquidity parameter must be positive');
+    }
+
+    return 1 / (1 + Math.exp((noShares - yesShares) / b));
+  }
+
+  /**
+   * Calculate current NO price
+   *
+   * @param {number} yesShares - YES shares outstanding
+   * @param {number} noShares - NO shares outstanding
+   * @param {number} b - Liquidity parameter
+   * @returns {number} Price between 0 and 1
+   */
+  calculateNoPrice(yesShares, noShares, b) {
+    return 1 - this.calculateYesPrice(yesShares, noShares, b);
+  }
+
+  /**
+   * Calculate the cost function C(q)
+   * Uses log-sum-exp so large share counts do not overflow
+   *
+   * @param {number} yesShares - YES shares outstanding
+   * @param {number} noShares - NO shares outstanding
+   * @param {number} b - Liquidity parameter
+   * @returns {number} Cost
+   */
+  calculateCost(yesShares, noShares, b) {
+    const max = Math.max(yesShares, noShares);
+
+    return max + b * Math.log(Math.exp((yesShares - max) / b) + Math.exp((noShares - max) / b));
+  }
+
+  /**
+   * Calculate shares received for an amount
+   * Closed form of C(q + x) - C(q) = amount:
+   *   x = b × ln(1 + (e^(amount/b) - 1) / price)
+   *
+   * @param {number} betAmount - Amount to spend (after fees)
+   * @param {number} price - Current price of the outcome bought
+   * @param {number} b - Liquidity parameter
+   * @returns {number} Shares received
+   */
+  calculateTokensReceived(betAmount, price, b) {
+    if (betAmount <= 0) {
+      throw new Error('Bet amount must be positive');
+    }
+
+    return b * Math.log1p(Math.expm1(betAmount / b) / price);
+  }
+
+  /**
+   * Calculate the cost of buying an exact number of shares
+   * Inverse of calculateTokensReceived:
+   *   amount = b × ln(1 + price × (e^(shares/b) - 1))
+   *
+   * @param {number} tokensDesired - Shares to buy
+   * @param {number} price - Current price of the outcome bought
+   * @param {number} b - Liquidity parameter
+   * @returns {number} Cost (before fees)
+   */
+  calculateCostForTokens(tokensDesired, price, b) {
+    if (tokensDesired <= 0) {
+      throw new Error('Tokens desired must be positive');
+    }
+
+    return b * Math.log1p(price * Math.expm1(tokensDesired / b));
+  }
+
+  /**
+   * Calculate proceeds from selling shares back to the market maker
+   *   proceeds = C(q) - C(q - x) = -b × ln(1 + price × (e^(-shares/b) - 1))
+   *
+   * @param {number} tokensSold - Shares sold
+   * @param {number} price - Current price of the outcome sold
+   * @param {number} b - Liquidity parameter
+   * @returns {number} Proceeds (before fees)
+   */
+  calculateSaleProceeds(tokensSold, price, b) {
+    if (tokensSold <= 0) {
+      throw new Error('Tokens sold must be positive');
+    }
+
+    return -b * Math.log1p(price * Math.expm1(-tokensSold / b));
+  }
+
+  /**
+   * Calculate the most the house can lose on a market
+   *
+   * @param {number} b - Liquidity parameter
+   * @param {number} [outcomeCount=2] - Number of outcomes
+   * @returns {number} Maximum loss
+   */
+  calculateMaxLoss(b, outcomeCount = 2) {
+    return b * Math.log(outcomeCount);
+  }
+
+  /**
+   * Outstanding shares that open the market at a target YES price
+   * qYes = b × ln(p), qNo = b × ln(1 - p), so C(q) starts at zero
+   *
+   * @param {number} b - Liquidity parameter
+   * @param {number} [targetYesPrice=0.5] - Opening YES probability
+   * @returns {object} { yesShares, noShares }
+   */
+  initializeShares(b, targetYesPrice = 0.5) {
+    if (!(b > 0)) {
+      throw new Error('Liquidity parameter must be positive');
+    }
+
+    if (!(targetYesPrice > 0 && targetYesPrice < 1)) {
+      throw new Error('Target price must be between 0 and 1');
+    }
+
+    return {
+      yesShares: b * Math.log(targetYesPrice),
+      noShares: b * Math.log(1 - targetYesPrice)
+    };
+  }
+
+  /**
+   * Calculate the liquidity parameter that bounds house loss
+   *
+   * @param {number} maxLoss - Most the house is willing to lose
+   * @param {number} [outcomeCount=2] - Number of outcomes
+   * @returns {number} b
+   */
+  calculateLiquidityParameter(maxLoss, outcomeCount = 2) {
+    return maxLoss / Math.log(outcomeCount);
+  }
+
+  /**
+   * Simulate a bet without executing
+   *
+   * Unlike the CPMM, shares here pay $1 each, so the effective price is
+   * simply the amount paid per share.
+   *
+   * @param {object} params - Simulation parameters
+   * @param {string} params.outcome - 'yes' or 'no'
+   * @param {number} params.betAmount - Amount to bet (after fees)
+   * @param {number} params.yesShares - YES shares outstanding
+   * @param {number} params.noShares - NO shares outstanding
+   * @param {number} params.b - Liquidity parameter
+   * @returns {object} Simulation results
+   */
+  simulateBet({ outcome, betAmount, yesShares, noShares, b }) {
+    const priceBeforeBet = outcome === 'yes'
+      ? this.calculateYesPrice(yesShares, noShares, b)
+      : this.calculateNoPrice(yesShares, noShares, b);
+
+    const tokensReceived = this.calculateTokensReceived(betAmount, priceBeforeBet, b);
+
+    return this.buildSimulation({
+      outcome,
+      amount: betAmount,
+      tokens: tokensReceived,
+      yesShares,
+      noShares,
+      b,
+      priceBefore: priceBeforeBet
+    });
+  }
+
+  /**
+   * Simulate buying an exact number of shares without executing
+   *
+   * @param {object} params - Simulation parameters
+   * @param {string} params.outcome - 'yes' or 'no'
+   * @param {number} params.tokensDesired - Shares to buy
+   * @param {number} params.yesShares - YES shares outstanding
+   * @param {number} params.noShares - NO shares outstanding
+   * @param {number} params.b - Liquidity parameter
+   * @returns {object} Simulation results plus betAmount (cost after fees)
+   */
+  simulateBetForTokens({ outcome, tokensDesired, yesShares, noShares, b }) {
+    const priceBeforeBet = outcome === 'yes'
+      ? this.calculateYesPrice(yesShares, noShares, b)
+      : this.calculateNoPrice(yesShares, noShares, b);
+
+    const betAmount = this.calculateCostForTokens(tokensDesired, priceBeforeBet, b);
+
+    return {
+      ...this.buildSimulation({
+        outcome,
+        amount: betAmount,
+        tokens: tokensDesired,
+        yesShares,
+        noShares,
+        b,
+        priceBefore: priceBeforeBet
+      }),
+      betAmount
+    };
+  }
+
+  /**
+   * Simulate selling shares back to the market maker without executing
+   *
+   * @param {object} params - Simulation parameters
+   * @param {string} params.outcome - 'yes' or 'no'
+   * @param {number} params.tokensSold - Shares being sold
+   * @param {number} params.yesShares - YES shares outstanding
+   * @param {number} params.noShares - NO shares outstanding
+   * @param {number} params.b - Liquidity parameter
+   * @returns {object} Simulation results
+   */
+  simulateSell({ outcome, tokensSold, yesShares, noShares, b }) {
+    const priceBeforeSale = outcome === 'yes'
+      ? this.calculateYesPrice(yesShares, noShares, b)
+      : this.calculateNoPrice(yesShares, noShares, b);
+
+    const proceeds = this.calculateSaleProceeds(tokensSold, priceBeforeSale, b);
+
+    const newYesShares = outcome === 'yes' ? yesShares - tokensSold : yesShares;
+    const newNoShares = outcome === 'yes' ? noShares : noShares - tokensSold;
+    const newYesPrice = this.calculateYesPrice(newYesShares, newNoShares, b);
+    const newNoPrice = 1 - newYesPrice;
+    const priceAfterSale = outcome === 'yes' ? newYesPrice : newNoPrice;
+
+    const effectivePrice = proceeds / tokensSold;
+
+    return {
+      proceeds,
+      effectivePrice,
+      slippage: oddsCalculation.calculateSlippage(priceBeforeSale, effectivePrice),
+      priceImpact: oddsCalculation.calculatePriceImpact(priceBeforeSale, priceAfterSale),
+      priceBeforeSale,
+      priceAfterSale,
+      newYesPrice,
+      newNoPrice,
+      newYesShares,
+      newNoShares
+    };
+  }
+
+  /**
+   * Validate market maker state
+   *
+   * @param {number} yesShares - YES shares outstanding
+   * @param {number} noShares - NO shares outstanding
+   * @param {number} b - Liquidity parameter
+   * @returns {boolean} True if state is valid
+   * @throws {Error} If validation fails
+   */
+  validateState(yesShares, noShares, b) {
+    if (!(b > 0)) {
+      throw new Error('Liquidity parameter must be positive');
+    }
+
+    if (!Number.isFinite(yesShares) || !Number.isFinite(noShares)) {
+      throw new Error('LMSR share quantities must be finite numbers');
+    }
+
+    return true;
+  }
+
+  /**
+   * Prices and share quantities after a purchase
+   * @private
+   */
+  buildSimulation({ outcome, amount, tokens, yesShares, noShares, b, priceBefore }) {
+    const newYesShares = outcome === 'yes' ? yesShares + tokens : yesShares;
+    const newNoShares = outcome === 'yes' ? noShares : noShares + tokens;
+    const newYesPrice = this.calculateYesPrice(newYesShares, newNoShares, b);
+    const newNoPrice = 1 - newYesPrice;
+    const priceAfter = outcome === 'yes' ? newYesPrice : newNoPrice;
+
+    const effectivePrice = amount / tokens;
+
+    return {
+      tokensReceived: tokens,
+      effectivePrice,
+      slippage: oddsCalculation.calculateSlippage(priceBefore, effectivePrice),
+      priceImpact: oddsCalculation.calculatePriceImpact(priceBefore, priceAfter),
+      priceBeforeBet: priceBefore,
+      priceAfterBet: priceAfter,
+      newYesPrice,
+      newNoPrice,
+      newYesShares,
+      newNoShares
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new LmsrCalculationService();
@@ -0,0 +1,117 @@
+/**
+ * Market Stream Service
+ *
+ * In-process event bus for live market updates. Handles:
+ * - Publishing a market's state after each committed trade
+ * - Subscribing to one or many markets
+ * - Replaying recent events to a client resuming from a sequence number
+ *
+ * Every event gets the next sequence number (per process, starting at 1)
+ * and the last STREAM_REPLAY_BUFFER_SIZE events are kept for replay.
+ * Sequence numbers restart with the process, so a client resuming from one
+ * the bus never issued is treated as having missed events.
+ *
+ * publish / subscribe / getEventsSince / getSequence are the whole
+ * interface: a shared broker (Redis streams, Postgres LISTEN/NOTIFY) can
+ * replace this class without touching the stream controller.
+ */
+
+const { STREAM_REPLAY_BUFFER_SIZE } = require('../config/constants');
+
+class MarketStreamService {
+  constructor() {
+    this.sequence = 0;
+    this.buffer = [];
+    this.subscribers = new Map();
+  }
+
+  /**
+   * Publish an event to a market's subscribers
+   *
+   * @param {string} marketId - Market UUID
+   * @param {string} type - Event type (STREAM_EVENT_TYPES)
+   * @param {object} data - Event payload
+   * @returns {object} The event { id, marketId, type, data }
+   */
+  publish(marketId, type, data) {
+    this.sequence += 1;
+    const event = { id: this.sequence, marketId, type, data };
+
+    this.buffer.push(event);
+    if (this.buffer.length > STREAM_REPLAY_BUFFER_SIZE) {
+      this.buffer.shift();
+    }
+
+    for (const listener of this.subscribers.get(marketId) || []) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Stream listener failed for market ${marketId}:`, error);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Call a listener with every event published to the given markets
+   *
+   * @param {string[]} marketIds - Market UUIDs
+   * @param {function} listener - Called with each event
+   * @returns {function} Unsubscribe
+   */
+  subscribe(marketIds, listener) {
+    for (const marketId of marketIds) {
+      if (!this.subscribers.has(marketId)) {
+        this.subscribers.set(marketId, new Set());
+      }
+      this.subscribers.get(marketId).add(listener);
+    }
+
+    return () => {
+      for (const marketId of marketIds) {
+        const listeners = this.subscribers.get(marketId);
+
+        if (listeners) {
+          listeners.delete(listener);
+          if (listeners.size === 0) {
+            this.subscribers.delete(marketId);
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Buffered events for the given markets published after a sequence number
+   *
+   * @param {number} sequence - Last sequence number the client received
+   * @param {string[]} marketIds - Market UUIDs
+   * @returns {object} { complete, events }; complete is false if events
+   *   after the sequence are no longer buffered (or it was never issued)
+   */
+  getEventsSince(sequence, marketIds) {
+    const oldest = this.buffer.length > 0 ? this.buffer[0].id : this.sequence + 1;
+
+    if (sequence > this.sequence || sequence < oldest - 1) {
+      return { complete: false, events: [] };
+    }
+
+    return {
+      complete: true,
+      events: this.buffer.filter(event => event.id > sequence && marketIds.includes(event.marketId))
+    };
+  }
+
+  /**
+   * Sequence number of the latest event published
+   *
+   * @returns {number} Sequence number (0 before any event)
+   */
+  getSequence() {
+    return this.sequence;
+  }
+}
+
+// Export singleton instance
+module.exports = new MarketStreamService();
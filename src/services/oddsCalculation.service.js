@@ -150,6 +150,48 @@ class OddsCalculationService {
     return cost;
   }
 
+  /**
+   * Calculate how much a user receives for selling tokens back to the pool
+   * Inverse of calculateTokensReceived: tokens go back into the pool they
+   * were bought from and the proceeds come out of the opposite pool
+   *
+   * Formula: (tokenPool + tokensSold) × (cashPool - proceeds) = k
+   * Solve for proceeds: proceeds = cashPool - (k / (tokenPool + tokensSold))
+   *
+   * Example: Selling 90.91 YES tokens
+   *   - Current: yesPool=909.09, noPool=1100, k=1,000,000
+   *   - User returns 90.91 tokens to YES pool
+   *   - proceeds = 1100 - (1000000 / 1000) = $100
+   *   - New pools: yes=1000, no=1000
+   *
+   * @param {number} tokensSold - Tokens user is selling
+   * @param {number} tokenPool - Pool the tokens are returned to
+   * @param {number} cashPool - Pool the proceeds are drawn from
+   * @param {number} k - Liquidity constant
+   * @returns {number} Proceeds before fees
+   * @throws {Error} If token amount is invalid
+   */
+  calculateSaleProceeds(tokensSold, tokenPool, cashPool, k) {
+    if (tokensSold <= 0) {
+      throw new Error('Tokens sold must be positive');
+    }
+
+    // Calculate new token pool after tokens are returned
+    const newTokenPool = tokenPool + tokensSold;
+
+    // Calculate new cash pool using constant product formula
+    const newCashPool = k / newTokenPool;
+
+    // Proceeds = difference between old and new cash pool
+    const proceeds = cashPool - newCashPool;
+
+    if (proceeds <= 0) {
+      throw new Error('Invalid sale - no proceeds would be received');
+    }
+
+    return proceeds;
+  }
+
   /**
    * Calculate effective price (average price per token)
    * This differs from marginal price due to slippage
@@ -299,6 +341,93 @@ class OddsCalculationService {
     };
   }
 
+  /**
+   * Simulate buying an exact number of tokens without executing
+   * Solves for the cost with calculateCostForTokens, then runs simulateBet
+   *
+   * @param {object} params - Simulation parameters
+   * @param {string} params.outcome - 'yes' or 'no'
+   * @param {number} params.tokensDesired - Tokens user wants to receive
+   * @param {number} params.yesPool - Current YES pool
+   * @param {number} params.noPool - Current NO pool
+   * @param {number} params.k - Liquidity constant
+   * @returns {object} Simulation results plus betAmount (cost after fees)
+   */
+  simulateBetForTokens({ outcome, tokensDesired, yesPool, noPool, k }) {
+    // Buying YES draws from the YES pool, buying NO draws from the NO pool
+    const betAmount = outcome === 'yes'
+      ? this.calculateCostForTokens(tokensDesired, noPool, yesPool, k)
+      : this.calculateCostForTokens(tokensDesired, yesPool, noPool, k);
+
+    const simulation = this.simulateBet({ outcome, betAmount, yesPool, noPool, k });
+
+    // Pin the token count to the request; the round trip only adds float noise
+    return {
+      ...simulation,
+      betAmount,
+      tokensReceived: tokensDesired
+    };
+  }
+
+  /**
+   * Simulate selling tokens back to the pool without executing
+   * Mirrors simulateBet for the opposite direction
+   *
+   * @param {object} params - Simulation parameters
+   * @param {string} params.outcome - 'yes' or 'no'
+   * @param {number} params.tokensSold - Tokens being sold
+   * @param {number} params.yesPool - Current YES pool
+   * @param {number} params.noPool - Current NO pool
+   * @param {number} params.k - Liquidity constant
+   * @returns {object} Simulation results
+   */
+  simulateSell({ outcome, tokensSold, yesPool, noPool, k }) {
+    // Get current price before sale
+    const priceBeforeSale = outcome === 'yes'
+      ? this.calculateYesPrice(yesPool, noPool)
+      : this.calculateNoPrice(yesPool, noPool);
+
+    let proceeds, newYesPool, newNoPool;
+
+    if (outcome === 'yes') {
+      // Selling YES: return tokens to YES pool, receive from NO pool
+      proceeds = this.calculateSaleProceeds(tokensSold, yesPool, noPool, k);
+      newYesPool = yesPool + tokensSold;
+      newNoPool = noPool - proceeds;
+    } else {
+      // Selling NO: return tokens to NO pool, receive from YES pool
+      proceeds = this.calculateSaleProceeds(tokensSold, noPool, yesPool, k);
+      newNoPool = noPool + tokensSold;
+      newYesPool = yesPool - proceeds;
+    }
+
+    // Calculate new prices
+    const newYesPrice = this.calculateYesPrice(newYesPool, newNoPool);
+    const newNoPrice = this.calculateNoPrice(newYesPool, newNoPool);
+    const priceAfterSale = outcome === 'yes' ? newYesPrice : newNoPrice;
+
+    // Effective price uses the same probability normalisation as buys
+    const effectivePrice = this.calculateEffectivePrice(proceeds, tokensSold);
+    const slippage = this.calculateSlippage(priceBeforeSale, effectivePrice);
+    const priceImpact = this.calculatePriceImpact(priceBeforeSale, priceAfterSale);
+
+    const newK = newYesPool * newNoPool;
+
+    return {
+      proceeds,
+      effectivePrice,
+      slippage,
+      priceImpact,
+      priceBeforeSale,
+      priceAfterSale,
+      newYesPrice,
+      newNoPrice,
+      newYesPool,
+      newNoPool,
+      newK
+    };
+  }
+
   /**
    * Validate pool state
    *
@@ -5,6 +5,23 @@
  * Provides familiar betting experience with multipliers instead of shares
  */
 
+const { ODDS_FORMATS } = require('../config/constants');
+
+// Conventional fractional prices, shortest to longest, as [numerator, denominator].
+// Kept unreduced where bookmakers quote them that way (4/6, not 2/3)
+const FRACTIONAL_LADDER = [
+  [1, 100], [1, 66], [1, 50], [1, 40], [1, 33], [1, 25], [1, 20], [1, 16],
+  [1, 14], [1, 12], [1, 10], [1, 9], [1, 8], [1, 7], [1, 6], [1, 5],
+  [2, 9], [1, 4], [2, 7], [3, 10], [1, 3], [4, 11], [2, 5], [4, 9],
+  [1, 2], [8, 15], [4, 7], [8, 13], [4, 6], [8, 11], [4, 5], [5, 6],
+  [10, 11], [1, 1], [11, 10], [6, 5], [5, 4], [11, 8], [6, 4], [13, 8],
+  [7, 4], [15, 8], [2, 1], [9, 4], [5, 2], [11, 4], [3, 1], [10, 3],
+  [7, 2], [4, 1], [9, 2], [5, 1], [11, 2], [6, 1], [13, 2], [7, 1],
+  [15, 2], [8, 1], [17, 2], [9, 1], [10, 1], [11, 1], [12, 1], [14, 1],
+  [16, 1], [18, 1], [20, 1], [25, 1], [33, 1], [40, 1], [50, 1], [66, 1],
+  [80, 1], [100, 1]
+];
+
 class OddsConverterService {
   /**
    * Convert probability (0-1) to decimal odds multiplier
@@ -65,6 +82,29 @@ class OddsConverterService {
     };
   }
 
+  /**
+   * Combine leg odds into parlay (accumulator) odds
+   *
+   * Formula: combinedOdds = odds₁ × odds₂ × ... × oddsₙ
+   *
+   * Example: 2.0x and 1.5x → 3.0x (a $10 parlay pays $30 if both win)
+   *
+   * @param {number[]} legOdds - Decimal odds per leg
+   * @returns {object} { combinedOdds, impliedProbability }
+   */
+  calculateParlayOdds(legOdds) {
+    if (legOdds.length === 0 || legOdds.some(odds => !(odds >= 1))) {
+      throw new Error('Parlay legs must have odds of at least 1.0');
+    }
+
+    const combinedOdds = legOdds.reduce((product, odds) => product * odds, 1);
+
+    return {
+      combinedOdds,
+      impliedProbability: 1 / combinedOdds
+    };
+  }
+
   /**
    * Apply house margin to odds (makes odds less favorable)
    *
@@ -92,30 +132,50 @@ class OddsConverterService {
   /**
    * Format odds for display
    *
+   * Examples for 2.50x decimal odds:
+   *   decimal 2.50x, american +150, fractional 6/4, hongkong 1.50,
+   *   malay -0.67, indonesian +1.50, probability 40.0%
+   *
    * @param {number} odds - Decimal odds
-   * @param {string} format - 'decimal', 'american', or 'fractional'
+   * @param {string} format - One of ODDS_FORMATS (default 'decimal')
    * @returns {string} Formatted odds string
    */
-  formatOdds(odds, format = 'decimal') {
+  formatOdds(odds, format = ODDS_FORMATS.DECIMAL) {
+    // Hong Kong odds: profit per unit staked
+    const profit = odds - 1;
+
     switch (format) {
-      case 'decimal':
+      case ODDS_FORMATS.DECIMAL:
         // European style: 2.50x
         return `${odds.toFixed(2)}x`;
 
-      case 'american':
+      case ODDS_FORMATS.AMERICAN:
         // American style: +150 or -200
         if (odds >= 2.0) {
-          return `+${((odds - 1) * 100).toFixed(0)}`;
+          return `+${(profit * 100).toFixed(0)}`;
         } else {
-          return `-${(100 / (odds - 1)).toFixed(0)}`;
+          return `-${(100 / profit).toFixed(0)}`;
         }
 
-      case 'fractional':
-        // UK style: 3/2 or 1/4
-        const numerator = (odds - 1) * 100;
-        const denominator = 100;
-        const gcd = this.gcd(numerator, denominator);
-        return `${numerator / gcd}/${denominator / gcd}`;
+      case ODDS_FORMATS.FRACTIONAL:
+        // UK style: 6/4 or 1/4
+        return this.toFractional(odds);
+
+      case ODDS_FORMATS.HONG_KONG:
+        // Profit per unit staked: 1.50
+        return profit.toFixed(2);
+
+      case ODDS_FORMATS.MALAY:
+        // Hong Kong up to evens, then -1/HK: 0.50 or -0.67
+        return profit <= 1 ? profit.toFixed(2) : (-1 / profit).toFixed(2);
+
+      case ODDS_FORMATS.INDONESIAN:
+        // American divided by 100: +1.50 or -2.00
+        return profit >= 1 ? `+${profit.toFixed(2)}` : (-1 / profit).toFixed(2);
+
+      case ODDS_FORMATS.PROBABILITY:
+        // Implied probability: 40.0%
+        return `${(100 / odds).toFixed(1)}%`;
 
       default:
         return `${odds.toFixed(2)}x`;
@@ -123,10 +183,41 @@ class OddsConverterService {
   }
 
   /**
-   * Calculate greatest common divisor (for fractional odds)
+   * Convert decimal odds to the nearest conventional fractional price
+   *
+   * Snaps to the bookmaker ladder (e.g. 2.45x → 6/4). Prices longer
+   * than 100/1 are rounded to a whole number to one.
+   *
+   * @param {number} odds - Decimal odds
+   * @returns {string} Fractional odds, e.g. '6/4'
+   */
+  toFractional(odds) {
+    const profit = odds - 1;
+    const [longestNumerator] = FRACTIONAL_LADDER[FRACTIONAL_LADDER.length - 1];
+
+    if (profit > longestNumerator) {
+      return `${Math.round(profit)}/1`;
+    }
+
+    let nearest = FRACTIONAL_LADDER[0];
+    for (const fraction of FRACTIONAL_LADDER) {
+      const distance = Math.abs(fraction[0] / fraction[1] - profit);
+      if (distance < Math.abs(nearest[0] / nearest[1] - profit)) {
+        nearest = fraction;
+      }
+    }
+
+    return `${nearest[0]}/${nearest[1]}`;
+  }
+
+  /**
+   * Check a requested odds format is one formatOdds supports
+   *
+   * @param {string} format - Requested format
+   * @returns {boolean} True if supported
    */
-  gcd(a, b) {
-    return b === 0 ? a : this.gcd(b, a % b);
+  isSupportedFormat(format) {
+    return Object.values(ODDS_FORMATS).includes(format);
   }
 
   /**
@@ -0,0 +1,545 @@
+/**
+ * Order Service
+ *
+ * Limit orders that rest until an outcome's price is reached.
+ * Handles:
+ * - Placing orders (the stake is reserved from the user's balance)
+ * - Matching resting orders after every trade that moves the pool
+ * - Partial fills: each fill buys only as much as keeps the price at or
+ *   below the order's limit
+ * - Cancelling orders and releasing the unfilled reservation
+ *
+ * Fills are priced with the same margin and pool model as a normal bet and
+ * commit through BettingService.executeTransaction, so they appear as
+ * ordinary bets (with order_id set). See sql/13-limit-orders.sql.
+ */
+
+const { supabase } = require('../config/database');
+const bettingService = require('./betting.service');
+const responsibleGambling = require('./responsibleGambling.service');
+const {
+  ERROR_CODES,
+  ORDER_STATUS,
+  TRANSACTION_TYPES,
+  MIN_BET_AMOUNT,
+  MAX_OPEN_ORDERS_PER_MARKET
+} = require('../config/constants');
+
+const OPEN_STATUSES = [ORDER_STATUS.OPEN, ORDER_STATUS.PARTIALLY_FILLED];
+
+// Bisection steps when sizing a partial fill
+const FILL_SIZE_ITERATIONS = 50;
+
+// Upper bound on matching passes per run; each pass re-reads the order book
+const MAX_MATCHING_PASSES = 20;
+
+class OrderService {
+  constructor() {
+    // Markets being matched in this process, and whether another run was requested
+    this.activeMatches = new Map();
+  }
+
+  /**
+   * Place a limit order
+   * If the price is already at or below the limit, the order is filled by a
+   * matching run started in the background
+   *
+   * @param {object} params
+   * @param {string} params.marketId - Market UUID
+   * @param {string} params.userId - User UUID
+   * @param {string} params.outcome - Outcome to buy
+   * @param {number} params.amount - Stake to reserve
+   * @param {number} params.limitPrice - Highest price to buy at (0-1)
+   * @returns {Promise<object>} Order as placed
+   */
+  async placeOrder({ marketId, userId, outcome, amount, limitPrice }) {
+    this.validateOrderInputs(outcome, amount, limitPrice);
+
+    const market = await bettingService.getMarket(marketId);
+    bettingService.validateMarketState(market);
+    bettingService.validateOutcome(market, outcome);
+
+    const openOrders = await this.getOpenOrders(marketId, userId);
+
+    if (openOrders.length >= MAX_OPEN_ORDERS_PER_MARKET) {
+      const err = new Error(
+        `At most ${MAX_OPEN_ORDERS_PER_MARKET} open orders are allowed per market`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    // Validate the user's own limits and balance (re-checked atomically when reserving)
+    const bettingState = await responsibleGambling.getBettingState(userId);
+    responsibleGambling.validateBet(bettingState, amount);
+
+    const profile = await bettingService.getUserProfile(userId);
+    bettingService.validateUserBalance(profile, amount);
+
+    const { data, error } = await supabase.rpc('place_limit_order', {
+      p_order: {
+        market_id: marketId,
+        user_id: userId,
+        outcome,
+        limit_price: limitPrice,
+        amount
+      },
+      p_transaction_type: TRANSACTION_TYPES.ORDER_RESERVE
+    });
+
+    if (error) {
+      throw this.mapRpcError(error, 'Order placement failed');
+    }
+
+    // Fill straight away if the price is already there
+    this.scheduleMatching(marketId);
+
+    return {
+      success: true,
+      data: {
+        ...this.formatOrder(data.order),
+        currentPrice: bettingService.getOutcomePrice(market, outcome),
+        newBalance: parseFloat(data.balance)
+      }
+    };
+  }
+
+  /**
+   * Match a market's resting orders in the background
+   * Best effort: the order has already been placed, so a failure is only
+   * logged and the order waits for the next trade
+   *
+   * @private
+   */
+  scheduleMatching(marketId) {
+    setImmediate(() => {
+      this.matchOrders(marketId).catch((error) => {
+        console.error(`Order matching failed for market ${marketId}:`, error);
+      });
+    });
+  }
+
+  /**
+   * Cancel an open order and release its unfilled stake
+   *
+   * @param {object} params
+   * @param {string} params.marketId - Market UUID
+   * @param {string} params.orderId - Order UUID
+   * @param {string} params.userId - Owner's user UUID
+   * @returns {Promise<object>} Cancelled order and amount released
+   */
+  async cancelOrder({ marketId, orderId, userId }) {
+    const order = await this.getOrder(orderId, userId);
+
+    if (order.market_id !== marketId) {
+      const err = new Error('Order not found');
+      err.code = ERROR_CODES.ORDER_NOT_FOUND;
+      throw err;
+    }
+
+    const { data, error } = await supabase.rpc('cancel_limit_order', {
+      p_order_id: orderId,
+      p_user_id: userId,
+      p_transaction_type: TRANSACTION_TYPES.ORDER_RELEASE
+    });
+
+    if (error) {
+      throw this.mapRpcError(error, 'Order cancellation failed');
+    }
+
+    return {
+      success: true,
+      data: {
+        ...this.formatOrder(data.order),
+        amountReleased: parseFloat(data.refund),
+        newBalance: parseFloat(data.balance)
+      }
+    };
+  }
+
+  /**
+   * List a user's orders on a market, newest first
+   *
+   * @param {object} params
+   * @param {string} params.marketId - Market UUID
+   * @param {string} params.userId - User UUID
+   * @param {string} [params.status] - Only orders with this status
+   * @returns {Promise<object>} Orders
+   */
+  async getOrders({ marketId, userId, status }) {
+    if (status !== undefined && !Object.values(ORDER_STATUS).includes(status)) {
+      const err = new Error(
+        `status must be one of: ${Object.values(ORDER_STATUS).join(', ')}`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    let query = supabase
+      .from('orders')
+      .select('*')
+      .eq('market_id', marketId)
+      .eq('user_id', userId);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: orders, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      data: {
+        marketId,
+        orders: orders.map(order => this.formatOrder(order))
+      }
+    };
+  }
+
+  /**
+   * Fill every resting order on a market whose price has been reached
+   * Orders fill best limit first, then oldest first. A fill on one outcome
+   * lowers the others' prices, so passes repeat until nothing fills.
+   * Concurrent requests for the same market fold into the running one.
+   *
+   * @param {string} marketId - Market UUID
+   * @returns {Promise<void>}
+   */
+  async matchOrders(marketId) {
+    if (this.activeMatches.has(marketId)) {
+      this.activeMatches.set(marketId, true);
+      return;
+    }
+
+    try {
+      let passes = 0;
+
+      do {
+        this.activeMatches.set(marketId, false);
+
+        while (passes < MAX_MATCHING_PASSES && await this.runMatchingPass(marketId)) {
+          passes += 1;
+        }
+      } while (this.activeMatches.get(marketId) && passes < MAX_MATCHING_PASSES);
+    } finally {
+      this.activeMatches.delete(marketId);
+    }
+  }
+
+  /**
+   * Release every open order on a market
+   * Used when the market is resolved or cancelled
+   *
+   * @param {string} marketId - Market UUID
+   * @returns {Promise<object>} { ordersCancelled, amountReleased, failures }
+   */
+  async cancelMarketOrders(marketId) {
+    const { data: orders, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('market_id', marketId)
+      .in('status', OPEN_STATUSES);
+
+    if (error) {
+      throw error;
+    }
+
+    return this.releaseOrders(orders, null);
+  }
+
+  /**
+   * Release every open order a user holds, on any market
+   * Used when the user starts a cool-off or self-excludes
+   *
+   * @param {string} userId - User UUID
+   * @returns {Promise<object>} { ordersCancelled, amountReleased, failures }
+   */
+  async cancelUserOrders(userId) {
+    const { data: orders, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('user_id', userId)
+      .in('status', OPEN_STATUSES);
+
+    if (error) {
+      throw error;
+    }
+
+    return this.releaseOrders(orders, userId);
+  }
+
+  /**
+   * Cancel orders one at a time, skipping any filled or cancelled meanwhile
+   * @private
+   * @param {string|null} userId - Owner to restrict the cancel to; null for admin voids
+   */
+  async releaseOrders(orders, userId) {
+    const summary = { ordersCancelled: 0, amountReleased: 0, failures: [] };
+
+    for (const order of orders) {
+      const { data, error: cancelError } = await supabase.rpc('cancel_limit_order', {
+        p_order_id: order.id,
+        p_user_id: userId,
+        p_transaction_type: TRANSACTION_TYPES.ORDER_RELEASE
+      });
+
+      if (cancelError) {
+        // Filled or cancelled since it was read
+        if (cancelError.message !== ERROR_CODES.ORDER_NOT_OPEN) {
+          console.error(`Failed to cancel order ${order.id}:`, cancelError);
+          summary.failures.push({ orderId: order.id, message: cancelError.message });
+        }
+        continue;
+      }
+
+      summary.ordersCancelled += 1;
+      summary.amountReleased += parseFloat(data.refund);
+    }
+
+    return summary;
+  }
+
+  /**
+   * One pass over the order book
+   * @private
+   * @returns {Promise<boolean>} True if any order filled
+   */
+  async runMatchingPass(marketId) {
+    const { data: orders, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('market_id', marketId)
+      .in('status', OPEN_STATUSES)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    // Price priority; the sort is stable so ties keep time priority
+    orders.sort((a, b) => parseFloat(b.limit_price) - parseFloat(a.limit_price));
+
+    let filled = false;
+
+    for (const order of orders) {
+      try {
+        if (await this.fillOrder(order)) {
+          filled = true;
+        }
+      } catch (fillError) {
+        // Trading stopped: leave the rest for settlement to release
+        if ([ERROR_CODES.MARKET_NOT_ACTIVE, ERROR_CODES.POOL_NOT_INITIALIZED].includes(fillError.code)) {
+          return false;
+        }
+
+        if (fillError.code !== ERROR_CODES.ORDER_NOT_OPEN) {
+          console.error(`Failed to fill order ${order.id}:`, fillError);
+        }
+      }
+    }
+
+    return filled;
+  }
+
+  /**
+   * Fill as much of an order as its limit allows at the current price
+   * @private
+   * @returns {Promise<object|null>} Fill result, or null if the price is above the limit
+   */
+  async fillOrder(order) {
+    return bettingService.withMarketRetry(order.market_id, async (market) => {
+      bettingService.validateMarketState(market);
+      bettingService.validatePoolState(market);
+
+      // Fills are sized within the market's risk limits, like any other bet
+      const maxStake = bettingService.getMaxStake(market, order.outcome);
+      const reserved = parseFloat(order.amount) - parseFloat(order.filled_amount);
+      const remaining = maxStake === null ? reserved : Math.min(reserved, maxStake);
+      const fill = this.sizeFill(market, order, remaining);
+
+      if (!fill) {
+        return null;
+      }
+
+      bettingService.verifyInvariant(market, fill.simulation.newK);
+      await bettingService.enforceRiskLimits(market, order.outcome, { simulation: fill.simulation });
+
+      return bettingService.executeTransaction({
+        market,
+        userId: order.user_id,
+        outcome: order.outcome,
+        betAmount: fill.grossAmount,
+        netAmount: fill.netAmount,
+        houseFee: fill.houseFee,
+        margin: fill.margin,
+        simulation: fill.simulation,
+        order
+      });
+    });
+  }
+
+  /**
+   * Largest stake (up to the remaining reservation) that leaves the price at
+   * or below the limit
+   * A partial fill smaller than MIN_BET_AMOUNT waits for a better price.
+   *
+   * @private
+   * @returns {object|null} Priced buy from BettingService.priceBuy
+   */
+  sizeFill(market, order, remaining) {
+    const limitPrice = parseFloat(order.limit_price);
+
+    if (!(remaining > 0) || bettingService.getOutcomePrice(market, order.outcome) >= limitPrice) {
+      return null;
+    }
+
+    const priceWithin = (betAmount) => {
+      try {
+        const priced = bettingService.priceBuy({ market, outcome: order.outcome, betAmount });
+        return priced.simulation.priceAfterBet <= limitPrice ? priced : null;
+      } catch (error) {
+        // Too large for the pool
+        return null;
+      }
+    };
+
+    const full = priceWithin(remaining);
+    if (full) {
+      return full;
+    }
+
+    let best = null;
+    let low = 0;
+    let high = remaining;
+
+    for (let i = 0; i < FILL_SIZE_ITERATIONS; i++) {
+      const mid = (low + high) / 2;
+      const priced = priceWithin(mid);
+
+      if (priced) {
+        best = priced;
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return best && best.grossAmount >= MIN_BET_AMOUNT ? best : null;
+  }
+
+  /**
+   * Validate order inputs
+   * @private
+   */
+  validateOrderInputs(outcome, amount, limitPrice) {
+    if (!outcome) {
+      const err = new Error('Outcome is required');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      const err = new Error('Amount must be positive');
+      err.code = ERROR_CODES.INVALID_AMOUNT;
+      throw err;
+    }
+
+    if (!Number.isFinite(limitPrice) || limitPrice <= 0 || limitPrice >= 1) {
+      const err = new Error('limitPrice must be between 0 and 1');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+  }
+
+  /**
+   * Get one of a user's orders
+   * @private
+   */
+  async getOrder(orderId, userId) {
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('id', orderId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error || !order) {
+      const err = new Error('Order not found');
+      err.code = ERROR_CODES.ORDER_NOT_FOUND;
+      throw err;
+    }
+
+    return order;
+  }
+
+  /**
+   * Get a user's open orders on a market
+   * @private
+   */
+  async getOpenOrders(marketId, userId) {
+    const { data: orders, error } = await supabase
+      .from('orders')
+      .select('id')
+      .eq('market_id', marketId)
+      .eq('user_id', userId)
+      .in('status', OPEN_STATUSES);
+
+    if (error) {
+      throw error;
+    }
+
+    return orders;
+  }
+
+  /**
+   * Translate an order function error into one of our error codes
+   * @private
+   */
+  mapRpcError(error, context) {
+    const messages = {
+      [ERROR_CODES.INSUFFICIENT_BALANCE]: 'Insufficient balance',
+      [ERROR_CODES.ORDER_NOT_FOUND]: 'Order not found',
+      [ERROR_CODES.ORDER_NOT_OPEN]: 'Order is no longer open'
+    };
+
+    if (messages[error.message]) {
+      const err = new Error(messages[error.message]);
+      err.code = error.message;
+      return err;
+    }
+
+    console.error(`${context}:`, error);
+    return new Error(`${context}: ${error.message}`);
+  }
+
+  /**
+   * Shape an order row for API responses
+   * @private
+   */
+  formatOrder(order) {
+    const amount = parseFloat(order.amount);
+    const filledAmount = parseFloat(order.filled_amount);
+
+    return {
+      orderId: order.id,
+      marketId: order.market_id,
+      outcome: order.outcome,
+      limitPrice: parseFloat(order.limit_price),
+      amount,
+      filledAmount,
+      remainingAmount: order.status === ORDER_STATUS.CANCELLED ? 0 : Math.max(amount - filledAmount, 0),
+      sharesFilled: parseFloat(order.shares_filled),
+      status: order.status,
+      createdAt: order.created_at,
+      updatedAt: order.updated_at,
+      cancelledAt: order.cancelled_at || null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OrderService();
@@ -0,0 +1,512 @@
+/**
+ * Parlay Service
+ *
+ * Parlays (accumulators) combine odds-multiplier bets on several markets
+ * into one stake. Handles:
+ * - Pricing each leg at the market's current odds (with its house margin)
+ * - Combining leg odds into the parlay's odds
+ * - Placing parlays (stake taken, odds locked in)
+ * - Settling legs as their markets resolve or are cancelled
+ *
+ * Parlays are fixed-odds bets held by the house: they do not move market
+ * pools. A parlay loses as soon as one leg loses and is paid once every
+ * leg is decided; void legs (cancelled markets) count as odds of 1.0.
+ * Stakes are capped like single bets, and the payouts open parlays promise
+ * on any one market outcome are capped at MAX_PARLAY_LIABILITY.
+ * See sql/14-parlays.sql and sql/20-parlay-liability.sql.
+ */
+
+const { supabase } = require('../config/database');
+const bettingService = require('./betting.service');
+const responsibleGambling = require('./responsibleGambling.service');
+const houseMargin = require('./houseMargin.service');
+const oddsConverter = require('./oddsConverter.service');
+const riskLimit = require('./riskLimit.service');
+const {
+  ERROR_CODES,
+  PARLAY_STATUS,
+  TRANSACTION_TYPES,
+  MIN_PARLAY_LEGS,
+  MAX_PARLAY_LEGS,
+  MAX_PARLAY_ODDS,
+  MAX_PARLAY_LIABILITY,
+  MIN_BET_AMOUNT,
+  MAX_BET_AMOUNT
+} = require('../config/constants');
+
+class ParlayService {
+  /**
+   * Quote a parlay without placing it
+   *
+   * @param {object} params
+   * @param {Array<object>} params.legs - [{ marketId, outcome }, ...]
+   * @param {number} params.stake - Amount to bet
+   * @returns {Promise<object>} Per-leg odds, combined odds and payout
+   */
+  async getParlayQuote({ legs, stake }) {
+    const slip = await this.priceSlip(legs, stake);
+
+    return {
+      success: true,
+      data: this.formatSlip(slip)
+    };
+  }
+
+  /**
+   * Place a parlay at the current odds
+   *
+   * @param {object} params
+   * @param {string} params.userId - User UUID
+   * @param {Array<object>} params.legs - [{ marketId, outcome }, ...]
+   * @param {number} params.stake - Amount to bet
+   * @param {number} [params.minCombinedOdds] - Reject if combined odds are lower
+   * @returns {Promise<object>} Placed parlay
+   */
+  async placeParlay({ userId, legs, stake, minCombinedOdds }) {
+    bettingService.validateSlippageLimits({ minCombinedOdds });
+
+    const slip = await this.priceSlip(legs, stake);
+
+    if (minCombinedOdds !== undefined && slip.combinedOdds < minCombinedOdds) {
+      const err = new Error(
+        `Odds moved: ${slip.combinedOdds.toFixed(2)}x below minimum ${minCombinedOdds}x`
+      );
+      err.code = ERROR_CODES.SLIPPAGE_EXCEEDED;
+      throw err;
+    }
+
+    // Validate the user's own limits and balance (re-checked atomically when the stake is taken)
+    const bettingState = await responsibleGambling.getBettingState(userId);
+    responsibleGambling.validateBet(bettingState, stake);
+
+    const profile = await bettingService.getUserProfile(userId);
+    bettingService.validateUserBalance(profile, stake);
+
+    // Checked again with the leg markets locked when the parlay is recorded
+    this.validateParlayLiability(slip, await riskLimit.getParlayExposure(legs.map(leg => leg.marketId)));
+
+    const { data, error } = await supabase.rpc('place_parlay', {
+      p_parlay: {
+        user_id: userId,
+        stake,
+        stake_after_fee: slip.stakeAfterFee,
+        house_fee: slip.houseFee,
+        combined_odds: slip.combinedOdds,
+        potential_payout: slip.potentialPayout
+      },
+      p_legs: slip.legs.map(leg => ({
+        market_id: leg.marketId,
+        outcome: leg.outcome,
+        probability: leg.probability,
+        odds: leg.odds
+      })),
+      p_transaction_type: TRANSACTION_TYPES.PARLAY,
+      p_max_liability: MAX_PARLAY_LIABILITY
+    });
+
+    if (error) {
+      if (error.message === ERROR_CODES.INSUFFICIENT_BALANCE) {
+        const err = new Error('Insufficient balance');
+        err.code = ERROR_CODES.INSUFFICIENT_BALANCE;
+        throw err;
+      }
+
+      if (error.message === ERROR_CODES.RISK_LIMIT_EXCEEDED) {
+        const err = new Error('Parlay refused: the house has reached its parlay liability limit on one of its legs');
+        err.code = ERROR_CODES.RISK_LIMIT_EXCEEDED;
+        throw err;
+      }
+
+      console.error('Parlay placement failed:', error);
+      throw new Error(`Parlay placement failed: ${error.message}`);
+    }
+
+    return {
+      success: true,
+      data: {
+        ...this.formatParlay(data.parlay, data.legs),
+        newBalance: parseFloat(data.balance)
+      }
+    };
+  }
+
+  /**
+   * List a user's parlays, newest first
+   *
+   * @param {object} params
+   * @param {string} params.userId - User UUID
+   * @param {string} [params.status] - Only parlays with this status
+   * @returns {Promise<object>} Parlays with their legs
+   */
+  async getParlays({ userId, status }) {
+    if (status !== undefined && !Object.values(PARLAY_STATUS).includes(status)) {
+      const err = new Error(
+        `status must be one of: ${Object.values(PARLAY_STATUS).join(', ')}`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    let query = supabase
+      .from('parlays')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: parlays, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    const legs = await this.getLegs(parlays.map(parlay => parlay.id));
+
+    return {
+      success: true,
+      data: {
+        parlays: parlays.map(parlay =>
+          this.formatParlay(parlay, legs.filter(leg => leg.parlay_id === parlay.id))
+        )
+      }
+    };
+  }
+
+  /**
+   * Get one of a user's parlays
+   *
+   * @param {object} params
+   * @param {string} params.parlayId - Parlay UUID
+   * @param {string} params.userId - User UUID
+   * @returns {Promise<object>} Parlay with its legs
+   */
+  async getParlay({ parlayId, userId }) {
+    const { data: parlay, error } = await supabase
+      .from('parlays')
+      .select('*')
+      .eq('id', parlayId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error || !parlay) {
+      const err = new Error('Parlay not found');
+      err.code = ERROR_CODES.PARLAY_NOT_FOUND;
+      throw err;
+    }
+
+    return {
+      success: true,
+      data: this.formatParlay(parlay, await this.getLegs([parlay.id]))
+    };
+  }
+
+  /**
+   * Mark legs on a resolved market won or lost, then settle their parlays
+   * Safe to re-run
+   *
+   * @param {string} marketId - Market UUID
+   * @param {string} outcome - Winning outcome
+   * @returns {Promise<object>} Settlement summary
+   */
+  async settleMarketLegs(marketId, outcome) {
+    const settledAt = new Date().toISOString();
+
+    await this.updateOpenLegs(
+      marketId,
+      { status: PARLAY_STATUS.WON, settled_at: settledAt },
+      query => query.eq('outcome', outcome)
+    );
+    await this.updateOpenLegs(
+      marketId,
+      { status: PARLAY_STATUS.LOST, settled_at: settledAt },
+      query => query.neq('outcome', outcome)
+    );
+
+    return this.settleMarketParlays(marketId);
+  }
+
+  /**
+   * Void legs on a cancelled market, then settle their parlays
+   * Safe to re-run
+   *
+   * @param {string} marketId - Market UUID
+   * @returns {Promise<object>} Settlement summary
+   */
+  async voidMarketLegs(marketId) {
+    await this.updateOpenLegs(
+      marketId,
+      { status: PARLAY_STATUS.VOID, settled_at: new Date().toISOString() },
+      query => query
+    );
+
+    return this.settleMarketParlays(marketId);
+  }
+
+  /**
+   * Price every leg and the combined slip
+   * @private
+   */
+  async priceSlip(legs, stake) {
+    this.validateSlip(legs, stake);
+
+    const pricedLegs = [];
+
+    for (const { marketId, outcome } of legs) {
+      const market = await bettingService.getMarket(marketId);
+      bettingService.validateMarketState(market);
+      bettingService.validateOutcome(market, outcome);
+
+      // Each leg is priced as on /quote-odds for the same stake, with its
+      // market's margin; the margin is only charged here, not on the stake
+      const probability = bettingService.getFixedOddsProbability(market, outcome);
+      const margin = houseMargin.resolveMargin(market, stake).margin;
+      const odds = oddsConverter.applyMarginToOdds(oddsConverter.probabilityToOdds(probability), margin);
+
+      pricedLegs.push({ marketId, outcome, title: market.title || null, probability, houseMargin: margin, odds });
+    }
+
+    const { combinedOdds, impliedProbability } =
+      oddsConverter.calculateParlayOdds(pricedLegs.map(leg => leg.odds));
+
+    if (combinedOdds > MAX_PARLAY_ODDS) {
+      const err = new Error(
+        `Combined odds ${combinedOdds.toFixed(2)}x exceed the maximum of ${MAX_PARLAY_ODDS}x`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    // The legs' odds already carry the margin, so the whole stake is bet
+    const { payout, profit } = oddsConverter.calculatePayout(stake, combinedOdds);
+
+    return {
+      legs: pricedLegs,
+      combinedOdds,
+      impliedProbability,
+      stake,
+      stakeAfterFee: stake,
+      houseFee: 0,
+      potentialPayout: payout,
+      potentialProfit: profit
+    };
+  }
+
+  /**
+   * Validate the bet slip
+   * @private
+   */
+  validateSlip(legs, stake) {
+    if (!Array.isArray(legs) || legs.length < MIN_PARLAY_LEGS || legs.length > MAX_PARLAY_LEGS) {
+      const err = new Error(
+        `A parlay needs between ${MIN_PARLAY_LEGS} and ${MAX_PARLAY_LEGS} legs`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    if (legs.some(leg => !leg || !leg.marketId || !leg.outcome)) {
+      const err = new Error('Each leg needs a marketId and an outcome');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    // Legs on the same market are correlated, so each market appears once
+    if (new Set(legs.map(leg => leg.marketId)).size !== legs.length) {
+      const err = new Error('Each market can only appear once in a parlay');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    if (!(stake >= MIN_BET_AMOUNT && stake <= MAX_BET_AMOUNT)) {
+      const err = new Error(`Stake must be between ${MIN_BET_AMOUNT} and ${MAX_BET_AMOUNT}`);
+      err.code = ERROR_CODES.INVALID_AMOUNT;
+      throw err;
+    }
+  }
+
+  /**
+   * Reject a parlay whose payout would take the open parlay payouts on any
+   * leg's outcome past MAX_PARLAY_LIABILITY
+   * @private
+   */
+  validateParlayLiability(slip, exposure) {
+    for (const leg of slip.legs) {
+      const entry = (exposure[leg.marketId] || {})[leg.outcome];
+      const payoutAfter = (entry ? entry.payout : 0) + slip.potentialPayout;
+
+      if (payoutAfter > MAX_PARLAY_LIABILITY) {
+        const err = new Error(
+          `Parlay refused: payouts on "${leg.outcome}" in ${leg.title || leg.marketId} would reach ` +
+          `${payoutAfter.toFixed(2)}, over the parlay limit of ${MAX_PARLAY_LIABILITY.toFixed(2)}`
+        );
+        err.code = ERROR_CODES.RISK_LIMIT_EXCEEDED;
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Update a market's open legs
+   * @private
+   */
+  async updateOpenLegs(marketId, changes, filter) {
+    const { error } = await filter(
+      supabase
+        .from('parlay_legs')
+        .update(changes)
+        .eq('market_id', marketId)
+        .eq('status', PARLAY_STATUS.OPEN)
+    );
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Settle every open parlay with a leg on the market
+   * Parlays still waiting on other markets are left open
+   * @private
+   */
+  async settleMarketParlays(marketId) {
+    const { data: legs, error } = await supabase
+      .from('parlay_legs')
+      .select('parlay_id')
+      .eq('market_id', marketId);
+
+    if (error) {
+      throw error;
+    }
+
+    const summary = {
+      parlaysSettled: 0,
+      parlaysWon: 0,
+      totalPaidOut: 0,
+      failures: []
+    };
+
+    const parlayIds = [...new Set(legs.map(leg => leg.parlay_id))];
+
+    if (parlayIds.length === 0) {
+      return summary;
+    }
+
+    const { data: parlays, error: parlaysError } = await supabase
+      .from('parlays')
+      .select('id')
+      .in('id', parlayIds)
+      .eq('status', PARLAY_STATUS.OPEN);
+
+    if (parlaysError) {
+      throw parlaysError;
+    }
+
+    for (const parlay of parlays) {
+      const { data: result, error: settleError } = await supabase.rpc('settle_parlay', {
+        p_parlay_id: parlay.id,
+        p_transaction_type: TRANSACTION_TYPES.PARLAY_PAYOUT
+      });
+
+      if (settleError) {
+        console.error(`Failed to settle parlay ${parlay.id}:`, settleError);
+        summary.failures.push({ parlayId: parlay.id, message: settleError.message });
+        continue;
+      }
+
+      if (result.settled) {
+        const payout = parseFloat(result.payout);
+
+        summary.parlaysSettled += 1;
+        summary.totalPaidOut += payout;
+        if (result.status === PARLAY_STATUS.WON) {
+          summary.parlaysWon += 1;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Get the legs of some parlays
+   * @private
+   */
+  async getLegs(parlayIds) {
+    if (parlayIds.length === 0) {
+      return [];
+    }
+
+    const { data: legs, error } = await supabase
+      .from('parlay_legs')
+      .select('*')
+      .in('parlay_id', parlayIds);
+
+    if (error) {
+      throw error;
+    }
+
+    return legs;
+  }
+
+  /**
+   * Shape a priced slip for quote responses
+   * @private
+   */
+  formatSlip(slip) {
+    return {
+      legs: slip.legs.map(leg => ({
+        ...leg,
+        oddsFormatted: oddsConverter.formatOdds(leg.odds)
+      })),
+      combinedOdds: slip.combinedOdds,
+      combinedOddsFormatted: oddsConverter.formatOdds(slip.combinedOdds),
+      impliedProbability: slip.impliedProbability,
+      stake: slip.stake,
+      stakeAfterFee: slip.stakeAfterFee,
+      houseFee: slip.houseFee,
+      potentialPayout: slip.potentialPayout,
+      potentialProfit: slip.potentialProfit,
+      category: oddsConverter.getOddsCategory(slip.combinedOdds)
+    };
+  }
+
+  /**
+   * Shape a parlay row and its legs for API responses
+   * @private
+   */
+  formatParlay(parlay, legs) {
+    const combinedOdds = parseFloat(parlay.combined_odds);
+
+    return {
+      parlayId: parlay.id,
+      status: parlay.status,
+      stake: parseFloat(parlay.stake),
+      stakeAfterFee: parseFloat(parlay.stake_after_fee),
+      houseFee: parseFloat(parlay.house_fee),
+      combinedOdds,
+      combinedOddsFormatted: oddsConverter.formatOdds(combinedOdds),
+      potentialPayout: parseFloat(parlay.potential_payout),
+      settledOdds: parlay.settled_odds === null || parlay.settled_odds === undefined
+        ? null
+        : parseFloat(parlay.settled_odds),
+      payout: parlay.payout === null || parlay.payout === undefined
+        ? null
+        : parseFloat(parlay.payout),
+      legs: (legs || []).map(leg => ({
+        marketId: leg.market_id,
+        outcome: leg.outcome,
+        probability: parseFloat(leg.probability),
+        odds: parseFloat(leg.odds),
+        oddsFormatted: oddsConverter.formatOdds(parseFloat(leg.odds)),
+        status: leg.status
+      })),
+      createdAt: parlay.created_at,
+      settledAt: parlay.settled_at || null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ParlayService();
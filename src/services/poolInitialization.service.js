@@ -0,0 +1,551 @@
+/**
+ * Pool Initialization Service
+ *
+ * Seeds a market's liquidity pool so it can start trading.
+ * Handles:
+ * - Sizing the pool (explicit size, expected volume, or the default)
+ * - Symmetric (50/50) or asymmetric (target probability) pools
+ * - Categorical markets: one pool per named outcome
+ * - LMSR markets: opening share quantities and liquidity parameter
+ * - Recording the opening price in price_history
+ *
+ * A pool can be re-initialized until the market has bets or LP deposits.
+ */
+
+const { supabase } = require('../config/database');
+const liquidityPool = require('./liquidityPool.service');
+const categoricalCalculation = require('./categoricalCalculation.service');
+const lmsrCalculation = require('./lmsrCalculation.service');
+const bettingService = require('./betting.service');
+const {
+  ERROR_CODES,
+  MARKET_STATUS,
+  MARKET_TYPES,
+  MAX_OUTCOMES,
+  PRICING_MODELS
+} = require('../config/constants');
+
+// LMSR state, cleared when a market is (re-)initialized under another model
+const CLEARED_LMSR_COLUMNS = {
+  lmsr_b: null,
+  lmsr_yes_shares: null,
+  lmsr_no_shares: null
+};
+
+class PoolInitializationService {
+  /**
+   * Initialize a market's pool
+   *
+   * @param {object} params
+   * @param {string} params.marketId - Market UUID
+   * @param {number} [params.poolSize] - Pool size per side
+   * @param {number} [params.targetYesPrice] - Starting YES probability (0-1), 50/50 if omitted
+   * @param {Array<string|object>} [params.outcomes] - Outcome labels (or { key, label }); makes the market categorical
+   * @param {object} [params.targetPrices] - Categorical only: starting probability per outcome key, even if omitted
+   * @param {string} [params.pricingModel] - 'cpmm' or 'lmsr' (yes/no markets only); keeps the market's model if omitted
+   * @param {number} [params.liquidityParameter] - LMSR only: b, defaults to the pool size
+   * @param {number} [params.maxHouseLoss] - LMSR only: derive b so the house can lose at most this much
+   * @param {number} [params.expectedDailyVolume] - Used to size the pool when poolSize is omitted
+   * @param {number} [params.expectedMaxBet] - Used to size the pool when poolSize is omitted
+   * @returns {Promise<object>} Initialized pool
+   */
+  async initializePool({
+    marketId,
+    poolSize,
+    targetYesPrice,
+    outcomes,
+    targetPrices,
+    pricingModel,
+    liquidityParameter,
+    maxHouseLoss,
+    expectedDailyVolume,
+    expectedMaxBet
+  }) {
+    if (pricingModel !== undefined && !Object.values(PRICING_MODELS).includes(pricingModel)) {
+      const err = new Error(
+        `pricingModel must be one of: ${Object.values(PRICING_MODELS).join(', ')}`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    // 1. Size the pool
+    const { size, sizing } = this.resolvePoolSize({ poolSize, expectedDailyVolume, expectedMaxBet });
+
+    // 2. Check the market can be (re-)initialized
+    const market = await bettingService.getMarket(marketId);
+
+    // Categorical markets keep their outcomes unless new ones are given
+    if (outcomes === undefined && bettingService.isCategorical(market)) {
+      outcomes = market.outcomes;
+    }
+
+    const model = pricingModel || (outcomes === undefined
+      ? bettingService.getPricingModel(market)
+      : PRICING_MODELS.CPMM);
+
+    if (model !== PRICING_MODELS.LMSR && (liquidityParameter !== undefined || maxHouseLoss !== undefined)) {
+      const err = new Error('liquidityParameter and maxHouseLoss only apply to LMSR markets');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    if (outcomes !== undefined) {
+      if (model === PRICING_MODELS.LMSR) {
+        const err = new Error('LMSR pricing is only available for yes/no markets');
+        err.code = ERROR_CODES.VALIDATION_ERROR;
+        throw err;
+      }
+
+      return this.initializeCategoricalPool({ market, size, sizing, outcomes, targetPrices, targetYesPrice });
+    }
+
+    if (targetPrices !== undefined) {
+      const err = new Error('targetPrices requires outcomes');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    if (model === PRICING_MODELS.LMSR) {
+      return this.initializeLmsrMarket({
+        market,
+        size,
+        sizing,
+        targetYesPrice,
+        liquidityParameter,
+        maxHouseLoss
+      });
+    }
+
+    const pool = this.buildPool(size, targetYesPrice);
+
+    await this.ensureInitializable(market);
+
+    // 3. Write the pool (only if nothing changed since we checked)
+    const updated = await this.writePool(market, {
+      market_type: MARKET_TYPES.BINARY,
+      pricing_model: PRICING_MODELS.CPMM,
+      ...CLEARED_LMSR_COLUMNS,
+      outcomes: null,
+      yes_pool: pool.yesPool,
+      no_pool: pool.noPool,
+      liquidity_constant: pool.liquidityConstant,
+      yes_price: pool.initialYesPrice,
+      no_price: pool.initialNoPrice,
+      lp_total_shares: liquidityPool.calculatePoolValue(pool.yesPool, pool.noPool)
+    });
+
+    // 4. Opening price point (replacing any from an earlier initialization)
+    await this.recordOpeningPrice(marketId, {
+      yes_price: pool.initialYesPrice,
+      no_price: pool.initialNoPrice,
+      yes_pool: pool.yesPool,
+      no_pool: pool.noPool,
+      total_volume: parseFloat(updated.total_volume || 0)
+    });
+
+    return {
+      success: true,
+      data: {
+        marketId,
+        sizing,
+        poolSize: size,
+        yesPool: pool.yesPool,
+        noPool: pool.noPool,
+        liquidityConstant: pool.liquidityConstant,
+        yesPrice: pool.initialYesPrice,
+        noPrice: pool.initialNoPrice,
+        lpTotalShares: updated.lp_total_shares
+      }
+    };
+  }
+
+  /**
+   * Initialize a categorical market with one pool per outcome
+   *
+   * @private
+   */
+  async initializeCategoricalPool({ market, size, sizing, outcomes, targetPrices, targetYesPrice }) {
+    if (targetYesPrice !== undefined) {
+      const err = new Error('Use targetPrices, not targetYesPrice, for categorical markets');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    const entries = this.normalizeOutcomes(outcomes);
+    const prices = this.resolveTargetPrices(entries, targetPrices);
+    const pools = categoricalCalculation.initializePools(size, prices);
+
+    if (pools.some(pool => pool < liquidityPool.MIN_POOL_SIZE)) {
+      const err = new Error(
+        `Every outcome pool must be at least ${liquidityPool.MIN_POOL_SIZE}; increase poolSize or flatten targetPrices`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    await this.ensureInitializable(market);
+
+    const openingPrices = categoricalCalculation.calculatePrices(pools);
+    const outcomeState = entries.map((entry, i) => ({
+      ...entry,
+      pool: pools[i],
+      price: openingPrices[i]
+    }));
+
+    const updated = await this.writePool(market, {
+      market_type: MARKET_TYPES.CATEGORICAL,
+      pricing_model: PRICING_MODELS.CPMM,
+      ...CLEARED_LMSR_COLUMNS,
+      outcomes: outcomeState,
+      yes_pool: null,
+      no_pool: null,
+      liquidity_constant: categoricalCalculation.calculateLiquidityConstant(pools),
+      yes_price: null,
+      no_price: null,
+      lp_total_shares: categoricalCalculation.calculatePoolValue(pools)
+    });
+
+    await this.recordOpeningPrice(market.id, {
+      outcome_prices: outcomeState,
+      total_volume: parseFloat(updated.total_volume || 0)
+    });
+
+    return {
+      success: true,
+      data: {
+        marketId: market.id,
+        marketType: MARKET_TYPES.CATEGORICAL,
+        sizing,
+        poolSize: size,
+        outcomes: outcomeState,
+        liquidityConstant: updated.liquidity_constant,
+        lpTotalShares: updated.lp_total_shares
+      }
+    };
+  }
+
+  /**
+   * Initialize a binary market under the LMSR engine
+   * The liquidity parameter is given, derived from the most the house may
+   * lose, or defaults to the pool size
+   *
+   * @private
+   */
+  async initializeLmsrMarket({ market, size, sizing, targetYesPrice, liquidityParameter, maxHouseLoss }) {
+    const provided = { liquidityParameter, maxHouseLoss };
+
+    for (const [field, value] of Object.entries(provided)) {
+      if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+        const err = new Error(`${field} must be a positive number`);
+        err.code = ERROR_CODES.VALIDATION_ERROR;
+        throw err;
+      }
+    }
+
+    let b = size;
+
+    if (liquidityParameter !== undefined) {
+      b = liquidityParameter;
+      sizing = 'explicit';
+    } else if (maxHouseLoss !== undefined) {
+      b = lmsrCalculation.calculateLiquidityParameter(maxHouseLoss);
+      sizing = 'max_loss';
+    }
+
+    if (
+      targetYesPrice !== undefined &&
+      !(typeof targetYesPrice === 'number' && targetYesPrice > 0 && targetYesPrice < 1)
+    ) {
+      const err = new Error('targetYesPrice must be between 0 and 1');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    const yesPrice = targetYesPrice === undefined ? 0.5 : targetYesPrice;
+    const { yesShares, noShares } = lmsrCalculation.initializeShares(b, yesPrice);
+
+    await this.ensureInitializable(market);
+
+    const updated = await this.writePool(market, {
+      market_type: MARKET_TYPES.BINARY,
+      pricing_model: PRICING_MODELS.LMSR,
+      outcomes: null,
+      lmsr_b: b,
+      lmsr_yes_shares: yesShares,
+      lmsr_no_shares: noShares,
+      yes_pool: null,
+      no_pool: null,
+      liquidity_constant: null,
+      yes_price: yesPrice,
+      no_price: 1 - yesPrice,
+      // LMSR markets are funded by the house alone
+      lp_total_shares: 0
+    });
+
+    await this.recordOpeningPrice(market.id, {
+      yes_price: yesPrice,
+      no_price: 1 - yesPrice,
+      total_volume: parseFloat(updated.total_volume || 0)
+    });
+
+    return {
+      success: true,
+      data: {
+        marketId: market.id,
+        pricingModel: PRICING_MODELS.LMSR,
+        sizing,
+        liquidityParameter: b,
+        maxHouseLoss: lmsrCalculation.calculateMaxLoss(b),
+        yesShares,
+        noShares,
+        yesPrice,
+        noPrice: 1 - yesPrice
+      }
+    };
+  }
+
+  /**
+   * Turn outcome labels into { key, label } entries with unique keys
+   * Keys are lowercase slugs of the label unless given explicitly
+   *
+   * @private
+   */
+  normalizeOutcomes(outcomes) {
+    if (!Array.isArray(outcomes) || outcomes.length < 2 || outcomes.length > MAX_OUTCOMES) {
+      const err = new Error(`outcomes must be a list of 2 to ${MAX_OUTCOMES} outcomes`);
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    const entries = outcomes.map((outcome) => {
+      const label = String(typeof outcome === 'object' && outcome !== null ? outcome.label : outcome).trim();
+      const key = typeof outcome === 'object' && outcome !== null && outcome.key
+        ? String(outcome.key).trim()
+        : label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+      if (!label || !key) {
+        const err = new Error('Every outcome needs a label');
+        err.code = ERROR_CODES.VALIDATION_ERROR;
+        throw err;
+      }
+
+      return { key, label };
+    });
+
+    const keys = new Set(entries.map(entry => entry.key));
+    if (keys.size !== entries.length) {
+      const err = new Error('Outcome keys must be unique');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Opening probability per outcome, in outcome order
+   * Even odds if targetPrices is omitted; otherwise every key is required
+   * and the probabilities must sum to 1
+   *
+   * @private
+   */
+  resolveTargetPrices(entries, targetPrices) {
+    if (targetPrices === undefined) {
+      return entries.map(() => 1 / entries.length);
+    }
+
+    const prices = entries.map(entry => (targetPrices || {})[entry.key]);
+
+    if (prices.some(price => !(typeof price === 'number' && price > 0 && price < 1))) {
+      const err = new Error('targetPrices must give every outcome a probability between 0 and 1');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    const total = prices.reduce((sum, price) => sum + price, 0);
+    if (Math.abs(total - 1) > 0.0001) {
+      const err = new Error(`targetPrices must sum to 1 (got ${total.toFixed(4)})`);
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    return prices;
+  }
+
+  /**
+   * Check the market is open and untouched
+   *
+   * @private
+   */
+  async ensureInitializable(market) {
+    if (
+      market.status === MARKET_STATUS.RESOLVED ||
+      market.status === MARKET_STATUS.CANCELLED
+    ) {
+      const err = new Error(`Cannot initialize the pool of a ${market.status} market`);
+      err.code = ERROR_CODES.MARKET_NOT_ACTIVE;
+      throw err;
+    }
+
+    await this.ensureNoActivity(market.id);
+  }
+
+  /**
+   * Write pool columns, only if the market is unchanged since it was read
+   * Resets LP fee accounting; the house owns every LP share
+   *
+   * @private
+   */
+  async writePool(market, poolColumns) {
+    const version = market.version || 0;
+
+    const { data: updated, error } = await supabase
+      .from('markets')
+      .update({
+        ...poolColumns,
+        pool_initialized: true,
+        lp_fee_per_share: 0,
+        last_price_update: new Date().toISOString(),
+        version: version + 1
+      })
+      .eq('id', market.id)
+      .eq('version', version)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!updated || updated.length === 0) {
+      const err = new Error('Market changed during initialization, please retry');
+      err.code = ERROR_CODES.MARKET_CONFLICT;
+      throw err;
+    }
+
+    return updated[0];
+  }
+
+  /**
+   * Replace the market's price history with its opening point
+   *
+   * @private
+   */
+  async recordOpeningPrice(marketId, point) {
+    const { error: clearError } = await supabase
+      .from('price_history')
+      .delete()
+      .eq('market_id', marketId);
+
+    if (clearError) {
+      throw clearError;
+    }
+
+    const { error: historyError } = await supabase
+      .from('price_history')
+      .insert({ market_id: marketId, ...point });
+
+    if (historyError) {
+      throw historyError;
+    }
+  }
+
+  /**
+   * Pick the pool size per side
+   * An explicit size wins, then expected volume, then the default
+   *
+   * @private
+   */
+  resolvePoolSize({ poolSize, expectedDailyVolume, expectedMaxBet }) {
+    const provided = { poolSize, expectedDailyVolume, expectedMaxBet };
+
+    for (const [field, value] of Object.entries(provided)) {
+      if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+        const err = new Error(`${field} must be a positive number`);
+        err.code = ERROR_CODES.VALIDATION_ERROR;
+        throw err;
+      }
+    }
+
+    let size = liquidityPool.DEFAULT_POOL_SIZE;
+    let sizing = 'default';
+
+    if (poolSize !== undefined) {
+      size = poolSize;
+      sizing = 'explicit';
+    } else if (expectedDailyVolume !== undefined || expectedMaxBet !== undefined) {
+      size = liquidityPool.calculateOptimalPoolSize(expectedDailyVolume || 0, expectedMaxBet || 0);
+      sizing = 'optimal';
+    }
+
+    return { size, sizing };
+  }
+
+  /**
+   * Build a symmetric or asymmetric pool
+   * Pool size errors are surfaced as validation errors
+   *
+   * @private
+   */
+  buildPool(size, targetYesPrice) {
+    if (
+      targetYesPrice !== undefined &&
+      !(typeof targetYesPrice === 'number' && targetYesPrice > 0 && targetYesPrice < 1)
+    ) {
+      const err = new Error('targetYesPrice must be between 0 and 1');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    try {
+      return targetYesPrice === undefined
+        ? liquidityPool.initializeSymmetricPool(size)
+        : liquidityPool.initializeAsymmetricPool(size * 2, targetYesPrice);
+    } catch (poolError) {
+      const err = new Error(poolError.message);
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+  }
+
+  /**
+   * Refuse to re-initialize once users have bet or provided liquidity
+   *
+   * @private
+   */
+  async ensureNoActivity(marketId) {
+    const { count: betCount, error: betsError } = await supabase
+      .from('bets')
+      .select('id', { count: 'exact', head: true })
+      .eq('market_id', marketId);
+
+    if (betsError) {
+      throw betsError;
+    }
+
+    if (betCount > 0) {
+      const err = new Error('Pool cannot be re-initialized once the market has bets');
+      err.code = ERROR_CODES.POOL_LOCKED;
+      throw err;
+    }
+
+    const { count: lpCount, error: lpError } = await supabase
+      .from('liquidity_positions')
+      .select('id', { count: 'exact', head: true })
+      .eq('market_id', marketId)
+      .gt('shares', 0);
+
+    if (lpError) {
+      throw lpError;
+    }
+
+    if (lpCount > 0) {
+      const err = new Error('Pool cannot be re-initialized once the market has LP deposits');
+      err.code = ERROR_CODES.POOL_LOCKED;
+      throw err;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new PoolInitializationService();
@@ -0,0 +1,295 @@
+/**
+ * Portfolio Service
+ *
+ * A user's positions valued against the live markets. Handles:
+ * - Current value of each position at the outcome's live price
+ * - Liquidation value: the net proceeds of selling every share now,
+ *   simulated against the pool with slippage and house margin
+ * - Unrealized P&L against cost basis, and realized P&L from sales and
+ *   settlement
+ * - Portfolio totals, plus the user's open fixed-odds bets
+ *
+ * positions.current_value is only refreshed by trades (shares × the price
+ * after that trade), so values here are always recomputed from the market.
+ * Fixed-odds bets are held by the house and have no position; they are
+ * reported separately.
+ */
+
+const { supabase } = require('../config/database');
+const bettingService = require('./betting.service');
+const houseMargin = require('./houseMargin.service');
+const {
+  ERROR_CODES,
+  MARKET_STATUS,
+  BET_STATUS,
+  BET_TYPES,
+  POSITION_STATUS
+} = require('../config/constants');
+
+// Share balances below this are treated as fully sold
+const SHARE_EPSILON = 0.000001;
+
+// Market states whose pool still prices sales
+const LIQUIDATION_STATUSES = [MARKET_STATUS.ACTIVE, MARKET_STATUS.SUSPENDED];
+
+// ?status= filters for the positions list
+const POSITION_FILTERS = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+  ALL: 'all'
+};
+
+class PortfolioService {
+  /**
+   * Get the user's positions with live valuations
+   *
+   * @param {string} userId - User UUID
+   * @param {object} [filters]
+   * @param {string} [filters.status] - open (default), closed (sold, settled or void) or all
+   * @returns {Promise<object>} Positions, largest current value first
+   */
+  async getPositions(userId, { status = POSITION_FILTERS.OPEN } = {}) {
+    if (!Object.values(POSITION_FILTERS).includes(status)) {
+      const err = new Error(
+        `status must be one of: ${Object.values(POSITION_FILTERS).join(', ')}`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    const positions = (await this.getValuedPositions(userId)).filter(position =>
+      status === POSITION_FILTERS.ALL ||
+      (status === POSITION_FILTERS.OPEN) === (position.status === POSITION_STATUS.OPEN)
+    );
+
+    return {
+      success: true,
+      data: positions
+    };
+  }
+
+  /**
+   * Get the user's portfolio: totals, open positions and open fixed-odds bets
+   *
+   * Totals cover open positions, except realizedPnl, which covers every
+   * position the user has held.
+   *
+   * @param {string} userId - User UUID
+   * @returns {Promise<object>} Portfolio summary
+   */
+  async getPortfolio(userId) {
+    const [positions, fixedOdds, profile] = await Promise.all([
+      this.getValuedPositions(userId),
+      this.getOpenFixedOddsBets(userId),
+      bettingService.getUserProfile(userId)
+    ]);
+
+    const open = positions.filter(position => position.status === POSITION_STATUS.OPEN);
+    const sum = (list, field) => list.reduce((total, position) => total + (position[field] || 0), 0);
+
+    const costBasis = sum(open, 'costBasis');
+    const currentValue = sum(open, 'currentValue');
+    const liquidationValue = sum(open, 'liquidationValue');
+    const unrealizedPnl = currentValue - costBasis;
+    const realizedPnl = sum(positions, 'realizedPnl');
+
+    return {
+      success: true,
+      data: {
+        balance: parseFloat(profile.balance),
+        totals: {
+          openPositions: open.length,
+          costBasis,
+          currentValue,
+          liquidationValue,
+          unrealizedPnl,
+          liquidationPnl: liquidationValue - costBasis,
+          realizedPnl,
+          totalPnl: realizedPnl + unrealizedPnl
+        },
+        fixedOdds,
+        positions: open
+      }
+    };
+  }
+
+  /**
+   * Every position the user holds or held, valued against its market
+   * @private
+   */
+  async getValuedPositions(userId) {
+    const { data: rows, error } = await supabase
+      .from('positions')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    if (!rows || rows.length === 0) {
+      return [];
+    }
+
+    const marketIds = [...new Set(rows.map(row => row.market_id))];
+    const { data: markets, error: marketError } = await supabase
+      .from('markets')
+      .select('*')
+      .in('id', marketIds);
+
+    if (marketError) {
+      throw marketError;
+    }
+
+    const marketsById = new Map((markets || []).map(market => [market.id, market]));
+
+    return rows
+      .filter(row => marketsById.has(row.market_id))
+      .map(row => this.valuePosition(row, marketsById.get(row.market_id)))
+      .sort((a, b) => (b.currentValue || 0) - (a.currentValue || 0));
+  }
+
+  /**
+   * Value one position
+   *
+   * Open positions are marked at the live price; in a market whose outcome
+   * is recorded but not yet paid out, at 1 or 0. Liquidation value is only
+   * given where the pool still prices sales (active or suspended markets);
+   * canSell says whether a sale would be accepted now.
+   *
+   * @private
+   */
+  valuePosition(row, market) {
+    const shares = parseFloat(row.shares || 0);
+    const costBasis = parseFloat(row.total_invested || 0);
+    const realizedFromSales = parseFloat(row.realized_pnl || 0);
+    const status = this.getPositionStatus(row, market, shares);
+    const outcomeEntry = bettingService.getOutcomePrices(market)
+      .find(entry => entry.outcome === row.outcome);
+    const resolved = market.status === MARKET_STATUS.RESOLVED;
+
+    const base = {
+      positionId: row.id,
+      marketId: market.id,
+      marketTitle: market.title || null,
+      marketStatus: market.status,
+      outcome: row.outcome,
+      outcomeLabel: outcomeEntry ? outcomeEntry.label : null,
+      status,
+      shares,
+      avgPrice: row.avg_price !== null && row.avg_price !== undefined ? parseFloat(row.avg_price) : null,
+      costBasis
+    };
+
+    if (status !== POSITION_STATUS.OPEN) {
+      const payout = row.payout !== null && row.payout !== undefined ? parseFloat(row.payout) : null;
+
+      // A void market refunds stakes per user, not per position; the
+      // position's result is nil
+      const realizedPnl = status === POSITION_STATUS.VOID
+        ? 0
+        : realizedFromSales + (payout !== null ? payout - costBasis : 0);
+
+      return {
+        ...base,
+        costBasis: status === POSITION_STATUS.VOID ? 0 : costBasis,
+        currentPrice: null,
+        currentValue: 0,
+        liquidationValue: null,
+        unrealizedPnl: 0,
+        liquidationPnl: null,
+        realizedPnl,
+        payout,
+        canSell: false,
+        settledAt: row.settled_at || null
+      };
+    }
+
+    let currentPrice = outcomeEntry ? outcomeEntry.price : null;
+    if (resolved) {
+      currentPrice = market.resolved_outcome === row.outcome ? 1 : 0;
+    }
+
+    const currentValue = currentPrice !== null ? shares * currentPrice : null;
+    const liquidationValue = resolved ? null : this.getLiquidationValue(market, row.outcome, shares);
+
+    return {
+      ...base,
+      currentPrice,
+      currentValue,
+      liquidationValue,
+      unrealizedPnl: currentValue !== null ? currentValue - costBasis : null,
+      liquidationPnl: liquidationValue !== null ? liquidationValue - costBasis : null,
+      realizedPnl: realizedFromSales,
+      payout: null,
+      canSell: market.status === MARKET_STATUS.ACTIVE,
+      settledAt: null
+    };
+  }
+
+  /**
+   * Where a position stands
+   * @private
+   */
+  getPositionStatus(row, market, shares) {
+    if (market.status === MARKET_STATUS.CANCELLED) {
+      return POSITION_STATUS.VOID;
+    }
+
+    if (row.settled_at) {
+      return parseFloat(row.payout || 0) > 0 ? POSITION_STATUS.WON : POSITION_STATUS.LOST;
+    }
+
+    return shares > SHARE_EPSILON ? POSITION_STATUS.OPEN : POSITION_STATUS.SOLD;
+  }
+
+  /**
+   * Net proceeds of selling every share now: the pool's sale price after
+   * slippage, less the house margin on the proceeds (as getSellQuote prices it)
+   * Null if the pool cannot price the sale. Portfolios are read often, so
+   * this is expected and not logged.
+   * @private
+   */
+  getLiquidationValue(market, outcome, shares) {
+    if (!LIQUIDATION_STATUSES.includes(market.status)) {
+      return null;
+    }
+
+    try {
+      bettingService.validatePoolState(market);
+
+      const simulation = bettingService.simulateSale(market, outcome, shares);
+      const margin = houseMargin.resolveMargin(market, simulation.proceeds);
+
+      return houseMargin.applyMargin(simulation.proceeds, margin.margin).netAmount;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * The user's unsettled fixed-odds bets: count, stakes and promised payouts
+   * @private
+   */
+  async getOpenFixedOddsBets(userId) {
+    const { data: bets, error } = await supabase
+      .from('bets')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('bet_type', BET_TYPES.FIXED_ODDS)
+      .eq('status', BET_STATUS.MATCHED);
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      openBets: (bets || []).length,
+      stake: (bets || []).reduce((total, bet) => total + parseFloat(bet.amount), 0),
+      potentialPayout: (bets || []).reduce((total, bet) => total + parseFloat(bet.potential_return), 0)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new PortfolioService();
@@ -0,0 +1,293 @@
+/**
+ * Price History Service
+ *
+ * Reads back the price_history rows written on pool initialization and by
+ * every trade. Handles:
+ * - Raw price points for a time range, HISTORY_MAX_POINTS at a time
+ * - OHLC candles per interval (1m, 1h, 1d) for one outcome, with volume
+ * - Filling intervals without trades with the last known price
+ *
+ * Candles are aggregated per interval by get_price_candles()
+ * (sql/22-price-candles.sql), so a long, busy range is never read in full.
+ * price_history.total_volume is the market's running volume, so an
+ * interval's volume is the rise in it across the interval.
+ */
+
+const { supabase } = require('../config/database');
+const bettingService = require('./betting.service');
+const {
+  ERROR_CODES,
+  OUTCOMES,
+  HISTORY_INTERVALS,
+  HISTORY_DEFAULT_INTERVAL,
+  HISTORY_MAX_CANDLES,
+  HISTORY_MAX_POINTS
+} = require('../config/constants');
+
+class PriceHistoryService {
+  /**
+   * Get a market's price history as raw points and OHLC candles
+   *
+   * @param {object} params
+   * @param {string} params.marketId - Market UUID
+   * @param {string} [params.interval] - Candle interval: 1m, 1h or 1d (default 1h)
+   * @param {string} [params.from] - Range start (ISO 8601); defaults to HISTORY_MAX_CANDLES intervals before `to`
+   * @param {string} [params.to] - Range end (ISO 8601, exclusive); defaults to now
+   * @param {string} [params.outcome] - Outcome to build candles for (default yes, or the first outcome)
+   * @returns {Promise<object>} Points, nextFrom and candles
+   */
+  async getMarketHistory({ marketId, interval = HISTORY_DEFAULT_INTERVAL, from, to, outcome }) {
+    const intervalMs = this.validateInterval(interval);
+    const range = this.resolveRange(from, to, intervalMs);
+
+    const market = await bettingService.getMarket(marketId);
+    const series = outcome || this.getDefaultOutcome(market);
+    bettingService.validateOutcome(market, series);
+
+    const [previous, { points, nextFrom }, buckets] = await Promise.all([
+      this.getLastPointBefore(marketId, range.from),
+      this.getPoints(marketId, range),
+      this.getCandleBuckets(marketId, range, intervalMs, series)
+    ]);
+
+    return {
+      success: true,
+      data: {
+        marketId,
+        outcome: series,
+        interval,
+        from: range.from.toISOString(),
+        to: range.to.toISOString(),
+        points,
+        nextFrom,
+        candles: this.buildCandles({
+          buckets,
+          previous: previous ? this.toPoint(previous) : null,
+          outcome: series,
+          intervalMs,
+          range
+        })
+      }
+    };
+  }
+
+  /**
+   * Validate a candle interval
+   * @private
+   * @returns {number} Interval length in milliseconds
+   */
+  validateInterval(interval) {
+    if (!Object.prototype.hasOwnProperty.call(HISTORY_INTERVALS, interval)) {
+      const err = new Error(
+        `interval must be one of: ${Object.keys(HISTORY_INTERVALS).join(', ')}`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    return HISTORY_INTERVALS[interval];
+  }
+
+  /**
+   * Parse and check the requested time range
+   * @private
+   * @returns {object} { from, to } as Dates
+   */
+  resolveRange(from, to, intervalMs) {
+    const parseTime = (value, name) => {
+      const time = new Date(value);
+
+      if (Number.isNaN(time.getTime())) {
+        const err = new Error(`${name} must be an ISO 8601 timestamp`);
+        err.code = ERROR_CODES.VALIDATION_ERROR;
+        throw err;
+      }
+
+      return time;
+    };
+
+    const end = to !== undefined ? parseTime(to, 'to') : new Date();
+    const start = from !== undefined
+      ? parseTime(from, 'from')
+      : new Date(end.getTime() - HISTORY_MAX_CANDLES * intervalMs);
+
+    if (start >= end) {
+      const err = new Error('from must be before to');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    if ((end - start) / intervalMs > HISTORY_MAX_CANDLES) {
+      const err = new Error(
+        `Range spans more than ${HISTORY_MAX_CANDLES} candles; narrow it or use a longer interval`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    return { from: start, to: end };
+  }
+
+  /**
+   * Outcome charted when none is asked for
+   * @private
+   */
+  getDefaultOutcome(market) {
+    return bettingService.isCategorical(market) && market.outcomes && market.outcomes.length > 0
+      ? market.outcomes[0].key
+      : OUTCOMES.YES;
+  }
+
+  /**
+   * The first HISTORY_MAX_POINTS price points from `from` up to (not
+   * including) `to`, oldest first
+   * nextFrom is the time of the first point left out, or null if none were
+   * @private
+   * @returns {Promise<object>} { points, nextFrom }
+   */
+  async getPoints(marketId, range) {
+    const { data, error } = await supabase
+      .from('price_history')
+      .select('*')
+      .eq('market_id', marketId)
+      .gte('created_at', range.from.toISOString())
+      .lt('created_at', range.to.toISOString())
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(HISTORY_MAX_POINTS + 1);
+
+    if (error) {
+      throw error;
+    }
+
+    const rows = data || [];
+    const more = rows.length > HISTORY_MAX_POINTS;
+
+    return {
+      points: rows.slice(0, HISTORY_MAX_POINTS).map(row => this.toPoint(row)),
+      nextFrom: more ? new Date(rows[HISTORY_MAX_POINTS].created_at).toISOString() : null
+    };
+  }
+
+  /**
+   * Per-interval price aggregates for one outcome, oldest first
+   * Only intervals with at least one price point are returned
+   * @private
+   * @returns {Promise<object[]>} { start, open, high, low, close, openVolume, closeVolume }
+   */
+  async getCandleBuckets(marketId, range, intervalMs, outcome) {
+    const { data, error } = await supabase.rpc('get_price_candles', {
+      p_market_id: marketId,
+      p_from: range.from.toISOString(),
+      p_to: range.to.toISOString(),
+      p_interval_seconds: intervalMs / 1000,
+      p_outcome: outcome
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).map(bucket => ({
+      start: Number(bucket.bucket) * 1000,
+      open: parseFloat(bucket.open),
+      high: parseFloat(bucket.high),
+      low: parseFloat(bucket.low),
+      close: parseFloat(bucket.close),
+      openVolume: parseFloat(bucket.open_volume),
+      closeVolume: parseFloat(bucket.close_volume)
+    }));
+  }
+
+  /**
+   * Latest price history row before a time, or null
+   * Seeds the candles so a range that starts between trades opens at the
+   * price then in force
+   * @private
+   */
+  async getLastPointBefore(marketId, time) {
+    const { data, error } = await supabase
+      .from('price_history')
+      .select('*')
+      .eq('market_id', marketId)
+      .lt('created_at', time.toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Shape a price_history row as an API point
+   * @private
+   */
+  toPoint(row) {
+    const prices = row.outcome_prices
+      ? Object.fromEntries(row.outcome_prices.map(entry => [entry.key, parseFloat(entry.price)]))
+      : {
+        [OUTCOMES.YES]: parseFloat(row.yes_price),
+        [OUTCOMES.NO]: parseFloat(row.no_price)
+      };
+
+    return {
+      time: new Date(row.created_at).toISOString(),
+      prices,
+      totalVolume: parseFloat(row.total_volume || 0),
+      betId: row.bet_id || null
+    };
+  }
+
+  /**
+   * Turn per-interval aggregates into OHLC candles for one outcome
+   *
+   * Each candle opens at the previous close. Intervals without points repeat
+   * the last known price with zero volume; intervals before the first known
+   * price are left out.
+   *
+   * @private
+   * @returns {object[]} Candles { time, open, high, low, close, volume }
+   */
+  buildCandles({ buckets, previous, outcome, intervalMs, range }) {
+    const candles = [];
+    const byStart = new Map(buckets.map(bucket => [bucket.start, bucket]));
+    let last = previous
+      ? { price: previous.prices[outcome], totalVolume: previous.totalVolume }
+      : null;
+
+    const firstBucket = Math.floor(range.from.getTime() / intervalMs) * intervalMs;
+
+    for (let start = firstBucket; start < range.to.getTime(); start += intervalMs) {
+      const bucket = byStart.get(start);
+
+      if (!bucket && !last) {
+        continue;
+      }
+
+      const open = last ? last.price : bucket.open;
+      const baseVolume = last ? last.totalVolume : bucket.openVolume;
+      const close = bucket ? bucket.close : open;
+      const endVolume = bucket ? bucket.closeVolume : baseVolume;
+
+      candles.push({
+        time: new Date(start).toISOString(),
+        open,
+        high: bucket ? Math.max(open, bucket.high) : open,
+        low: bucket ? Math.min(open, bucket.low) : open,
+        close,
+        volume: Math.max(endVolume - baseVolume, 0)
+      });
+
+      last = { price: close, totalVolume: endVolume };
+    }
+
+    return candles;
+  }
+}
+
+// Export singleton instance
+module.exports = new PriceHistoryService();
@@ -0,0 +1,276 @@
+/**
+ * Quote Service
+ *
+ * Issues firm, signed quotes with a time-to-live.
+ * A quote records the pool snapshot and price the user was shown, so the
+ * bet endpoints can execute at those terms or refuse with a requote error.
+ *
+ * Quotes are stateless: the quote ID is the terms plus an HMAC over them, so
+ * any instance holding QUOTE_SIGNING_SECRET can verify one and the terms
+ * cannot be altered between issue and redemption. Only authenticated callers
+ * get a quote, and only that caller can execute it.
+ * Quotes are single-use: a quote is checked when the bet arrives and claimed
+ * in redeemed_quotes only once the trade is committing, so a bet rejected by
+ * validation leaves it usable. See sql/21-redeemed-quotes.sql.
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../config/database');
+const {
+  ERROR_CODES,
+  QUOTE_TTL_SECONDS,
+  QUOTE_PRICE_TOLERANCE
+} = require('../config/constants');
+
+// Postgres unique violation
+const UNIQUE_VIOLATION = '23505';
+
+// Fields carried in the quote ID and covered by the signature, in signing order
+const SIGNED_FIELDS = [
+  'id',
+  'userId',
+  'type',
+  'marketId',
+  'outcome',
+  'amount',
+  'shares',
+  'yesPool',
+  'noPool',
+  'price',
+  'tokens',
+  'odds',
+  'expiresAt'
+];
+
+class QuoteService {
+  constructor() {
+    this.secret = process.env.QUOTE_SIGNING_SECRET;
+
+    if (!this.secret) {
+      // Quotes can then only be executed on the instance that issued them
+      this.secret = crypto.randomBytes(32).toString('hex');
+      console.warn('QUOTE_SIGNING_SECRET not set. Using a random per-process secret');
+    }
+
+    this.TTL_SECONDS = QUOTE_TTL_SECONDS;
+    this.PRICE_TOLERANCE = QUOTE_PRICE_TOLERANCE;
+  }
+
+  /**
+   * Issue a signed quote
+   *
+   * @param {object} terms - Quote terms
+   * @param {string} terms.userId - Caller the quote is bound to
+   * @param {string} terms.type - 'bet' (share price) or 'odds' (multiplier)
+   * @param {string} terms.marketId - Market UUID
+   * @param {string} terms.outcome - Outcome quoted
+   * @param {number} terms.amount - Gross stake
+   * @param {number} [terms.shares] - Share target, for share-count quotes
+   * @param {number} terms.yesPool - YES pool at quote time
+   * @param {number} terms.noPool - NO pool at quote time
+   * @param {number} terms.price - Outcome price at quote time (0-1)
+   * @param {number} [terms.tokens] - Tokens quoted (share price quotes)
+   * @param {number} [terms.odds] - Odds quoted (multiplier quotes)
+   * @returns {object} { quoteId, expiresAt, signature }
+   */
+  issueQuote(terms) {
+    const quote = {
+      shares: null,
+      tokens: null,
+      odds: null,
+      ...terms,
+      id: crypto.randomUUID(),
+      expiresAt: new Date(Date.now() + this.TTL_SECONDS * 1000).toISOString()
+    };
+
+    const payload = this.encode(quote);
+    const signature = this.sign(payload);
+
+    return {
+      quoteId: `${payload}.${signature}`,
+      expiresAt: quote.expiresAt,
+      signature
+    };
+  }
+
+  /**
+   * Verify a quote for execution and check it matches the bet
+   * The quote stays open until claimQuote is called as the trade commits
+   *
+   * @param {string} quoteId - Quote ID returned by issueQuote
+   * @param {object} expected - Terms the bet request must match
+   * @param {string} expected.type - 'bet' or 'odds'
+   * @param {string} expected.marketId - Market UUID
+   * @param {string} [expected.outcome] - Outcome, if the request sent one
+   * @param {string} expected.userId - Caller placing the bet
+   * @returns {object} Signed quote terms
+   * @throws {Error} QUOTE_EXPIRED or QUOTE_INVALID
+   */
+  getQuote(quoteId, { type, marketId, outcome, userId }) {
+    const [payload, signature] = String(quoteId).split('.');
+
+    if (!payload || !this.verify(payload, signature)) {
+      throw this.quoteError(ERROR_CODES.QUOTE_INVALID, 'Quote signature is invalid');
+    }
+
+    const quote = this.decode(payload);
+
+    if (this.isExpired(quote)) {
+      throw this.quoteError(
+        ERROR_CODES.QUOTE_EXPIRED,
+        'Quote expired - request a new quote'
+      );
+    }
+
+    if (
+      quote.type !== type ||
+      quote.marketId !== marketId ||
+      (outcome && quote.outcome !== outcome)
+    ) {
+      throw this.quoteError(ERROR_CODES.QUOTE_INVALID, 'Quote does not match this bet');
+    }
+
+    if (!quote.userId || quote.userId !== userId) {
+      throw this.quoteError(ERROR_CODES.QUOTE_INVALID, 'Quote was issued to another user');
+    }
+
+    return quote;
+  }
+
+  /**
+   * Claim a quote as its trade commits, so it cannot be executed again
+   *
+   * @param {object} quote - Quote returned by getQuote
+   * @throws {Error} QUOTE_EXPIRED if it expired or another bet claimed it first
+   */
+  async claimQuote(quote) {
+    if (this.isExpired(quote)) {
+      throw this.quoteError(
+        ERROR_CODES.QUOTE_EXPIRED,
+        'Quote expired - request a new quote'
+      );
+    }
+
+    const { error } = await supabase.from('redeemed_quotes').insert({
+      quote_id: quote.id,
+      user_id: quote.userId,
+      expires_at: quote.expiresAt
+    });
+
+    if (error && error.code === UNIQUE_VIOLATION) {
+      throw this.quoteError(
+        ERROR_CODES.QUOTE_EXPIRED,
+        'Quote already used - request a new quote'
+      );
+    }
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Return a claimed quote whose trade did not commit, so it can be retried
+   * Failures are only logged: the quote then stays used up, which is safe
+   *
+   * @param {object} quote - Quote passed to claimQuote
+   */
+  async releaseQuote(quote) {
+    const { error } = await supabase
+      .from('redeemed_quotes')
+      .delete()
+      .eq('quote_id', quote.id);
+
+    if (error) {
+      console.error('Failed to release quote:', error);
+    }
+  }
+
+  /**
+   * Check a live value is no worse than the quoted value beyond tolerance
+   *
+   * @param {number} quoted - Value at quote time
+   * @param {number} current - Value now
+   * @param {string} direction - 'min' if lower is worse, 'max' if higher is worse
+   * @returns {boolean} True if within tolerance
+   */
+  isWithinTolerance(quoted, current, direction) {
+    return direction === 'min'
+      ? current >= quoted * (1 - this.PRICE_TOLERANCE)
+      : current <= quoted * (1 + this.PRICE_TOLERANCE);
+  }
+
+  /**
+   * Build the error thrown when the pool moved past a quote
+   *
+   * @param {string} detail - What moved
+   * @returns {Error} QUOTE_STALE error
+   */
+  staleQuoteError(detail) {
+    return this.quoteError(
+      ERROR_CODES.QUOTE_STALE,
+      `Market moved since quote (${detail}) - request a new quote`
+    );
+  }
+
+  /**
+   * Encode quote terms as the first part of a quote ID
+   * @private
+   */
+  encode(quote) {
+    const values = SIGNED_FIELDS.map(field => (quote[field] === undefined ? null : quote[field]));
+
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+  }
+
+  /**
+   * Decode quote terms from a verified payload
+   * @private
+   */
+  decode(payload) {
+    const values = JSON.parse(Buffer.from(payload, 'base64url').toString());
+
+    return Object.fromEntries(SIGNED_FIELDS.map((field, i) => [field, values[i]]));
+  }
+
+  /**
+   * Sign an encoded payload with HMAC-SHA256
+   * @private
+   */
+  sign(payload) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(payload)
+      .digest('hex');
+  }
+
+  /**
+   * Verify a payload's signature
+   * @private
+   */
+  verify(payload, signature) {
+    const expected = Buffer.from(this.sign(payload), 'hex');
+    const actual = Buffer.from(signature || '', 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * @private
+   */
+  isExpired(quote) {
+    return new Date(quote.expiresAt).getTime() <= Date.now();
+  }
+
+  /**
+   * @private
+   */
+  quoteError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }
+}
+
+// Export singleton instance
+module.exports = new QuoteService();
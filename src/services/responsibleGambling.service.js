@@ -0,0 +1,492 @@
+/**
+ * Responsible Gambling Service
+ *
+ * Limits users set on their own betting. Handles:
+ * - Stake and loss limits over rolling daily, weekly and monthly windows
+ * - A maximum single-bet size
+ * - Cool-off periods and self-exclusion
+ * - Delaying limit increases (and removals) by LIMIT_INCREASE_DELAY_HOURS
+ *
+ * Limits are checked before every bet, odds bet, limit order and parlay:
+ * getBettingState() loads the user's limits and recent activity once and
+ * validateBet() checks a stake against them, like validateUserBalance().
+ *
+ * Stakes in a window are buys (including limit order fills), parlay stakes
+ * and the unfilled stake of open limit orders placed in it. Losses are those
+ * stakes less the sales, payouts and refunds received in the same window, so
+ * bets still open count as lost until they are settled.
+ *
+ * See sql/17-responsible-gambling.sql.
+ */
+
+const { supabase } = require('../config/database');
+const {
+  ERROR_CODES,
+  TRANSACTION_TYPES,
+  ORDER_STATUS,
+  BET_SIDES,
+  LIMIT_PERIODS,
+  LIMIT_INCREASE_DELAY_HOURS,
+  COOL_OFF_MIN_DAYS,
+  COOL_OFF_MAX_DAYS,
+  SELF_EXCLUSION_MIN_DAYS,
+  SELF_EXCLUSION_MAX_DAYS
+} = require('../config/constants');
+
+// API limit name -> user_limits column
+const LIMIT_COLUMNS = {
+  dailyStake: 'daily_stake_limit',
+  weeklyStake: 'weekly_stake_limit',
+  monthlyStake: 'monthly_stake_limit',
+  dailyLoss: 'daily_loss_limit',
+  weeklyLoss: 'weekly_loss_limit',
+  monthlyLoss: 'monthly_loss_limit',
+  maxBet: 'max_bet_limit'
+};
+
+// Money returned to the user by a bet
+const RETURN_TYPES = [
+  TRANSACTION_TYPES.SELL,
+  TRANSACTION_TYPES.PAYOUT,
+  TRANSACTION_TYPES.REFUND,
+  TRANSACTION_TYPES.PARLAY_PAYOUT
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ResponsibleGamblingService {
+  /**
+   * Get a user's limits, pending increases, exclusions and recent activity
+   *
+   * @param {string} userId - User UUID
+   * @returns {Promise<object>} Limits summary
+   */
+  async getLimits(userId) {
+    const row = await this.getLimitsRow(userId);
+    const { limits, pending } = this.resolveLimits(row);
+    const usage = await this.getUsage(userId, Object.keys(LIMIT_PERIODS));
+
+    return {
+      success: true,
+      data: this.formatLimits(row, limits, pending, usage)
+    };
+  }
+
+  /**
+   * Set some of a user's limits
+   * Lowering (or adding) a limit applies at once and drops any pending
+   * increase of it. Raising or removing (null) one is held until
+   * LIMIT_INCREASE_DELAY_HOURS have passed.
+   *
+   * @param {string} userId - User UUID
+   * @param {object} changes - { dailyStake, weeklyLoss, maxBet, ... }, each a positive number or null
+   * @returns {Promise<object>} Limits summary with what applied now and what is pending
+   */
+  async setLimits(userId, changes) {
+    this.validateLimitChanges(changes);
+
+    const row = await this.getLimitsRow(userId);
+    const { limits, pending } = this.resolveLimits(row);
+    const effectiveAt = new Date(Date.now() + LIMIT_INCREASE_DELAY_HOURS * 60 * 60 * 1000).toISOString();
+
+    const newLimits = { ...limits };
+    const newPending = {};
+    pending.forEach(({ limit, value, effectiveAt: at }) => {
+      newPending[limit] = { value, effectiveAt: at };
+    });
+
+    const applied = [];
+    const delayed = [];
+
+    for (const [limit, value] of Object.entries(changes)) {
+      const current = limits[limit];
+
+      if (value !== null && (current === null || value <= current)) {
+        newLimits[limit] = value;
+        delete newPending[limit];
+        applied.push(limit);
+      } else if (value !== current) {
+        newPending[limit] = { value, effectiveAt };
+        delayed.push(limit);
+      }
+    }
+
+    const columns = {};
+    for (const [limit, column] of Object.entries(LIMIT_COLUMNS)) {
+      columns[column] = newLimits[limit];
+    }
+
+    const updated = await this.saveLimitsRow(userId, {
+      ...columns,
+      pending_changes: newPending
+    });
+
+    const resolved = this.resolveLimits(updated);
+    const usage = await this.getUsage(userId, Object.keys(LIMIT_PERIODS));
+
+    return {
+      success: true,
+      data: {
+        ...this.formatLimits(updated, resolved.limits, resolved.pending, usage),
+        applied,
+        delayed
+      }
+    };
+  }
+
+  /**
+   * Start a cool-off period: no bets until it ends
+   * Cannot shorten a cool-off already running
+   *
+   * @param {string} userId - User UUID
+   * @param {number} days - Length in days (COOL_OFF_MIN_DAYS - COOL_OFF_MAX_DAYS)
+   * @returns {Promise<object>} { coolOffUntil, ordersCancelled }
+   */
+  async startCoolOff(userId, days) {
+    this.validateDays(days, COOL_OFF_MIN_DAYS, COOL_OFF_MAX_DAYS, 'Cool-off');
+
+    const row = await this.getLimitsRow(userId);
+    const until = this.extendUntil(row && row.cool_off_until, days);
+
+    await this.saveLimitsRow(userId, { cool_off_until: until });
+    const ordersCancelled = await this.cancelOpenOrders(userId);
+
+    return {
+      success: true,
+      data: {
+        coolOffUntil: until,
+        ordersCancelled
+      }
+    };
+  }
+
+  /**
+   * Self-exclude: no bets until the period ends
+   * Cannot be shortened or revoked once set
+   *
+   * @param {string} userId - User UUID
+   * @param {number} days - Length in days (SELF_EXCLUSION_MIN_DAYS - SELF_EXCLUSION_MAX_DAYS)
+   * @returns {Promise<object>} { selfExcludedUntil, ordersCancelled }
+   */
+  async selfExclude(userId, days) {
+    this.validateDays(days, SELF_EXCLUSION_MIN_DAYS, SELF_EXCLUSION_MAX_DAYS, 'Self-exclusion');
+
+    const row = await this.getLimitsRow(userId);
+    const until = this.extendUntil(row && row.self_excluded_until, days);
+
+    await this.saveLimitsRow(userId, { self_excluded_until: until });
+    const ordersCancelled = await this.cancelOpenOrders(userId);
+
+    return {
+      success: true,
+      data: {
+        selfExcludedUntil: until,
+        ordersCancelled
+      }
+    };
+  }
+
+  /**
+   * Load what validateBet() needs to check a user's stakes
+   * Activity is only read for the windows the user has limits on
+   *
+   * @param {string} userId - User UUID
+   * @returns {Promise<object|null>} Betting state, or null if the user has set nothing
+   */
+  async getBettingState(userId) {
+    const row = await this.getLimitsRow(userId);
+
+    if (!row) {
+      return null;
+    }
+
+    const { limits } = this.resolveLimits(row);
+    const periods = Object.keys(LIMIT_PERIODS).filter(period =>
+      limits[`${period}Stake`] !== null || limits[`${period}Loss`] !== null
+    );
+
+    return {
+      limits,
+      coolOffUntil: row.cool_off_until,
+      selfExcludedUntil: row.self_excluded_until,
+      usage: await this.getUsage(userId, periods)
+    };
+  }
+
+  /**
+   * Reject a stake the user's own limits do not allow
+   *
+   * @param {object|null} state - From getBettingState()
+   * @param {number} stake - Gross stake of the bet
+   */
+  validateBet(state, stake) {
+    if (!state) {
+      return;
+    }
+
+    const now = Date.now();
+
+    if (state.selfExcludedUntil && new Date(state.selfExcludedUntil).getTime() > now) {
+      const err = new Error(`You are self-excluded until ${state.selfExcludedUntil}`);
+      err.code = ERROR_CODES.SELF_EXCLUDED;
+      throw err;
+    }
+
+    if (state.coolOffUntil && new Date(state.coolOffUntil).getTime() > now) {
+      const err = new Error(`You are in a cool-off period until ${state.coolOffUntil}`);
+      err.code = ERROR_CODES.COOL_OFF_ACTIVE;
+      throw err;
+    }
+
+    const { limits, usage } = state;
+
+    if (limits.maxBet !== null && stake > limits.maxBet) {
+      const err = new Error(`Stake exceeds your maximum bet of ${limits.maxBet.toFixed(2)}`);
+      err.code = ERROR_CODES.BET_SIZE_LIMIT_EXCEEDED;
+      throw err;
+    }
+
+    for (const [period, { stake: staked, loss }] of Object.entries(usage)) {
+      const stakeLimit = limits[`${period}Stake`];
+      const lossLimit = limits[`${period}Loss`];
+
+      if (stakeLimit !== null && staked + stake > stakeLimit) {
+        const err = new Error(
+          `Stake exceeds your ${period} stake limit of ${stakeLimit.toFixed(2)} ` +
+          `(${Math.max(stakeLimit - staked, 0).toFixed(2)} remaining)`
+        );
+        err.code = ERROR_CODES.STAKE_LIMIT_EXCEEDED;
+        throw err;
+      }
+
+      if (lossLimit !== null && loss + stake > lossLimit) {
+        const err = new Error(
+          `Stake could exceed your ${period} loss limit of ${lossLimit.toFixed(2)} ` +
+          `(${Math.max(lossLimit - loss, 0).toFixed(2)} remaining)`
+        );
+        err.code = ERROR_CODES.LOSS_LIMIT_EXCEEDED;
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * A user's stakes and losses over rolling windows
+   * @private
+   * @returns {Promise<object>} { daily: { stake, loss }, ... } for the periods asked for
+   */
+  async getUsage(userId, periods) {
+    if (periods.length === 0) {
+      return {};
+    }
+
+    const now = Date.now();
+    const longest = Math.max(...periods.map(period => LIMIT_PERIODS[period]));
+    const since = new Date(now - longest * DAY_MS).toISOString();
+
+    const [bets, parlays, orders, returns] = await Promise.all([
+      this.selectSince('bets', 'amount, created_at', since, query =>
+        query.eq('user_id', userId).eq('side', BET_SIDES.BUY)),
+      this.selectSince('parlays', 'stake, created_at', since, query =>
+        query.eq('user_id', userId)),
+      this.selectSince('orders', 'amount, filled_amount, created_at', since, query =>
+        query.eq('user_id', userId).in('status', [ORDER_STATUS.OPEN, ORDER_STATUS.PARTIALLY_FILLED])),
+      this.selectSince('transactions', 'amount, created_at', since, query =>
+        query.eq('user_id', userId).in('type', RETURN_TYPES))
+    ]);
+
+    const stakes = [
+      ...bets.map(bet => [bet.created_at, parseFloat(bet.amount)]),
+      ...parlays.map(parlay => [parlay.created_at, parseFloat(parlay.stake)]),
+      ...orders.map(order => [
+        order.created_at,
+        parseFloat(order.amount) - parseFloat(order.filled_amount || 0)
+      ])
+    ];
+    const returned = returns.map(tx => [tx.created_at, parseFloat(tx.amount)]);
+
+    const sumSince = (entries, cutoff) => entries
+      .filter(([createdAt]) => new Date(createdAt).getTime() >= cutoff)
+      .reduce((sum, [, amount]) => sum + amount, 0);
+
+    const usage = {};
+    for (const period of periods) {
+      const cutoff = now - LIMIT_PERIODS[period] * DAY_MS;
+      const stake = sumSince(stakes, cutoff);
+
+      usage[period] = {
+        stake,
+        loss: stake - sumSince(returned, cutoff)
+      };
+    }
+
+    return usage;
+  }
+
+  /**
+   * Rows of a user table created since a time
+   * @private
+   */
+  async selectSince(table, columns, since, filter) {
+    const { data, error } = await filter(
+      supabase.from(table).select(columns)
+    ).gte('created_at', since);
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Limits in force now: stored limits with any pending change that is due
+   * @private
+   * @returns {object} { limits: { dailyStake, ... }, pending: [{ limit, value, effectiveAt }] }
+   */
+  resolveLimits(row) {
+    const limits = {};
+    for (const [limit, column] of Object.entries(LIMIT_COLUMNS)) {
+      const value = row ? row[column] : null;
+      limits[limit] = value !== null && value !== undefined ? parseFloat(value) : null;
+    }
+
+    const pending = [];
+    const now = Date.now();
+
+    for (const [limit, change] of Object.entries((row && row.pending_changes) || {})) {
+      if (new Date(change.effectiveAt).getTime() <= now) {
+        limits[limit] = change.value;
+      } else {
+        pending.push({ limit, value: change.value, effectiveAt: change.effectiveAt });
+      }
+    }
+
+    return { limits, pending };
+  }
+
+  /**
+   * @private
+   */
+  formatLimits(row, limits, pending, usage) {
+    const now = Date.now();
+    const activeUntil = (until) => until && new Date(until).getTime() > now ? until : null;
+
+    return {
+      limits,
+      pending,
+      coolOffUntil: activeUntil(row && row.cool_off_until),
+      selfExcludedUntil: activeUntil(row && row.self_excluded_until),
+      usage
+    };
+  }
+
+  /**
+   * @private
+   */
+  async getLimitsRow(userId) {
+    const { data, error } = await supabase
+      .from('user_limits')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * @private
+   */
+  async saveLimitsRow(userId, fields) {
+    const { data, error } = await supabase
+      .from('user_limits')
+      .upsert({
+        user_id: userId,
+        ...fields,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * End of a period starting now, never earlier than one already running
+   * @private
+   */
+  extendUntil(currentUntil, days) {
+    const until = new Date(Date.now() + days * DAY_MS);
+
+    if (currentUntil && new Date(currentUntil) > until) {
+      return new Date(currentUntil).toISOString();
+    }
+
+    return until.toISOString();
+  }
+
+  /**
+   * Release the stake of every resting limit order, so none fill while
+   * the user is excluded
+   * @private
+   * @returns {Promise<number>} Orders cancelled
+   */
+  async cancelOpenOrders(userId) {
+    // Required here: the order service depends on the betting service, which depends on this one
+    const orderService = require('./order.service');
+    const summary = await orderService.cancelUserOrders(userId);
+
+    return summary.ordersCancelled;
+  }
+
+  /**
+   * @private
+   */
+  validateLimitChanges(changes) {
+    const entries = changes && typeof changes === 'object' && !Array.isArray(changes)
+      ? Object.entries(changes)
+      : [];
+
+    if (entries.length === 0) {
+      const err = new Error(`Send at least one of: ${Object.keys(LIMIT_COLUMNS).join(', ')}`);
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    for (const [limit, value] of entries) {
+      if (!LIMIT_COLUMNS[limit]) {
+        const err = new Error(`Unknown limit: ${limit}`);
+        err.code = ERROR_CODES.VALIDATION_ERROR;
+        throw err;
+      }
+
+      if (value !== null && !(typeof value === 'number' && Number.isFinite(value) && value > 0)) {
+        const err = new Error(`${limit} must be a positive number, or null to remove it`);
+        err.code = ERROR_CODES.VALIDATION_ERROR;
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  validateDays(days, min, max, label) {
+    if (!Number.isInteger(days) || days < min || days > max) {
+      const err = new Error(`${label} must be a whole number of days between ${min} and ${max}`);
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ResponsibleGamblingService();
@@ -0,0 +1,227 @@
+/**
+ * Risk Limit Service
+ *
+ * House risk limits per market. Handles:
+ * - Resolving a market's limits (per-market columns, else the defaults)
+ * - Net liability: what the house loses on an outcome's fixed-odds bets if it wins
+ * - The largest fixed-odds stake that keeps liability within a limit
+ * - Suspending a market once its liability reaches the hard limit, and
+ *   resuming it
+ * - Parlay exposure: what open parlays pay out if an outcome wins
+ *
+ * Two limits guard every market:
+ * - Pool utilization: one bet may draw at most max_pool_utilization of the
+ *   outcome's pool (share bets, fixed-odds bets and limit order fills alike)
+ * - Liability: fixed-odds bets are held by the house, so the payouts
+ *   promised on an outcome less the fixed-odds stakes taken may not exceed
+ *   max_liability. Quotes cap stakes at the soft limit
+ *   (SOFT_LIABILITY_RATIO of it); a bet past the hard limit is refused, and
+ *   a market whose committed liability reaches it is suspended until an
+ *   admin resumes it.
+ *
+ * Parlays are held by the house too: the potential payouts of open parlays
+ * with an open leg on an outcome may not exceed MAX_PARLAY_LIABILITY.
+ *
+ * See sql/16-risk-limits.sql and sql/20-parlay-liability.sql.
+ */
+
+const { supabase } = require('../config/database');
+const webhookService = require('./webhook.service');
+const {
+  ERROR_CODES,
+  MARKET_STATUS,
+  WEBHOOK_EVENTS,
+  MAX_POOL_UTILIZATION,
+  MAX_OUTCOME_LIABILITY,
+  MAX_PARLAY_LIABILITY,
+  SOFT_LIABILITY_RATIO
+} = require('../config/constants');
+
+class RiskLimitService {
+  /**
+   * Resolve the risk limits that apply to a market
+   *
+   * @param {object} market - Market row
+   * @returns {object} { maxLiability, softLiability, maxPoolUtilization, maxParlayLiability }
+   */
+  resolveLimits(market) {
+    const maxLiability = market.max_liability !== null && market.max_liability !== undefined
+      ? parseFloat(market.max_liability)
+      : MAX_OUTCOME_LIABILITY;
+
+    const maxPoolUtilization =
+      market.max_pool_utilization !== null && market.max_pool_utilization !== undefined
+        ? parseFloat(market.max_pool_utilization)
+        : MAX_POOL_UTILIZATION;
+
+    return {
+      maxLiability,
+      softLiability: maxLiability * SOFT_LIABILITY_RATIO,
+      maxPoolUtilization,
+      maxParlayLiability: MAX_PARLAY_LIABILITY
+    };
+  }
+
+  /**
+   * Exposure to open parlays on some markets: for each outcome, the open
+   * parlays with an open leg on it, their stakes and potential payouts
+   *
+   * @param {Array<string>} marketIds - Market UUIDs
+   * @returns {Promise<object>} { [marketId]: { [outcome]: { parlays, stake, payout } } }
+   */
+  async getParlayExposure(marketIds) {
+    const { data, error } = await supabase.rpc('get_parlay_exposure', {
+      p_market_ids: marketIds
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return Object.fromEntries(Object.entries(data || {}).map(([marketId, outcomes]) => [
+      marketId,
+      Object.fromEntries(Object.entries(outcomes).map(([outcome, entry]) => [outcome, {
+        parlays: entry.parlays,
+        stake: parseFloat(entry.stake),
+        payout: parseFloat(entry.payout)
+      }]))
+    ]));
+  }
+
+  /**
+   * Net liability on an outcome: payouts promised on it less every
+   * fixed-odds stake taken on the market (negative when the house profits)
+   *
+   * @param {object} liability - Per-outcome { stake, payout } (BettingService.getFixedOddsLiability)
+   * @param {string} outcome - Outcome key
+   * @returns {number} Net liability
+   */
+  getNetLiability(liability, outcome) {
+    const totalStake = Object.values(liability).reduce((sum, entry) => sum + entry.stake, 0);
+
+    return liability[outcome].payout - totalStake;
+  }
+
+  /**
+   * Largest net stake at the given odds that keeps an outcome's liability
+   * within a limit. Each unit staked adds (odds - 1) to the liability.
+   *
+   * @param {object} liability - Per-outcome { stake, payout }
+   * @param {string} outcome - Outcome key
+   * @param {number} odds - Decimal odds the stake would be taken at
+   * @param {number} limit - Liability limit
+   * @returns {number} Net stake (0 if the limit is already reached)
+   */
+  getMaxFixedOddsStake(liability, outcome, odds, limit) {
+    if (odds <= 1) {
+      return Infinity;
+    }
+
+    const headroom = limit - this.getNetLiability(liability, outcome);
+
+    return Math.max(headroom / (odds - 1), 0);
+  }
+
+  /**
+   * Suspend a market so it stops taking bets
+   * Bumps the market version so in-flight trades conflict and are rejected
+   *
+   * @param {object} market - Market snapshot
+   * @param {string} reason - Why the market was suspended
+   * @returns {Promise<boolean>} True if this call suspended it
+   */
+  async suspendMarket(market, reason) {
+    const version = market.version || 0;
+
+    const { data: updated, error } = await supabase
+      .from('markets')
+      .update({
+        status: MARKET_STATUS.SUSPENDED,
+        suspended_at: new Date().toISOString(),
+        suspension_reason: reason,
+        version: version + 1
+      })
+      .eq('id', market.id)
+      .eq('status', MARKET_STATUS.ACTIVE)
+      .eq('version', version)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    if (updated.length > 0) {
+      console.warn(`Market ${market.id} suspended: ${reason}`);
+      webhookService.emit(WEBHOOK_EVENTS.MARKET_SUSPENDED, market.id, {
+        marketId: market.id,
+        status: MARKET_STATUS.SUSPENDED,
+        reason,
+        suspendedAt: updated[0].suspended_at
+      });
+    }
+
+    return updated.length > 0;
+  }
+
+  /**
+   * Resume a suspended market
+   *
+   * @param {string} marketId - Market UUID
+   * @returns {Promise<object>} Resumed market summary
+   */
+  async resumeMarket(marketId) {
+    // Required here: the betting service depends on this one
+    const bettingService = require('./betting.service');
+    const market = await bettingService.getMarket(marketId);
+
+    if (market.status !== MARKET_STATUS.SUSPENDED) {
+      const err = new Error('Market is not suspended');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    const version = market.version || 0;
+    const previousReason = market.suspension_reason || null;
+
+    const { data: updated, error } = await supabase
+      .from('markets')
+      .update({
+        status: MARKET_STATUS.ACTIVE,
+        suspended_at: null,
+        suspension_reason: null,
+        version: version + 1
+      })
+      .eq('id', marketId)
+      .eq('version', version)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!updated || updated.length === 0) {
+      const err = new Error('Market changed during update, please retry');
+      err.code = ERROR_CODES.MARKET_CONFLICT;
+      throw err;
+    }
+
+    webhookService.emit(WEBHOOK_EVENTS.MARKET_RESUMED, marketId, {
+      marketId,
+      status: MARKET_STATUS.ACTIVE,
+      previousReason
+    });
+
+    return {
+      success: true,
+      data: {
+        marketId,
+        status: MARKET_STATUS.ACTIVE,
+        previousReason,
+        limits: this.resolveLimits(updated[0])
+      }
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new RiskLimitService();
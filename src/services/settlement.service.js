@@ -0,0 +1,467 @@
+/**
+ * Settlement Service
+ *
+ * Settles markets once their outcome is known, or voids them.
+ * Handles:
+ * - Closing markets to trading ahead of resolution
+ * - Recording the winning outcome (stops trading)
+ * - Paying winning positions $1 per share
+ * - Paying winning fixed-odds bets their promised payout
+ * - Marking bets settled
+ * - Cancelling markets and refunding stakes
+ * - Releasing the reserved stake of limit orders still open
+ * - Settling parlay legs on the market (won/lost, or void on cancel)
+ *
+ * Each position, fixed-odds bet (or each user's refund) is settled atomically by a database
+ * function and skipped once done, so a resolution or cancellation that fails
+ * part way can simply be re-run.
+ */
+
+const { supabase } = require('../config/database');
+const bettingService = require('./betting.service');
+const orderService = require('./order.service');
+const parlayService = require('./parlay.service');
+const webhookService = require('./webhook.service');
+const {
+  ERROR_CODES,
+  MARKET_STATUS,
+  BET_STATUS,
+  BET_TYPES,
+  TRANSACTION_TYPES,
+  WEBHOOK_EVENTS
+} = require('../config/constants');
+
+class SettlementService {
+  /**
+   * Close a market to trading until it is resolved or cancelled
+   * Resting limit orders keep their reservation until then.
+   * Closing a closed market again changes nothing.
+   *
+   * @param {string} marketId - Market UUID
+   * @returns {Promise<object>} Closed market summary
+   */
+  async closeMarket(marketId) {
+    const market = await bettingService.getMarket(marketId);
+
+    if (market.status === MARKET_STATUS.CLOSED) {
+      return {
+        success: true,
+        data: { marketId, status: MARKET_STATUS.CLOSED, previousStatus: MARKET_STATUS.CLOSED }
+      };
+    }
+
+    if ([MARKET_STATUS.RESOLVED, MARKET_STATUS.CANCELLED].includes(market.status)) {
+      const err = new Error(`Market is already ${market.status}`);
+      err.code = ERROR_CODES.MARKET_NOT_ACTIVE;
+      throw err;
+    }
+
+    const previousStatus = market.status;
+
+    await this.updateMarketStatus(market, { status: MARKET_STATUS.CLOSED });
+
+    webhookService.emit(WEBHOOK_EVENTS.MARKET_CLOSED, marketId, {
+      marketId,
+      status: MARKET_STATUS.CLOSED,
+      previousStatus,
+      closedAt: new Date().toISOString()
+    });
+
+    return {
+      success: true,
+      data: { marketId, status: MARKET_STATUS.CLOSED, previousStatus }
+    };
+  }
+
+  /**
+   * Resolve a market and pay out winning positions
+   * Safe to re-run with the same outcome after a partial failure
+   *
+   * @param {object} params
+   * @param {string} params.marketId - Market UUID
+   * @param {string} params.outcome - Winning outcome ('yes'/'no', or an outcome key for categorical markets)
+   * @param {string} params.resolvedBy - Admin user UUID
+   * @returns {Promise<object>} Settlement summary
+   */
+  async resolveMarket({ marketId, outcome, resolvedBy }) {
+    // 1. Record the outcome (stops trading) unless already recorded
+    const market = await this.markResolved(marketId, outcome, resolvedBy);
+
+    // 2. Release limit orders that never filled
+    const orders = await orderService.cancelMarketOrders(marketId);
+
+    // 3. Settle every position not yet settled
+    const { data: positions, error } = await supabase
+      .from('positions')
+      .select('*')
+      .eq('market_id', marketId)
+      .is('settled_at', null);
+
+    if (error) {
+      throw error;
+    }
+
+    const summary = {
+      positionsSettled: 0,
+      winningPositions: 0,
+      totalPaidOut: 0,
+      failures: []
+    };
+
+    for (const position of positions) {
+      const payout = position.outcome === outcome ? parseFloat(position.shares) : 0;
+
+      try {
+        const result = await this.settlePosition(position.id, payout, TRANSACTION_TYPES.PAYOUT);
+
+        if (result.settled) {
+          summary.positionsSettled += 1;
+          if (payout > 0) {
+            summary.winningPositions += 1;
+            summary.totalPaidOut += payout;
+          }
+        }
+      } catch (settleError) {
+        console.error(`Failed to settle position ${position.id}:`, settleError);
+        summary.failures.push({ positionId: position.id, message: settleError.message });
+      }
+    }
+
+    // 4. Pay fixed-odds bets their promised payout
+    const fixedOdds = await this.settleFixedOddsBets(marketId, outcome);
+
+    // 5. Mark bets settled once every position and fixed-odds bet is paid
+    if (summary.failures.length === 0 && fixedOdds.failures.length === 0) {
+      const { error: betsError } = await supabase
+        .from('bets')
+        .update({ status: BET_STATUS.SETTLED })
+        .eq('market_id', marketId)
+        .eq('status', BET_STATUS.MATCHED);
+
+      if (betsError) {
+        throw betsError;
+      }
+    }
+
+    // 6. Settle parlay legs on this market
+    const parlays = await parlayService.settleMarketLegs(marketId, outcome);
+
+    return {
+      success: true,
+      data: {
+        marketId,
+        outcome,
+        resolvedAt: market.resolved_at,
+        complete: summary.failures.length === 0 &&
+          fixedOdds.failures.length === 0 &&
+          orders.failures.length === 0 &&
+          parlays.failures.length === 0,
+        ...summary,
+        fixedOdds,
+        orders,
+        parlays
+      }
+    };
+  }
+
+  /**
+   * Cancel (void) a market and refund every bettor
+   * Safe to re-run after a partial failure
+   *
+   * @param {object} params
+   * @param {string} params.marketId - Market UUID
+   * @param {string} params.cancelledBy - Admin user UUID
+   * @param {string} [params.reason] - Why the market was voided
+   * @param {boolean} [params.includeFees=false] - Also refund the house fee on buys
+   * @returns {Promise<object>} Refund summary
+   */
+  async cancelMarket({ marketId, cancelledBy, reason = null, includeFees = false }) {
+    // 1. Mark the market cancelled (stops trading) unless already cancelled
+    const market = await this.markCancelled(marketId, cancelledBy, reason);
+
+    // 2. Release limit orders that never filled
+    const orders = await orderService.cancelMarketOrders(marketId);
+
+    // 3. Find every user with open bets
+    const { data: bets, error } = await supabase
+      .from('bets')
+      .select('user_id')
+      .eq('market_id', marketId)
+      .in('status', [BET_STATUS.PENDING, BET_STATUS.MATCHED]);
+
+    if (error) {
+      throw error;
+    }
+
+    const userIds = [...new Set(bets.map(bet => bet.user_id))];
+
+    // 4. Refund each user
+    const summary = {
+      usersRefunded: 0,
+      betsCancelled: 0,
+      totalRefunded: 0,
+      feesRefunded: 0,
+      refunds: [],
+      failures: []
+    };
+
+    for (const userId of userIds) {
+      try {
+        const result = await this.refundUser(marketId, userId, includeFees);
+
+        if (result.refunded) {
+          const refund = parseFloat(result.refund);
+
+          summary.usersRefunded += 1;
+          summary.betsCancelled += result.bets_cancelled;
+          summary.totalRefunded += refund;
+          summary.feesRefunded += parseFloat(result.fees_refunded);
+          summary.refunds.push({ userId, amount: refund, betsCancelled: result.bets_cancelled });
+        }
+      } catch (refundError) {
+        console.error(`Failed to refund user ${userId}:`, refundError);
+        summary.failures.push({ userId, message: refundError.message });
+      }
+    }
+
+    // 5. Void parlay legs on this market
+    const parlays = await parlayService.voidMarketLegs(marketId);
+
+    return {
+      success: true,
+      data: {
+        marketId,
+        cancelledAt: market.cancelled_at,
+        reason: market.cancellation_reason,
+        includeFees,
+        complete: summary.failures.length === 0 &&
+          orders.failures.length === 0 &&
+          parlays.failures.length === 0,
+        ...summary,
+        orders,
+        parlays
+      }
+    };
+  }
+
+  /**
+   * Pay every unsettled fixed-odds bet on the market
+   * Winning bets receive their promised payout (potential_return)
+   *
+   * @private
+   */
+  async settleFixedOddsBets(marketId, outcome) {
+    const { data: bets, error } = await supabase
+      .from('bets')
+      .select('id, outcome, potential_return')
+      .eq('market_id', marketId)
+      .eq('bet_type', BET_TYPES.FIXED_ODDS)
+      .eq('status', BET_STATUS.MATCHED);
+
+    if (error) {
+      throw error;
+    }
+
+    const summary = {
+      betsSettled: 0,
+      winningBets: 0,
+      totalPaidOut: 0,
+      failures: []
+    };
+
+    for (const bet of bets) {
+      const payout = bet.outcome === outcome ? parseFloat(bet.potential_return) : 0;
+
+      try {
+        const result = await this.settleFixedOddsBet(bet.id, payout, TRANSACTION_TYPES.PAYOUT);
+
+        if (result.settled) {
+          summary.betsSettled += 1;
+          if (payout > 0) {
+            summary.winningBets += 1;
+            summary.totalPaidOut += payout;
+          }
+        }
+      } catch (settleError) {
+        console.error(`Failed to settle fixed-odds bet ${bet.id}:`, settleError);
+        summary.failures.push({ betId: bet.id, message: settleError.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Record the winning outcome on the market
+   *
+   * @private
+   */
+  async markResolved(marketId, outcome, resolvedBy) {
+    const market = await bettingService.getMarket(marketId);
+    bettingService.validateOutcome(market, outcome);
+
+    if (market.status === MARKET_STATUS.RESOLVED) {
+      if (market.resolved_outcome !== outcome) {
+        const err = new Error(
+          `Market already resolved as "${market.resolved_outcome}"`
+        );
+        err.code = ERROR_CODES.MARKET_ALREADY_RESOLVED;
+        throw err;
+      }
+
+      // Re-run: outcome already recorded, continue settling
+      return market;
+    }
+
+    if (market.status === MARKET_STATUS.CANCELLED) {
+      const err = new Error('Cancelled markets cannot be resolved');
+      err.code = ERROR_CODES.MARKET_NOT_ACTIVE;
+      throw err;
+    }
+
+    const resolved = await this.updateMarketStatus(market, {
+      status: MARKET_STATUS.RESOLVED,
+      resolved_outcome: outcome,
+      resolved_at: new Date().toISOString(),
+      resolved_by: resolvedBy
+    });
+
+    webhookService.emit(WEBHOOK_EVENTS.MARKET_RESOLVED, marketId, {
+      marketId,
+      status: MARKET_STATUS.RESOLVED,
+      outcome,
+      resolvedAt: resolved.resolved_at
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Mark the market cancelled
+   *
+   * @private
+   */
+  async markCancelled(marketId, cancelledBy, reason) {
+    const market = await bettingService.getMarket(marketId);
+
+    if (market.status === MARKET_STATUS.CANCELLED) {
+      // Re-run: continue refunding
+      return market;
+    }
+
+    if (market.status === MARKET_STATUS.RESOLVED) {
+      const err = new Error('Resolved markets cannot be cancelled');
+      err.code = ERROR_CODES.MARKET_ALREADY_RESOLVED;
+      throw err;
+    }
+
+    const cancelled = await this.updateMarketStatus(market, {
+      status: MARKET_STATUS.CANCELLED,
+      cancelled_at: new Date().toISOString(),
+      cancelled_by: cancelledBy,
+      cancellation_reason: reason
+    });
+
+    webhookService.emit(WEBHOOK_EVENTS.MARKET_CANCELLED, marketId, {
+      marketId,
+      status: MARKET_STATUS.CANCELLED,
+      reason: reason || null,
+      cancelledAt: cancelled.cancelled_at
+    });
+
+    return cancelled;
+  }
+
+  /**
+   * Apply a status change to the market
+   * Bumps the market version so in-flight trades conflict and are rejected
+   *
+   * @private
+   */
+  async updateMarketStatus(market, changes) {
+    const version = market.version || 0;
+
+    const { data: updated, error } = await supabase
+      .from('markets')
+      .update({ ...changes, version: version + 1 })
+      .eq('id', market.id)
+      .eq('version', version)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!updated || updated.length === 0) {
+      const err = new Error('Market changed during update, please retry');
+      err.code = ERROR_CODES.MARKET_CONFLICT;
+      throw err;
+    }
+
+    return updated[0];
+  }
+
+  /**
+   * Settle one position via the settle_position database function
+   * See sql/07-market-resolution.sql
+   *
+   * @private
+   */
+  async settlePosition(positionId, payout, transactionType) {
+    const { data, error } = await supabase.rpc('settle_position', {
+      p_position_id: positionId,
+      p_payout: payout,
+      p_transaction_type: transactionType
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Settle one fixed-odds bet via the settle_fixed_odds_bet database function
+   * See sql/15-fixed-odds-liability.sql
+   *
+   * @private
+   */
+  async settleFixedOddsBet(betId, payout, transactionType) {
+    const { data, error } = await supabase.rpc('settle_fixed_odds_bet', {
+      p_bet_id: betId,
+      p_payout: payout,
+      p_transaction_type: transactionType
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Refund one user's bets via the refund_user_bets database function
+   * See sql/08-market-cancellation.sql
+   *
+   * @private
+   */
+  async refundUser(marketId, userId, includeFees) {
+    const { data, error } = await supabase.rpc('refund_user_bets', {
+      p_market_id: marketId,
+      p_user_id: userId,
+      p_include_fees: includeFees,
+      p_transaction_type: TRANSACTION_TYPES.REFUND
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+}
+
+// Export singleton instance
+module.exports = new SettlementService();
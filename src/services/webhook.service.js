@@ -0,0 +1,784 @@
+/**
+ * Webhook Service
+ *
+ * Outbound webhooks for market and bet events. Handles:
+ * - Subscriptions: a URL, the events it wants, optional market and
+ *   price-threshold filters, and a signing secret
+ * - Emitting events: one stored delivery per matching subscription
+ * - Delivering HMAC-signed payloads, retried with exponential backoff
+ * - The dead-letter list of deliveries that ran out of attempts, and
+ *   re-queuing them
+ *
+ * Deliveries are stored (see sql/19-webhooks.sql), so pending retries
+ * survive a restart. Each attempt is claimed by bumping the attempt count
+ * before the request is sent, so two instances never send the same attempt,
+ * and the next retry is scheduled up front in case the process dies
+ * mid-request.
+ *
+ * Emitting never fails the action that caused it: events are queued in the
+ * background and errors are only logged.
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../config/database');
+const {
+  ERROR_CODES,
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_SECONDS,
+  WEBHOOK_POLL_SECONDS,
+  WEBHOOK_BATCH_SIZE,
+  WEBHOOK_DEFAULT_PRICE_THRESHOLDS,
+  WEBHOOK_DELIVERY_LOG_LIMIT
+} = require('../config/constants');
+
+// Most price thresholds one subscription may set
+const MAX_PRICE_THRESHOLDS = 20;
+
+// Longest error text kept on a delivery
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Thresholds an outcome's price crossed between two prices
+ * Rising to a threshold counts as crossing it up; falling below it, down
+ */
+function findCrossings(outcome, priceBefore, priceAfter, thresholds) {
+  return thresholds
+    .filter(threshold => (priceBefore < threshold && priceAfter >= threshold) ||
+      (priceBefore >= threshold && priceAfter < threshold))
+    .map(threshold => ({
+      outcome,
+      threshold,
+      direction: priceAfter > priceBefore ? 'up' : 'down',
+      priceBefore,
+      priceAfter
+    }));
+}
+
+class WebhookService {
+  constructor() {
+    this.worker = null;
+  }
+
+  /**
+   * Create a subscription
+   * The signing secret is only returned here
+   *
+   * @param {object} params
+   * @param {string} params.url - Endpoint deliveries are POSTed to (http or https)
+   * @param {string[]} params.events - Events to receive (WEBHOOK_EVENTS)
+   * @param {string[]} [params.marketIds] - Only these markets (default all)
+   * @param {number[]} [params.priceThresholds] - Prices that trigger price.threshold_crossed (default 0.25, 0.5, 0.75)
+   * @param {string} [params.description] - Who the subscription is for
+   * @param {string} params.createdBy - Admin user UUID
+   * @returns {Promise<object>} Subscription including its secret
+   */
+  async createSubscription({ url, events, marketIds, priceThresholds, description, createdBy }) {
+    const columns = this.validateSubscription({ url, events, marketIds, priceThresholds, description });
+
+    if (columns.url === undefined || columns.events === undefined) {
+      const err = new Error('url and events are required');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .insert({
+        ...columns,
+        secret: `whsec_${crypto.randomBytes(32).toString('hex')}`,
+        active: true,
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      data: this.formatSubscription(data, { includeSecret: true })
+    };
+  }
+
+  /**
+   * List every subscription (secrets omitted)
+   *
+   * @returns {Promise<object>} Subscriptions, newest first
+   */
+  async listSubscriptions() {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      data: (data || []).map(row => this.formatSubscription(row))
+    };
+  }
+
+  /**
+   * Get one subscription (secret omitted)
+   *
+   * @param {string} subscriptionId - Subscription UUID
+   * @returns {Promise<object>} Subscription
+   */
+  async getSubscription(subscriptionId) {
+    const subscription = await this.findSubscription(subscriptionId, { required: true });
+
+    return {
+      success: true,
+      data: this.formatSubscription(subscription)
+    };
+  }
+
+  /**
+   * Change some of a subscription's settings
+   * Send `active: false` to pause deliveries; pending ones are dead-lettered
+   * when they come up
+   *
+   * @param {string} subscriptionId - Subscription UUID
+   * @param {object} changes - Any of url, events, marketIds, priceThresholds, description, active
+   * @returns {Promise<object>} Updated subscription
+   */
+  async updateSubscription(subscriptionId, changes) {
+    await this.findSubscription(subscriptionId, { required: true });
+
+    const columns = this.validateSubscription(changes);
+
+    if (changes.active !== undefined) {
+      if (typeof changes.active !== 'boolean') {
+        const err = new Error('active must be true or false');
+        err.code = ERROR_CODES.VALIDATION_ERROR;
+        throw err;
+      }
+      columns.active = changes.active;
+    }
+
+    if (Object.keys(columns).length === 0) {
+      const err = new Error(
+        'Send at least one of url, events, marketIds, priceThresholds, description or active'
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .update({ ...columns, updated_at: new Date().toISOString() })
+      .eq('id', subscriptionId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      data: this.formatSubscription(data)
+    };
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   *
+   * @param {string} subscriptionId - Subscription UUID
+   * @returns {Promise<object>} { subscriptionId, deleted }
+   */
+  async deleteSubscription(subscriptionId) {
+    await this.findSubscription(subscriptionId, { required: true });
+
+    const { error } = await supabase
+      .from('webhook_subscriptions')
+      .delete()
+      .eq('id', subscriptionId);
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      data: { subscriptionId, deleted: true }
+    };
+  }
+
+  /**
+   * A subscription's most recent deliveries
+   *
+   * @param {string} subscriptionId - Subscription UUID
+   * @param {object} [filters]
+   * @param {string} [filters.status] - pending, delivered or dead
+   * @returns {Promise<object>} Deliveries, newest first (up to WEBHOOK_DELIVERY_LOG_LIMIT)
+   */
+  async getDeliveries(subscriptionId, { status } = {}) {
+    await this.findSubscription(subscriptionId, { required: true });
+
+    if (status !== undefined && !Object.values(WEBHOOK_DELIVERY_STATUS).includes(status)) {
+      const err = new Error(
+        `status must be one of: ${Object.values(WEBHOOK_DELIVERY_STATUS).join(', ')}`
+      );
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('subscription_id', subscriptionId);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(WEBHOOK_DELIVERY_LOG_LIMIT);
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      data: (data || []).map(row => this.formatDelivery(row))
+    };
+  }
+
+  /**
+   * Deliveries across every subscription that ran out of attempts
+   *
+   * @returns {Promise<object>} Dead deliveries, newest first (up to WEBHOOK_DELIVERY_LOG_LIMIT)
+   */
+  async getDeadLetters() {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('status', WEBHOOK_DELIVERY_STATUS.DEAD)
+      .order('created_at', { ascending: false })
+      .limit(WEBHOOK_DELIVERY_LOG_LIMIT);
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      data: (data || []).map(row => this.formatDelivery(row))
+    };
+  }
+
+  /**
+   * Re-queue a dead delivery with a fresh set of attempts
+   * The first is made straight away
+   *
+   * @param {string} deliveryId - Delivery UUID
+   * @returns {Promise<object>} The re-queued delivery
+   */
+  async retryDelivery(deliveryId) {
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', deliveryId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!delivery) {
+      const err = new Error('Delivery not found');
+      err.code = ERROR_CODES.WEBHOOK_DELIVERY_NOT_FOUND;
+      throw err;
+    }
+
+    if (delivery.status !== WEBHOOK_DELIVERY_STATUS.DEAD) {
+      const err = new Error('Only dead deliveries can be retried');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    const { data: requeued, error: updateError } = await supabase
+      .from('webhook_deliveries')
+      .update({
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        last_error: null
+      })
+      .eq('id', deliveryId)
+      .eq('status', WEBHOOK_DELIVERY_STATUS.DEAD)
+      .select();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    if (!requeued || requeued.length === 0) {
+      const err = new Error('Delivery is already being retried');
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    }
+
+    this.scheduleDeliveries([requeued[0]]);
+
+    return {
+      success: true,
+      data: this.formatDelivery(requeued[0])
+    };
+  }
+
+  /**
+   * Emit an event to every active subscription that wants it
+   * Runs in the background; failures are logged
+   *
+   * @param {string} type - Event type (WEBHOOK_EVENTS)
+   * @param {string} marketId - Market the event is about
+   * @param {object} data - Event payload
+   */
+  emit(type, marketId, data) {
+    setImmediate(() => {
+      this.queueEvent(type, marketId, () => data).catch((error) => {
+        console.error(`Failed to emit ${type} webhooks for market ${marketId}:`, error);
+      });
+    });
+  }
+
+  /**
+   * Emit price.threshold_crossed to each subscription whose thresholds an
+   * outcome's price crossed
+   * Runs in the background; failures are logged
+   *
+   * @param {string} marketId - Market UUID
+   * @param {object} pricesBefore - Outcome key → price before the trade
+   * @param {object} pricesAfter - Outcome key → price after the trade
+   */
+  emitPriceCrossings(marketId, pricesBefore, pricesAfter) {
+    const type = WEBHOOK_EVENTS.PRICE_THRESHOLD_CROSSED;
+
+    setImmediate(() => {
+      this.queueEvent(type, marketId, (subscription) => {
+        const thresholds = subscription.price_thresholds
+          ? subscription.price_thresholds.map(parseFloat)
+          : WEBHOOK_DEFAULT_PRICE_THRESHOLDS;
+        const crossings = Object.keys(pricesAfter).flatMap(outcome => findCrossings(
+          outcome,
+          pricesBefore[outcome],
+          pricesAfter[outcome],
+          thresholds
+        ));
+
+        return crossings.length > 0 ? { marketId, crossings } : null;
+      }).catch((error) => {
+        console.error(`Failed to emit ${type} webhooks for market ${marketId}:`, error);
+      });
+    });
+  }
+
+  /**
+   * Retry due deliveries every WEBHOOK_POLL_SECONDS
+   * Called once at startup
+   */
+  startDeliveryWorker() {
+    if (this.worker) {
+      return;
+    }
+
+    this.worker = setInterval(() => {
+      this.deliverDue().catch((error) => {
+        console.error('Webhook delivery run failed:', error);
+      });
+    }, WEBHOOK_POLL_SECONDS * 1000);
+
+    // Never keep the process alive just for retries
+    this.worker.unref();
+  }
+
+  /**
+   * Attempt every pending delivery whose retry is due
+   *
+   * @returns {Promise<number>} Deliveries attempted
+   */
+  async deliverDue() {
+    const { data: due, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('status', WEBHOOK_DELIVERY_STATUS.PENDING)
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(WEBHOOK_BATCH_SIZE);
+
+    if (error) {
+      throw error;
+    }
+
+    await this.deliverAll(due || []);
+
+    return (due || []).length;
+  }
+
+  /**
+   * Store one delivery per matching subscription and send them
+   * dataFor(subscription) builds its payload, or returns null to skip it
+   *
+   * @private
+   */
+  async queueEvent(type, marketId, dataFor) {
+    const subscriptions = await this.getActiveSubscriptions(type, marketId);
+    const eventId = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+
+    const rows = subscriptions
+      .map(subscription => ({ subscription, data: dataFor(subscription) }))
+      .filter(({ data }) => data !== null)
+      .map(({ subscription, data }) => ({
+        subscription_id: subscription.id,
+        event_id: eventId,
+        event_type: type,
+        payload: { id: eventId, type, createdAt, data },
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        next_attempt_at: createdAt
+      }));
+
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const { data: deliveries, error } = await supabase
+      .from('webhook_deliveries')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    await this.deliverAll(deliveries);
+
+    return deliveries;
+  }
+
+  /**
+   * Active subscriptions for an event type and market
+   * Filtered by the database: this runs on every trade
+   * @private
+   */
+  async getActiveSubscriptions(type, marketId) {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .select('id, price_thresholds')
+      .eq('active', true)
+      .contains('events', [type])
+      .or(`market_ids.is.null,market_ids.cs.{${marketId}}`);
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Attempt deliveries in the background
+   * @private
+   */
+  scheduleDeliveries(deliveries) {
+    setImmediate(() => {
+      this.deliverAll(deliveries).catch((error) => {
+        console.error('Webhook delivery failed:', error);
+      });
+    });
+  }
+
+  /**
+   * Attempt deliveries one at a time, logging any that error
+   * @private
+   */
+  async deliverAll(deliveries) {
+    for (const delivery of deliveries) {
+      try {
+        await this.attemptDelivery(delivery);
+      } catch (error) {
+        console.error(`Webhook delivery ${delivery.id} failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * Claim and make one delivery attempt, then record how it went
+   * A delivery that fails its last attempt, or whose subscription is
+   * paused or gone, is dead-lettered
+   *
+   * @private
+   * @returns {Promise<object|null>} Updated delivery, or null if another worker claimed it
+   */
+  async attemptDelivery(delivery) {
+    const attempt = delivery.attempts + 1;
+    const now = Date.now();
+
+    const { data: claimed, error } = await supabase
+      .from('webhook_deliveries')
+      .update({
+        attempts: attempt,
+        last_attempt_at: new Date(now).toISOString(),
+        next_attempt_at: new Date(now + this.getRetryDelaySeconds(attempt) * 1000).toISOString()
+      })
+      .eq('id', delivery.id)
+      .eq('status', WEBHOOK_DELIVERY_STATUS.PENDING)
+      .eq('attempts', delivery.attempts)
+      .select();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!claimed || claimed.length === 0) {
+      return null;
+    }
+
+    const subscription = await this.findSubscription(delivery.subscription_id);
+    const result = subscription && subscription.active
+      ? await this.send(subscription, delivery)
+      : { ok: false, status: null, error: 'Subscription is paused or deleted', final: true };
+
+    let status = WEBHOOK_DELIVERY_STATUS.PENDING;
+    if (result.ok) {
+      status = WEBHOOK_DELIVERY_STATUS.DELIVERED;
+    } else if (result.final || attempt >= WEBHOOK_MAX_ATTEMPTS) {
+      status = WEBHOOK_DELIVERY_STATUS.DEAD;
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('webhook_deliveries')
+      .update({
+        status,
+        response_status: result.status,
+        last_error: result.error ? result.error.slice(0, MAX_ERROR_LENGTH) : null,
+        ...(result.ok && { delivered_at: new Date().toISOString() })
+      })
+      .eq('id', delivery.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    if (status === WEBHOOK_DELIVERY_STATUS.DEAD) {
+      console.warn(`Webhook delivery ${delivery.id} dead-lettered: ${result.error}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * POST a delivery's payload to its subscriber
+   * Any 2xx response counts as delivered
+   *
+   * @private
+   * @returns {Promise<object>} { ok, status, error }
+   */
+  async send(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'GoatMouth-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Signature': `t=${timestamp},v1=${this.sign(subscription.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+
+      // The response body is not used; release the connection
+      if (response.body) {
+        response.body.cancel().catch(() => {});
+      }
+
+      return {
+        ok: response.ok,
+        status: response.status,
+        error: response.ok ? null : `Subscriber responded ${response.status}`
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        status: null,
+        error: error.name === 'TimeoutError'
+          ? `No response within ${WEBHOOK_TIMEOUT_MS}ms`
+          : error.message
+      };
+    }
+  }
+
+  /**
+   * Sign a payload: hex HMAC-SHA256 of "<timestamp>.<body>" with the
+   * subscription's secret
+   * @private
+   */
+  sign(secret, timestamp, body) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * Seconds to wait before the attempt after this one
+   * @private
+   */
+  getRetryDelaySeconds(attempt) {
+    return WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempt - 1);
+  }
+
+  /**
+   * Get a subscription row by ID
+   * @private
+   * @returns {Promise<object|null>} Row, or null (WEBHOOK_NOT_FOUND if required)
+   */
+  async findSubscription(subscriptionId, { required = false } = {}) {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('id', subscriptionId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data && required) {
+      const err = new Error('Webhook subscription not found');
+      err.code = ERROR_CODES.WEBHOOK_NOT_FOUND;
+      throw err;
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Validate the subscription fields present and map them to columns
+   * @private
+   */
+  validateSubscription({ url, events, marketIds, priceThresholds, description }) {
+    const fail = (message) => {
+      const err = new Error(message);
+      err.code = ERROR_CODES.VALIDATION_ERROR;
+      throw err;
+    };
+    const columns = {};
+
+    if (url !== undefined) {
+      let parsed = null;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        parsed = null;
+      }
+
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        fail('url must be an http or https URL');
+      }
+      columns.url = parsed.toString();
+    }
+
+    if (events !== undefined) {
+      const known = Object.values(WEBHOOK_EVENTS);
+
+      if (!Array.isArray(events) || events.length === 0 || events.some(event => !known.includes(event))) {
+        fail(`events must be a list drawn from: ${known.join(', ')}`);
+      }
+      columns.events = [...new Set(events)];
+    }
+
+    if (marketIds !== undefined) {
+      if (marketIds !== null &&
+        (!Array.isArray(marketIds) || marketIds.some(id => typeof id !== 'string' || !id))) {
+        fail('marketIds must be a list of market IDs, or null for every market');
+      }
+      columns.market_ids = marketIds && marketIds.length > 0 ? [...new Set(marketIds)] : null;
+    }
+
+    if (priceThresholds !== undefined) {
+      if (priceThresholds !== null &&
+        (!Array.isArray(priceThresholds) ||
+          priceThresholds.length > MAX_PRICE_THRESHOLDS ||
+          priceThresholds.some(price => typeof price !== 'number' || !(price > 0 && price < 1)))) {
+        fail(`priceThresholds must be up to ${MAX_PRICE_THRESHOLDS} prices between 0 and 1, or null for the defaults`);
+      }
+      columns.price_thresholds = priceThresholds && priceThresholds.length > 0
+        ? [...new Set(priceThresholds)].sort((a, b) => a - b)
+        : null;
+    }
+
+    if (description !== undefined) {
+      if (description !== null && typeof description !== 'string') {
+        fail('description must be text');
+      }
+      columns.description = description;
+    }
+
+    return columns;
+  }
+
+  /**
+   * Shape a subscription row for the API
+   * @private
+   */
+  formatSubscription(row, { includeSecret = false } = {}) {
+    return {
+      id: row.id,
+      url: row.url,
+      events: row.events,
+      marketIds: row.market_ids || null,
+      priceThresholds: row.price_thresholds ? row.price_thresholds.map(parseFloat) : null,
+      description: row.description || null,
+      active: row.active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at || null,
+      ...(includeSecret && { secret: row.secret })
+    };
+  }
+
+  /**
+   * Shape a delivery row for the API
+   * @private
+   */
+  formatDelivery(row) {
+    return {
+      id: row.id,
+      subscriptionId: row.subscription_id,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.status === WEBHOOK_DELIVERY_STATUS.PENDING ? row.next_attempt_at : null,
+      lastAttemptAt: row.last_attempt_at || null,
+      responseStatus: row.response_status || null,
+      lastError: row.last_error || null,
+      deliveredAt: row.delivered_at || null,
+      createdAt: row.created_at,
+      payload: row.payload
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookService();
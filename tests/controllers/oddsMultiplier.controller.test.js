@@ -0,0 +1,69 @@
+/**
+ * OddsMultiplierController tests
+ *
+ * Request parsing and error mapping for odds bets
+ */
+
+jest.mock('../../src/config/database', () => ({ supabase: {} }));
+
+const express = require('express');
+const request = require('supertest');
+const bettingService = require('../../src/services/betting.service');
+const oddsMultiplierController = require('../../src/controllers/oddsMultiplier.controller');
+const { ERROR_CODES } = require('../../src/config/constants');
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.post('/markets/:id/bet-odds', (req, res, next) => {
+    req.user = { id: 'u1' };
+    next();
+  }, oddsMultiplierController.placeBetWithOdds);
+  return app;
+}
+
+describe('OddsMultiplierController.placeBetWithOdds', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(['abc', -1, 'NaN'])('rejects minOdds %p with VALIDATION_ERROR', async (minOdds) => {
+    const res = await request(buildApp())
+      .post('/markets/m1/bet-odds')
+      .send({ outcome: 'yes', amount: 10, minOdds });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe(ERROR_CODES.VALIDATION_ERROR);
+    expect(res.body.error.message).toMatch('minOdds');
+  });
+
+  it.each([null, '', undefined])('treats minOdds %p as not sent', async (minOdds) => {
+    const placeBetWithOdds = jest.spyOn(bettingService, 'placeBetWithOdds')
+      .mockResolvedValue({ success: true, data: {} });
+
+    const res = await request(buildApp())
+      .post('/markets/m1/bet-odds')
+      .send({ outcome: 'yes', amount: 10, minOdds });
+
+    expect(res.status).toBe(200);
+    expect(placeBetWithOdds).toHaveBeenCalledWith(expect.objectContaining({ minOdds: undefined }));
+  });
+
+  it('passes a numeric minOdds through', async () => {
+    const placeBetWithOdds = jest.spyOn(bettingService, 'placeBetWithOdds')
+      .mockResolvedValue({ success: true, data: {} });
+
+    await request(buildApp())
+      .post('/markets/m1/bet-odds')
+      .send({ outcome: 'yes', amount: 10, minOdds: '1.85' });
+
+    expect(placeBetWithOdds).toHaveBeenCalledWith(expect.objectContaining({ minOdds: 1.85, betAmount: 10 }));
+  });
+
+  it('requires an outcome and amount without a quote', async () => {
+    const res = await request(buildApp()).post('/markets/m1/bet-odds').send({ outcome: 'yes' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe(ERROR_CODES.VALIDATION_ERROR);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * ParlayController tests
+ *
+ * Request parsing and error mapping for parlays
+ */
+
+jest.mock('../../src/config/database', () => ({ supabase: {} }));
+
+const express = require('express');
+const request = require('supertest');
+const parlayService = require('../../src/services/parlay.service');
+const parlayController = require('../../src/controllers/parlay.controller');
+const { ERROR_CODES } = require('../../src/config/constants');
+
+const legs = [
+  { marketId: 'm1', outcome: 'yes' },
+  { marketId: 'm2', outcome: 'no' }
+];
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.post('/parlays', (req, res, next) => {
+    req.user = { id: 'u1' };
+    next();
+  }, parlayController.placeParlay);
+  return app;
+}
+
+describe('ParlayController.placeParlay', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(['abc', -1])('rejects minCombinedOdds %p with VALIDATION_ERROR', async (minCombinedOdds) => {
+    const res = await request(buildApp())
+      .post('/parlays')
+      .send({ legs, stake: 10, minCombinedOdds });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe(ERROR_CODES.VALIDATION_ERROR);
+    expect(res.body.error.message).toMatch('minCombinedOdds');
+  });
+
+  it.each([null, ''])('treats minCombinedOdds %p as not sent', async (minCombinedOdds) => {
+    const placeParlay = jest.spyOn(parlayService, 'placeParlay')
+      .mockResolvedValue({ success: true, data: {} });
+
+    const res = await request(buildApp())
+      .post('/parlays')
+      .send({ legs, stake: 10, minCombinedOdds });
+
+    expect(res.status).toBe(200);
+    expect(placeParlay).toHaveBeenCalledWith(expect.objectContaining({ minCombinedOdds: undefined }));
+  });
+
+  it('maps RISK_LIMIT_EXCEEDED to 400', async () => {
+    const err = new Error('Parlay refused');
+    err.code = ERROR_CODES.RISK_LIMIT_EXCEEDED;
+    jest.spyOn(parlayService, 'placeParlay').mockRejectedValue(err);
+
+    const res = await request(buildApp()).post('/parlays').send({ legs, stake: 10 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe(ERROR_CODES.RISK_LIMIT_EXCEEDED);
+  });
+});
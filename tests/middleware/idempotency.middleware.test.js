@@ -0,0 +1,247 @@
+/**
+ * Idempotency middleware tests
+ *
+ * Replay, key reuse, release of retryable responses and server errors, against an
+ * in-memory idempotency_keys table
+ */
+
+const mockRows = new Map();
+
+/**
+ * Minimal stand-in for the supabase query builder on idempotency_keys
+ */
+function mockFrom() {
+  const filters = {};
+  let operation = null;
+  let values = null;
+
+  const matching = () => mockRows.get(`${filters.scope}:${filters.key}`);
+
+  const builder = {
+    insert(record) {
+      const id = `${record.scope}:${record.key}`;
+      if (mockRows.has(id)) {
+        return Promise.resolve({ error: { code: '23505' } });
+      }
+      mockRows.set(id, { status_code: null, response: null, created_at: new Date().toISOString(), ...record });
+      return Promise.resolve({ error: null });
+    },
+    select() {
+      operation = 'select';
+      return builder;
+    },
+    update(update) {
+      operation = 'update';
+      values = update;
+      return builder;
+    },
+    delete() {
+      operation = 'delete';
+      return builder;
+    },
+    eq(column, value) {
+      filters[column] = value;
+      return builder;
+    },
+    single() {
+      const row = matching();
+      return Promise.resolve(row ? { data: row, error: null } : { data: null, error: { code: 'PGRST116' } });
+    },
+    then(resolve) {
+      if (operation === 'update' && matching()) {
+        Object.assign(matching(), values);
+      }
+      if (operation === 'delete') {
+        mockRows.delete(`${filters.scope}:${filters.key}`);
+      }
+      resolve({ error: null });
+    }
+  };
+
+  return builder;
+}
+
+jest.mock('../../src/config/database', () => ({ supabase: { from: () => mockFrom() } }));
+jest.mock('../../src/middleware/auth.middleware', () => ({
+  resolveUser: async (req) => (req.get('X-Test-User') ? { id: req.get('X-Test-User') } : null)
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { idempotency } = require('../../src/middleware/idempotency.middleware');
+const { ERROR_CODES } = require('../../src/config/constants');
+
+// Let the fire-and-forget store or release settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function buildApp(handler) {
+  const app = express();
+  app.use(express.json());
+  app.use(idempotency);
+  app.post('/bets', handler);
+  app.get('/bets', handler);
+  return app;
+}
+
+describe('idempotency middleware', () => {
+  beforeEach(() => {
+    mockRows.clear();
+  });
+
+  it('replays a stored response instead of executing again', async () => {
+    const handler = jest.fn((req, res) => res.status(201).json({ success: true, data: { betId: 'b1' } }));
+    const app = buildApp(handler);
+
+    await request(app).post('/bets').set('Idempotency-Key', 'k1').send({ amount: 10 });
+    await settle();
+    const replay = await request(app).post('/bets').set('Idempotency-Key', 'k1').send({ amount: 10 });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(replay.status).toBe(201);
+    expect(replay.body.data.betId).toBe('b1');
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('stores final client errors', async () => {
+    const handler = jest.fn((req, res) => res.status(400).json({ success: false }));
+    const app = buildApp(handler);
+
+    await request(app).post('/bets').set('Idempotency-Key', 'k1').send({});
+    await settle();
+    const replay = await request(app).post('/bets').set('Idempotency-Key', 'k1').send({});
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(replay.status).toBe(400);
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    const app = buildApp((req, res) => res.json({ success: true }));
+
+    await request(app).post('/bets').set('Idempotency-Key', 'k1').send({ amount: 10 });
+    await settle();
+    const res = await request(app).post('/bets').set('Idempotency-Key', 'k1').send({ amount: 20 });
+
+    expect(res.status).toBe(422);
+    expect(res.body.error.code).toBe(ERROR_CODES.IDEMPOTENCY_KEY_REUSED);
+  });
+
+  it('rejects a key reused with a different query string', async () => {
+    const app = buildApp((req, res) => res.json({ success: true }));
+
+    await request(app).post('/bets?format=decimal').set('Idempotency-Key', 'k1').send({ amount: 10 });
+    await settle();
+    const res = await request(app).post('/bets?format=american').set('Idempotency-Key', 'k1').send({ amount: 10 });
+
+    expect(res.status).toBe(422);
+    expect(res.body.error.code).toBe(ERROR_CODES.IDEMPOTENCY_KEY_REUSED);
+  });
+
+  it('replays whatever order the query parameters come in', async () => {
+    const handler = jest.fn((req, res) => res.json({ success: true }));
+    const app = buildApp(handler);
+
+    await request(app).post('/bets?a=1&b=2').set('Idempotency-Key', 'k1').send({});
+    await settle();
+    const replay = await request(app).post('/bets?b=2&a=1').set('Idempotency-Key', 'k1').send({});
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('reports a request still in progress', async () => {
+    const app = buildApp((req, res) => res.json({ success: true }));
+    mockRows.set('anonymous:k1', {
+      scope: 'anonymous',
+      key: 'k1',
+      request_hash: crypto.createHash('sha256').update(JSON.stringify(['POST', '/bets', [], {}])).digest('hex'),
+      status_code: null,
+      created_at: new Date().toISOString()
+    });
+
+    const res = await request(app).post('/bets').set('Idempotency-Key', 'k1').send({});
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe(ERROR_CODES.IDEMPOTENCY_IN_PROGRESS);
+  });
+
+  it.each([408, 409, 429])('releases the key after a %d so the retry executes', async (status) => {
+    const handler = jest.fn()
+      .mockImplementationOnce((req, res) => res.status(status).json({
+        success: false,
+        error: { code: ERROR_CODES.MARKET_CONFLICT }
+      }))
+      .mockImplementationOnce((req, res) => res.status(201).json({ success: true }));
+    const app = buildApp(handler);
+
+    await request(app).post('/bets').set('Idempotency-Key', 'k1').send({ amount: 10 });
+    await settle();
+
+    expect(mockRows.has('anonymous:k1')).toBe(false);
+
+    const retry = await request(app).post('/bets').set('Idempotency-Key', 'k1').send({ amount: 10 });
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(retry.status).toBe(201);
+  });
+
+  it.each([500, 503])('keeps the key after a %d and refuses the retry', async (status) => {
+    const handler = jest.fn((req, res) => res.status(status).json({ success: false }));
+    const app = buildApp(handler);
+
+    await request(app).post('/bets').set('Idempotency-Key', 'k1').send({ amount: 10 });
+    await settle();
+    const retry = await request(app).post('/bets').set('Idempotency-Key', 'k1').send({ amount: 10 });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(retry.status).toBe(409);
+    expect(retry.body.error.code).toBe(ERROR_CODES.IDEMPOTENCY_OUTCOME_UNKNOWN);
+  });
+
+  it('keeps the key after a server error not sent as JSON', async () => {
+    const app = buildApp((req, res) => res.status(500).send('Internal Server Error'));
+
+    await request(app).post('/bets').set('Idempotency-Key', 'k1').send({});
+    await settle();
+
+    expect(mockRows.get('anonymous:k1').status_code).toBe(500);
+  });
+
+  it('releases a key whose response was not sent as JSON', async () => {
+    const app = buildApp((req, res) => res.status(204).end());
+
+    await request(app).post('/bets').set('Idempotency-Key', 'k1').send({});
+    await settle();
+
+    expect(mockRows.has('anonymous:k1')).toBe(false);
+  });
+
+  it('scopes keys per user', async () => {
+    const handler = jest.fn((req, res) => res.json({ success: true }));
+    const app = buildApp(handler);
+
+    await request(app).post('/bets').set('Idempotency-Key', 'k1').set('X-Test-User', 'u1').send({});
+    await request(app).post('/bets').set('Idempotency-Key', 'k1').set('X-Test-User', 'u2').send({});
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects an over-long key', async () => {
+    const res = await request(buildApp((req, res) => res.json({})))
+      .post('/bets')
+      .set('Idempotency-Key', 'k'.repeat(256))
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe(ERROR_CODES.VALIDATION_ERROR);
+  });
+
+  it('ignores requests that do not change state', async () => {
+    const handler = jest.fn((req, res) => res.json({ success: true }));
+
+    await request(buildApp(handler)).get('/bets').set('Idempotency-Key', 'k1');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(mockRows.size).toBe(0);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * BettingService tests
+ *
+ * Pricing of buys against binary and categorical pools, and risk limits
+ */
+
+jest.mock('../../src/config/database', () => ({ supabase: {} }));
+
+const bettingService = require('../../src/services/betting.service');
+const riskLimit = require('../../src/services/riskLimit.service');
+const { ERROR_CODES } = require('../../src/config/constants');
+
+const binaryMarket = {
+  id: 'm1',
+  yes_pool: 1000,
+  no_pool: 1000,
+  liquidity_constant: 1000000
+};
+
+const categoricalMarket = {
+  id: 'm2',
+  market_type: 'categorical',
+  liquidity_constant: 1000000000,
+  outcomes: [
+    { key: 'a', label: 'A', pool: 1000 },
+    { key: 'b', label: 'B', pool: 1000 },
+    { key: 'c', label: 'C', pool: 1000 }
+  ]
+};
+
+describe('BettingService.priceBuy', () => {
+  it('prices a stake net of the house margin', () => {
+    const priced = bettingService.priceBuy({ market: binaryMarket, outcome: 'yes', betAmount: 100 });
+
+    expect(priced.grossAmount).toBe(100);
+    expect(priced.netAmount + priced.houseFee).toBeCloseTo(100);
+    expect(priced.simulation.tokensReceived).toBeGreaterThan(0);
+  });
+
+  it('solves the gross cost of an exact share count', () => {
+    const priced = bettingService.priceBuy({ market: binaryMarket, outcome: 'no', shares: 50 });
+
+    expect(priced.simulation.tokensReceived).toBe(50);
+    expect(priced.grossAmount).toBeGreaterThan(priced.netAmount);
+  });
+
+  it.each([1000, 5000])('rejects %d shares from a 1000-share pool with INVALID_AMOUNT', (shares) => {
+    expect(() => bettingService.priceBuy({ market: binaryMarket, outcome: 'yes', shares }))
+      .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_AMOUNT }));
+  });
+
+  it('rejects more shares than a categorical outcome pool holds', () => {
+    expect(() => bettingService.priceBuy({ market: categoricalMarket, outcome: 'b', shares: 1000 }))
+      .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_AMOUNT }));
+  });
+});
+
+describe('BettingService risk limits', () => {
+  const limitedMarket = {
+    ...binaryMarket,
+    max_liability: 100,
+    fixed_odds_liability: { yes: { bets: 1, stake: 50, payout: 140, shares: 60 } }
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses a fixed-odds bet past the hard limit without suspending the market', async () => {
+    const suspendMarket = jest.spyOn(riskLimit, 'suspendMarket').mockResolvedValue(true);
+    const simulation = bettingService.simulateBuy(limitedMarket, 'yes', { betAmount: 10 });
+
+    await expect(bettingService.enforceRiskLimits(limitedMarket, 'yes', { simulation, stake: 10, payout: 25 }))
+      .rejects.toMatchObject({ code: ERROR_CODES.RISK_LIMIT_EXCEEDED });
+    expect(suspendMarket).not.toHaveBeenCalled();
+  });
+
+  it('suspends a market once committed liability reaches the hard limit', async () => {
+    const suspendMarket = jest.spyOn(riskLimit, 'suspendMarket').mockResolvedValue(true);
+    const market = {
+      ...limitedMarket,
+      fixed_odds_liability: { yes: { bets: 2, stake: 60, payout: 160, shares: 70 } }
+    };
+
+    await bettingService.suspendAtLiabilityLimit(market);
+
+    expect(suspendMarket).toHaveBeenCalledWith(market, expect.stringContaining('"yes"'));
+  });
+
+  it('leaves a market open below the hard limit', async () => {
+    const suspendMarket = jest.spyOn(riskLimit, 'suspendMarket').mockResolvedValue(true);
+
+    await bettingService.suspendAtLiabilityLimit(limitedMarket);
+
+    expect(suspendMarket).not.toHaveBeenCalled();
+  });
+
+  it('only logs a failed suspension, since the bet has committed', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(riskLimit, 'suspendMarket').mockRejectedValue(new Error('connection reset'));
+
+    await expect(bettingService.suspendAtLiabilityLimit({ ...limitedMarket, max_liability: 50 }))
+      .resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * CategoricalCalculationService tests
+ *
+ * N-outcome CPMM prices, buys, share-count and sale solvers
+ */
+
+const categoricalCalculation = require('../../src/services/categoricalCalculation.service');
+const oddsCalculation = require('../../src/services/oddsCalculation.service');
+
+describe('CategoricalCalculationService', () => {
+  const pools = [1000, 1000, 1000];
+  const k = categoricalCalculation.calculateLiquidityConstant(pools);
+
+  describe('calculatePrices', () => {
+    it('prices an even market equally', () => {
+      categoricalCalculation.calculatePrices(pools).forEach(price => expect(price).toBeCloseTo(1 / 3));
+    });
+
+    it('matches the binary formula with two outcomes', () => {
+      const [yesPrice, noPrice] = categoricalCalculation.calculatePrices([800, 1200]);
+
+      expect(yesPrice).toBeCloseTo(oddsCalculation.calculateYesPrice(800, 1200));
+      expect(noPrice).toBeCloseTo(oddsCalculation.calculateNoPrice(800, 1200));
+    });
+
+    it('rejects empty pools', () => {
+      expect(() => categoricalCalculation.calculatePrices([1000, 0, 1000])).toThrow('Pool sizes must be positive');
+    });
+  });
+
+  describe('initializePools', () => {
+    it('opens at the target prices', () => {
+      const opened = categoricalCalculation.initializePools(1000, [0.5, 0.3, 0.2]);
+      const prices = categoricalCalculation.calculatePrices(opened);
+
+      expect(prices[0]).toBeCloseTo(0.5);
+      expect(prices[1]).toBeCloseTo(0.3);
+      expect(prices[2]).toBeCloseTo(0.2);
+    });
+  });
+
+  describe('simulateBet', () => {
+    it('keeps the product of the pools at k', () => {
+      const simulation = categoricalCalculation.simulateBet({ index: 0, betAmount: 100, pools, k });
+
+      expect(simulation.newPools[1]).toBe(1100);
+      expect(simulation.newPools[2]).toBe(1100);
+      expect(simulation.newPools[0]).toBeCloseTo(1000 - simulation.tokensReceived);
+      expect(categoricalCalculation.calculateInvariantDrift(simulation.newPools, k)).toBeLessThan(1e-12);
+    });
+
+    it('raises the price of the outcome bought', () => {
+      const simulation = categoricalCalculation.simulateBet({ index: 2, betAmount: 100, pools, k });
+
+      expect(simulation.priceAfterBet).toBeGreaterThan(simulation.priceBeforeBet);
+      expect(simulation.newPrices.reduce((sum, price) => sum + price, 0)).toBeCloseTo(1);
+    });
+
+    it('rejects non-positive amounts', () => {
+      expect(() => categoricalCalculation.simulateBet({ index: 0, betAmount: 0, pools, k }))
+        .toThrow('Bet amount must be positive');
+    });
+  });
+
+  describe('simulateBetForTokens', () => {
+    it('solves the cost of an exact token count', () => {
+      const simulation = categoricalCalculation.simulateBetForTokens({ index: 1, tokensDesired: 150, pools, k });
+      const check = categoricalCalculation.simulateBet({ index: 1, betAmount: simulation.betAmount, pools, k });
+
+      expect(simulation.tokensReceived).toBe(150);
+      expect(check.tokensReceived).toBeCloseTo(150, 6);
+    });
+
+    it('rejects buying the whole pool', () => {
+      expect(() => categoricalCalculation.simulateBetForTokens({ index: 0, tokensDesired: 1000, pools, k }))
+        .toThrow('Cannot purchase more tokens than available in pool');
+    });
+  });
+
+  describe('simulateSell', () => {
+    it('returns the stake when selling straight back', () => {
+      const bet = categoricalCalculation.simulateBet({ index: 0, betAmount: 100, pools, k });
+      const sale = categoricalCalculation.simulateSell({
+        index: 0,
+        tokensSold: bet.tokensReceived,
+        pools: bet.newPools,
+        k
+      });
+
+      expect(sale.proceeds).toBeCloseTo(100, 6);
+      sale.newPools.forEach(pool => expect(pool).toBeCloseTo(1000, 6));
+    });
+
+    it('lowers the price of the outcome sold', () => {
+      const sale = categoricalCalculation.simulateSell({ index: 1, tokensSold: 50, pools, k });
+
+      expect(sale.priceAfterSale).toBeLessThan(sale.priceBeforeSale);
+    });
+  });
+
+  describe('validatePoolState', () => {
+    it('accepts pools whose product is k', () => {
+      expect(categoricalCalculation.validatePoolState(pools, k)).toBe(true);
+    });
+
+    it('rejects pools that drifted from k', () => {
+      expect(() => categoricalCalculation.validatePoolState([1000, 1000, 1010], k)).toThrow('Pool state invalid');
+    });
+
+    it('rejects a single outcome', () => {
+      expect(() => categoricalCalculation.validatePoolState([1000], 1000)).toThrow('Pool sizes must be positive');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * HouseMarginService tests
+ *
+ * Margin resolution (market, category, default), stake tiers and gross-up
+ */
+
+const houseMargin = require('../../src/services/houseMargin.service');
+
+describe('HouseMarginService', () => {
+  describe('resolveMargin', () => {
+    it('uses the global margin by default', () => {
+      expect(houseMargin.resolveMargin(null, 100)).toEqual({
+        margin: 0.02,
+        baseMargin: 0.02,
+        source: 'default',
+        tier: null
+      });
+    });
+
+    it('prefers the market override over its category', () => {
+      const resolved = houseMargin.resolveMargin({ house_margin: '0.03', category: 'promo' }, 100);
+
+      expect(resolved.margin).toBeCloseTo(0.03);
+      expect(resolved.source).toBe('market');
+    });
+
+    it('falls back to the category default, ignoring case', () => {
+      const resolved = houseMargin.resolveMargin({ house_margin: null, category: 'Novelty' }, 100);
+
+      expect(resolved.margin).toBeCloseTo(0.05);
+      expect(resolved.source).toBe('category');
+    });
+
+    it('discounts stakes that reach a tier', () => {
+      const resolved = houseMargin.resolveMargin({ category: 'promo' }, 2000);
+
+      expect(resolved.baseMargin).toBeCloseTo(0.005);
+      expect(resolved.margin).toBeCloseTo(0.00375);
+      expect(resolved.tier).toBe(1000);
+    });
+
+    it('clamps the tiered margin to the allowed range', () => {
+      expect(houseMargin.resolveMargin({ house_margin: 0.001 }, 5000).margin).toBe(houseMargin.MIN_MARGIN);
+      expect(houseMargin.resolveMargin({ house_margin: 0.5 }, 100).margin).toBe(houseMargin.MAX_MARGIN);
+    });
+  });
+
+  describe('applyMargin', () => {
+    it('deducts the fee from the stake', () => {
+      expect(houseMargin.applyMargin(100, 0.02)).toEqual({
+        grossAmount: 100,
+        netAmount: 98,
+        houseFee: 2,
+        feePercentage: 0.02
+      });
+    });
+
+    it('rejects non-positive stakes', () => {
+      expect(() => houseMargin.applyMargin(0)).toThrow('Bet amount must be positive');
+    });
+  });
+
+  describe('grossUpAmount', () => {
+    it('is the inverse of applyMargin', () => {
+      const grossed = houseMargin.grossUpAmount(98, 0.02);
+
+      expect(grossed.grossAmount).toBeCloseTo(100);
+      expect(grossed.houseFee).toBeCloseTo(2);
+    });
+  });
+
+  describe('grossUpForMarket', () => {
+    it('applies the tier when the grossed-up stake reaches it', () => {
+      const result = houseMargin.grossUpForMarket({}, 990);
+
+      expect(result.margin.tier).toBe(1000);
+      expect(result.grossAmount).toBeCloseTo(990 / (1 - 0.015));
+    });
+
+    it('keeps the full margin when the grossed-up stake falls short of the tier', () => {
+      const result = houseMargin.grossUpForMarket({}, 900);
+
+      expect(result.margin.tier).toBeNull();
+      expect(result.grossAmount).toBeCloseTo(900 / 0.98);
+    });
+
+    it('keeps the full margin when only the untiered gross-up reaches the tier', () => {
+      // 984 / 0.985 = 999.0 falls short of the tier; 984 / 0.98 = 1004.1 reaches it
+      const result = houseMargin.grossUpForMarket({}, 984);
+
+      expect(result.margin.tier).toBeNull();
+      expect(result.grossAmount).toBeGreaterThan(1000);
+    });
+  });
+});
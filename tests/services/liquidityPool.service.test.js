@@ -0,0 +1,79 @@
+/**
+ * LiquidityPoolService tests
+ *
+ * Pool value and LP share math for deposits and withdrawals
+ */
+
+const liquidityPool = require('../../src/services/liquidityPool.service');
+
+describe('LiquidityPoolService', () => {
+  describe('calculatePoolValue', () => {
+    it('values a symmetric pool at its per-side size', () => {
+      expect(liquidityPool.calculatePoolValue(1000, 1000)).toBe(1000);
+    });
+
+    it('values a skewed pool at current prices', () => {
+      // 800 × 0.6 + 1200 × 0.4
+      expect(liquidityPool.calculatePoolValue(800, 1200)).toBeCloseTo(960);
+    });
+  });
+
+  describe('calculateResolvedPoolValue', () => {
+    it('values the pool at its winning outcome', () => {
+      expect(liquidityPool.calculateResolvedPoolValue(800, 1200, 'yes')).toBe(800);
+      expect(liquidityPool.calculateResolvedPoolValue(800, 1200, 'no')).toBe(1200);
+    });
+  });
+
+  describe('simulateDeposit', () => {
+    it('scales both pools without moving the price', () => {
+      const deposit = liquidityPool.simulateDeposit({ amount: 480, yesPool: 800, noPool: 1200, totalShares: 960 });
+
+      expect(deposit.sharesMinted).toBeCloseTo(480);
+      expect(deposit.newYesPool / deposit.newNoPool).toBeCloseTo(800 / 1200);
+      expect(deposit.poolValueAfter).toBeCloseTo(1440);
+      expect(deposit.newK).toBeCloseTo(deposit.newYesPool * deposit.newNoPool);
+    });
+  });
+
+  describe('simulateWithdrawal', () => {
+    it('pays out the burned fraction of the pool value', () => {
+      const withdrawal = liquidityPool.simulateWithdrawal({ shares: 240, yesPool: 800, noPool: 1200, totalShares: 960 });
+
+      expect(withdrawal.amount).toBeCloseTo(240);
+      expect(withdrawal.newYesPool).toBeCloseTo(600);
+      expect(withdrawal.newNoPool).toBeCloseTo(900);
+      expect(withdrawal.newTotalShares).toBe(720);
+    });
+
+    it('values a resolved pool at settlement', () => {
+      const withdrawal = liquidityPool.simulateWithdrawal({
+        shares: 240,
+        yesPool: 800,
+        noPool: 1200,
+        totalShares: 960,
+        resolvedOutcome: 'no'
+      });
+
+      expect(withdrawal.amount).toBeCloseTo(300);
+      expect(withdrawal.poolValueAfter).toBeCloseTo(900);
+    });
+  });
+
+  describe('fees', () => {
+    it('accrues the LP share of the house fee per share', () => {
+      const update = liquidityPool.accrueLpFees({ yes_pool: 1000, no_pool: 1000, lp_total_shares: 1000 }, 10);
+
+      expect(update.lp_fee_per_share).toBeCloseTo((10 * liquidityPool.LP_FEE_SHARE) / 1000);
+    });
+
+    it('pays only fees accrued since the last payout', () => {
+      const pending = liquidityPool.calculatePendingLpFees(
+        { shares: 100, fee_debt: 1 },
+        { lp_fee_per_share: 0.05 }
+      );
+
+      expect(pending).toBeCloseTo(4);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * LiquidityProviderService tests
+ *
+ * Which market states allow withdrawals, and what a withdrawal pays
+ */
+
+jest.mock('../../src/config/database', () => ({ supabase: {} }));
+
+const bettingService = require('../../src/services/betting.service');
+const liquidityProvider = require('../../src/services/liquidityProvider.service');
+const { ERROR_CODES, MARKET_STATUS } = require('../../src/config/constants');
+
+const baseMarket = {
+  id: 'm1',
+  pool_initialized: true,
+  yes_pool: 800,
+  no_pool: 1200,
+  lp_total_shares: 960,
+  lp_fee_per_share: 0
+};
+
+function withMarket(market, position = {}) {
+  jest.spyOn(bettingService, 'getMarket').mockResolvedValue(market);
+  jest.spyOn(liquidityProvider, 'getLiquidityPosition').mockResolvedValue({
+    shares: 240,
+    total_deposited: 240,
+    total_withdrawn: 0,
+    ...position
+  });
+
+  return jest.spyOn(liquidityProvider, 'commitLiquidityChange').mockResolvedValue({
+    position: { shares: 0 },
+    fees_paid: 0,
+    balance: 1000
+  });
+}
+
+describe('LiquidityProviderService.removeLiquidity', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('withdraws at the current price while the market is active', async () => {
+    withMarket({ ...baseMarket, status: MARKET_STATUS.ACTIVE });
+
+    const result = await liquidityProvider.removeLiquidity({ marketId: 'm1', userId: 'u1', shares: 240 });
+
+    expect(result.data.amountWithdrawn).toBeCloseTo(240);
+  });
+
+  it.each([MARKET_STATUS.SUSPENDED, MARKET_STATUS.CLOSED])('locks withdrawals while %s', async (status) => {
+    const commit = withMarket({ ...baseMarket, status });
+
+    await expect(liquidityProvider.removeLiquidity({ marketId: 'm1', userId: 'u1', shares: 240 }))
+      .rejects.toMatchObject({ code: ERROR_CODES.MARKET_NOT_ACTIVE });
+    expect(commit).not.toHaveBeenCalled();
+  });
+
+  it('pays the winning pool share once resolved', async () => {
+    withMarket({ ...baseMarket, status: MARKET_STATUS.RESOLVED, resolved_outcome: 'no' });
+
+    const result = await liquidityProvider.removeLiquidity({ marketId: 'm1', userId: 'u1', shares: 240 });
+
+    expect(result.data.amountWithdrawn).toBeCloseTo(300);
+  });
+
+  it('ignores the minimum pool size once cancelled', async () => {
+    const market = { ...baseMarket, yes_pool: 120, no_pool: 120, lp_total_shares: 240, status: MARKET_STATUS.CANCELLED };
+    withMarket(market);
+
+    const result = await liquidityProvider.removeLiquidity({ marketId: 'm1', userId: 'u1', shares: 200 });
+
+    expect(result.data.amountWithdrawn).toBeCloseTo(200);
+    expect(result.data.newPools.yesPool).toBeCloseTo(20);
+  });
+
+  it('repays what the LP put in after the market is cancelled', async () => {
+    // Bets grew the pool; cancelling refunds those stakes to the bettors
+    const market = { ...baseMarket, yes_pool: 1500, no_pool: 1700, status: MARKET_STATUS.ACTIVE };
+    withMarket(market, { total_deposited: 300, total_withdrawn: 60 });
+
+    const beforeCancel = await liquidityProvider.removeLiquidity({ marketId: 'm1', userId: 'u1', shares: 120 });
+    expect(beforeCancel.data.amountWithdrawn).toBeGreaterThan(120);
+
+    market.status = MARKET_STATUS.CANCELLED;
+    const half = await liquidityProvider.removeLiquidity({ marketId: 'm1', userId: 'u1', shares: 120 });
+    const all = await liquidityProvider.removeLiquidity({ marketId: 'm1', userId: 'u1', shares: 240 });
+
+    expect(half.data.amountWithdrawn).toBeCloseTo(120);
+    expect(all.data.amountWithdrawn).toBeCloseTo(240);
+  });
+
+  it('repays nothing once the LP has withdrawn what they put in', async () => {
+    withMarket({ ...baseMarket, status: MARKET_STATUS.CANCELLED }, { total_withdrawn: 300 });
+
+    const result = await liquidityProvider.removeLiquidity({ marketId: 'm1', userId: 'u1', shares: 240 });
+
+    expect(result.data.amountWithdrawn).toBe(0);
+  });
+
+  it('keeps the minimum pool size while active', async () => {
+    withMarket({ ...baseMarket, yes_pool: 120, no_pool: 120, lp_total_shares: 240, status: MARKET_STATUS.ACTIVE });
+
+    await expect(liquidityProvider.removeLiquidity({ marketId: 'm1', userId: 'u1', shares: 200 }))
+      .rejects.toMatchObject({ code: ERROR_CODES.VALIDATION_ERROR });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * LmsrCalculationService tests
+ *
+ * LMSR prices, cost function and the closed-form buy and sell solvers
+ */
+
+const lmsrCalculation = require('../../src/services/lmsrCalculation.service');
+
+describe('LmsrCalculationService', () => {
+  const b = 100;
+
+  describe('prices', () => {
+    it('prices equal share counts at one half', () => {
+      expect(lmsrCalculation.calculateYesPrice(0, 0, b)).toBeCloseTo(0.5);
+    });
+
+    it('sums YES and NO to one', () => {
+      const yes = lmsrCalculation.calculateYesPrice(120, 40, b);
+
+      expect(yes + lmsrCalculation.calculateNoPrice(120, 40, b)).toBeCloseTo(1);
+      expect(yes).toBeGreaterThan(0.5);
+    });
+
+    it('rejects a non-positive liquidity parameter', () => {
+      expect(() => lmsrCalculation.calculateYesPrice(0, 0, 0)).toThrow('Liquidity parameter must be positive');
+    });
+  });
+
+  describe('calculateCost', () => {
+    it('does not overflow on large share counts', () => {
+      expect(Number.isFinite(lmsrCalculation.calculateCost(1e6, 1e6, b))).toBe(true);
+    });
+  });
+
+  describe('calculateTokensReceived', () => {
+    it('charges the cost function difference', () => {
+      const shares = lmsrCalculation.calculateTokensReceived(50, 0.5, b);
+      const cost = lmsrCalculation.calculateCost(shares, 0, b) - lmsrCalculation.calculateCost(0, 0, b);
+
+      expect(cost).toBeCloseTo(50);
+    });
+
+    it('is inverted by calculateCostForTokens', () => {
+      const shares = lmsrCalculation.calculateTokensReceived(50, 0.3, b);
+
+      expect(lmsrCalculation.calculateCostForTokens(shares, 0.3, b)).toBeCloseTo(50);
+    });
+
+    it('rejects non-positive amounts', () => {
+      expect(() => lmsrCalculation.calculateTokensReceived(0, 0.5, b)).toThrow('Bet amount must be positive');
+    });
+  });
+
+  describe('calculateSaleProceeds', () => {
+    it('refunds the cost of shares sold straight back', () => {
+      const bet = lmsrCalculation.simulateBet({ outcome: 'no', betAmount: 40, yesShares: 0, noShares: 0, b });
+      const proceeds = lmsrCalculation.calculateSaleProceeds(bet.tokensReceived, bet.newNoPrice, b);
+
+      expect(proceeds).toBeCloseTo(40);
+    });
+  });
+
+  describe('initializeShares', () => {
+    it('opens at the target price with zero cost', () => {
+      const { yesShares, noShares } = lmsrCalculation.initializeShares(b, 0.7);
+
+      expect(lmsrCalculation.calculateYesPrice(yesShares, noShares, b)).toBeCloseTo(0.7);
+      expect(lmsrCalculation.calculateCost(yesShares, noShares, b)).toBeCloseTo(0);
+    });
+
+    it.each([0, 1])('rejects a target price of %d', (price) => {
+      expect(() => lmsrCalculation.initializeShares(b, price)).toThrow('Target price must be between 0 and 1');
+    });
+  });
+
+  describe('max loss', () => {
+    it('bounds the house loss at b × ln(outcomes)', () => {
+      expect(lmsrCalculation.calculateMaxLoss(b)).toBeCloseTo(b * Math.log(2));
+      expect(lmsrCalculation.calculateLiquidityParameter(lmsrCalculation.calculateMaxLoss(b))).toBeCloseTo(b);
+    });
+  });
+
+  describe('simulations', () => {
+    it('moves the price of the outcome bought', () => {
+      const bet = lmsrCalculation.simulateBet({ outcome: 'yes', betAmount: 20, yesShares: 0, noShares: 0, b });
+
+      expect(bet.newYesShares).toBeCloseTo(bet.tokensReceived);
+      expect(bet.priceAfterBet).toBeGreaterThan(bet.priceBeforeBet);
+      expect(bet.effectivePrice).toBeCloseTo(20 / bet.tokensReceived);
+    });
+
+    it('buys an exact share count', () => {
+      const bet = lmsrCalculation.simulateBetForTokens({ outcome: 'no', tokensDesired: 30, yesShares: 0, noShares: 0, b });
+
+      expect(bet.tokensReceived).toBe(30);
+      expect(bet.newNoShares).toBe(30);
+      expect(bet.betAmount).toBeGreaterThan(15);
+    });
+
+    it('restores the share counts a buy moved', () => {
+      const bet = lmsrCalculation.simulateBet({ outcome: 'yes', betAmount: 20, yesShares: 0, noShares: 0, b });
+      const sale = lmsrCalculation.simulateSell({
+        outcome: 'yes',
+        tokensSold: bet.tokensReceived,
+        yesShares: bet.newYesShares,
+        noShares: bet.newNoShares,
+        b
+      });
+
+      expect(sale.proceeds).toBeCloseTo(20);
+      expect(sale.newYesShares).toBeCloseTo(0);
+      expect(sale.newYesPrice).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('validateState', () => {
+    it('rejects non-finite share counts', () => {
+      expect(() => lmsrCalculation.validateState(NaN, 0, b)).toThrow('must be finite');
+    });
+  });
+});
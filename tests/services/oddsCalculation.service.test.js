@@ -0,0 +1,107 @@
+/**
+ * OddsCalculationService tests
+ *
+ * CPMM prices, buys and sales
+ */
+
+const oddsCalculation = require('../../src/services/oddsCalculation.service');
+
+describe('OddsCalculationService', () => {
+  const pools = { yesPool: 1000, noPool: 1000, k: 1000000 };
+
+  describe('prices', () => {
+    it('prices each outcome by the opposite pool', () => {
+      expect(oddsCalculation.calculateYesPrice(800, 1200)).toBeCloseTo(0.6);
+      expect(oddsCalculation.calculateNoPrice(800, 1200)).toBeCloseTo(0.4);
+    });
+
+    it('rejects an empty pool', () => {
+      expect(() => oddsCalculation.calculateYesPrice(0, 0)).toThrow('Total pool cannot be zero');
+    });
+  });
+
+  describe('calculateTokensReceived', () => {
+    it('keeps the constant product', () => {
+      const tokens = oddsCalculation.calculateTokensReceived(100, 1000, 1000, 1000000);
+
+      expect(tokens).toBeCloseTo(90.909, 3);
+      expect((1000 + 100) * (1000 - tokens)).toBeCloseTo(1000000);
+    });
+
+    it('rejects non-positive amounts', () => {
+      expect(() => oddsCalculation.calculateTokensReceived(0, 1000, 1000, 1000000)).toThrow();
+    });
+  });
+
+  describe('calculateCostForTokens', () => {
+    it('is the inverse of calculateTokensReceived', () => {
+      const tokens = oddsCalculation.calculateTokensReceived(100, 1000, 1000, 1000000);
+
+      expect(oddsCalculation.calculateCostForTokens(tokens, 1000, 1000, 1000000)).toBeCloseTo(100);
+    });
+
+    it('rejects buying the whole pool', () => {
+      expect(() => oddsCalculation.calculateCostForTokens(1000, 1000, 1000, 1000000))
+        .toThrow('Cannot purchase more tokens than available in pool');
+    });
+  });
+
+  describe('calculateSaleProceeds', () => {
+    it('returns the stake when selling straight back', () => {
+      const tokens = oddsCalculation.calculateTokensReceived(100, 1000, 1000, 1000000);
+
+      expect(oddsCalculation.calculateSaleProceeds(tokens, 1000 - tokens, 1100, 1000000)).toBeCloseTo(100);
+    });
+
+    it('rejects non-positive token counts', () => {
+      expect(() => oddsCalculation.calculateSaleProceeds(0, 1000, 1000, 1000000)).toThrow();
+    });
+  });
+
+  describe('simulateSell', () => {
+    it('restores the pools a buy moved', () => {
+      const bet = oddsCalculation.simulateBet({ outcome: 'yes', betAmount: 100, ...pools });
+      const sale = oddsCalculation.simulateSell({
+        outcome: 'yes',
+        tokensSold: bet.tokensReceived,
+        yesPool: bet.newYesPool,
+        noPool: bet.newNoPool,
+        k: pools.k
+      });
+
+      expect(sale.proceeds).toBeCloseTo(100);
+      expect(sale.newYesPool).toBeCloseTo(1000);
+      expect(sale.newNoPool).toBeCloseTo(1000);
+      expect(sale.newK).toBeCloseTo(pools.k);
+    });
+
+    it('lowers the price of the outcome sold', () => {
+      const sale = oddsCalculation.simulateSell({ outcome: 'no', tokensSold: 50, ...pools });
+
+      expect(sale.priceBeforeSale).toBeCloseTo(0.5);
+      expect(sale.priceAfterSale).toBeLessThan(sale.priceBeforeSale);
+      expect(sale.newYesPrice + sale.newNoPrice).toBeCloseTo(1);
+      expect(sale.priceImpact).toBeGreaterThan(0);
+    });
+  });
+
+  describe('simulateBetForTokens', () => {
+    it('buys exactly the requested tokens', () => {
+      const simulation = oddsCalculation.simulateBetForTokens({ outcome: 'no', tokensDesired: 50, ...pools });
+
+      expect(simulation.tokensReceived).toBe(50);
+      expect(simulation.newNoPool).toBeCloseTo(950);
+      expect(simulation.betAmount).toBeCloseTo(1000000 / 950 - 1000);
+    });
+  });
+
+  describe('validatePoolState', () => {
+    it('accepts pools within tolerance of k', () => {
+      expect(oddsCalculation.validatePoolState(1000, 1000.00001, 1000000)).toBe(true);
+    });
+
+    it('rejects pools that drifted from k', () => {
+      expect(() => oddsCalculation.validatePoolState(1000, 1010, 1000000)).toThrow('Pool state invalid');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * OddsConverterService tests
+ *
+ * Odds display formats, the fractional ladder and parlay odds
+ */
+
+const oddsConverter = require('../../src/services/oddsConverter.service');
+const { ODDS_FORMATS } = require('../../src/config/constants');
+
+describe('OddsConverterService', () => {
+  describe('formatOdds', () => {
+    it.each([
+      [ODDS_FORMATS.DECIMAL, '2.50x', '1.50x'],
+      [ODDS_FORMATS.AMERICAN, '+150', '-200'],
+      [ODDS_FORMATS.FRACTIONAL, '6/4', '1/2'],
+      [ODDS_FORMATS.HONG_KONG, '1.50', '0.50'],
+      [ODDS_FORMATS.MALAY, '-0.67', '0.50'],
+      [ODDS_FORMATS.INDONESIAN, '+1.50', '-2.00'],
+      [ODDS_FORMATS.PROBABILITY, '40.0%', '66.7%']
+    ])('formats %s odds for an underdog and a favourite', (format, underdog, favourite) => {
+      expect(oddsConverter.formatOdds(2.5, format)).toBe(underdog);
+      expect(oddsConverter.formatOdds(1.5, format)).toBe(favourite);
+    });
+
+    it.each([
+      [ODDS_FORMATS.AMERICAN, '+100'],
+      [ODDS_FORMATS.FRACTIONAL, '1/1'],
+      [ODDS_FORMATS.MALAY, '1.00'],
+      [ODDS_FORMATS.INDONESIAN, '+1.00']
+    ])('formats evens in %s odds as %s', (format, expected) => {
+      expect(oddsConverter.formatOdds(2, format)).toBe(expected);
+    });
+
+    it('falls back to decimal for an unknown format', () => {
+      expect(oddsConverter.formatOdds(2.5, 'roman')).toBe('2.50x');
+    });
+  });
+
+  describe('toFractional', () => {
+    it('snaps to the nearest price on the ladder', () => {
+      expect(oddsConverter.toFractional(2.45)).toBe('6/4');
+      expect(oddsConverter.toFractional(3.4)).toBe('5/2');
+    });
+
+    it('keeps prices bookmakers quote unreduced', () => {
+      expect(oddsConverter.toFractional(1 + 4 / 6)).toBe('4/6');
+    });
+
+    it('rounds prices longer than the ladder to a whole number to one', () => {
+      expect(oddsConverter.toFractional(150.4)).toBe('149/1');
+    });
+  });
+
+  describe('isSupportedFormat', () => {
+    it('accepts every format formatOdds handles', () => {
+      Object.values(ODDS_FORMATS).forEach(format => expect(oddsConverter.isSupportedFormat(format)).toBe(true));
+      expect(oddsConverter.isSupportedFormat('roman')).toBe(false);
+    });
+  });
+
+  describe('calculateParlayOdds', () => {
+    it('multiplies the leg odds', () => {
+      const { combinedOdds, impliedProbability } = oddsConverter.calculateParlayOdds([2, 1.5]);
+
+      expect(combinedOdds).toBeCloseTo(3);
+      expect(impliedProbability).toBeCloseTo(1 / 3);
+    });
+
+    it('rejects legs below odds of 1.0 or an empty slip', () => {
+      expect(() => oddsConverter.calculateParlayOdds([2, 0.9])).toThrow('Parlay legs must have odds of at least 1.0');
+      expect(() => oddsConverter.calculateParlayOdds([])).toThrow('Parlay legs must have odds of at least 1.0');
+    });
+  });
+
+  describe('applyMarginToOdds', () => {
+    it('shortens the odds by the margin', () => {
+      expect(oddsConverter.applyMarginToOdds(2, 0.05)).toBeCloseTo(1 / (0.5 * 1.05));
+    });
+
+    it('never prices an outcome above 99%', () => {
+      expect(oddsConverter.applyMarginToOdds(1.001, 0.05)).toBeCloseTo(1 / 0.99);
+    });
+  });
+});
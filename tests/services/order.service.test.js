@@ -0,0 +1,137 @@
+/**
+ * OrderService tests
+ *
+ * Placing limit orders, and sizing their fills against the pool and the
+ * market's risk limits
+ */
+
+jest.mock('../../src/config/database', () => ({ supabase: { rpc: jest.fn() } }));
+
+const { supabase } = require('../../src/config/database');
+const bettingService = require('../../src/services/betting.service');
+const responsibleGambling = require('../../src/services/responsibleGambling.service');
+const orderService = require('../../src/services/order.service');
+const { ERROR_CODES } = require('../../src/config/constants');
+
+const market = {
+  id: 'm1',
+  status: 'active',
+  pool_initialized: true,
+  yes_pool: 1000,
+  no_pool: 1000,
+  liquidity_constant: 1000000
+};
+
+describe('OrderService.placeOrder', () => {
+  const placed = {
+    id: 'o1',
+    market_id: 'm1',
+    outcome: 'yes',
+    limit_price: 0.6,
+    amount: 100,
+    filled_amount: 0,
+    status: 'open'
+  };
+
+  beforeEach(() => {
+    jest.spyOn(bettingService, 'getMarket').mockResolvedValue(market);
+    jest.spyOn(orderService, 'getOpenOrders').mockResolvedValue([]);
+    jest.spyOn(responsibleGambling, 'getBettingState').mockResolvedValue({});
+    jest.spyOn(responsibleGambling, 'validateBet').mockReturnValue(undefined);
+    jest.spyOn(bettingService, 'getUserProfile').mockResolvedValue({ id: 'u1', balance: 1000 });
+    supabase.rpc.mockResolvedValue({ data: { order: placed, balance: 900 }, error: null });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    supabase.rpc.mockReset();
+  });
+
+  it('returns the placed order even when matching it fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const matchOrders = jest.spyOn(orderService, 'matchOrders').mockRejectedValue(new Error('read failed'));
+
+    const result = await orderService.placeOrder({
+      marketId: 'm1', userId: 'u1', outcome: 'yes', amount: 100, limitPrice: 0.6
+    });
+
+    expect(result.data).toMatchObject({ orderId: 'o1', status: 'open', currentPrice: 0.5, newBalance: 900 });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(matchOrders).toHaveBeenCalledWith('m1');
+    expect(console.error).toHaveBeenCalledWith('Order matching failed for market m1:', expect.any(Error));
+  });
+});
+
+describe('OrderService.sizeFill', () => {
+  it('fills nothing while the price is at or above the limit', () => {
+    expect(orderService.sizeFill(market, { outcome: 'yes', limit_price: 0.5 }, 100)).toBeNull();
+  });
+
+  it('fills nothing once the reservation is used up', () => {
+    expect(orderService.sizeFill(market, { outcome: 'yes', limit_price: 0.6 }, 0)).toBeNull();
+  });
+
+  it('fills the whole remainder when the price stays within the limit', () => {
+    const fill = orderService.sizeFill(market, { outcome: 'yes', limit_price: 0.6 }, 50);
+
+    expect(fill.grossAmount).toBe(50);
+    expect(fill.simulation.priceAfterBet).toBeLessThanOrEqual(0.6);
+  });
+
+  it('fills only up to the stake that reaches the limit', () => {
+    const fill = orderService.sizeFill(market, { outcome: 'no', limit_price: 0.55 }, 1000);
+
+    expect(fill.grossAmount).toBeLessThan(1000);
+    expect(fill.simulation.priceAfterBet).toBeLessThanOrEqual(0.55);
+    expect(fill.simulation.priceAfterBet).toBeCloseTo(0.55, 4);
+  });
+
+  it('waits rather than fill less than the minimum bet', () => {
+    // The limit is a hair above the price, so only a dust fill fits
+    expect(orderService.sizeFill(market, { outcome: 'yes', limit_price: 0.500001 }, 1000)).toBeNull();
+  });
+});
+
+describe('OrderService.validateOrderInputs', () => {
+  it.each([
+    ['a missing outcome', [undefined, 10, 0.5], ERROR_CODES.VALIDATION_ERROR],
+    ['a non-positive amount', ['yes', 0, 0.5], ERROR_CODES.INVALID_AMOUNT],
+    ['a limit of 1', ['yes', 10, 1], ERROR_CODES.VALIDATION_ERROR],
+    ['a non-numeric limit', ['yes', 10, NaN], ERROR_CODES.VALIDATION_ERROR]
+  ])('rejects %s', (_, args, code) => {
+    expect(() => orderService.validateOrderInputs(...args)).toThrow(expect.objectContaining({ code }));
+  });
+});
+
+describe('OrderService.fillOrder', () => {
+  beforeEach(() => {
+    jest.spyOn(bettingService, 'withMarketRetry').mockImplementation((marketId, attempt) => attempt(market));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('caps a fill at the largest stake the pool utilization limit allows', async () => {
+    const executeTransaction = jest.spyOn(bettingService, 'executeTransaction').mockResolvedValue({});
+    const order = { market_id: 'm1', outcome: 'yes', limit_price: 0.999, amount: 1000000, filled_amount: 0 };
+
+    await orderService.fillOrder(order);
+
+    const { betAmount } = executeTransaction.mock.calls[0][0];
+    expect(betAmount).toBeLessThanOrEqual(bettingService.getMaxStake(market, 'yes'));
+    expect(betAmount).toBeGreaterThan(0);
+  });
+
+  it('checks the risk limits before committing a fill', async () => {
+    const err = new Error('Bet too large');
+    err.code = ERROR_CODES.POOL_EXHAUSTED;
+    jest.spyOn(bettingService, 'enforceRiskLimits').mockRejectedValue(err);
+    const executeTransaction = jest.spyOn(bettingService, 'executeTransaction').mockResolvedValue({});
+
+    await expect(orderService.fillOrder({ market_id: 'm1', outcome: 'yes', limit_price: 0.6, amount: 50, filled_amount: 0 }))
+      .rejects.toMatchObject({ code: ERROR_CODES.POOL_EXHAUSTED });
+    expect(executeTransaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * ParlayService tests
+ *
+ * Slip validation and pricing, the parlay liability limit and leg settlement
+ */
+
+jest.mock('../../src/config/database', () => ({
+  supabase: { from: jest.fn(), rpc: jest.fn() }
+}));
+
+const { supabase } = require('../../src/config/database');
+const bettingService = require('../../src/services/betting.service');
+const responsibleGambling = require('../../src/services/responsibleGambling.service');
+const riskLimit = require('../../src/services/riskLimit.service');
+const parlayService = require('../../src/services/parlay.service');
+const { ERROR_CODES, MARKET_STATUS, MAX_PARLAY_LIABILITY } = require('../../src/config/constants');
+
+const legs = [
+  { marketId: 'm1', outcome: 'yes' },
+  { marketId: 'm2', outcome: 'no' }
+];
+
+const markets = {
+  m1: { id: 'm1', status: MARKET_STATUS.ACTIVE, pool_initialized: true, yes_pool: 1000, no_pool: 1000 },
+  m2: { id: 'm2', status: MARKET_STATUS.ACTIVE, pool_initialized: true, yes_pool: 500, no_pool: 1500 }
+};
+
+/**
+ * A query builder that resolves to the given result however it is chained
+ */
+function query(result) {
+  const builder = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+
+  ['select', 'update', 'eq', 'neq', 'in'].forEach((method) => {
+    builder[method] = jest.fn(() => builder);
+  });
+
+  return builder;
+}
+
+function withMarkets() {
+  jest.spyOn(bettingService, 'getMarket').mockImplementation(async marketId => markets[marketId]);
+}
+
+function withBettor(exposure = {}) {
+  withMarkets();
+  jest.spyOn(responsibleGambling, 'getBettingState').mockResolvedValue({});
+  jest.spyOn(responsibleGambling, 'validateBet').mockReturnValue(undefined);
+  jest.spyOn(bettingService, 'getUserProfile').mockResolvedValue({ id: 'u1', balance: 1000 });
+  jest.spyOn(riskLimit, 'getParlayExposure').mockResolvedValue(exposure);
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  supabase.from.mockReset();
+  supabase.rpc.mockReset();
+});
+
+describe('ParlayService.validateSlip', () => {
+  it.each([0, 0.5, 10001, NaN])('rejects a stake of %d', (stake) => {
+    expect(() => parlayService.validateSlip(legs, stake))
+      .toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_AMOUNT }));
+  });
+
+  it('rejects the same market twice', () => {
+    expect(() => parlayService.validateSlip([legs[0], legs[0]], 10))
+      .toThrow('Each market can only appear once in a parlay');
+  });
+
+  it('rejects a single leg', () => {
+    expect(() => parlayService.validateSlip([legs[0]], 10))
+      .toThrow(expect.objectContaining({ code: ERROR_CODES.VALIDATION_ERROR }));
+  });
+});
+
+describe('ParlayService.priceSlip', () => {
+  it('multiplies the leg odds and pays the whole stake at them', async () => {
+    withMarkets();
+
+    const slip = await parlayService.priceSlip(legs, 100);
+
+    expect(slip.combinedOdds).toBeCloseTo(slip.legs[0].odds * slip.legs[1].odds);
+    expect(slip.houseFee).toBe(0);
+    expect(slip.stakeAfterFee).toBe(100);
+    expect(slip.potentialPayout).toBeCloseTo(100 * slip.combinedOdds);
+  });
+
+  it.each([10, 5000])('prices a %d stake at the product of the /quote-odds odds', async (stake) => {
+    withMarkets();
+
+    const [first, second] = await Promise.all(legs.map(({ marketId, outcome }) =>
+      bettingService.getBetQuoteWithOdds({ marketId, outcome, amount: stake })));
+    const { data } = await parlayService.getParlayQuote({ legs, stake });
+
+    expect(data.combinedOdds).toBeCloseTo(first.data.currentOdds * second.data.currentOdds, 10);
+    expect(data.potentialPayout).toBeCloseTo(stake * first.data.currentOdds * second.data.currentOdds, 6);
+  });
+});
+
+describe('ParlayService.placeParlay', () => {
+  it('rejects a minCombinedOdds that is not a number', async () => {
+    await expect(parlayService.placeParlay({ userId: 'u1', legs, stake: 10, minCombinedOdds: NaN }))
+      .rejects.toMatchObject({ code: ERROR_CODES.VALIDATION_ERROR });
+  });
+
+  it('refuses a parlay that would take a leg past the liability limit', async () => {
+    withBettor({ m2: { no: { parlays: 40, stake: 2000, payout: MAX_PARLAY_LIABILITY - 10 } } });
+
+    await expect(parlayService.placeParlay({ userId: 'u1', legs, stake: 10 }))
+      .rejects.toMatchObject({ code: ERROR_CODES.RISK_LIMIT_EXCEEDED });
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('ignores payouts on outcomes the parlay does not back', async () => {
+    withBettor({ m1: { no: { parlays: 1, stake: 100, payout: MAX_PARLAY_LIABILITY } } });
+    supabase.rpc.mockResolvedValue({
+      data: {
+        parlay: { id: 'p1', status: 'open', stake: 10, stake_after_fee: 9.8, house_fee: 0.2, combined_odds: 4, potential_payout: 39.2 },
+        legs: [],
+        balance: 990
+      },
+      error: null
+    });
+
+    const result = await parlayService.placeParlay({ userId: 'u1', legs, stake: 10 });
+
+    expect(result.data.newBalance).toBe(990);
+    expect(supabase.rpc).toHaveBeenCalledWith('place_parlay', expect.objectContaining({
+      p_max_liability: MAX_PARLAY_LIABILITY
+    }));
+  });
+
+  it('maps a limit reached while the parlay was being placed', async () => {
+    withBettor();
+    supabase.rpc.mockResolvedValue({ data: null, error: { message: 'RISK_LIMIT_EXCEEDED' } });
+
+    await expect(parlayService.placeParlay({ userId: 'u1', legs, stake: 10 }))
+      .rejects.toMatchObject({ code: ERROR_CODES.RISK_LIMIT_EXCEEDED });
+  });
+});
+
+describe('ParlayService.settleMarketLegs', () => {
+  it('marks legs on the winning outcome won and the rest lost', async () => {
+    const won = query({ error: null });
+    const lost = query({ error: null });
+    supabase.from
+      .mockReturnValueOnce(won)
+      .mockReturnValueOnce(lost)
+      .mockReturnValueOnce(query({ data: [], error: null }));
+
+    await parlayService.settleMarketLegs('m1', 'yes');
+
+    expect(won.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'won' }));
+    expect(won.eq).toHaveBeenCalledWith('outcome', 'yes');
+    expect(lost.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'lost' }));
+    expect(lost.neq).toHaveBeenCalledWith('outcome', 'yes');
+  });
+
+  it('settles each open parlay once and totals what was paid', async () => {
+    supabase.from
+      .mockReturnValueOnce(query({ error: null }))
+      .mockReturnValueOnce(query({ error: null }))
+      .mockReturnValueOnce(query({ data: [{ parlay_id: 'p1' }, { parlay_id: 'p2' }, { parlay_id: 'p1' }], error: null }))
+      .mockReturnValueOnce(query({ data: [{ id: 'p1' }, { id: 'p2' }], error: null }));
+    supabase.rpc
+      .mockResolvedValueOnce({ data: { settled: true, status: 'won', payout: '55.5' }, error: null })
+      .mockResolvedValueOnce({ data: { settled: false }, error: null });
+
+    const summary = await parlayService.settleMarketLegs('m1', 'yes');
+
+    expect(supabase.rpc).toHaveBeenCalledTimes(2);
+    expect(summary).toEqual({ parlaysSettled: 1, parlaysWon: 1, totalPaidOut: 55.5, failures: [] });
+  });
+
+  it('reports parlays that fail to settle and carries on', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    supabase.from
+      .mockReturnValueOnce(query({ error: null }))
+      .mockReturnValueOnce(query({ data: [{ parlay_id: 'p1' }, { parlay_id: 'p2' }], error: null }))
+      .mockReturnValueOnce(query({ data: [{ id: 'p1' }, { id: 'p2' }], error: null }));
+    supabase.rpc
+      .mockResolvedValueOnce({ data: null, error: { message: 'deadlock detected' } })
+      .mockResolvedValueOnce({ data: { settled: true, status: 'void', payout: 9.8 }, error: null });
+
+    const summary = await parlayService.voidMarketLegs('m1');
+
+    expect(summary.failures).toEqual([{ parlayId: 'p1', message: 'deadlock detected' }]);
+    expect(summary.parlaysSettled).toBe(1);
+    expect(summary.parlaysWon).toBe(0);
+    expect(summary.totalPaidOut).toBeCloseTo(9.8);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * PortfolioService tests
+ *
+ * Liquidation values of open positions
+ */
+
+jest.mock('../../src/config/database', () => ({ supabase: {} }));
+
+const portfolioService = require('../../src/services/portfolio.service');
+const { MARKET_STATUS } = require('../../src/config/constants');
+
+const market = {
+  id: 'm1',
+  pool_initialized: true,
+  yes_pool: 1000,
+  no_pool: 1000,
+  liquidity_constant: 1000000
+};
+
+describe('PortfolioService.getLiquidationValue', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([MARKET_STATUS.ACTIVE, MARKET_STATUS.SUSPENDED])('prices the sale while %s', (status) => {
+    const value = portfolioService.getLiquidationValue({ ...market, status }, 'yes', 100);
+
+    expect(value).toBeGreaterThan(0);
+    expect(value).toBeLessThan(100);
+  });
+
+  it.each([MARKET_STATUS.CLOSED, MARKET_STATUS.CANCELLED])('is null without logging once %s', (status) => {
+    expect(portfolioService.getLiquidationValue({ ...market, status }, 'yes', 100)).toBeNull();
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('is null without logging when the pool cannot price the sale', () => {
+    const broken = { ...market, status: MARKET_STATUS.ACTIVE, liquidity_constant: 1 };
+
+    expect(portfolioService.getLiquidationValue(broken, 'yes', 100)).toBeNull();
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * PriceHistoryService tests
+ *
+ * Capped reads of price_history, candle aggregates and OHLC candles
+ */
+
+jest.mock('../../src/config/database', () => ({ supabase: { from: jest.fn(), rpc: jest.fn() } }));
+jest.mock('../../src/config/constants', () => ({
+  ...jest.requireActual('../../src/config/constants'),
+  HISTORY_MAX_POINTS: 2
+}));
+
+const { supabase } = require('../../src/config/database');
+const priceHistory = require('../../src/services/priceHistory.service');
+
+const MINUTE = 60 * 1000;
+
+function point(minute, yes, totalVolume) {
+  return {
+    time: new Date(Date.UTC(2024, 0, 1, 0, 0, minute)).toISOString(),
+    prices: { yes, no: 1 - yes },
+    totalVolume,
+    betId: null
+  };
+}
+
+function bucket(minute, { open, high, low, close, openVolume, closeVolume }) {
+  return {
+    start: Date.UTC(2024, 0, 1, 0, minute),
+    open,
+    high,
+    low,
+    close,
+    openVolume,
+    closeVolume
+  };
+}
+
+function minutes(from, to) {
+  return {
+    from: new Date(Date.UTC(2024, 0, 1, 0, from)),
+    to: new Date(Date.UTC(2024, 0, 1, 0, to))
+  };
+}
+
+function row(id, minute) {
+  return {
+    id,
+    created_at: new Date(Date.UTC(2024, 0, 1, 0, minute)).toISOString(),
+    yes_price: 0.5,
+    no_price: 0.5,
+    total_volume: 0
+  };
+}
+
+describe('PriceHistoryService.getPoints', () => {
+  let limit;
+
+  function withRows(rows) {
+    const builder = {
+      limit: jest.fn(count => Promise.resolve({ data: rows.slice(0, count), error: null }))
+    };
+    ['select', 'eq', 'gte', 'lt', 'order'].forEach((method) => {
+      builder[method] = jest.fn(() => builder);
+    });
+    supabase.from.mockReturnValue(builder);
+    limit = builder.limit;
+  }
+
+  afterEach(() => {
+    supabase.from.mockReset();
+  });
+
+  it('returns every point when the range holds no more than the cap', async () => {
+    withRows([row('a', 1), row('b', 2)]);
+
+    const { points, nextFrom } = await priceHistory.getPoints('m1', minutes(0, 5));
+
+    expect(points).toHaveLength(2);
+    expect(nextFrom).toBeNull();
+  });
+
+  it('stops at the cap and says where the next page starts', async () => {
+    withRows([row('a', 1), row('b', 2), row('c', 3), row('d', 4)]);
+
+    const { points, nextFrom } = await priceHistory.getPoints('m1', minutes(0, 5));
+
+    expect(limit).toHaveBeenCalledWith(3);
+    expect(points.map(p => p.time)).toEqual([row('a', 1).created_at, row('b', 2).created_at]);
+    expect(nextFrom).toBe(row('c', 3).created_at);
+  });
+});
+
+describe('PriceHistoryService.getCandleBuckets', () => {
+  afterEach(() => {
+    supabase.rpc.mockReset();
+  });
+
+  it('aggregates in the database and parses the intervals', async () => {
+    supabase.rpc.mockResolvedValue({
+      data: [{ bucket: 1704067200, open: '0.5', high: '0.6', low: '0.5', close: '0.6', open_volume: 100, close_volume: '150' }],
+      error: null
+    });
+
+    const buckets = await priceHistory.getCandleBuckets('m1', minutes(0, 5), MINUTE, 'yes');
+
+    expect(supabase.rpc).toHaveBeenCalledWith('get_price_candles', expect.objectContaining({
+      p_market_id: 'm1',
+      p_interval_seconds: 60,
+      p_outcome: 'yes'
+    }));
+    expect(buckets).toEqual([
+      bucket(0, { open: 0.5, high: 0.6, low: 0.5, close: 0.6, openVolume: 100, closeVolume: 150 })
+    ]);
+  });
+});
+
+describe('PriceHistoryService.buildCandles', () => {
+  it('turns interval aggregates into OHLC candles with the volume traded in each', () => {
+    const candles = priceHistory.buildCandles({
+      buckets: [
+        bucket(0, { open: 0.5, high: 0.6, low: 0.5, close: 0.6, openVolume: 100, closeVolume: 150 }),
+        bucket(1, { open: 0.55, high: 0.55, low: 0.55, close: 0.55, openVolume: 180, closeVolume: 180 })
+      ],
+      previous: null,
+      outcome: 'yes',
+      intervalMs: MINUTE,
+      range: minutes(0, 2)
+    });
+
+    expect(candles).toEqual([
+      { time: '2024-01-01T00:00:00.000Z', open: 0.5, high: 0.6, low: 0.5, close: 0.6, volume: 50 },
+      { time: '2024-01-01T00:01:00.000Z', open: 0.6, high: 0.6, low: 0.55, close: 0.55, volume: 30 }
+    ]);
+  });
+
+  it('opens at the price in force before the range', () => {
+    const [candle] = priceHistory.buildCandles({
+      buckets: [bucket(0, { open: 0.45, high: 0.45, low: 0.45, close: 0.45, openVolume: 120, closeVolume: 120 })],
+      previous: point(-600, 0.4, 100),
+      outcome: 'yes',
+      intervalMs: MINUTE,
+      range: minutes(0, 1)
+    });
+
+    expect(candle).toMatchObject({ open: 0.4, low: 0.4, high: 0.45, close: 0.45, volume: 20 });
+  });
+
+  it('repeats the last price with no volume through quiet intervals', () => {
+    const candles = priceHistory.buildCandles({
+      buckets: [bucket(0, { open: 0.5, high: 0.5, low: 0.5, close: 0.5, openVolume: 100, closeVolume: 100 })],
+      previous: null,
+      outcome: 'yes',
+      intervalMs: MINUTE,
+      range: minutes(0, 3)
+    });
+
+    expect(candles.slice(1)).toEqual([
+      { time: '2024-01-01T00:01:00.000Z', open: 0.5, high: 0.5, low: 0.5, close: 0.5, volume: 0 },
+      { time: '2024-01-01T00:02:00.000Z', open: 0.5, high: 0.5, low: 0.5, close: 0.5, volume: 0 }
+    ]);
+  });
+
+  it('leaves out intervals before the first known price', () => {
+    const candles = priceHistory.buildCandles({
+      buckets: [bucket(2, { open: 0.5, high: 0.5, low: 0.5, close: 0.5, openVolume: 100, closeVolume: 100 })],
+      previous: null,
+      outcome: 'yes',
+      intervalMs: MINUTE,
+      range: minutes(0, 3)
+    });
+
+    expect(candles.map(candle => candle.time)).toEqual(['2024-01-01T00:02:00.000Z']);
+  });
+});
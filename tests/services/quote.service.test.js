@@ -0,0 +1,154 @@
+/**
+ * QuoteService tests
+ *
+ * Issuing, verifying, claiming and expiring firm quotes
+ */
+
+const mockRedeemed = new Set();
+
+jest.mock('../../src/config/database', () => ({
+  supabase: {
+    from: () => ({
+      insert: async ({ quote_id: quoteId }) => {
+        if (mockRedeemed.has(quoteId)) {
+          return { error: { code: '23505' } };
+        }
+        mockRedeemed.add(quoteId);
+        return { error: null };
+      },
+      delete: () => ({
+        eq: async (column, quoteId) => {
+          mockRedeemed.delete(quoteId);
+          return { error: null };
+        }
+      })
+    })
+  }
+}));
+
+const quoteService = require('../../src/services/quote.service');
+const { ERROR_CODES, QUOTE_TYPES } = require('../../src/config/constants');
+
+const terms = {
+  userId: 'u1',
+  type: QUOTE_TYPES.BET,
+  marketId: 'm1',
+  outcome: 'yes',
+  amount: 100,
+  yesPool: 1000,
+  noPool: 1000,
+  price: 0.5,
+  tokens: 90
+};
+
+const expected = { type: QUOTE_TYPES.BET, marketId: 'm1', outcome: 'yes', userId: 'u1' };
+
+describe('QuoteService', () => {
+  beforeEach(() => {
+    mockRedeemed.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getQuote', () => {
+    it('returns the signed terms without using the quote up', () => {
+      const { quoteId } = quoteService.issueQuote(terms);
+
+      expect(quoteService.getQuote(quoteId, expected)).toMatchObject({ amount: 100, tokens: 90 });
+      expect(quoteService.getQuote(quoteId, expected)).toMatchObject({ amount: 100 });
+    });
+
+    it('rejects an unknown quote with QUOTE_INVALID', () => {
+      expect(() => quoteService.getQuote('missing', expected))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.QUOTE_INVALID }));
+    });
+
+    it('verifies a quote issued by another instance with the same secret', () => {
+      const { quoteId } = quoteService.issueQuote(terms);
+
+      jest.isolateModules(() => {
+        const otherInstance = require('../../src/services/quote.service');
+        otherInstance.secret = quoteService.secret;
+
+        expect(otherInstance.getQuote(quoteId, expected)).toMatchObject({ amount: 100, tokens: 90 });
+      });
+    });
+
+    it('rejects a quote past its TTL', () => {
+      jest.useFakeTimers();
+      const { quoteId } = quoteService.issueQuote(terms);
+      jest.advanceTimersByTime(quoteService.TTL_SECONDS * 1000);
+
+      expect(() => quoteService.getQuote(quoteId, expected))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.QUOTE_EXPIRED }));
+    });
+
+    it('rejects terms altered after signing', () => {
+      const { quoteId, signature } = quoteService.issueQuote(terms);
+      const altered = quoteService.encode({ ...quoteService.getQuote(quoteId, expected), amount: 1 });
+
+      expect(() => quoteService.getQuote(`${altered}.${signature}`, expected))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.QUOTE_INVALID }));
+    });
+
+    it.each([
+      ['type', { type: QUOTE_TYPES.ODDS }],
+      ['market', { marketId: 'm2' }],
+      ['outcome', { outcome: 'no' }]
+    ])('rejects a bet on a different %s', (_, mismatch) => {
+      const { quoteId } = quoteService.issueQuote(terms);
+
+      expect(() => quoteService.getQuote(quoteId, { ...expected, ...mismatch }))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.QUOTE_INVALID }));
+    });
+
+    it('binds a quote to the user it was issued to', () => {
+      const { quoteId } = quoteService.issueQuote(terms);
+
+      expect(quoteService.getQuote(quoteId, expected).userId).toBe('u1');
+      expect(() => quoteService.getQuote(quoteId, { ...expected, userId: 'u2' }))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.QUOTE_INVALID }));
+    });
+
+    it('refuses a quote not bound to a user', () => {
+      const { quoteId } = quoteService.issueQuote({ ...terms, userId: null });
+
+      expect(() => quoteService.getQuote(quoteId, expected))
+        .toThrow(expect.objectContaining({ code: ERROR_CODES.QUOTE_INVALID }));
+    });
+  });
+
+  describe('claimQuote', () => {
+    it('lets only one of two concurrent bets claim the quote', async () => {
+      const { quoteId } = quoteService.issueQuote(terms);
+      const first = quoteService.getQuote(quoteId, expected);
+      const second = quoteService.getQuote(quoteId, expected);
+
+      await quoteService.claimQuote(first);
+
+      await expect(quoteService.claimQuote(second))
+        .rejects.toMatchObject({ code: ERROR_CODES.QUOTE_EXPIRED });
+    });
+
+    it('can be released for a retry', async () => {
+      const { quoteId } = quoteService.issueQuote(terms);
+      const quote = quoteService.getQuote(quoteId, expected);
+
+      await quoteService.claimQuote(quote);
+      await quoteService.releaseQuote(quote);
+
+      await expect(quoteService.claimQuote(quoteService.getQuote(quoteId, expected))).resolves.toBeUndefined();
+    });
+  });
+
+  describe('isWithinTolerance', () => {
+    it('allows an adverse move up to the tolerance', () => {
+      expect(quoteService.isWithinTolerance(2, 2 * (1 - quoteService.PRICE_TOLERANCE), 'min')).toBe(true);
+      expect(quoteService.isWithinTolerance(2, 1.9, 'min')).toBe(false);
+      expect(quoteService.isWithinTolerance(0.5, 0.504, 'max')).toBe(true);
+      expect(quoteService.isWithinTolerance(0.5, 0.6, 'max')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * SettlementService tests
+ *
+ * Closing markets to trading
+ */
+
+jest.mock('../../src/config/database', () => ({ supabase: {} }));
+
+const bettingService = require('../../src/services/betting.service');
+const webhookService = require('../../src/services/webhook.service');
+const settlementService = require('../../src/services/settlement.service');
+const { ERROR_CODES, MARKET_STATUS, WEBHOOK_EVENTS } = require('../../src/config/constants');
+
+describe('SettlementService.closeMarket', () => {
+  let updateMarketStatus;
+  let emit;
+
+  function withMarket(status) {
+    jest.spyOn(bettingService, 'getMarket').mockResolvedValue({ id: 'm1', status, version: 3 });
+  }
+
+  beforeEach(() => {
+    updateMarketStatus = jest.spyOn(settlementService, 'updateMarketStatus')
+      .mockImplementation(async (market, changes) => ({ ...market, ...changes }));
+    emit = jest.spyOn(webhookService, 'emit').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([MARKET_STATUS.ACTIVE, MARKET_STATUS.SUSPENDED])('closes a %s market and sends market.closed', async (status) => {
+    withMarket(status);
+
+    const result = await settlementService.closeMarket('m1');
+
+    expect(result.data).toEqual({ marketId: 'm1', status: MARKET_STATUS.CLOSED, previousStatus: status });
+    expect(updateMarketStatus).toHaveBeenCalledWith(expect.objectContaining({ id: 'm1' }), { status: MARKET_STATUS.CLOSED });
+    expect(emit).toHaveBeenCalledWith(WEBHOOK_EVENTS.MARKET_CLOSED, 'm1', expect.objectContaining({
+      status: MARKET_STATUS.CLOSED,
+      previousStatus: status
+    }));
+  });
+
+  it('leaves a closed market alone', async () => {
+    withMarket(MARKET_STATUS.CLOSED);
+
+    await settlementService.closeMarket('m1');
+
+    expect(updateMarketStatus).not.toHaveBeenCalled();
+    expect(emit).not.toHaveBeenCalled();
+  });
+
+  it.each([MARKET_STATUS.RESOLVED, MARKET_STATUS.CANCELLED])('refuses to close a %s market', async (status) => {
+    withMarket(status);
+
+    await expect(settlementService.closeMarket('m1')).rejects.toMatchObject({ code: ERROR_CODES.MARKET_NOT_ACTIVE });
+    expect(emit).not.toHaveBeenCalled();
+  });
+});
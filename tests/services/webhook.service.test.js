@@ -0,0 +1,41 @@
+/**
+ * WebhookService tests
+ *
+ * Which subscriptions an event is queued for
+ */
+
+jest.mock('../../src/config/database', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../../src/config/database');
+const webhookService = require('../../src/services/webhook.service');
+const { WEBHOOK_EVENTS } = require('../../src/config/constants');
+
+function subscriptionsQuery(rows) {
+  const builder = {
+    then: (resolve, reject) => Promise.resolve({ data: rows, error: null }).then(resolve, reject)
+  };
+
+  ['select', 'eq', 'contains', 'or'].forEach((method) => {
+    builder[method] = jest.fn(() => builder);
+  });
+
+  return builder;
+}
+
+describe('WebhookService.getActiveSubscriptions', () => {
+  afterEach(() => {
+    supabase.from.mockReset();
+  });
+
+  it('filters by event and market in the query', async () => {
+    const query = subscriptionsQuery([{ id: 's1', price_thresholds: null }]);
+    supabase.from.mockReturnValue(query);
+
+    const subscriptions = await webhookService.getActiveSubscriptions(WEBHOOK_EVENTS.MARKET_CLOSED, 'm1');
+
+    expect(subscriptions).toEqual([{ id: 's1', price_thresholds: null }]);
+    expect(query.eq).toHaveBeenCalledWith('active', true);
+    expect(query.contains).toHaveBeenCalledWith('events', [WEBHOOK_EVENTS.MARKET_CLOSED]);
+    expect(query.or).toHaveBeenCalledWith('market_ids.is.null,market_ids.cs.{m1}');
+  });
+});